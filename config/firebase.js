@@ -0,0 +1,37 @@
+const admin = require('firebase-admin');
+
+// Function to initialize Firebase Admin so the auth middleware can verify ID tokens
+const initFirebase = () => {
+  if (admin.apps.length) {
+    return admin.app();
+  }
+
+  try {
+    // Prefer a full service account (JSON string) when one is configured
+    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+      const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+      const app = admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount)
+      });
+      console.log(`Firebase Admin initialized for project: ${serviceAccount.project_id}`);
+      return app;
+    }
+
+    // Verifying ID tokens only needs the project ID
+    if (process.env.FIREBASE_PROJECT_ID) {
+      const app = admin.initializeApp({
+        projectId: process.env.FIREBASE_PROJECT_ID
+      });
+      console.log(`Firebase Admin initialized for project: ${process.env.FIREBASE_PROJECT_ID}`);
+      return app;
+    }
+
+    console.warn('Firebase Admin not initialized: set FIREBASE_SERVICE_ACCOUNT or FIREBASE_PROJECT_ID');
+    return null;
+  } catch (error) {
+    console.error(`Error initializing Firebase Admin: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = initFirebase;
@@ -2,16 +2,22 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const initFirebase = require('./config/firebase');
 const { initScheduler } = require('./services/scheduler');
 const tiktokRoutes = require('./routes/tiktok');
 const twitterRoutes = require('./routes/twitter');
+const instagramRoutes = require('./routes/instagram');
+const facebookRoutes = require('./routes/facebook');
+const linkedinRoutes = require('./routes/linkedin');
+const youtubeRoutes = require('./routes/youtube');
+const socialRoutes = require('./routes/social');
 const uploadRoutes = require('./routes/upload');
 const postsRoutes = require('./routes/posts');
 const usersRoutes = require('./routes/users');
 const paypalRoutes = require('./routes/paypal');
 const assetsRoutes = require('./routes/assets');
+const mediaRoutes = require('./routes/media');
 const rawBodyParser = require('./middleware/rawBodyParser');
-const axios = require('axios');
 // Import rate limiters
 const { 
   defaultLimiter, 
@@ -26,6 +32,9 @@ const { rateLimitLogger } = require('./middleware/rateLimitLogger');
 const app = express();
 const port = process.env.PORT || 3335;
 
+// Initialize Firebase Admin for ID token verification
+initFirebase();
+
 // Connect to MongoDB
 connectDB()
   .then(() => {
@@ -208,6 +217,81 @@ app.use('/twitter', (req, res, next) => {
   next();
 });
 
+// Add specific CORS headers for Instagram routes
+app.use('/instagram', (req, res, next) => {
+  res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'https://sociallane-frontend.mindio.chat');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Credentials', 'true');
+  
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  next();
+});
+
+// Add specific CORS headers for Facebook routes
+app.use('/facebook', (req, res, next) => {
+  res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'https://sociallane-frontend.mindio.chat');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Credentials', 'true');
+  
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  next();
+});
+
+// Add specific CORS headers for LinkedIn routes
+app.use('/linkedin', (req, res, next) => {
+  res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'https://sociallane-frontend.mindio.chat');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Credentials', 'true');
+  
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  next();
+});
+
+// Add specific CORS headers for YouTube routes
+app.use('/youtube', (req, res, next) => {
+  res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'https://sociallane-frontend.mindio.chat');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Credentials', 'true');
+  
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  next();
+});
+
+// Add specific CORS headers for the generic platform routes
+app.use('/social', (req, res, next) => {
+  res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'https://sociallane-frontend.mindio.chat');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Credentials', 'true');
+  
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  next();
+});
+
 // Add specific CORS headers for Users routes
 app.use('/users', (req, res, next) => {
   res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'https://sociallane-frontend.mindio.chat');
@@ -226,8 +310,13 @@ app.use('/users', (req, res, next) => {
 // Routes with specific rate limiters
 app.use('/tiktok', postingLimiter, tiktokRoutes);
 app.use('/twitter', postingLimiter, twitterRoutes);
+app.use('/instagram', postingLimiter, instagramRoutes);
+app.use('/facebook', postingLimiter, facebookRoutes);
+app.use('/linkedin', postingLimiter, linkedinRoutes);
+app.use('/youtube', postingLimiter, youtubeRoutes);
 app.use('/upload', postingLimiter, uploadRoutes);
 app.use('/posts', postingLimiter, postsRoutes);
+app.use('/media', userLimiter, mediaRoutes);
 app.use('/users', userLimiter, usersRoutes);
 app.use('/paypal', authLimiter, paypalRoutes);
 app.use('/assets', publicLimiter, assetsRoutes);
@@ -239,349 +328,8 @@ app.post('/schedules', postingLimiter, (req, res) => {
   postsRoutes(req, res);
 });
 
-// Add a route handler for social/tiktok/post that forwards to the TikTok post-video endpoint
-app.post('/social/tiktok/post', postingLimiter, async (req, res) => {
-  console.log('Forwarding request from /social/tiktok/post to TikTok endpoints');
-  
-  // Log the incoming payload structure
-  console.log('Incoming payload structure:', {
-    keys: req.body ? Object.keys(req.body) : [],
-    hasVideoUrl: !!req.body?.videoUrl,
-    hasAccounts: Array.isArray(req.body?.accounts) && req.body?.accounts.length > 0,
-    hasCaption: !!req.body?.caption,
-    accountsCount: Array.isArray(req.body?.accounts) ? req.body.accounts.length : 0,
-    userId: req.body?.userId ? `${req.body.userId.substring(0, 6)}...` : undefined
-  });
-
-  // Check user roles and limits
-  if (req.body?.userId) {
-    try {
-      const { hasReachedLimit, getLimit } = require('./utils/roleLimits');
-      const userService = require('./services/userService');
-      
-      // Get post usage to check limits
-      const postUsage = await userService.getPostUsage(req.body.userId);
-      
-      if (!postUsage.success) {
-        return res.status(404).json({
-          success: false,
-          error: 'User not found or error retrieving user data'
-        });
-      }
-      
-      const userRole = postUsage.userRole;
-      
-      // Check post limits for Starter users
-      if (userRole === 'Starter') {
-        console.log(`[SOCIAL/TIKTOK/POST] Checking post limits for Starter user ${req.body.userId}. Current count: ${postUsage.currentPostCount}, Limit: ${postUsage.limit}, Remaining: ${postUsage.postsRemaining}, Needs Reset: ${postUsage.needsCycleReset}`);
-        // If user has no posts remaining, return error
-        if (postUsage.postsRemaining !== -1 && postUsage.postsRemaining <= 0 && !postUsage.needsCycleReset) {
-          console.log(`[SOCIAL/TIKTOK/POST] Post limit reached for user ${req.body.userId}.`);
-          return res.status(403).json({
-            success: false,
-            error: `You have reached the maximum of ${postUsage.limit} posts for the free Starter plan this cycle. Your limit resets on ${new Date(postUsage.nextResetDate).toLocaleDateString()}.`,
-            limit: postUsage.limit,
-            current: postUsage.currentPostCount,
-            nextReset: postUsage.nextResetDate
-          });
-        }
-      }
-      
-      // Check social account limits
-      if (req.body?.accounts && Array.isArray(req.body.accounts)) {
-        const requestedAccountsCount = req.body.accounts.length;
-        const accountLimit = getLimit(userRole, 'socialAccounts');
-        
-        if (accountLimit !== -1 && requestedAccountsCount > accountLimit) {
-          return res.status(403).json({
-            success: false,
-            error: `Your ${userRole} plan allows posting to ${accountLimit} social account(s) at a time. Please upgrade your plan or select fewer accounts.`,
-            limit: accountLimit,
-            requested: requestedAccountsCount
-          });
-        }
-      }
-    } catch (error) {
-      console.error('[SOCIAL/TIKTOK/POST] Error checking user limits:', error);
-    }
-  }
-  
-  // Handle multiple accounts case with our new endpoint
-  if (req.body?.accounts && Array.isArray(req.body.accounts) && req.body.accounts.length > 0) {
-    console.log(`Using TikTok multi-account endpoint for ${req.body.accounts.length} accounts`);
-    
-    try {
-      // Forward to the multi-account endpoint
-      const response = await axios({
-        method: 'POST',
-        url: `${process.env.BACKEND_URL}/tiktok/post-video-multi`,
-        data: {
-          videoUrl: req.body.videoUrl || '',
-          caption: req.body.caption || '',
-          accounts: req.body.accounts,
-          userId: req.body.userId
-        },
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      // Return the response from the multi-account endpoint
-      return res.status(response.status).json(response.data);
-    } catch (error) {
-      console.error('Error forwarding to TikTok multi-account endpoint:', error?.message);
-      
-      // Return appropriate error response
-      const status = error.response?.status || 500;
-      const errorMessage = error.response?.data?.error || error.message || 'Unknown error';
-      
-      return res.status(status).json({ 
-        error: 'Error posting video to TikTok', 
-        details: errorMessage 
-      });
-    }
-  }
-  // Handle single account cases (legacy format or direct access token)
-  else {
-    // Transform the payload to match what tiktok/post-video expects
-    const originalBody = { ...req.body };
-    let transformedBody = {};
-    
-    // Case 2: Direct format with accessToken already present
-    if (req.body?.accessToken) {
-      transformedBody = {
-        videoUrl: req.body.videoUrl || '',
-        accessToken: req.body.accessToken,
-        refreshToken: req.body.refreshToken || '',
-        caption: req.body.caption || ''
-      };
-      console.log('Using direct accessToken format');
-    }
-    // Case 3: Handle tiktokPayload format from media-posting.js
-    else if (req.body?.tiktokPayload) {
-      const payload = req.body.tiktokPayload;
-      if (payload.accounts && payload.accounts.length > 0) {
-        const firstAccount = payload.accounts[0];
-        transformedBody = {
-          videoUrl: payload.videoUrl || '',
-          accessToken: firstAccount.accessToken || '',
-          refreshToken: firstAccount.refreshToken || '',
-          caption: payload.caption || ''
-        };
-        console.log('Transformed from tiktokPayload format');
-      }
-    }
-    
-    // Check if we have the required fields
-    if (transformedBody.videoUrl && transformedBody.accessToken) {
-      req.body = transformedBody;
-      
-      console.log('Transformed payload:', {
-        hasVideoUrl: !!req.body.videoUrl,
-        hasAccessToken: !!req.body.accessToken,
-        hasRefreshToken: !!req.body.refreshToken,
-        hasCaption: !!req.body.caption
-      });
-    } else {
-      console.error('Failed to extract required fields from payload');
-      console.error('Original payload keys:', Object.keys(originalBody));
-      // Keep original body, the endpoint will return appropriate error
-    }
-    
-    // Forward to the single account endpoint
-    req.url = '/post-video';
-    tiktokRoutes(req, res);
-  }
-});
-
-// Add a route handler for social/twitter/post that forwards to the Twitter post-video endpoint
-app.post('/social/twitter/post', async (req, res) => {
-  console.log('=== SOCIAL/TWITTER/POST ROUTE START ===');
-  console.log('Forwarding request from /social/twitter/post to Twitter endpoints');
-  
-  // Log the incoming payload structure
-  console.log('Incoming payload structure:', {
-    keys: req.body ? Object.keys(req.body) : [],
-    hasVideoUrl: !!req.body?.videoUrl,
-    hasAccounts: Array.isArray(req.body?.accounts) && req.body?.accounts.length > 0,
-    hasText: !!req.body?.text,
-    accountsCount: Array.isArray(req.body?.accounts) ? req.body.accounts.length : 0,
-    userId: req.body?.userId ? `${req.body.userId.substring(0, 6)}...` : undefined
-  });
-  
-  // Check user roles and limits
-  if (req.body?.userId) {
-    try {
-      const { hasReachedLimit, getLimit } = require('./utils/roleLimits');
-      const userService = require('./services/userService');
-      
-      // Get post usage to check limits
-      const postUsage = await userService.getPostUsage(req.body.userId);
-      
-      if (!postUsage.success) {
-        return res.status(404).json({
-          success: false,
-          error: 'User not found or error retrieving user data'
-        });
-      }
-      
-      const userRole = postUsage.userRole;
-      
-      // Check post limits for Starter users
-      if (userRole === 'Starter') {
-        console.log(`[SOCIAL/TWITTER/POST] Checking post limits for Starter user ${req.body.userId}. Current count: ${postUsage.currentPostCount}, Limit: ${postUsage.limit}, Remaining: ${postUsage.postsRemaining}, Needs Reset: ${postUsage.needsCycleReset}`);
-        // If user has no posts remaining, return error
-        if (postUsage.postsRemaining !== -1 && postUsage.postsRemaining <= 0 && !postUsage.needsCycleReset) {
-           console.log(`[SOCIAL/TWITTER/POST] Post limit reached for user ${req.body.userId}.`);
-           return res.status(403).json({
-            success: false,
-            error: `You have reached the maximum of ${postUsage.limit} posts for the free Starter plan this cycle. Your limit resets on ${new Date(postUsage.nextResetDate).toLocaleDateString()}.`,
-            limit: postUsage.limit,
-            current: postUsage.currentPostCount,
-            nextReset: postUsage.nextResetDate
-          });
-        }
-      }
-      
-      // Check social account limits
-      if (req.body?.accounts && Array.isArray(req.body.accounts)) {
-        const requestedAccountsCount = req.body.accounts.length;
-        const accountLimit = getLimit(userRole, 'socialAccounts');
-        
-        if (accountLimit !== -1 && requestedAccountsCount > accountLimit) {
-          return res.status(403).json({
-            success: false,
-            error: `Your ${userRole} plan allows posting to ${accountLimit} social account(s) at a time. Please upgrade your plan or select fewer accounts.`,
-            limit: accountLimit,
-            requested: requestedAccountsCount
-          });
-        }
-      }
-    } catch (error) {
-      console.error('[SOCIAL/TWITTER/POST] Error checking user limits:', error);
-    }
-  }
-  
-  // Account details for log
-  if (req.body?.accounts && Array.isArray(req.body.accounts)) {
-    console.log('Account details:', req.body.accounts.map(acc => ({
-      userId: acc.userId,
-      username: acc.username || 'no username'
-    })));
-  }
-  
-  if (!req.body) {
-    console.error('Request body is empty or missing');
-    return res.status(400).json({ 
-      error: 'Missing request body',
-      details: 'The request body is required but was not provided'
-    });
-  }
-  
-  // Handle multiple accounts case with our new endpoint
-  if (req.body?.accounts && Array.isArray(req.body.accounts) && req.body.accounts.length > 0) {
-    console.log(`Using Twitter multi-account endpoint for ${req.body.accounts.length} accounts`);
-    
-    // Make sure we have userId
-    if (!req.body.userId) {
-      console.error('Missing required parameter: userId');
-      return res.status(400).json({ 
-        error: 'Missing required parameter: userId', 
-        details: 'The userId is required to fetch account tokens from the database'
-      });
-    }
-    
-    try {
-      // Forward to the multi-account endpoint
-      console.log('Forwarding request to /twitter/post-video-multi endpoint');
-      const response = await axios({
-        method: 'POST',
-        url: `${process.env.BACKEND_URL}/twitter/post-video-multi`,
-        data: {
-          videoUrl: req.body.videoUrl || '',
-          text: req.body.text || req.body.caption || '',
-          accounts: req.body.accounts,
-          userId: req.body.userId // Forward the userId parameter for database token lookup
-        },
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      // Return the response from the multi-account endpoint
-      console.log('Twitter multi-account post response:', {
-        status: response.status,
-        success: response.data?.success,
-        message: response.data?.message,
-        resultCount: response.data?.results?.length || 0
-      });
-      
-      console.log('=== SOCIAL/TWITTER/POST ROUTE END ===');
-      return res.status(response.status).json(response.data);
-    } catch (error) {
-      console.error('=== SOCIAL/TWITTER/POST ROUTE ERROR ===');
-      console.error('Error forwarding to Twitter multi-account endpoint:', error?.message);
-      
-      // Log detailed error information
-      console.error('Error details:', {
-        status: error.response?.status,
-        data: error.response?.data,
-        message: error.message,
-        code: error.code
-      });
-      
-      // Return appropriate error response
-      const status = error.response?.status || 500;
-      const errorMessage = error.response?.data?.error || error.message || 'Unknown error';
-      
-      return res.status(status).json({ 
-        error: 'Error posting video to Twitter', 
-        details: errorMessage 
-      });
-    }
-  }
-  // Handle single account case
-  else if (req.body?.accessToken && req.body?.accessTokenSecret) {
-    console.log('Using Twitter single account endpoint');
-    
-    const singleAccountPayload = {
-      videoUrl: req.body.videoUrl || '',
-      text: req.body.text || req.body.caption || '',
-      accessToken: req.body.accessToken,
-      accessTokenSecret: req.body.accessTokenSecret
-    };
-    
-    // Forward to the single account endpoint
-    console.log('Forwarding to /twitter/post-video endpoint with single account');
-    req.body = singleAccountPayload;
-    req.url = '/post-video';
-    twitterRoutes(req, res);
-  }
-  // Handle userId-only case (lookup tokens from database)
-  else if (req.body?.userId && req.body?.videoUrl) {
-    console.log(`Using Twitter single account endpoint with database token lookup for user: ${req.body.userId.substring(0, 5)}...`);
-    
-    const lookupPayload = {
-      videoUrl: req.body.videoUrl || '',
-      text: req.body.text || req.body.caption || '',
-      userId: req.body.userId
-    };
-    
-    // Forward to the post-video endpoint which will look up tokens
-    console.log('Forwarding to /twitter/post-video endpoint with userId for token lookup');
-    req.body = lookupPayload;
-    req.url = '/post-video';
-    twitterRoutes(req, res);
-  }
-  // Handle missing parameters
-  else {
-    console.error('Missing required parameters for Twitter posting');
-    return res.status(400).json({ 
-      error: 'Missing required parameters',
-      details: 'Either accounts array or accessToken with accessTokenSecret or userId must be provided'
-    });
-  }
-});
+// Generic routes of every registered platform (services/platforms)
+app.use('/social', postingLimiter, socialRoutes);
 
 // TikTok domain verification file
 app.get('/tiktokxhM8HSGWC6UXDSySEBMtLOBidATHhofG.txt', (req, res) => {
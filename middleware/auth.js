@@ -3,6 +3,18 @@
  * Verifies Firebase ID token and attaches user data to request
  */
 const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// Header the backend's own calls to its platform routes carry (services/platforms/routePublisher.js)
+const INTERNAL_SECRET_HEADER = 'x-internal-secret';
+
+/**
+ * Check if the development auth bypass is enabled
+ * @returns {boolean} - True when NODE_ENV is development and BYPASS_AUTH is 'true'
+ */
+const isAuthBypassed = () => {
+  return process.env.NODE_ENV === 'development' && process.env.BYPASS_AUTH === 'true';
+};
 
 /**
  * Authentication middleware
@@ -30,7 +42,7 @@ const auth = async (req, res, next) => {
         console.log('Firebase admin not initialized in auth middleware');
         
         // For development, allow bypassing authentication if BYPASS_AUTH env var is set
-        if (process.env.NODE_ENV === 'development' && process.env.BYPASS_AUTH === 'true') {
+        if (isAuthBypassed()) {
           console.log('DEVELOPMENT MODE: Bypassing authentication');
           return next();
         }
@@ -49,7 +61,7 @@ const auth = async (req, res, next) => {
       console.error('Error verifying authentication token:', tokenError);
       
       // For development, allow bypassing authentication if BYPASS_AUTH env var is set
-      if (process.env.NODE_ENV === 'development' && process.env.BYPASS_AUTH === 'true') {
+      if (isAuthBypassed()) {
         console.log('DEVELOPMENT MODE: Bypassing authentication after token error');
         return next();
       }
@@ -69,4 +81,57 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth }; 
\ No newline at end of file
+/**
+ * Check if a request carries the internal API secret (INTERNAL_API_SECRET)
+ * @param {Object} req - Express request object
+ * @returns {boolean} - False when the secret is not configured
+ */
+const hasInternalSecret = (req) => {
+  const secret = process.env.INTERNAL_API_SECRET;
+  const provided = req.headers[INTERNAL_SECRET_HEADER];
+  if (!secret || typeof provided !== 'string') {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Authentication middleware for routes the backend also calls itself. Requests with the internal
+ * API secret act on behalf of the user in their body (req.isInternal is set and ownership checks
+ * are skipped); all other requests need a Firebase ID token.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authOrInternal = (req, res, next) => {
+  if (hasInternalSecret(req)) {
+    req.isInternal = true;
+    return next();
+  }
+  return auth(req, res, next);
+};
+
+/**
+ * Middleware for routes only the backend calls, e.g. the platform publishing routes the
+ * publishing queue calls after POST /posts checked the post. Requests need the internal API
+ * secret; req.isInternal is set so ownership checks act on the user in the body.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireInternal = (req, res, next) => {
+  if (hasInternalSecret(req)) {
+    req.isInternal = true;
+    return next();
+  }
+
+  console.warn(`[AUTH] Rejected a request without the internal secret to ${req.method} ${req.originalUrl}`);
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden - This route is only available to the backend. Publish with POST /posts or POST /social/:platform/post'
+  });
+};
+
+module.exports = { auth, authOrInternal, requireInternal, hasInternalSecret, isAuthBypassed, INTERNAL_SECRET_HEADER }; 
\ No newline at end of file
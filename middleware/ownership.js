@@ -0,0 +1,150 @@
+/**
+ * Resource ownership middleware
+ * Ties the authenticated Firebase user (req.user.uid) to the userId on Post
+ * documents and the uid on User documents, and rejects cross-tenant access
+ */
+const Post = require('../models/Post');
+const { isAuthBypassed } = require('./auth');
+
+/**
+ * Check if ownership checks should be skipped for this request.
+ * In BYPASS_AUTH development mode the auth middleware lets requests through
+ * without attaching req.user, so there is no identity to compare against.
+ * Internal requests (authOrInternal, requireInternal) come from the backend itself, e.g. the publishing queue.
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if the request should not be ownership-checked
+ */
+const shouldSkipOwnership = (req) => req.isInternal === true || (!req.user?.uid && isAuthBypassed());
+
+/**
+ * Send the standard forbidden response for cross-tenant access
+ * @param {Object} res - Express response object
+ */
+const forbidden = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden - You do not have access to this resource'
+  });
+};
+
+/**
+ * Require that a route param holds the authenticated user's Firebase UID
+ * @param {string} [paramName='uid'] - Name of the route param holding the UID
+ * @returns {Function} - Express middleware
+ */
+const requireSelf = (paramName = 'uid') => (req, res, next) => {
+  if (shouldSkipOwnership(req)) {
+    return next();
+  }
+
+  if (!req.user?.uid) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized - No authenticated user'
+    });
+  }
+
+  if (req.params[paramName] !== req.user.uid) {
+    console.warn(`[OWNERSHIP] User ${req.user.uid} attempted to access ${paramName}=${req.params[paramName]}`);
+    return forbidden(res);
+  }
+
+  next();
+};
+
+/**
+ * Require that a body field holds the authenticated user's Firebase UID.
+ * If the field is missing it is filled in from the authenticated user.
+ * @param {string} [fieldName='userId'] - Name of the body field holding the UID
+ * @returns {Function} - Express middleware
+ */
+const requireBodyOwner = (fieldName = 'userId') => (req, res, next) => {
+  if (shouldSkipOwnership(req)) {
+    return next();
+  }
+
+  if (!req.user?.uid) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized - No authenticated user'
+    });
+  }
+
+  req.body = req.body || {};
+
+  if (req.body[fieldName] && req.body[fieldName] !== req.user.uid) {
+    console.warn(`[OWNERSHIP] User ${req.user.uid} attempted to act as ${fieldName}=${req.body[fieldName]}`);
+    return forbidden(res);
+  }
+
+  req.body[fieldName] = req.user.uid;
+  next();
+};
+
+/**
+ * Require that a query param holds the authenticated user's Firebase UID.
+ * If the param is missing it is filled in from the authenticated user.
+ * @param {string} [paramName='userId'] - Name of the query param holding the UID
+ * @returns {Function} - Express middleware
+ */
+const requireQueryOwner = (paramName = 'userId') => (req, res, next) => {
+  if (shouldSkipOwnership(req)) {
+    return next();
+  }
+
+  if (!req.user?.uid) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized - No authenticated user'
+    });
+  }
+
+  if (req.query[paramName] && req.query[paramName] !== req.user.uid) {
+    console.warn(`[OWNERSHIP] User ${req.user.uid} attempted to access ${paramName}=${req.query[paramName]}`);
+    return forbidden(res);
+  }
+
+  req.query[paramName] = req.user.uid;
+  next();
+};
+
+/**
+ * Load the post in req.params.id and require that the authenticated user owns it.
+ * The loaded post is attached to req.post.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requirePostOwner = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({ msg: 'Post not found' });
+    }
+
+    if (!shouldSkipOwnership(req) && post.userId !== req.user?.uid) {
+      console.warn(`[OWNERSHIP] User ${req.user?.uid} attempted to access post ${post._id} owned by ${post.userId}`);
+      return forbidden(res);
+    }
+
+    req.post = post;
+    next();
+  } catch (err) {
+    console.error('Error in requirePostOwner middleware:', err?.message);
+
+    if (err?.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Post not found' });
+    }
+
+    res.status(500).send('Server Error');
+  }
+};
+
+module.exports = {
+  shouldSkipOwnership,
+  requireSelf,
+  requireBodyOwner,
+  requireQueryOwner,
+  requirePostOwner
+};
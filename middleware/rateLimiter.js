@@ -3,6 +3,7 @@
  * Implements different rate limiters for various API endpoints
  */
 const rateLimit = require('express-rate-limit');
+const { hasInternalSecret } = require('./auth');
 
 // Load environment variables for configuration
 const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000; // Default: 15 minutes
@@ -44,10 +45,10 @@ const defaultLimiter = rateLimit({
   skipFailedRequests: false, // Don't skip failed requests
   // Use a custom IP retrieval function
   keyGenerator: (req) => getClientIp(req),
-  // Skip rate limiting for trusted IPs (like internal services)
+  // Skip rate limiting for trusted IPs (like internal services) and the backend's own calls
   skip: (req) => {
     const clientIp = getClientIp(req);
-    return process.env.NODE_ENV === 'development' || TRUSTED_PROXIES.includes(clientIp);
+    return process.env.NODE_ENV === 'development' || TRUSTED_PROXIES.includes(clientIp) || hasInternalSecret(req);
   }
 });
 
@@ -96,9 +97,10 @@ const postingLimiter = rateLimit({
     error: 'Posting rate limit exceeded. Please try again later.'
   },
   keyGenerator: (req) => getClientIp(req),
+  // The publishing queue calls the platform post routes with the internal secret (routePublisher)
   skip: (req) => {
     const clientIp = getClientIp(req);
-    return process.env.NODE_ENV === 'development' || TRUSTED_PROXIES.includes(clientIp);
+    return process.env.NODE_ENV === 'development' || TRUSTED_PROXIES.includes(clientIp) || hasInternalSecret(req);
   }
 });
 
@@ -1,4 +1,5 @@
 const { isUserPro } = require('../services/userService');
+const { shouldSkipOwnership } = require('./ownership');
 
 /**
  * Middleware to check if a user has Pro privileges
@@ -37,6 +38,27 @@ const requireProRole = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to restrict a route to administrators: Firebase users with the admin custom claim
+ * (set with the Admin SDK's setCustomUserClaims). Plans and payments are otherwise only changed
+ * by the PayPal routes.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireAdmin = (req, res, next) => {
+  if (req.user?.admin === true || shouldSkipOwnership(req)) {
+    return next();
+  }
+
+  console.warn(`[ROLE CHECK] User ${req.user?.uid} attempted to access admin route ${req.method} ${req.originalUrl}`);
+  return res.status(403).json({
+    success: false,
+    error: 'Forbidden - Administrator access required'
+  });
+};
+
 module.exports = {
-  requireProRole
+  requireProRole,
+  requireAdmin
 }; 
\ No newline at end of file
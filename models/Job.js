@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Schema
+ *
+ * Durable background jobs (e.g. publishing a post) processed by services/jobQueue.js.
+ * A worker claims a job by atomically setting leaseOwner and leaseExpiresAt, keeps the
+ * lease alive with heartbeats, and jobs whose lease expires (crashed worker) are re-queued.
+ */
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Post this job belongs to (for publish jobs)
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Earliest time the job may be claimed
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Times the job was claimed since it was last (re)scheduled
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Lease held by the worker currently running the job
+  leaseOwner: {
+    type: String
+  },
+  leaseExpiresAt: {
+    type: Date
+  },
+  lastHeartbeatAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  // Set while the job is active so the same work is never queued twice.
+  // Removed once the job completes or fails.
+  dedupeKey: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Claim order: oldest due job first
+JobSchema.index({ status: 1, runAt: 1 });
+// Finding expired leases for crash recovery
+JobSchema.index({ status: 1, leaseExpiresAt: 1 });
+// Only one active job per dedupe key
+JobSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } });
+
+module.exports = mongoose.model('Job', JobSchema, 'jobs');
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mastodon App Schema
+ *
+ * Every Mastodon instance issues its own OAuth client, so the backend registers itself as an
+ * app (POST /api/v1/apps) the first time a user connects an account on an instance and
+ * reuses that registration for everyone else on it.
+ */
+const MastodonAppSchema = new mongoose.Schema({
+  // https://<instance host>, without a trailing slash
+  instanceUrl: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  clientId: {
+    type: String,
+    required: true
+  },
+  // Stored encrypted (utils/tokenEncryption.js)
+  clientSecret: {
+    type: String,
+    required: true
+  },
+  // The app has to be registered again if the callback URL or the scopes change
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('MastodonApp', MastodonAppSchema, 'mastodon_apps');
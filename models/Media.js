@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Media Schema
+ *
+ * A file a user uploaded to R2: a video in the videos bucket (under video-posts/) or an image
+ * in the assets bucket. Records are created by r2Service and assetsService when an upload has
+ * an owner, and linked to the posts that use their URL (services/mediaService.js).
+ * Media no post references is deleted, with its R2 object, once it has been unreferenced
+ * for the retention period.
+ */
+const MediaSchema = new mongoose.Schema({
+  // Firebase UID of the owner
+  uid: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Bucket of the object: the videos bucket (r2Service) or the assets bucket (assetsService)
+  bucket: {
+    type: String,
+    enum: ['videos', 'assets'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['video', 'image'],
+    required: true
+  },
+  // Display name, the uploaded file's name unless the owner renames it
+  name: {
+    type: String
+  },
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
+  // Seconds, for videos
+  duration: {
+    type: Number
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  // JPEG frame of a video, stored in the assets bucket
+  thumbnailUrl: {
+    type: String
+  },
+  thumbnailKey: {
+    type: String
+  },
+  // SHA-256 of the file (hex), when the server had the whole file
+  checksum: {
+    type: String
+  },
+  // Posts that use the file
+  referencedBy: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Post' }],
+    default: []
+  },
+  // Since when no post references the file; the cleanup job deletes it after the retention period
+  unreferencedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+MediaSchema.index({ bucket: 1, key: 1 }, { unique: true });
+MediaSchema.index({ url: 1 });
+MediaSchema.index({ unreferencedAt: 1 });
+
+module.exports = mongoose.model('Media', MediaSchema, 'media');
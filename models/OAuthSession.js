@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * OAuth Session Schema
+ *
+ * Server-side data of an OAuth connect flow between the redirect to the platform and
+ * the callback (e.g. the PKCE code verifier or an OAuth 1.0a request token secret),
+ * bound to the Firebase user who started it.
+ * Sessions are deleted when the callback consumes them, or by the TTL index once expired.
+ */
+const OAuthSessionSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // Firebase UID of the user connecting the account
+  uid: {
+    type: String,
+    required: true
+  },
+  // Random id carried in the signed state parameter
+  stateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  codeVerifier: {
+    type: String
+  },
+  // OAuth 1.0a request token (Twitter); the callback identifies the session by it
+  requestToken: {
+    type: String
+  },
+  // Stored encrypted (utils/tokenEncryption.js)
+  requestTokenSecret: {
+    type: String
+  },
+  // User access token kept until the user picks the Facebook Pages to connect; stored encrypted
+  accessToken: {
+    type: String
+  },
+  // Mastodon instance the account is being connected on
+  instanceUrl: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+OAuthSessionSchema.index({ provider: 1, requestToken: 1 }, { partialFilterExpression: { requestToken: { $exists: true } } });
+// Remove sessions whose flow was never completed
+OAuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthSession', OAuthSessionSchema, 'oauth_sessions');
@@ -1,14 +1,8 @@
 const mongoose = require('mongoose');
 
-// Define the TikTok account schema
+// Define the TikTok account schema.
+// Posts only reference connected accounts; tokens live in User.providerData.
 const TikTokAccountSchema = new mongoose.Schema({
-  accessToken: {
-    type: String,
-    required: true
-  },
-  refreshToken: {
-    type: String
-  },
   openId: {
     type: String,
     required: true
@@ -30,18 +24,25 @@ const TikTokAccountSchema = new mongoose.Schema({
   }
 }, { _id: false }); // _id: false prevents MongoDB from adding an _id field to subdocuments
 
-// Define the Twitter account schema
+// Define the Twitter account schema (reference only, tokens live in User.providerData)
 const TwitterAccountSchema = new mongoose.Schema({
-  accessToken: {
+  userId: {
     type: String,
-    // Not required, can be fetched from DB based on userId
-    required: false
+    required: true
   },
-  accessTokenSecret: {
-    type: String,
-    // Not required, can be fetched from DB based on userId
-    required: false
+  username: {
+    type: String
+  },
+  name: {
+    type: String
   },
+  profileImageUrl: {
+    type: String
+  }
+}, { _id: false });
+
+// Define the Instagram account schema (reference only, tokens live in User.providerData)
+const InstagramAccountSchema = new mongoose.Schema({
   userId: {
     type: String,
     required: true
@@ -52,27 +53,369 @@ const TwitterAccountSchema = new mongoose.Schema({
   name: {
     type: String
   },
-  profileImageUrl: {
+  profilePictureUrl: {
+    type: String
+  }
+}, { _id: false });
+
+// Define the Facebook Page schema (reference only, tokens live in User.providerData)
+const FacebookPageSchema = new mongoose.Schema({
+  pageId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  pictureUrl: {
+    type: String
+  }
+}, { _id: false });
+
+// Define the LinkedIn account schema (reference only, tokens live in User.providerData).
+// With organizationId the post is published as that organization page.
+const LinkedInAccountSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  organizationId: {
+    type: String
+  },
+  organizationName: {
+    type: String
+  }
+}, { _id: false });
+
+// Define the YouTube channel schema (reference only, tokens live in User.providerData)
+const YouTubeChannelSchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String
+  },
+  thumbnailUrl: {
+    type: String
+  }
+}, { _id: false });
+
+// Define the Bluesky account schema (reference only, tokens live in User.providerData)
+const BlueskyAccountSchema = new mongoose.Schema({
+  did: {
+    type: String,
+    required: true
+  },
+  handle: {
+    type: String
+  },
+  displayName: {
+    type: String
+  }
+}, { _id: false });
+
+// Define the Mastodon account schema (reference only, tokens live in User.providerData)
+const MastodonAccountSchema = new mongoose.Schema({
+  // <account id>@<instance host>
+  userId: {
+    type: String,
+    required: true
+  },
+  acct: {
+    type: String
+  },
+  displayName: {
+    type: String
+  }
+}, { _id: false });
+
+// YouTube video settings. Without a title the first line of the description is used.
+const YouTubeSettingsSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    maxlength: 100
+  },
+  tags: {
+    type: [String],
+    default: undefined
+  },
+  privacyStatus: {
+    type: String,
+    enum: ['public', 'unlisted', 'private']
+  },
+  madeForKids: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// TikTok post settings, checked against the creator's options (creator_info) when the post is
+// created and again when it is published. Without a privacy level the video is posted privately.
+const TikTokSettingsSchema = new mongoose.Schema({
+  privacyLevel: {
+    type: String,
+    enum: ['PUBLIC_TO_EVERYONE', 'MUTUAL_FOLLOW_FRIENDS', 'FOLLOWER_OF_CREATOR', 'SELF_ONLY']
+  },
+  // Interactions the creator turned off stay off when not set
+  disableComment: {
+    type: Boolean
+  },
+  disableDuet: {
+    type: Boolean
+  },
+  disableStitch: {
+    type: Boolean
+  },
+  // Frame used as the cover
+  videoCoverTimestampMs: {
+    type: Number,
+    min: 0
+  },
+  // Paid partnership (branded content) disclosure
+  brandContentToggle: {
+    type: Boolean
+  },
+  // Promotion of the creator's own business disclosure
+  brandOrganicToggle: {
+    type: Boolean
+  }
+}, { _id: false });
+
+// Image of a photo (carousel) post, in the order it is shown. Images uploaded with
+// POST /upload/images are stored in the assets bucket, under key.
+const MediaItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['image'],
+    default: 'image'
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String
+  },
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// ffprobe inspection of a video (services/videoProcessingService)
+const VideoInfoSchema = new mongoose.Schema({
+  container: {
+    type: String
+  },
+  mimeType: {
+    type: String
+  },
+  videoCodec: {
+    type: String
+  },
+  audioCodec: {
+    type: String
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  // Seconds
+  duration: {
+    type: Number
+  },
+  // Bits per second
+  bitrate: {
+    type: Number
+  },
+  frameRate: {
+    type: Number
+  },
+  size: {
+    type: Number
+  }
+}, { _id: false });
+
+// Transcoded copy of the video for the platforms whose limits the original does not fit
+const VideoRenditionSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'failed'],
+    default: 'pending'
+  },
+  // Platforms published with the rendition instead of video_url
+  platforms: {
+    type: [String],
+    default: []
+  },
+  url: {
+    type: String
+  },
+  key: {
+    type: String
+  },
+  info: {
+    type: VideoInfoSchema,
+    default: undefined
+  },
+  error: {
     type: String
   }
 }, { _id: false });
 
+// Follow-up tweet of a Twitter thread. The first part replies to the post's tweet and every
+// other part to the previous part, unless replyToTweetId is set.
+const ThreadPartSchema = new mongoose.Schema({
+  text: {
+    type: String
+  },
+  // Images of the tweet (at most 4)
+  media: {
+    type: [MediaItemSchema],
+    default: undefined
+  },
+  quoteTweetId: {
+    type: String
+  },
+  replyToTweetId: {
+    type: String
+  }
+}, { _id: false });
+
+// Caption used instead of post_description on a platform, or on one account when accountId is set
+const CaptionOverrideSchema = new mongoose.Schema({
+  platform: {
+    type: String,
+    required: true
+  },
+  // Delivery account id (see DeliverySchema)
+  accountId: {
+    type: String
+  },
+  caption: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Define the delivery schema: the publish result for one account on one platform
+const DeliverySchema = new mongoose.Schema({
+  platform: {
+    type: String,
+    required: true
+  },
+  // TikTok openId / Twitter userId / Instagram userId / Facebook pageId / LinkedIn author URN / YouTube channelId
+  accountId: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Tweet id / TikTok publish_id / Instagram media id / Facebook video id / LinkedIn post URN / YouTube video id
+  remotePostId: {
+    type: String
+  },
+  remotePostUrl: {
+    type: String
+  },
+  // Ids of every post of a delivery that publishes several (the tweets of a Twitter thread, in order),
+  // recorded as they are published so a retry resumes after the last one
+  remotePostIds: {
+    type: [String],
+    default: undefined
+  },
+  errorCode: {
+    type: String
+  },
+  errorMessage: {
+    type: String
+  },
+  // Whether the last failure was transient (network, 5xx, rate limit) and may be retried
+  retryable: {
+    type: Boolean
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  }
+}, { _id: false });
+
 const PostSchema = new mongoose.Schema({
+  // Not set on photo posts, which have their images in media
   video_url: {
     type: String,
-    required: true
+    required: function () {
+      return !(Array.isArray(this.media) && this.media.length > 0);
+    }
   },
   video_id: {
     type: String
   },
+  // Inspection of video_url when the post was created (not set if it could not be inspected)
+  video_info: {
+    type: VideoInfoSchema,
+    default: undefined
+  },
+  // Transcode the video for platforms it does not fit, instead of rejecting the post
+  video_transcode: {
+    type: Boolean,
+    default: false
+  },
+  video_rendition: {
+    type: VideoRenditionSchema,
+    default: undefined
+  },
   post_description: {
     type: String,
     default: ''
   },
+  // Per-platform and per-account captions; the account override wins over the platform override
+  caption_overrides: {
+    type: [CaptionOverrideSchema],
+    default: undefined
+  },
+  // What to do when post_description is too long for a platform: truncate it, or fail the delivery
+  caption_overflow: {
+    type: String,
+    enum: ['truncate', 'reject'],
+    default: 'truncate'
+  },
+  // Platforms with a registered adapter (services/platforms). Required lazily so loading
+  // the model does not load every platform service.
   platforms: {
     type: [String],
     required: true,
-    enum: ['twitter', 'tiktok', 'instagram', 'facebook', 'linkedin']
+    validate: {
+      validator: platforms => platforms.every(platform => require('../services/platforms').isSupportedPlatform(platform)),
+      message: props => `Unsupported platform in ${props.value}`
+    }
   },
   userId: {
     type: String,
@@ -87,36 +430,75 @@ const PostSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'partially_completed', 'failed'],
     default: 'pending'
   },
+  // Per-account publish results, one entry per platform account
+  deliveries: {
+    type: [DeliverySchema],
+    default: []
+  },
   date: {
     type: Date,
     default: Date.now
   },
-  // Legacy single account fields (maintained for backward compatibility)
-  tiktok_access_token: {
-    type: String
-  },
-  tiktok_refresh_token: {
-    type: String
-  },
-  // New field for multiple TikTok accounts
+  // TikTok accounts to post to (all connected accounts if not set)
   tiktok_accounts: {
     type: [TikTokAccountSchema],
     default: undefined
   },
-  // Legacy Twitter fields (maintained for backward compatibility)
-  twitter_access_token: {
-    type: String
-  },
-  twitter_access_token_secret: {
-    type: String
-  },
-  // New field for multiple Twitter accounts
+  // Twitter accounts to post to (all connected accounts if not set)
   twitter_accounts: {
     type: [TwitterAccountSchema],
     default: undefined
+  },
+  // Instagram accounts to post to (all connected accounts if not set)
+  instagram_accounts: {
+    type: [InstagramAccountSchema],
+    default: undefined
+  },
+  // Facebook Pages to post to (all connected Pages if not set)
+  facebook_accounts: {
+    type: [FacebookPageSchema],
+    default: undefined
+  },
+  // LinkedIn profiles and organization pages to post to (all connected profiles if not set)
+  linkedin_accounts: {
+    type: [LinkedInAccountSchema],
+    default: undefined
+  },
+  // YouTube channels to post to (all connected channels if not set)
+  youtube_accounts: {
+    type: [YouTubeChannelSchema],
+    default: undefined
+  },
+  // Bluesky accounts to post to (all connected accounts if not set)
+  bluesky_accounts: {
+    type: [BlueskyAccountSchema],
+    default: undefined
+  },
+  // Mastodon accounts to post to (all connected accounts if not set)
+  mastodon_accounts: {
+    type: [MastodonAccountSchema],
+    default: undefined
+  },
+  youtube_settings: {
+    type: YouTubeSettingsSchema,
+    default: undefined
+  },
+  tiktok_settings: {
+    type: TikTokSettingsSchema,
+    default: undefined
+  },
+  // Images of a photo post (platforms whose adapter has validatePhotos)
+  media: {
+    type: [MediaItemSchema],
+    default: undefined
+  },
+  // Tweets posted after the post's tweet, as a thread
+  twitter_thread: {
+    type: [ThreadPartSchema],
+    default: undefined
   }
 }, {
   timestamps: true
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * Storage Reservation Schema
+ *
+ * Bytes of a file that is being stored (services/storageQuotaService.js). They count against
+ * the owner's storage quota until the file is recorded in the media library, so that uploads
+ * running at the same time cannot exceed the quota together.
+ * Reservations left behind by a crash stop counting at expiresAt and are removed by the TTL index.
+ */
+const StorageReservationSchema = new mongoose.Schema({
+  // Firebase UID of the owner of the file
+  uid: {
+    type: String,
+    required: true,
+    index: true
+  },
+  bytes: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+StorageReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('StorageReservation', StorageReservationSchema, 'storage_reservations');
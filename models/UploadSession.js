@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Upload Session Schema
+ *
+ * A multipart upload of a video to the videos bucket (services/uploadSessionService.js).
+ * The client uploads the parts straight to R2 with presigned URLs and can resume an
+ * interrupted upload until expiresAt. Uploads still open after that are aborted by the
+ * cleanup job. Finished sessions are removed by the TTL index a week after finishedAt.
+ */
+const UploadSessionSchema = new mongoose.Schema({
+  // Firebase UID of the uploader
+  uid: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // R2 multipart upload id
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Object key in the videos bucket, and its public URL once completed
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String
+  },
+  fileName: {
+    type: String
+  },
+  contentType: {
+    type: String
+  },
+  // Size of the whole file in bytes
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Every part but the last has partSize bytes
+  partSize: {
+    type: Number,
+    required: true
+  },
+  partCount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'completed', 'aborted', 'expired', 'rejected'],
+    default: 'uploading'
+  },
+  // Why a completed file was rejected (e.g. it is not a video)
+  error: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Open uploads past their expiry, for the cleanup job
+UploadSessionSchema.index({ status: 1, expiresAt: 1 });
+UploadSessionSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema, 'upload_sessions');
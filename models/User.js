@@ -1,6 +1,21 @@
 // File: models/User.js
 const mongoose = require('mongoose');
 
+// Health of a connected account, recorded after every call to the platform API
+// (see services/accountHealthService.js)
+const AccountHealthSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['healthy', 'token_expired', 'scope_missing', 'revoked', 'rate_limited']
+  },
+  lastCheckedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  }
+}, { _id: false });
+
 // Define the TikTok account schema within the User schema
 const TikTokAccountSchema = new mongoose.Schema({
   accessToken: {
@@ -33,9 +48,263 @@ const TikTokAccountSchema = new mongoose.Schema({
   // Add a field to track token updates
   tokensUpdatedAt: {
     type: Date
+  },
+  health: {
+    type: AccountHealthSchema
   }
 }, { _id: false }); // _id: false prevents MongoDB from adding an _id field to subdocuments
 
+// Instagram professional account connected with Instagram Login
+const InstagramAccountSchema = new mongoose.Schema({
+  // Instagram user ID (IG user ID used by the Graph API)
+  userId: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String
+  },
+  name: {
+    type: String
+  },
+  profilePictureUrl: {
+    type: String
+  },
+  // BUSINESS or MEDIA_CREATOR
+  accountType: {
+    type: String
+  },
+  // Long-lived token, stored encrypted
+  accessToken: {
+    type: String,
+    required: true
+  },
+  tokenExpiresAt: {
+    type: Date
+  },
+  tokensUpdatedAt: {
+    type: Date
+  },
+  health: {
+    type: AccountHealthSchema
+  }
+}, { _id: false });
+
+const FacebookPageSchema = new mongoose.Schema({
+  pageId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  category: {
+    type: String
+  },
+  pictureUrl: {
+    type: String
+  },
+  // Facebook user who connected the Page
+  userId: {
+    type: String
+  },
+  userName: {
+    type: String
+  },
+  // Page access token (does not expire), stored encrypted
+  accessToken: {
+    type: String,
+    required: true
+  },
+  tokensUpdatedAt: {
+    type: Date
+  },
+  health: {
+    type: AccountHealthSchema
+  }
+}, { _id: false });
+
+// Organization page a LinkedIn member can post to
+const LinkedInOrganizationSchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  vanityName: {
+    type: String
+  },
+  // ADMINISTRATOR, CONTENT_ADMINISTRATOR or DIRECT_SPONSORED_CONTENT_POSTER
+  role: {
+    type: String
+  }
+}, { _id: false });
+
+const LinkedInAccountSchema = new mongoose.Schema({
+  // LinkedIn member id (sub of the OpenID profile)
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  profilePictureUrl: {
+    type: String
+  },
+  // Tokens are stored encrypted
+  accessToken: {
+    type: String,
+    required: true
+  },
+  refreshToken: {
+    type: String
+  },
+  tokenExpiresAt: {
+    type: Date
+  },
+  refreshTokenExpiresAt: {
+    type: Date
+  },
+  scope: {
+    type: String
+  },
+  organizations: {
+    type: [LinkedInOrganizationSchema],
+    default: []
+  },
+  tokensUpdatedAt: {
+    type: Date
+  },
+  health: {
+    type: AccountHealthSchema
+  }
+}, { _id: false });
+
+const YouTubeChannelSchema = new mongoose.Schema({
+  // YouTube channel id of the connected Google account
+  channelId: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String
+  },
+  customUrl: {
+    type: String
+  },
+  thumbnailUrl: {
+    type: String
+  },
+  // Tokens are stored encrypted
+  accessToken: {
+    type: String,
+    required: true
+  },
+  refreshToken: {
+    type: String
+  },
+  tokenExpiresAt: {
+    type: Date
+  },
+  scope: {
+    type: String
+  },
+  tokensUpdatedAt: {
+    type: Date
+  },
+  health: {
+    type: AccountHealthSchema
+  }
+}, { _id: false });
+
+const BlueskyAccountSchema = new mongoose.Schema({
+  // DID of the account, stays the same when the handle changes
+  did: {
+    type: String,
+    required: true
+  },
+  handle: {
+    type: String
+  },
+  displayName: {
+    type: String
+  },
+  avatarUrl: {
+    type: String
+  },
+  // PDS hosting the account
+  serviceUrl: {
+    type: String,
+    required: true
+  },
+  // Session tokens and the app password are stored encrypted; the app password creates
+  // a new session when the refresh token has expired
+  accessToken: {
+    type: String,
+    required: true
+  },
+  refreshToken: {
+    type: String
+  },
+  appPassword: {
+    type: String
+  },
+  tokenExpiresAt: {
+    type: Date
+  },
+  tokensUpdatedAt: {
+    type: Date
+  },
+  health: {
+    type: AccountHealthSchema
+  }
+}, { _id: false });
+
+const MastodonAccountSchema = new mongoose.Schema({
+  // <account id>@<instance host>, account ids are only unique per instance
+  userId: {
+    type: String,
+    required: true
+  },
+  instanceUrl: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String
+  },
+  // username@instance
+  acct: {
+    type: String
+  },
+  displayName: {
+    type: String
+  },
+  avatarUrl: {
+    type: String
+  },
+  profileUrl: {
+    type: String
+  },
+  // Stored encrypted; Mastodon access tokens do not expire
+  accessToken: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String
+  },
+  tokensUpdatedAt: {
+    type: Date
+  },
+  health: {
+    type: AccountHealthSchema
+  }
+}, { _id: false });
+
 /**
  * User Schema
  *
@@ -115,6 +384,12 @@ const UserSchema = new mongoose.Schema({
   providerData: {
     tiktok: [TikTokAccountSchema], // Embed TikTokAccountSchema here
     twitter: mongoose.Schema.Types.Mixed, // Keep other providers flexible
+    instagram: [InstagramAccountSchema],
+    facebook: [FacebookPageSchema],
+    linkedin: [LinkedInAccountSchema],
+    youtube: [YouTubeChannelSchema],
+    bluesky: [BlueskyAccountSchema],
+    mastodon: [MastodonAccountSchema],
     // Add other providers as needed
   },
   createdAt: {
@@ -133,6 +408,12 @@ const UserSchema = new mongoose.Schema({
   // Track the start date of the current posting cycle (especially for Starter)
   cycleStartDate: {
     type: Date
+  },
+  // Bytes of the user's files in the media library, counted against the storageBytes of their plan
+  storageUsedBytes: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true
@@ -0,0 +1,304 @@
+// File: routes/facebook.js
+const express = require('express');
+const router = express.Router();
+const facebookService = require('../services/facebookService');
+const userService = require('../services/userService');
+const { auth, requireInternal } = require('../middleware/auth');
+const { shouldSkipOwnership, requireQueryOwner } = require('../middleware/ownership');
+const oauthSessionService = require('../services/oauthSessionService');
+const { needsReconnect } = require('../services/accountHealthService');
+const { encryptToken, decryptToken } = require('../utils/tokenEncryption');
+
+// Provider of the sessions that keep the user token until the Pages are picked
+const PAGE_SELECTION_PROVIDER = 'facebook_pages';
+
+// Redirect back to the frontend Facebook page with the outcome of the connect flow
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${process.env.FRONTEND_URL}/facebook?${new URLSearchParams(params).toString()}`);
+};
+
+// Firebase UID of the request; in BYPASS_AUTH development mode it can be passed as userId
+const getRequestUid = (req) =>
+  req.user?.uid || (shouldSkipOwnership(req) ? (req.body?.userId || req.query.userId) : undefined);
+
+// Find a connected Page of a user with its token (the first one without accountId)
+const findPage = async (uid, accountId) => {
+  const pages = await userService.getSocialMediaTokens(uid, 'facebook');
+  if (!Array.isArray(pages) || pages.length === 0) {
+    return null;
+  }
+  return accountId ? pages.find(page => page.pageId === accountId) : pages[0];
+};
+
+// Get the open Page selection of the user, or null if it is invalid, expired or someone else's
+const getPageSelection = async (uid, selection, consume = false) => {
+  try {
+    const session = consume
+      ? await oauthSessionService.consumeOAuthSession(PAGE_SELECTION_PROVIDER, selection)
+      : await oauthSessionService.getOAuthSession(PAGE_SELECTION_PROVIDER, selection);
+    return session.uid === uid && session.accessToken ? session : null;
+  } catch (error) {
+    console.error('[FACEBOOK ROUTE] Page selection rejected:', error?.message);
+    return null;
+  }
+};
+
+// Get Facebook Login URL for the authenticated user.
+// The state is signed and bound to the user's Firebase UID.
+router.get('/auth', auth, async (req, res) => {
+  try {
+    const uid = getRequestUid(req);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+
+    const { state } = await oauthSessionService.startOAuthSession('facebook', uid);
+    const authUrl = facebookService.getAuthUrl({ state });
+
+    // API clients get the URL to navigate to, browsers are redirected directly to Facebook
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.status(200).json({ success: true, authUrl });
+    }
+    res.redirect(authUrl);
+  } catch (error) {
+    console.error('[FACEBOOK ROUTE] Auth URL error:', error?.message);
+    redirectToFrontend(res, { error: 'Failed to generate auth URL' });
+  }
+});
+
+// Facebook OAuth callback.
+// The user token is kept server-side and the frontend is sent a selection id to pick the Pages to connect.
+router.get('/callback', async (req, res) => {
+  try {
+    const { code, error, error_description, state } = req?.query || {};
+
+    if (error) {
+      console.error('[FACEBOOK ROUTE] Auth error:', error, error_description);
+      return redirectToFrontend(res, { connection_error: error_description || 'Authentication failed' });
+    }
+
+    if (!code) {
+      return redirectToFrontend(res, { error: 'No authorization code provided' });
+    }
+
+    // The state must be one we issued, for a flow that is still open
+    let session;
+    try {
+      session = await oauthSessionService.consumeOAuthSession('facebook', state);
+    } catch (stateError) {
+      console.error('[FACEBOOK ROUTE] Callback rejected:', stateError?.message);
+      return redirectToFrontend(res, { connection_error: 'The connection request is invalid or has expired. Please try again.' });
+    }
+
+    console.log(`[FACEBOOK ROUTE] Processing callback for user ${session.uid}`);
+
+    const tokenData = await facebookService.getAccessToken(code);
+    const profile = await facebookService.getUserInfo(tokenData.accessToken);
+
+    const { state: selection } = await oauthSessionService.startOAuthSession(PAGE_SELECTION_PROVIDER, session.uid, {
+      accessToken: encryptToken(tokenData.accessToken)
+    });
+
+    console.log(`[FACEBOOK ROUTE] Facebook user ${profile.userId} logged in for user ${session.uid}, waiting for Page selection`);
+    redirectToFrontend(res, {
+      select_pages: 'true',
+      selection,
+      user: JSON.stringify(profile)
+    });
+  } catch (error) {
+    console.error('[FACEBOOK ROUTE] Auth callback error:', error?.message);
+    redirectToFrontend(res, { connection_error: 'Authentication failed: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+// GET /facebook/pages?selection=<selection>
+// Lists the Pages the logged in Facebook user can publish to
+router.get('/pages', auth, async (req, res) => {
+  try {
+    const uid = getRequestUid(req);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+
+    const session = await getPageSelection(uid, req.query.selection);
+    if (!session) {
+      return res.status(400).json({ success: false, error: 'The Page selection is invalid or has expired. Please connect Facebook again.' });
+    }
+
+    const pages = await facebookService.getPages(decryptToken(session.accessToken));
+    res.json({
+      success: true,
+      data: pages.map(({ accessToken, ...page }) => page) // Page tokens never reach the browser
+    });
+  } catch (error) {
+    console.error('[FACEBOOK ROUTE] Error listing Pages:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to list Facebook Pages: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+// POST /facebook/pages { selection, pageIds }
+// Connects the selected Pages, storing their page access tokens on the user
+router.post('/pages', auth, async (req, res) => {
+  try {
+    const uid = getRequestUid(req);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+
+    const { selection, pageIds } = req.body || {};
+    if (!Array.isArray(pageIds) || pageIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'Select at least one Page' });
+    }
+
+    const session = await getPageSelection(uid, selection, true);
+    if (!session) {
+      return res.status(400).json({ success: false, error: 'The Page selection is invalid or has expired. Please connect Facebook again.' });
+    }
+
+    const userAccessToken = decryptToken(session.accessToken);
+    const [profile, pages] = await Promise.all([
+      facebookService.getUserInfo(userAccessToken),
+      facebookService.getPages(userAccessToken)
+    ]);
+
+    const selectedPages = pages.filter(page => pageIds.map(String).includes(page.pageId));
+    if (selectedPages.length !== pageIds.length) {
+      return res.status(400).json({ success: false, error: 'Some of the selected Pages cannot be published to by this Facebook user' });
+    }
+
+    try {
+      await userService.updateSocialMediaTokens(uid, 'facebook', selectedPages.map(page => ({
+        ...page,
+        userId: profile.userId,
+        userName: profile.name
+      })));
+    } catch (saveError) {
+      console.error(`[FACEBOOK ROUTE] Failed to save Pages for user ${uid}:`, saveError?.message);
+      const limitReached = saveError?.message?.startsWith('Account limit reached');
+      return res.status(limitReached ? 403 : 500).json({
+        success: false,
+        error: limitReached ? saveError.message : 'Failed to save the Facebook Pages. Please try again.'
+      });
+    }
+
+    console.log(`[FACEBOOK ROUTE] Connected ${selectedPages.length} Pages for user ${uid}`);
+    res.json({
+      success: true,
+      data: selectedPages.map(({ accessToken, ...page }) => page)
+    });
+  } catch (error) {
+    console.error('[FACEBOOK ROUTE] Error connecting Pages:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to connect Facebook Pages: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+// POST /facebook/post-video
+// Publishes a video to a connected Page; tokens are read from the user, never from the request.
+// Only the publishing queue calls it (requireInternal), for body.userId
+router.post('/post-video', requireInternal, async (req, res) => {
+  try {
+    const { videoUrl, caption, userId, accountId } = req?.body || {};
+
+    console.log('[FACEBOOK ROUTE - POST] Received post request. UserID:', userId, 'Target PageID:', accountId);
+
+    if (!videoUrl || !userId) {
+      return res.status(400).json({ success: false, error: 'Video URL and user ID are required' });
+    }
+
+    const page = await findPage(userId, accountId);
+    if (!page) {
+      return res.status(404).json({ success: false, error: 'Facebook Page not found for this user' });
+    }
+
+    if (!page.accessToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid Facebook Page credentials. Please reconnect.',
+        code: 'FACEBOOK_AUTH_ERROR',
+        retryable: false
+      });
+    }
+
+    try {
+      const result = await facebookService.publishVideo(
+        videoUrl,
+        page.accessToken,
+        caption || '',
+        page.pageId,
+        { uid: userId, accountId: page.pageId } // Record the Page's health
+      );
+
+      console.log('[FACEBOOK ROUTE - POST] Facebook post result:', JSON.stringify(result));
+      res.status(200).json({
+        success: true,
+        message: 'Video posted successfully to Facebook',
+        data: result
+      });
+    } catch (postError) {
+      console.error('[FACEBOOK ROUTE - POST] Facebook API post error:', postError?.message);
+
+      const graphError = postError?.cause?.response?.data?.error;
+      let statusCode = 500;
+      let errorCode = 'FACEBOOK_POST_FAILED';
+
+      if (graphError?.code === 190) {
+        statusCode = 401;
+        errorCode = 'FACEBOOK_AUTH_ERROR';
+      } else if (graphError?.code === 10 || (graphError?.code >= 200 && graphError?.code < 300)) {
+        statusCode = 403;
+        errorCode = 'FACEBOOK_PERMISSION_ERROR';
+      } else if ([4, 17, 32, 613].includes(graphError?.code)) {
+        statusCode = 429;
+        errorCode = 'FACEBOOK_RATE_LIMIT';
+      } else if (graphError?.code === 352 || graphError?.code === 6000 || graphError?.code === 6001) {
+        // Unsupported video format / problem uploading the video
+        statusCode = 400;
+        errorCode = 'FACEBOOK_VIDEO_FORMAT_ERROR';
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: `Failed to post video to Facebook: ${postError?.message || 'Unknown error'}`,
+        code: errorCode,
+        retryable: facebookService.classifyFacebookError(postError).retryable // Lets the scheduler decide whether to retry
+      });
+    }
+  } catch (error) {
+    console.error('[FACEBOOK ROUTE - POST] Unexpected error in route handler:', error);
+    res.status(500).json({ success: false, error: 'Internal server error.' });
+  }
+});
+
+// GET /facebook/user-info?accountId=<page id>
+// Checks a connected Page of the authenticated user and records the outcome on it
+router.get('/user-info', auth, requireQueryOwner('userId'), async (req, res) => {
+  try {
+    const { userId, accountId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID is required' });
+    }
+
+    const page = await findPage(userId, accountId);
+    if (!page) {
+      return res.status(404).json({ success: false, error: 'Facebook Page not found for this user' });
+    }
+
+    try {
+      const pageInfo = await facebookService.getPageInfo(page.pageId, page.accessToken, { uid: userId, accountId: page.pageId });
+      res.json({ success: true, data: pageInfo });
+    } catch (error) {
+      // The call recorded the Page's health, re-read it to tell the user whether to reconnect
+      const checkedPage = await findPage(userId, page.pageId);
+      if (needsReconnect(checkedPage)) {
+        return res.status(401).json({ success: false, error: error?.message, code: 'RECONNECT_REQUIRED' });
+      }
+      res.status(500).json({ success: false, error: 'Failed to get Page info: ' + (error?.message || 'Unknown error') });
+    }
+  } catch (error) {
+    console.error('[FACEBOOK ROUTE] Error getting Page info:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to get Page info: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+// File: routes/instagram.js
+const express = require('express');
+const router = express.Router();
+const instagramService = require('../services/instagramService');
+const userService = require('../services/userService');
+const { auth, requireInternal } = require('../middleware/auth');
+const { shouldSkipOwnership, requireQueryOwner } = require('../middleware/ownership');
+const oauthSessionService = require('../services/oauthSessionService');
+const { needsReconnect } = require('../services/accountHealthService');
+
+// Redirect back to the frontend Instagram page with the outcome of the connect flow
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${process.env.FRONTEND_URL}/instagram?${new URLSearchParams(params).toString()}`);
+};
+
+// Find a connected Instagram account of a user with its tokens (the first one without accountId)
+const findAccount = async (uid, accountId) => {
+  const accounts = await userService.getSocialMediaTokens(uid, 'instagram');
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    return null;
+  }
+  return accountId ? accounts.find(acc => acc.userId === accountId) : accounts[0];
+};
+
+// Refresh a long-lived token that is about to expire and store it on the user.
+// Returns the access token to use; on failure the current one is kept while it is still valid.
+const getFreshAccessToken = async (uid, account) => {
+  if (!instagramService.needsTokenRefresh(account)) {
+    return account.accessToken;
+  }
+
+  try {
+    const refreshed = await instagramService.refreshAccessToken(account.accessToken);
+    await userService.updateAccountTokens(uid, 'instagram', account.userId, refreshed);
+    console.log(`[INSTAGRAM ROUTE] Refreshed access token of account ${account.userId}`);
+    return refreshed.accessToken;
+  } catch (error) {
+    console.error(`[INSTAGRAM ROUTE] Failed to refresh access token of account ${account.userId}:`, error?.message);
+    return account.accessToken;
+  }
+};
+
+// Get Instagram auth URL for the authenticated user.
+// The state is signed and bound to the user's Firebase UID.
+router.get('/auth', auth, async (req, res) => {
+  try {
+    // In BYPASS_AUTH development mode there is no req.user, so the UID can be passed as a query param
+    const uid = req.user?.uid || (shouldSkipOwnership(req) ? req.query.userId : undefined);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+
+    const { state } = await oauthSessionService.startOAuthSession('instagram', uid);
+    const authUrl = instagramService.getAuthUrl({ state });
+
+    // API clients get the URL to navigate to, browsers are redirected directly to Instagram
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.status(200).json({ success: true, authUrl });
+    }
+    res.redirect(authUrl);
+  } catch (error) {
+    console.error('[INSTAGRAM ROUTE] Auth URL error:', error?.message);
+    redirectToFrontend(res, { error: 'Failed to generate auth URL' });
+  }
+});
+
+// Instagram OAuth callback
+router.get('/callback', async (req, res) => {
+  try {
+    const { code, error, error_description, state } = req?.query || {};
+
+    if (error) {
+      console.error('[INSTAGRAM ROUTE] Auth error:', error, error_description);
+      return redirectToFrontend(res, { connection_error: error_description || 'Authentication failed' });
+    }
+
+    if (!code) {
+      return redirectToFrontend(res, { error: 'No authorization code provided' });
+    }
+
+    // The state must be one we issued, for a flow that is still open
+    let session;
+    try {
+      session = await oauthSessionService.consumeOAuthSession('instagram', state);
+    } catch (stateError) {
+      console.error('[INSTAGRAM ROUTE] Callback rejected:', stateError?.message);
+      return redirectToFrontend(res, { connection_error: 'The connection request is invalid or has expired. Please try again.' });
+    }
+
+    console.log(`[INSTAGRAM ROUTE] Processing callback for user ${session.uid}`);
+
+    // Instagram appends #_ to the redirect, browsers drop it but a mock may not
+    const tokenData = await instagramService.getAccessToken(code.replace(/#_$/, ''));
+    const profile = await instagramService.getUserInfo(tokenData.accessToken);
+
+    const account = {
+      userId: tokenData.userId || profile.userId,
+      username: profile.username || '',
+      name: profile.name || '',
+      profilePictureUrl: profile.profilePictureUrl || '',
+      accountType: profile.accountType
+    };
+
+    // Store the token on the user who started the flow; it never reaches the browser
+    try {
+      await userService.updateSocialMediaTokens(session.uid, 'instagram', [{
+        ...account,
+        accessToken: tokenData.accessToken,
+        tokenExpiresAt: tokenData.tokenExpiresAt
+      }]);
+    } catch (saveError) {
+      console.error(`[INSTAGRAM ROUTE] Failed to save account ${account.userId} for user ${session.uid}:`, saveError?.message);
+      const message = saveError?.message?.startsWith('Account limit reached')
+        ? saveError.message
+        : 'Failed to save the Instagram account. Please try again.';
+      return redirectToFrontend(res, { connection_error: message });
+    }
+
+    console.log(`[INSTAGRAM ROUTE] Account ${account.userId} connected for user ${session.uid}`);
+    redirectToFrontend(res, {
+      auth_success: 'true',
+      account: JSON.stringify(account)
+    });
+  } catch (error) {
+    console.error('[INSTAGRAM ROUTE] Auth callback error:', error?.message);
+    redirectToFrontend(res, { connection_error: 'Authentication failed: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+// POST /instagram/post-video
+// Publishes a Reel with a connected account; tokens are read from the user, never from the request.
+// Only the publishing queue calls it (requireInternal), for body.userId
+router.post('/post-video', requireInternal, async (req, res) => {
+  try {
+    const { videoUrl, caption, userId, accountId } = req?.body || {};
+
+    console.log('[INSTAGRAM ROUTE - POST] Received post request. UserID:', userId, 'Target AccountID:', accountId);
+
+    if (!videoUrl || !userId) {
+      return res.status(400).json({ success: false, error: 'Video URL and user ID are required' });
+    }
+
+    const account = await findAccount(userId, accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Instagram account not found for this user' });
+    }
+
+    if (!account.accessToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid Instagram account credentials. Please reconnect.',
+        code: 'INSTAGRAM_AUTH_ERROR',
+        retryable: false
+      });
+    }
+
+    try {
+      const accessToken = await getFreshAccessToken(userId, account);
+      const result = await instagramService.publishReel(
+        videoUrl,
+        accessToken,
+        caption || '',
+        account.userId,
+        { uid: userId, accountId: account.userId } // Record the account's health
+      );
+
+      console.log('[INSTAGRAM ROUTE - POST] Instagram post result:', JSON.stringify(result));
+      res.status(200).json({
+        success: true,
+        message: 'Video posted successfully to Instagram',
+        data: result
+      });
+    } catch (postError) {
+      console.error('[INSTAGRAM ROUTE - POST] Instagram API post error:', postError?.message);
+
+      const graphError = postError?.cause?.response?.data?.error;
+      let statusCode = 500;
+      let errorCode = 'INSTAGRAM_POST_FAILED';
+
+      if (graphError?.code === 190) {
+        statusCode = 401;
+        errorCode = 'INSTAGRAM_AUTH_ERROR';
+      } else if (graphError?.code === 10 || (graphError?.code >= 200 && graphError?.code < 300)) {
+        statusCode = 403;
+        errorCode = 'INSTAGRAM_PERMISSION_ERROR';
+      } else if ([4, 17, 32, 613].includes(graphError?.code)) {
+        statusCode = 429;
+        errorCode = 'INSTAGRAM_RATE_LIMIT';
+      } else if (postError?.message?.includes('could not process the video')) {
+        statusCode = 400;
+        errorCode = 'INSTAGRAM_VIDEO_FORMAT_ERROR';
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: `Failed to post video to Instagram: ${postError?.message || 'Unknown error'}`,
+        code: errorCode,
+        retryable: instagramService.classifyInstagramError(postError).retryable // Lets the scheduler decide whether to retry
+      });
+    }
+  } catch (error) {
+    console.error('[INSTAGRAM ROUTE - POST] Unexpected error in route handler:', error);
+    res.status(500).json({ success: false, error: 'Internal server error.' });
+  }
+});
+
+// GET /instagram/user-info?accountId=<instagram user id>
+// Checks a connected account of the authenticated user and records the outcome on it
+router.get('/user-info', auth, requireQueryOwner('userId'), async (req, res) => {
+  try {
+    const { userId, accountId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID is required' });
+    }
+
+    const account = await findAccount(userId, accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'Instagram account not found for this user' });
+    }
+
+    try {
+      const accessToken = await getFreshAccessToken(userId, account);
+      const profile = await instagramService.getUserInfo(accessToken, { uid: userId, accountId: account.userId });
+      res.json({ success: true, data: profile });
+    } catch (error) {
+      // The call recorded the account's health, re-read it to tell the user whether to reconnect
+      const checkedAccount = await findAccount(userId, account.userId);
+      if (needsReconnect(checkedAccount)) {
+        return res.status(401).json({ success: false, error: error?.message, code: 'RECONNECT_REQUIRED' });
+      }
+      res.status(500).json({ success: false, error: 'Failed to get user info: ' + (error?.message || 'Unknown error') });
+    }
+  } catch (error) {
+    console.error('[INSTAGRAM ROUTE] Error getting user info:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to get user info: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+module.exports = router;
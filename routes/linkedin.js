@@ -0,0 +1,298 @@
+// File: routes/linkedin.js
+const express = require('express');
+const router = express.Router();
+const linkedinService = require('../services/linkedinService');
+const userService = require('../services/userService');
+const { auth, requireInternal } = require('../middleware/auth');
+const { shouldSkipOwnership, requireQueryOwner } = require('../middleware/ownership');
+const oauthSessionService = require('../services/oauthSessionService');
+const { needsReconnect, recordAccountHealth } = require('../services/accountHealthService');
+
+// Redirect back to the frontend LinkedIn page with the outcome of the connect flow
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${process.env.FRONTEND_URL}/linkedin?${new URLSearchParams(params).toString()}`);
+};
+
+// Firebase UID of the request; in BYPASS_AUTH development mode it can be passed as userId
+const getRequestUid = (req) =>
+  req.user?.uid || (shouldSkipOwnership(req) ? (req.body?.userId || req.query.userId) : undefined);
+
+// Find a connected LinkedIn account of a user with its tokens (the first one without accountId)
+const findAccount = async (uid, accountId) => {
+  const accounts = await userService.getSocialMediaTokens(uid, 'linkedin');
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    return null;
+  }
+  return accountId ? accounts.find(acc => acc.userId === accountId) : accounts[0];
+};
+
+// Refresh an access token that is about to expire and store the new tokens on the user.
+// Returns the access token to use; on failure the current one is kept while it is still valid.
+const getFreshAccessToken = async (uid, account) => {
+  if (!linkedinService.needsTokenRefresh(account)) {
+    return account.accessToken;
+  }
+
+  try {
+    const refreshed = await linkedinService.refreshAccessToken(account.refreshToken);
+    await userService.updateAccountTokens(uid, 'linkedin', account.userId, refreshed);
+    console.log(`[LINKEDIN ROUTE] Refreshed access token of account ${account.userId}`);
+    return refreshed.accessToken;
+  } catch (error) {
+    console.error(`[LINKEDIN ROUTE] Failed to refresh access token of account ${account.userId}:`, error?.message);
+    // A rejected refresh token cannot be retried, the user has to connect the account again
+    if (error?.code === 'invalid_grant') {
+      await recordAccountHealth('linkedin', { uid, accountId: account.userId }, error);
+    }
+    return account.accessToken;
+  }
+};
+
+// Get LinkedIn auth URL for the authenticated user.
+// The state is signed and bound to the user's Firebase UID.
+router.get('/auth', auth, async (req, res) => {
+  try {
+    const uid = getRequestUid(req);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+
+    const { state } = await oauthSessionService.startOAuthSession('linkedin', uid);
+    const authUrl = linkedinService.getAuthUrl({ state });
+
+    // API clients get the URL to navigate to, browsers are redirected directly to LinkedIn
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.status(200).json({ success: true, authUrl });
+    }
+    res.redirect(authUrl);
+  } catch (error) {
+    console.error('[LINKEDIN ROUTE] Auth URL error:', error?.message);
+    redirectToFrontend(res, { error: 'Failed to generate auth URL' });
+  }
+});
+
+// LinkedIn OAuth callback
+router.get('/callback', async (req, res) => {
+  try {
+    const { code, error, error_description, state } = req?.query || {};
+
+    if (error) {
+      console.error('[LINKEDIN ROUTE] Auth error:', error, error_description);
+      return redirectToFrontend(res, { connection_error: error_description || 'Authentication failed' });
+    }
+
+    if (!code) {
+      return redirectToFrontend(res, { error: 'No authorization code provided' });
+    }
+
+    // The state must be one we issued, for a flow that is still open
+    let session;
+    try {
+      session = await oauthSessionService.consumeOAuthSession('linkedin', state);
+    } catch (stateError) {
+      console.error('[LINKEDIN ROUTE] Callback rejected:', stateError?.message);
+      return redirectToFrontend(res, { connection_error: 'The connection request is invalid or has expired. Please try again.' });
+    }
+
+    console.log(`[LINKEDIN ROUTE] Processing callback for user ${session.uid}`);
+
+    const tokenData = await linkedinService.getAccessToken(code);
+    const profile = await linkedinService.getUserInfo(tokenData.accessToken);
+
+    // Organization pages are optional, the member profile can be used without them
+    let organizations = [];
+    if (linkedinService.hasOrganizationScopes(tokenData)) {
+      try {
+        organizations = await linkedinService.getOrganizations(tokenData.accessToken);
+      } catch (orgError) {
+        console.error(`[LINKEDIN ROUTE] Failed to discover organizations of ${profile.userId}:`, orgError?.message);
+      }
+    }
+
+    const account = {
+      userId: profile.userId,
+      name: profile.name || '',
+      profilePictureUrl: profile.profilePictureUrl || '',
+      organizations
+    };
+
+    // Store the tokens on the user who started the flow; they never reach the browser
+    try {
+      await userService.updateSocialMediaTokens(session.uid, 'linkedin', [{
+        ...account,
+        ...tokenData
+      }]);
+    } catch (saveError) {
+      console.error(`[LINKEDIN ROUTE] Failed to save account ${account.userId} for user ${session.uid}:`, saveError?.message);
+      const message = saveError?.message?.startsWith('Account limit reached')
+        ? saveError.message
+        : 'Failed to save the LinkedIn account. Please try again.';
+      return redirectToFrontend(res, { connection_error: message });
+    }
+
+    console.log(`[LINKEDIN ROUTE] Account ${account.userId} connected for user ${session.uid} with ${organizations.length} organizations`);
+    redirectToFrontend(res, {
+      auth_success: 'true',
+      account: JSON.stringify(account)
+    });
+  } catch (error) {
+    console.error('[LINKEDIN ROUTE] Auth callback error:', error?.message);
+    redirectToFrontend(res, { connection_error: 'Authentication failed: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+// GET /linkedin/organizations?accountId=<member id>
+// Discovers the organization pages the member can post to again and stores them on the account
+router.get('/organizations', auth, async (req, res) => {
+  try {
+    const uid = getRequestUid(req);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+
+    const account = await findAccount(uid, req.query.accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'LinkedIn account not found for this user' });
+    }
+
+    if (!linkedinService.hasOrganizationScopes(account)) {
+      return res.status(403).json({
+        success: false,
+        error: 'The LinkedIn account was connected without access to organization pages. Please reconnect it.',
+        code: 'LINKEDIN_PERMISSION_ERROR'
+      });
+    }
+
+    const accessToken = await getFreshAccessToken(uid, account);
+    const organizations = await linkedinService.getOrganizations(accessToken, { uid, accountId: account.userId });
+    await userService.updateLinkedInOrganizations(uid, account.userId, organizations);
+
+    res.json({ success: true, data: organizations });
+  } catch (error) {
+    console.error('[LINKEDIN ROUTE] Error discovering organizations:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to get LinkedIn organizations: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+// POST /linkedin/post-video
+// Posts a video as the member, or as an organization with organizationId.
+// Tokens are read from the user, never from the request.
+// Only the publishing queue calls it (requireInternal), for body.userId
+router.post('/post-video', requireInternal, async (req, res) => {
+  try {
+    const { videoUrl, caption, userId, accountId, organizationId } = req?.body || {};
+
+    console.log('[LINKEDIN ROUTE - POST] Received post request. UserID:', userId, 'Target AccountID:', accountId, 'Organization:', organizationId || 'none');
+
+    if (!videoUrl || !userId) {
+      return res.status(400).json({ success: false, error: 'Video URL and user ID are required' });
+    }
+
+    const account = await findAccount(userId, accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'LinkedIn account not found for this user' });
+    }
+
+    if (!account.accessToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid LinkedIn account credentials. Please reconnect.',
+        code: 'LINKEDIN_AUTH_ERROR',
+        retryable: false
+      });
+    }
+
+    if (organizationId && !(account.organizations || []).some(org => org.organizationId === organizationId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'The LinkedIn account cannot post to this organization page',
+        code: 'LINKEDIN_PERMISSION_ERROR',
+        retryable: false
+      });
+    }
+
+    try {
+      const accessToken = await getFreshAccessToken(userId, account);
+      const result = await linkedinService.postVideo(
+        videoUrl,
+        accessToken,
+        caption || '',
+        account.userId,
+        organizationId,
+        { uid: userId, accountId: account.userId } // Record the account's health
+      );
+
+      console.log('[LINKEDIN ROUTE - POST] LinkedIn post result:', JSON.stringify(result));
+      res.status(200).json({
+        success: true,
+        message: 'Video posted successfully to LinkedIn',
+        data: result
+      });
+    } catch (postError) {
+      console.error('[LINKEDIN ROUTE - POST] LinkedIn API post error:', postError?.message);
+
+      const status = postError?.cause?.response?.status;
+      let statusCode = 500;
+      let errorCode = 'LINKEDIN_POST_FAILED';
+
+      if (status === 401) {
+        statusCode = 401;
+        errorCode = 'LINKEDIN_AUTH_ERROR';
+      } else if (status === 403) {
+        statusCode = 403;
+        errorCode = 'LINKEDIN_PERMISSION_ERROR';
+      } else if (status === 429) {
+        statusCode = 429;
+        errorCode = 'LINKEDIN_RATE_LIMIT';
+      } else if (postError?.message?.includes('could not process the video')) {
+        statusCode = 400;
+        errorCode = 'LINKEDIN_VIDEO_FORMAT_ERROR';
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: `Failed to post video to LinkedIn: ${postError?.message || 'Unknown error'}`,
+        code: errorCode,
+        retryable: linkedinService.classifyLinkedInError(postError).retryable // Lets the scheduler decide whether to retry
+      });
+    }
+  } catch (error) {
+    console.error('[LINKEDIN ROUTE - POST] Unexpected error in route handler:', error);
+    res.status(500).json({ success: false, error: 'Internal server error.' });
+  }
+});
+
+// GET /linkedin/user-info?accountId=<member id>
+// Checks a connected account of the authenticated user and records the outcome on it
+router.get('/user-info', auth, requireQueryOwner('userId'), async (req, res) => {
+  try {
+    const { userId, accountId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID is required' });
+    }
+
+    const account = await findAccount(userId, accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'LinkedIn account not found for this user' });
+    }
+
+    try {
+      const accessToken = await getFreshAccessToken(userId, account);
+      const profile = await linkedinService.getUserInfo(accessToken, { uid: userId, accountId: account.userId });
+      res.json({ success: true, data: { ...profile, organizations: account.organizations || [] } });
+    } catch (error) {
+      // The call recorded the account's health, re-read it to tell the user whether to reconnect
+      const checkedAccount = await findAccount(userId, account.userId);
+      if (needsReconnect(checkedAccount)) {
+        return res.status(401).json({ success: false, error: error?.message, code: 'RECONNECT_REQUIRED' });
+      }
+      res.status(500).json({ success: false, error: 'Failed to get user info: ' + (error?.message || 'Unknown error') });
+    }
+  } catch (error) {
+    console.error('[LINKEDIN ROUTE] Error getting user info:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to get user info: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+// File: routes/media.js
+const express = require('express');
+const router = express.Router();
+const Media = require('../models/Media');
+const Post = require('../models/Post');
+const { deleteMedia } = require('../services/mediaService');
+const { auth } = require('../middleware/auth');
+const { shouldSkipOwnership } = require('../middleware/ownership');
+
+/**
+ * Media library of the authenticated user: the videos and images they uploaded, with the posts
+ * that use them. Files are added by the /upload routes.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_NAME_LENGTH = 200;
+
+router.use(auth);
+
+// Load the media in req.params.id and require that the authenticated user owns it
+const requireMediaOwner = async (req, res, next) => {
+  try {
+    const media = /^[a-f0-9]{24}$/i.test(req.params.id) ? await Media.findById(req.params.id) : null;
+    if (!media) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+    if (!shouldSkipOwnership(req) && media.uid !== req.user?.uid) {
+      console.warn(`[MEDIA ROUTE] User ${req.user?.uid} attempted to access media ${media._id} owned by ${media.uid}`);
+      return res.status(403).json({ success: false, error: 'Forbidden - You do not have access to this resource' });
+    }
+
+    req.media = media;
+    next();
+  } catch (error) {
+    console.error('[MEDIA ROUTE] Error loading media:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to load media' });
+  }
+};
+
+// GET /media?type=video|image&unused=true&limit=50&before=<ISO date>
+// Media of the user, newest first. The next page starts before the createdAt of the last item.
+router.get('/', async (req, res) => {
+  try {
+    const { type, unused, before } = req.query;
+
+    const filter = {};
+    if (!shouldSkipOwnership(req)) {
+      filter.uid = req.user?.uid;
+    }
+    if (type) {
+      if (!['video', 'image'].includes(type)) {
+        return res.status(400).json({ success: false, error: 'type must be video or image' });
+      }
+      filter.type = type;
+    }
+    if (unused === 'true') {
+      filter.referencedBy = { $size: 0 };
+    }
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return res.status(400).json({ success: false, error: 'before must be a date' });
+      }
+      filter.createdAt = { $lt: beforeDate };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const media = await Media.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+
+    res.json({
+      success: true,
+      data: media,
+      nextBefore: media.length === limit ? media[media.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('[MEDIA ROUTE] Error listing media:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to list media' });
+  }
+});
+
+// GET /media/:id
+// A media file with the posts that use it
+router.get('/:id', requireMediaOwner, async (req, res) => {
+  try {
+    const posts = await Post.find({ _id: { $in: req.media.referencedBy } })
+      .select('post_description platforms status isScheduled scheduledDate date')
+      .lean();
+    res.json({ success: true, data: { ...req.media.toObject(), posts } });
+  } catch (error) {
+    console.error('[MEDIA ROUTE] Error getting media:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to get media' });
+  }
+});
+
+// PUT /media/:id ({ name })
+// Renames a media file in the library (the R2 object keeps its key)
+router.put('/:id', requireMediaOwner, async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ success: false, error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+    }
+
+    req.media.name = name.trim();
+    await req.media.save();
+    res.json({ success: true, data: req.media });
+  } catch (error) {
+    console.error('[MEDIA ROUTE] Error updating media:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to update media' });
+  }
+});
+
+// DELETE /media/:id
+// Deletes a media file from R2, unless a post that is still to be published uses it
+router.delete('/:id', requireMediaOwner, async (req, res) => {
+  try {
+    const pendingPosts = await Post.find({
+      _id: { $in: req.media.referencedBy },
+      status: { $in: ['pending', 'processing'] }
+    }).select('_id').lean();
+    if (pendingPosts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `The file is used by ${pendingPosts.length} post(s) that are not published yet`,
+        posts: pendingPosts.map(post => post._id)
+      });
+    }
+
+    await deleteMedia(req.media);
+    res.json({ success: true, message: 'Media deleted' });
+  } catch (error) {
+    console.error('[MEDIA ROUTE] Error deleting media:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to delete media' });
+  }
+});
+
+module.exports = router;
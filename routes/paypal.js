@@ -2,6 +2,13 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const paypalService = require('../services/paypalService');
+const { auth, authOrInternal } = require('../middleware/auth');
+const { requireSelf, requireBodyOwner } = require('../middleware/ownership');
+const { requireAdmin } = require('../middleware/roleCheck');
+
+// Routes act on the authenticated user's subscription. /webhook is verified with PayPal's
+// signature instead, and /subscription-success is PayPal's redirect after the approval, which
+// only activates the subscription the user created.
 
 // Add CORS headers for subscription requests
 router.use((req, res, next) => {
@@ -19,7 +26,7 @@ router.use((req, res, next) => {
 });
 
 // Create a subscription
-router.post('/create-subscription', async (req, res) => {
+router.post('/create-subscription', auth, requireBodyOwner('uid'), async (req, res) => {
   try {
     const { uid, planTier = 'Launch' } = req.body;
 
@@ -134,6 +141,17 @@ router.get('/subscription-success', async (req, res) => {
       });
     }
 
+    // The redirect carries no Firebase token: only the subscription the user created
+    // (create-subscription or select-plan) can be activated for them
+    const pendingUser = await User.findOne({ uid }).select('subscription.paypalSubscriptionId').lean();
+    if (!pendingUser || pendingUser.subscription?.paypalSubscriptionId !== subscription_id) {
+      console.warn(`Subscription ${subscription_id} was not created by user ${uid}`);
+      return res.status(403).json({
+        success: false,
+        error: 'This subscription does not belong to the user'
+      });
+    }
+
     // Get subscription details from PayPal
     const subscriptionDetails = await paypalService.getSubscription(subscription_id);
     console.log(`Subscription status from PayPal: ${subscriptionDetails.status}`);
@@ -184,7 +202,7 @@ router.get('/subscription-success', async (req, res) => {
 });
 
 // Get subscription details
-router.get('/:uid/subscription', async (req, res) => {
+router.get('/:uid/subscription', auth, requireSelf('uid'), async (req, res) => {
   try {
     const { uid } = req.params;
     console.log(`Getting subscription details for user: ${uid}`);
@@ -312,7 +330,7 @@ router.get('/:uid/subscription', async (req, res) => {
 });
 
 // Endpoint for the user to manually cancel their subscription
-router.post('/:uid/cancel-subscription', async (req, res) => {
+router.post('/:uid/cancel-subscription', auth, requireSelf('uid'), async (req, res) => {
   try {
     const { uid } = req.params;
     const user = await User.findOne({ uid });
@@ -897,8 +915,8 @@ const checkExpiredSubscriptions = async () => {
   }
 };
 
-// Add an endpoint to manually trigger subscription expiration check
-router.post('/check-expired-subscriptions', async (req, res) => {
+// Add an endpoint to manually trigger subscription expiration check (administrators or the backend)
+router.post('/check-expired-subscriptions', authOrInternal, requireAdmin, async (req, res) => {
   try {
     const result = await checkExpiredSubscriptions();
     res.status(200).json(result);
@@ -909,7 +927,7 @@ router.post('/check-expired-subscriptions', async (req, res) => {
 });
 
 // Select a subscription plan
-router.post('/select-plan', async (req, res) => {
+router.post('/select-plan', auth, requireBodyOwner('uid'), async (req, res) => {
   try {
     const { uid, planTier } = req.body;
 
@@ -976,8 +994,8 @@ router.post('/select-plan', async (req, res) => {
   }
 });
 
-// Add an endpoint to manually reset a user's subscription data immediately
-router.post('/:uid/reset-subscription', async (req, res) => {
+// Add an endpoint to manually reset a user's subscription data immediately (administrators or the backend)
+router.post('/:uid/reset-subscription', authOrInternal, requireAdmin, async (req, res) => {
   try {
     const { uid } = req.params;
     console.log(`Manual reset subscription request for user ${uid}`);
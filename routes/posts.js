@@ -1,20 +1,536 @@
 const express = require('express');
 const router = express.Router();
 const Post = require('../models/Post');
-const { processPost, checkUserLimits } = require('../services/scheduler');
-const { hasReachedLimit, getLimit } = require('../utils/roleLimits');
+const { checkUserLimits, enqueuePost } = require('../services/scheduler');
+const { hasReachedLimit, getLimit, hasFeature } = require('../utils/roleLimits');
 const User = require('../models/User');
 const userService = require('../services/userService');
+const { PRIVACY_STATUSES, MAX_TITLE_LENGTH } = require('../services/youtubeService');
+const tiktokService = require('../services/tiktokService');
+const { needsReconnect } = require('../services/accountHealthService');
+const { getPlatform, getPlatforms, getPlatformNames, getAccountId, supportsPhotos } = require('../services/platforms');
+const { getPublishCaption, countTwitterLength } = require('../services/platforms/captions');
+const { inspectVideo } = require('../services/videoProcessingService');
+const { syncPostMedia, unlinkPostMedia } = require('../services/mediaService');
+const { auth } = require('../middleware/auth');
+const { shouldSkipOwnership, requireSelf, requireBodyOwner, requirePostOwner } = require('../middleware/ownership');
+
+// All post routes require an authenticated Firebase user
+router.use(auth);
+
+/**
+ * Match the accounts selected for a post against the user's connected accounts.
+ * Only account references are kept; tokens stay in User.providerData.
+ * @param {Object} adapter - Platform adapter (services/platforms)
+ * @param {Array} selectedAccounts - Accounts from the request body
+ * @param {Array} connectedAccounts - Accounts from User.providerData
+ * @returns {{ accounts: Array, missing: Array<string> }} - Matched references and unmatched account names
+ */
+const resolveSelectedAccounts = (adapter, selectedAccounts, connectedAccounts) => {
+  const accounts = [];
+  const missing = [];
+
+  if (!Array.isArray(selectedAccounts)) {
+    return { accounts, missing };
+  }
+
+  const connected = Array.isArray(connectedAccounts) ? connectedAccounts : [];
+
+  for (const account of selectedAccounts) {
+    const reference = adapter.resolveReference(account, connected);
+    if (reference) {
+      accounts.push(reference);
+    } else {
+      missing.push(adapter.getMissingLabel(account));
+    }
+  }
+
+  return { accounts, missing };
+};
+
+/**
+ * Normalize the platforms of a request to an array of platform names
+ * @param {Array|string|Object} platforms - Array, single platform or object keyed by platform
+ * @returns {Array<string>}
+ */
+const normalizePlatforms = (platforms) => {
+  if (Array.isArray(platforms)) return platforms;
+  if (typeof platforms === 'string') return [platforms];
+  // Extract platform names from object keys
+  if (platforms && typeof platforms === 'object') return Object.keys(platforms);
+  return [];
+};
+
+/**
+ * Validate the YouTube settings of a post
+ * @param {Object} settings - youtube_settings from the request body
+ * @returns {string|null} - Error message, or null if the settings are valid
+ */
+const validateYouTubeSettings = (settings) => {
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'youtube_settings must be an object';
+  }
+  if (settings.title !== undefined && (typeof settings.title !== 'string' || settings.title.length > MAX_TITLE_LENGTH)) {
+    return `youtube_settings.title must be a string of at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (settings.tags !== undefined && (!Array.isArray(settings.tags) || settings.tags.some(tag => typeof tag !== 'string'))) {
+    return 'youtube_settings.tags must be an array of strings';
+  }
+  if (settings.privacyStatus !== undefined && !PRIVACY_STATUSES.includes(settings.privacyStatus)) {
+    return `youtube_settings.privacyStatus must be one of: ${PRIVACY_STATUSES.join(', ')}`;
+  }
+  if (settings.madeForKids !== undefined && typeof settings.madeForKids !== 'boolean') {
+    return 'youtube_settings.madeForKids must be a boolean';
+  }
+  return null;
+};
+
+/**
+ * Validate the TikTok settings of a post
+ * @param {Object} settings - tiktok_settings from the request body
+ * @returns {string|null} - Error message, or null if the settings are valid
+ */
+const validateTikTokSettings = (settings) => {
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'tiktok_settings must be an object';
+  }
+  if (settings.privacyLevel !== undefined && !tiktokService.PRIVACY_LEVELS.includes(settings.privacyLevel)) {
+    return `tiktok_settings.privacyLevel must be one of: ${tiktokService.PRIVACY_LEVELS.join(', ')}`;
+  }
+  for (const field of ['disableComment', 'disableDuet', 'disableStitch', 'brandContentToggle', 'brandOrganicToggle']) {
+    if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+      return `tiktok_settings.${field} must be a boolean`;
+    }
+  }
+  if (settings.videoCoverTimestampMs !== undefined && (!Number.isInteger(settings.videoCoverTimestampMs) || settings.videoCoverTimestampMs < 0)) {
+    return 'tiktok_settings.videoCoverTimestampMs must be a non-negative integer';
+  }
+  return null;
+};
+
+/**
+ * Check TikTok settings against the options of the creators the post is published to
+ * @param {string} userId - Firebase UID of the post owner
+ * @param {Object} settings - tiktok_settings from the request body
+ * @param {Array<string>} openIds - TikTok accounts of the post
+ * @returns {Promise<Array<string>>} - Problems of the settings, empty if every creator can post with them
+ */
+const checkTikTokCreatorSettings = async (userId, settings, openIds) => {
+  const adapter = getPlatform('tiktok');
+  const accounts = await userService.getSocialMediaTokens(userId, 'tiktok');
+  const problems = [];
+
+  for (const connectedAccount of (accounts || []).filter(account => openIds.includes(account.openId))) {
+    // Publishing reports accounts that need to be reconnected
+    if (!adapter.hasCredentials(connectedAccount) || needsReconnect(connectedAccount)) {
+      continue;
+    }
+    try {
+      const account = await adapter.refresh(userId, connectedAccount);
+      const creatorInfo = await tiktokService.getCreatorInfo(account.accessToken, { uid: userId, accountId: account.openId });
+      problems.push(...tiktokService.checkPostSettings(settings, creatorInfo));
+    } catch (error) {
+      // The settings are checked again when the post is published
+      console.warn(`[POSTS ROUTE] Could not check the TikTok settings of account ${connectedAccount.openId}:`, error?.message);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Validate the media of a photo post
+ * @param {Array} media - media from the request body ({ type, url, key, mimeType, size } per image)
+ * @returns {string|null} - Error message, or null if the media is valid
+ */
+const validateMedia = (media) => {
+  if (!Array.isArray(media)) {
+    return 'media must be an array';
+  }
+
+  for (const item of media) {
+    if (!item || typeof item !== 'object') {
+      return 'media must only contain objects';
+    }
+    if (item.type !== undefined && item.type !== 'image') {
+      return 'media: only images are supported, use video_url for videos';
+    }
+    if (typeof item.url !== 'string' || !item.url) {
+      return 'media: url must be a non-empty string';
+    }
+    for (const field of ['key', 'mimeType']) {
+      if (item[field] !== undefined && typeof item[field] !== 'string') {
+        return `media: ${field} must be a string`;
+      }
+    }
+    if (item.size !== undefined && (!Number.isInteger(item.size) || item.size < 0)) {
+      return 'media: size must be a non-negative integer';
+    }
+  }
+  return null;
+};
+
+// Follow-up tweets of a thread; with the post's own tweet a thread has at most 25 tweets
+const MAX_THREAD_PARTS = 24;
+const TWEET_ID_PATTERN = /^\d+$/;
+
+/**
+ * Validate the shape of a Twitter thread
+ * @param {Array} thread - twitter_thread from the request body ({ text, media, quoteTweetId, replyToTweetId } per tweet)
+ * @returns {string|null} - Error message, or null if the thread is valid
+ */
+const validateTwitterThread = (thread) => {
+  if (!Array.isArray(thread)) {
+    return 'twitter_thread must be an array';
+  }
+  if (thread.length > MAX_THREAD_PARTS) {
+    return `twitter_thread can have at most ${MAX_THREAD_PARTS} tweets`;
+  }
+
+  for (const part of thread) {
+    if (!part || typeof part !== 'object') {
+      return 'twitter_thread must only contain objects';
+    }
+    if (part.text !== undefined && typeof part.text !== 'string') {
+      return 'twitter_thread: text must be a string';
+    }
+    if (part.media !== undefined) {
+      const mediaError = validateMedia(part.media);
+      if (mediaError) {
+        return `twitter_thread: ${mediaError}`;
+      }
+    }
+    if (!part.text?.trim() && !(part.media?.length > 0)) {
+      return 'twitter_thread: every tweet needs text or media';
+    }
+    for (const field of ['quoteTweetId', 'replyToTweetId']) {
+      if (part[field] !== undefined && (typeof part[field] !== 'string' || !TWEET_ID_PATTERN.test(part[field]))) {
+        return `twitter_thread: ${field} must be a tweet id`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Check the tweets of a thread against Twitter's limits
+ * @param {Array} thread - Valid twitter_thread (see validateTwitterThread)
+ * @returns {Array<string>} - Problems of the tweets, empty if they can be published
+ */
+const checkTwitterThread = (thread) => {
+  const adapter = getPlatform('twitter');
+  const { maxLength } = adapter.captionLimits;
+
+  return thread.flatMap((part, index) => {
+    const label = `Tweet ${index + 2} of the thread`;
+    const problems = [];
+    const length = countTwitterLength(part.text || '');
+    if (length > maxLength) {
+      problems.push(`${label} can have at most ${maxLength} characters, this one has ${length}`);
+    }
+    if (part.media?.length > 0) {
+      problems.push(...adapter.validatePhotos(part.media).map(problem => `${label}: ${problem}`));
+    }
+    return problems;
+  });
+};
+
+/**
+ * Validate the caption overrides of a post
+ * @param {Array} overrides - caption_overrides from the request body
+ * @param {Array<string>} platforms - Platforms of the post
+ * @returns {string|null} - Error message, or null if the overrides are valid
+ */
+const validateCaptionOverrides = (overrides, platforms) => {
+  if (!Array.isArray(overrides)) {
+    return 'caption_overrides must be an array';
+  }
+
+  const seen = new Set();
+  for (const override of overrides) {
+    if (!override || typeof override !== 'object') {
+      return 'caption_overrides must only contain objects';
+    }
+    if (!platforms.includes(override.platform)) {
+      return `caption_overrides: ${override.platform} is not one of the platforms of the post`;
+    }
+    if (override.accountId !== undefined && (typeof override.accountId !== 'string' || !override.accountId)) {
+      return 'caption_overrides: accountId must be a non-empty string';
+    }
+    if (typeof override.caption !== 'string' || !override.caption.trim()) {
+      return 'caption_overrides: caption must be a non-empty string';
+    }
+
+    const key = `${override.platform}:${override.accountId || ''}`;
+    if (seen.has(key)) {
+      return `caption_overrides: more than one caption for ${override.accountId ? `${override.platform} account ${override.accountId}` : override.platform}`;
+    }
+    seen.add(key);
+  }
+  return null;
+};
+
+// Failed check of checkPost, sent by the route as it is
+const rejectPost = (status, body) => ({ error: { status, body: { success: false, ...body } } });
+
+/**
+ * Check the content of a post the way POST /posts accepts it: its video or images against the
+ * platforms, the settings, the caption of every account, the plan of the user and the selected
+ * accounts. PUT /posts/:id runs it again on the post with its changes.
+ * @param {Object} input - Fields of the post (the request body of POST /posts), with userId
+ * @param {Object} [options] - { videoInfo } of a video inspected before, not to inspect it again
+ * @returns {Promise<Object>} - { error: { status, body } } for the first problem found, otherwise
+ *   { user, userRole, selectedPlatforms, selectedAccounts, videoInfo, transcodePlatforms, captionOverrides, hasThread }
+ */
+const checkPost = async (input, { videoInfo: inspectedVideoInfo } = {}) => {
+  const {
+    video_url,
+    post_description,
+    platforms,
+    userId,
+    youtube_settings,
+    tiktok_settings,
+    caption_overrides,
+    caption_overflow,
+    media,
+    twitter_thread
+  } = input;
+
+  // Photo posts have their images in media instead of a video
+  const isPhotoPost = Array.isArray(media) && media.length > 0;
+
+  if (!video_url && !isPhotoPost) {
+    return rejectPost(400, { error: 'Video URL or media is required' });
+  }
+
+  if (video_url && isPhotoPost) {
+    return rejectPost(400, { error: 'A post has either a video_url or media, not both' });
+  }
+
+  if (media !== undefined && media !== null) {
+    const mediaError = validateMedia(media);
+    if (mediaError) {
+      return rejectPost(400, { error: mediaError });
+    }
+  }
+
+  const selectedPlatforms = normalizePlatforms(platforms);
+  const unsupportedPlatforms = selectedPlatforms.filter(platform => !getPlatform(platform));
+  if (unsupportedPlatforms.length > 0) {
+    return rejectPost(400, {
+      error: `Unsupported platform(s): ${unsupportedPlatforms.join(', ')}. Supported platforms: ${getPlatformNames().join(', ')}`
+    });
+  }
+
+  const images = isPhotoPost ? media.map(({ url, mimeType, size }) => ({ url, mimeType, size })) : [];
+  if (isPhotoPost) {
+    const photoPlatforms = getPlatforms().filter(supportsPhotos).map(adapter => adapter.platform);
+    const unsupportedPhotoPlatforms = selectedPlatforms.filter(platform => !photoPlatforms.includes(platform));
+    if (unsupportedPhotoPlatforms.length > 0) {
+      return rejectPost(400, {
+        error: `Photo posts cannot be published to: ${unsupportedPhotoPlatforms.join(', ')}. Platforms with photo posts: ${photoPlatforms.join(', ')}`
+      });
+    }
+  }
+
+  // Inspect the video with ffprobe; without ffprobe, or if the URL cannot be read from here,
+  // the checks use the size and type the request provides
+  let videoInfo = video_url ? inspectedVideoInfo || null : null;
+  if (video_url && !videoInfo) {
+    try {
+      videoInfo = await inspectVideo(video_url);
+    } catch (error) {
+      return rejectPost(400, { error: error.message, code: error.code });
+    }
+  }
+  const video = {
+    videoUrl: video_url,
+    size: videoInfo?.size || Number(input.video_size) || undefined,
+    mimeType: videoInfo?.mimeType || input.video_mime_type,
+    ...(videoInfo && {
+      videoCodec: videoInfo.videoCodec,
+      audioCodec: videoInfo.audioCodec,
+      width: videoInfo.width,
+      height: videoInfo.height,
+      duration: videoInfo.duration,
+      bitrate: videoInfo.bitrate,
+      frameRate: videoInfo.frameRate
+    })
+  };
+
+  // Check the video or images against the limits of each platform. Video problems a transcoded
+  // rendition fixes are accepted when the request sets video_transcode.
+  const transcodePlatforms = [];
+  const mediaProblems = selectedPlatforms.flatMap(platform => {
+    const adapter = getPlatform(platform);
+    if (isPhotoPost) {
+      return adapter.validatePhotos(images);
+    }
+    if (!adapter.checkMedia) {
+      return adapter.validateMedia ? adapter.validateMedia(video) : [];
+    }
+    const problems = adapter.checkMedia(video);
+    if (input.video_transcode === true && problems.length > 0 && problems.every(problem => problem.fixable)) {
+      transcodePlatforms.push(platform);
+      return [];
+    }
+    return problems.map(({ message }) => message);
+  });
+  if (mediaProblems.length > 0) {
+    return rejectPost(400, {
+      error: `The ${isPhotoPost ? 'images' : 'video'} cannot be published: ${mediaProblems.join('; ')}`,
+      problems: mediaProblems
+    });
+  }
+
+  if (youtube_settings !== undefined && youtube_settings !== null) {
+    const settingsError = validateYouTubeSettings(youtube_settings);
+    if (settingsError) {
+      return rejectPost(400, { error: settingsError });
+    }
+  }
+
+  if (tiktok_settings !== undefined && tiktok_settings !== null) {
+    const settingsError = validateTikTokSettings(tiktok_settings);
+    if (settingsError) {
+      return rejectPost(400, { error: settingsError });
+    }
+  }
+
+  if (caption_overrides !== undefined && caption_overrides !== null) {
+    const overridesError = validateCaptionOverrides(caption_overrides, selectedPlatforms);
+    if (overridesError) {
+      return rejectPost(400, { error: overridesError });
+    }
+  }
+
+  if (caption_overflow !== undefined && !['truncate', 'reject'].includes(caption_overflow)) {
+    return rejectPost(400, { error: 'caption_overflow must be truncate or reject' });
+  }
+
+  const hasThread = Array.isArray(twitter_thread) && twitter_thread.length > 0;
+  if (twitter_thread !== undefined && twitter_thread !== null) {
+    const threadError = validateTwitterThread(twitter_thread);
+    if (threadError) {
+      return rejectPost(400, { error: threadError });
+    }
+  }
+  if (hasThread) {
+    if (!selectedPlatforms.includes('twitter')) {
+      return rejectPost(400, { error: 'twitter_thread can only be used when posting to twitter' });
+    }
+    const threadProblems = checkTwitterThread(twitter_thread);
+    if (threadProblems.length > 0) {
+      return rejectPost(400, {
+        error: `The thread cannot be published: ${threadProblems.join('; ')}`,
+        problems: threadProblems
+      });
+    }
+  }
+  const threadHasImages = hasThread && twitter_thread.some(part => part.media?.length > 0);
+
+  // Get user data for role and limits
+  const user = await User.findOne({ uid: userId });
+  if (!user) {
+    return rejectPost(404, { error: 'User not found' });
+  }
+  const userRole = user.role || 'Starter';
+
+  if ((isPhotoPost || threadHasImages) && !hasFeature(userRole, 'carouselPosts')) {
+    return rejectPost(403, {
+      error: `Your ${userRole} plan does not include photo carousel posts. Please upgrade to post images.`,
+      feature: 'carouselPosts'
+    });
+  }
+
+  // Check social accounts limit based on ACCOUNTS SELECTED FOR THIS POST
+  const totalSelectedAccounts = getPlatforms().reduce((total, { platform }) => {
+    const selected = input[`${platform}_accounts`];
+    return total + (Array.isArray(selected) ? selected.length : 0);
+  }, 0);
+
+  console.log(`[POSTS ROUTE] Checking social account limit for ${userRole} user. Limit: ${getLimit(userRole, 'socialAccounts')}, Selected for this post: ${totalSelectedAccounts}`);
+
+  if (totalSelectedAccounts > 0 && hasReachedLimit(userRole, 'socialAccounts', totalSelectedAccounts)) {
+    const accountLimit = getLimit(userRole, 'socialAccounts');
+    console.error(`[POSTS ROUTE] Social account limit reached. User attempted to post to ${totalSelectedAccounts} accounts, but limit is ${accountLimit}.`);
+    return rejectPost(403, {
+      error: `Your ${userRole} plan allows posting to ${accountLimit} social account(s) at a time. You tried to post to ${totalSelectedAccounts}. Please upgrade or select fewer accounts.`,
+      limit: accountLimit,
+      selected: totalSelectedAccounts
+    });
+  }
+
+  // Posts only reference connected accounts; processPost resolves their tokens at publish time
+  const selectedAccounts = {};
+  const missingAccounts = [];
+  for (const adapter of getPlatforms()) {
+    const { accounts, missing } = resolveSelectedAccounts(adapter, input[`${adapter.platform}_accounts`], user.providerData?.[adapter.platform]);
+    selectedAccounts[adapter.platform] = accounts;
+    missingAccounts.push(...missing);
+  }
+
+  if (missingAccounts.length > 0) {
+    console.error(`[POSTS ROUTE] Selected accounts are not connected for user ${userId}:`, missingAccounts);
+    return rejectPost(400, {
+      error: `These accounts are not connected: ${missingAccounts.join(', ')}. Please reconnect them or select other accounts.`
+    });
+  }
+
+  // Check the caption of every account the post will be published to (all connected accounts if none are selected)
+  const captionOverrides = (caption_overrides || []).map(({ platform, accountId, caption }) => ({ platform, accountId, caption }));
+  const captionPost = { post_description, caption_overrides: captionOverrides, caption_overflow };
+  const captionProblems = [];
+  for (const platform of selectedPlatforms) {
+    const adapter = getPlatform(platform);
+    const targetAccounts = selectedAccounts[platform].length > 0 ? selectedAccounts[platform] : (user.providerData?.[platform] || []);
+    const accountIds = targetAccounts.map(account => getAccountId(adapter, account)).filter(Boolean);
+
+    for (const { accountId } of captionOverrides.filter(override => override.platform === platform && override.accountId)) {
+      if (!accountIds.includes(accountId)) {
+        captionProblems.push(`${adapter.name} account ${accountId} is not one of the accounts of the post`);
+      }
+    }
+    for (const accountId of accountIds.length > 0 ? accountIds : [undefined]) {
+      captionProblems.push(...getPublishCaption(captionPost, adapter, accountId).problems);
+    }
+  }
+
+  if (captionProblems.length > 0) {
+    const problems = [...new Set(captionProblems)];
+    return rejectPost(400, {
+      error: `The caption cannot be published: ${problems.join('; ')}`,
+      problems
+    });
+  }
+
+  // TikTok only accepts settings the creator can use (e.g. privacy levels allowed for the account)
+  if (tiktok_settings && selectedPlatforms.includes('tiktok')) {
+    const openIds = (selectedAccounts.tiktok.length > 0 ? selectedAccounts.tiktok : (user.providerData?.tiktok || [])).map(account => account.openId);
+    const settingsProblems = [...new Set(await checkTikTokCreatorSettings(userId, tiktok_settings, openIds))];
+    if (settingsProblems.length > 0) {
+      return rejectPost(400, {
+        error: `The TikTok settings cannot be used: ${settingsProblems.join('; ')}`,
+        problems: settingsProblems
+      });
+    }
+  }
+
+  return { user, userRole, selectedPlatforms, selectedAccounts, videoInfo, transcodePlatforms, captionOverrides, hasThread };
+};
 
 // @route   GET /posts
-// @desc    Get all posts
-// @access  Public
+// @desc    Get all posts of the authenticated user
+// @access  Private
 router.get('/', async (req, res) => {
   try {
     const { isScheduled } = req.query;
     
-    // Build filter object
+    // Build filter object, scoped to the authenticated user
     const filter = {};
+    if (!shouldSkipOwnership(req)) {
+      filter.userId = req.user?.uid;
+    }
     
     // Add isScheduled filter if provided
     if (isScheduled !== undefined) {
@@ -30,32 +546,16 @@ router.get('/', async (req, res) => {
 });
 
 // @route   GET /posts/:id
-// @desc    Get post by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
-  try {
-    const post = await Post.findById(req.params.id);
-    
-    if (!post) {
-      return res.status(404).json({ msg: 'Post not found' });
-    }
-    
-    res.json(post);
-  } catch (err) {
-    console.error(err?.message);
-    
-    if (err?.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'Post not found' });
-    }
-    
-    res.status(500).send('Server Error');
-  }
+// @desc    Get post by ID, including its per-account deliveries
+// @access  Private (owner only)
+router.get('/:id', requirePostOwner, (req, res) => {
+  res.json(req.post);
 });
 
 // @route   GET /posts/user/:userId
 // @desc    Get posts by user ID
-// @access  Public
-router.get('/user/:userId', async (req, res) => {
+// @access  Private (owner only)
+router.get('/user/:userId', requireSelf('userId'), async (req, res) => {
   try {
     const { isScheduled } = req.query;
     
@@ -77,11 +577,12 @@ router.get('/user/:userId', async (req, res) => {
 
 // @route   POST /posts
 // @desc    Create a post
-// @access  Public (should be Private in production)
-router.post('/', async (req, res) => {
+// @access  Private (userId must be the authenticated user)
+router.post('/', requireBodyOwner('userId'), async (req, res) => {
   try {
     console.log('Received post creation request:', {
       hasVideoUrl: !!req.body.video_url,
+      mediaCount: Array.isArray(req.body.media) ? req.body.media.length : 0,
       hasUserId: !!req.body.userId,
       hasPlatforms: !!req.body.platforms,
       isScheduled: !!req.body.isScheduled,
@@ -93,26 +594,18 @@ router.post('/', async (req, res) => {
       video_url, 
       video_id,
       post_description, 
-      platforms, 
       userId, 
       isScheduled, 
       scheduledDate,
-      tiktok_access_token,
-      tiktok_refresh_token,
-      tiktok_accounts,
-      twitter_access_token,
-      twitter_access_token_secret,
-      twitter_refresh_token,
-      twitter_accounts
+      youtube_settings,
+      tiktok_settings,
+      caption_overflow,
+      media,
+      twitter_thread
     } = req.body;
 
-    // Validate required fields
-    if (!video_url) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Video URL is required' 
-      });
-    }
+    // Photo posts have their images in media instead of a video
+    const isPhotoPost = Array.isArray(media) && media.length > 0;
 
     if (!userId) {
       return res.status(400).json({ 
@@ -121,16 +614,11 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Get user data for role and limits
-    const user = await User.findOne({ uid: userId });
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
+    const check = await checkPost(req.body);
+    if (check.error) {
+      return res.status(check.error.status).json(check.error.body);
     }
-    const userRole = user.role || 'Starter';
-    const now = new Date();
+    const { userRole, selectedPlatforms, selectedAccounts, videoInfo, transcodePlatforms, captionOverrides, hasThread } = check;
 
     // Use the new centralized method for checking post limits
     // Get post usage information
@@ -157,24 +645,6 @@ router.post('/', async (req, res) => {
       }
     }
 
-    // Check social accounts limit based on ACCOUNTS SELECTED FOR THIS POST
-    const selectedTiktokCount = Array.isArray(req.body.tiktok_accounts) ? req.body.tiktok_accounts.length : 0;
-    const selectedTwitterCount = Array.isArray(req.body.twitter_accounts) ? req.body.twitter_accounts.length : 0;
-    const totalSelectedAccounts = selectedTiktokCount + selectedTwitterCount;
-
-    console.log(`[POSTS ROUTE] Checking social account limit for ${userRole} user. Limit: ${getLimit(userRole, 'socialAccounts')}, Selected for this post: ${totalSelectedAccounts}`);
-
-    if (totalSelectedAccounts > 0 && hasReachedLimit(userRole, 'socialAccounts', totalSelectedAccounts)) {
-        const accountLimit = getLimit(userRole, 'socialAccounts');
-        console.error(`[POSTS ROUTE] Social account limit reached. User attempted to post to ${totalSelectedAccounts} accounts, but limit is ${accountLimit}.`);
-        return res.status(403).json({
-            success: false,
-            error: `Your ${userRole} plan allows posting to ${accountLimit} social account(s) at a time. You tried to post to ${totalSelectedAccounts}. Please upgrade or select fewer accounts.`, // Updated error message
-            limit: accountLimit,
-            selected: totalSelectedAccounts
-        });
-    }
-
     // Increment post count for Starter plan users BEFORE saving post
     if (userRole === 'Starter') {
       console.log(`[POSTS ROUTE] Incrementing post count for Starter user ${userId} before saving.`);
@@ -194,196 +664,47 @@ router.post('/', async (req, res) => {
 
     // Create post object with basic info
     let postData = {
-      video_url,
       userId,
       isScheduled: !!isScheduled
     };
     
     // Add optional fields if they exist
+    if (video_url) postData.video_url = video_url;
+    if (isPhotoPost) postData.media = media.map(({ url, key, mimeType, size }) => ({ type: 'image', url, key, mimeType, size }));
     if (video_id) postData.video_id = video_id;
+    if (videoInfo) postData.video_info = videoInfo;
+    if (req.body.video_transcode === true) postData.video_transcode = true;
+    if (transcodePlatforms.length > 0) postData.video_rendition = { status: 'pending', platforms: transcodePlatforms };
     if (post_description) postData.post_description = post_description;
+    if (captionOverrides.length > 0) postData.caption_overrides = captionOverrides;
+    if (caption_overflow) postData.caption_overflow = caption_overflow;
+    if (hasThread) {
+      postData.twitter_thread = twitter_thread.map(({ text, media: partMedia, quoteTweetId, replyToTweetId }) => ({
+        text,
+        media: partMedia?.length > 0 ? partMedia.map(({ url, key, mimeType, size }) => ({ type: 'image', url, key, mimeType, size })) : undefined,
+        quoteTweetId,
+        replyToTweetId
+      }));
+    }
     
     // Set scheduled date if provided
     if (isScheduled && scheduledDate) {
       postData.scheduledDate = scheduledDate;
     }
     
-    // Handle platforms array or string
-    if (platforms) {
-      if (Array.isArray(platforms)) {
-        postData.platforms = platforms;
-      } else if (typeof platforms === 'string') {
-        postData.platforms = [platforms];
-      } else if (typeof platforms === 'object') {
-        // Extract platform names from object keys
-        postData.platforms = Object.keys(platforms);
-      }
-    } else {
-      // Use empty array if no platforms provided
-      postData.platforms = [];
-    }
+    postData.platforms = selectedPlatforms;
 
-    // Handle TikTok accounts
-    if (tiktok_accounts && Array.isArray(tiktok_accounts) && tiktok_accounts.length > 0) {
-      // Check if we need to fetch token information from the database
-      const needsDatabaseLookup = tiktok_accounts.some(account => 
-        !account.accessToken || !account.openId
-      );
-      
-      if (needsDatabaseLookup && userId) {
-        console.log('TikTok accounts missing token information, fetching from database for user:', userId);
-        try {
-          // Get user's TikTok accounts from database
-          const dbTiktokAccounts = await userService.getSocialMediaTokens(userId, 'tiktok');
-          
-          if (dbTiktokAccounts && Array.isArray(dbTiktokAccounts) && dbTiktokAccounts.length > 0) {
-            console.log(`Found ${dbTiktokAccounts.length} TikTok accounts in database`);
-            
-            // Map accounts with tokens from database based on username, displayName, or accountId
-            postData.tiktok_accounts = tiktok_accounts.map(account => {
-              // Look for matching account in database
-              const dbAccount = dbTiktokAccounts.find(
-                dbAcc => (account.accountId && dbAcc.openId === account.accountId) || 
-                        (account.username && dbAcc.username === account.username) ||
-                        (account.displayName && (dbAcc.displayName === account.displayName || 
-                                               dbAcc.username === account.displayName))
-              );
-              
-              if (!dbAccount) {
-                console.warn(`No matching database account found for TikTok account: ${account.username || account.displayName || account.accountId}`);
-                return null;
-              }
-              
-              console.log(`Found database tokens for TikTok account: ${dbAccount.username || dbAccount.openId}`);
-              
-              // Return account with tokens from database
-              return {
-                accessToken: dbAccount.accessToken,
-                refreshToken: dbAccount.refreshToken || null,
-                openId: dbAccount.openId,
-                username: account.username || dbAccount.username || '',
-                displayName: account.displayName || dbAccount.displayName || ''
-              };
-            }).filter(Boolean); // Remove null entries (accounts not found in database)
-            
-            console.log(`Successfully matched ${postData.tiktok_accounts.length}/${tiktok_accounts.length} TikTok accounts with database tokens`);
-          } else {
-            console.warn('No TikTok accounts found in database for user:', userId);
-            // Make original mapping as fallback
-            postData.tiktok_accounts = tiktok_accounts.map(account => ({
-              accessToken: account?.accessToken,
-              refreshToken: account?.refreshToken || null,
-              openId: account?.openId,
-              username: account?.username || '',
-              displayName: account?.displayName || ''
-            }));
-          }
-        } catch (error) {
-          console.error('Error fetching TikTok tokens from database:', error);
-          // Make original mapping as fallback
-          postData.tiktok_accounts = tiktok_accounts.map(account => ({
-            accessToken: account?.accessToken,
-            refreshToken: account?.refreshToken || null,
-            openId: account?.openId,
-            username: account?.username || '',
-            displayName: account?.displayName || ''
-          }));
-        }
-      } else {
-        // No database lookup needed, use account data as provided
-        postData.tiktok_accounts = tiktok_accounts.map(account => ({
-          accessToken: account?.accessToken,
-          refreshToken: account?.refreshToken || null,
-          openId: account?.openId,
-          username: account?.username || '',
-          displayName: account?.displayName || ''
-        }));
+    // Selected accounts (without tokens)
+    for (const [platform, accounts] of Object.entries(selectedAccounts)) {
+      if (accounts.length > 0) {
+        postData[`${platform}_accounts`] = accounts;
       }
-      
-      console.log('Formatted TikTok accounts for database:', 
-        postData.tiktok_accounts.map(acc => ({
-          openId: acc?.openId,
-          hasAccessToken: !!acc?.accessToken,
-          hasRefreshToken: !!acc?.refreshToken,
-          username: acc?.username || ''
-        }))
-      );
-    } else if (tiktok_access_token) {
-      // Fallback to single account for backward compatibility
-      postData.tiktok_access_token = tiktok_access_token;
-      if (tiktok_refresh_token) postData.tiktok_refresh_token = tiktok_refresh_token;
     }
-    
-    // Add Twitter token fields if they exist
-    if (twitter_access_token) postData.twitter_access_token = twitter_access_token;
-    if (twitter_access_token_secret) postData.twitter_access_token_secret = twitter_access_token_secret;
-    if (twitter_refresh_token) postData.twitter_refresh_token = twitter_refresh_token;
-    
-    // Handle Twitter accounts array
-    if (twitter_accounts && Array.isArray(twitter_accounts) && twitter_accounts.length > 0) {
-      // Check if we need to fetch token information from the database
-      const needsDatabaseLookup = twitter_accounts.some(account => 
-        !account.accessToken || 
-        !account.accessTokenSecret || 
-        account.accessToken === 'placeholder_to_be_replaced_from_db' || 
-        account.accessTokenSecret === 'placeholder_to_be_replaced_from_db'
-      );
-      
-      if (needsDatabaseLookup && userId) {
-        console.log('Twitter accounts missing token information or using placeholders, fetching from database for user:', userId);
-        try {
-          // Get user's Twitter accounts from database
-          const dbTwitterAccounts = await userService.getSocialMediaTokens(userId, 'twitter');
-          
-          if (dbTwitterAccounts && Array.isArray(dbTwitterAccounts) && dbTwitterAccounts.length > 0) {
-            console.log(`Found ${dbTwitterAccounts.length} Twitter accounts in database`);
-            
-            // Map accounts with tokens from database based on userId or username
-            postData.twitter_accounts = twitter_accounts.map(account => {
-              // Look for matching account in database
-              const dbAccount = dbTwitterAccounts.find(
-                dbAcc => (account.userId && (dbAcc.userId === account.userId || dbAcc.user_id === account.userId)) || 
-                        (account.username && dbAcc.username === account.username)
-              );
-              
-              if (!dbAccount) {
-                console.warn(`No matching database account found for Twitter account: ${account.username || account.userId}`);
-                return account; // Keep the original account data as fallback
-              }
-              
-              console.log(`Found database tokens for Twitter account: ${dbAccount.username || dbAccount.userId || dbAccount.user_id}`);
-              
-              // Return account with tokens from database
-              return {
-                userId: account.userId || dbAccount.userId || dbAccount.user_id,
-                username: account.username || dbAccount.username || '',
-                accessToken: dbAccount.accessToken,
-                accessTokenSecret: dbAccount.accessTokenSecret
-              };
-            });
-            
-            console.log(`Successfully matched Twitter accounts with database tokens:`, 
-              postData.twitter_accounts.map(acc => ({
-                userId: acc.userId,
-                username: acc.username,
-                hasAccessToken: !!acc.accessToken,
-                hasAccessTokenSecret: !!acc.accessTokenSecret
-              }))
-            );
-          } else {
-            console.warn('No Twitter accounts found in database for user:', userId);
-            // Store the accounts as provided
-            postData.twitter_accounts = twitter_accounts;
-          }
-        } catch (error) {
-          console.error('Error fetching Twitter tokens from database:', error);
-          // Store the accounts as provided
-          postData.twitter_accounts = twitter_accounts;
-        }
-      } else {
-        // No database lookup needed, use account data as provided
-        postData.twitter_accounts = twitter_accounts;
-      }
+    if (youtube_settings) {
+      postData.youtube_settings = youtube_settings;
+    }
+    if (tiktok_settings && selectedPlatforms.includes('tiktok')) {
+      postData.tiktok_settings = tiktok_settings;
     }
     
     // Set status based on whether it's scheduled
@@ -393,22 +714,22 @@ router.post('/', async (req, res) => {
     console.log('Saving post to database...');
     const newPost = new Post(postData);
     const post = await newPost.save();
+    await syncPostMedia(post);
     
-    // Debug: Check if the saved post has the TikTok accounts
-    const savedPost = await Post.findById(post._id).lean();
-    if (tiktok_accounts && Array.isArray(tiktok_accounts) && tiktok_accounts.length > 0) {
-      console.log('Saved post TikTok accounts count:', savedPost.tiktok_accounts?.length || 0);
-    }
-    
-    // If not scheduled, process post immediately asynchronously
+    // If not scheduled, queue the post for immediate publishing
     if (!isScheduled) {
-      console.log('Triggering immediate post processing asynchronously for post ID:', post._id);
-      // Don't await - let the request return while processing happens
-      processPost(post).catch(error => {
-          console.error(`[ASYNC PROCESS ERROR] Error processing immediate post ${post._id}:`, error);
-          // Optionally update post status to failed here if needed, though processPost should handle its own errors
-          Post.findByIdAndUpdate(post._id, { $set: { status: 'failed', processing_error: error.message || 'Async processing failed' } }).catch(err => console.error("Failed to update post status after async error:", err));
-      });
+      console.log('Queueing immediate post processing for post ID:', post._id);
+      try {
+        // The job is stored in Mongo, so it survives restarts and is retried if a worker crashes
+        await enqueuePost(post);
+      } catch (error) {
+        console.error(`[QUEUE ERROR] Error queueing immediate post ${post._id}:`, error?.message);
+        await Post.updateOne({ _id: post._id }, { status: 'failed' });
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to queue post for publishing'
+        });
+      }
       
       // Return success response indicating processing has started
       res.status(201).json({
@@ -439,15 +760,17 @@ router.post('/', async (req, res) => {
 
 // @route   PUT /posts/:id
 // @desc    Update a post
-// @access  Public (should be Private in production)
-router.put('/:id', async (req, res) => {
+// @access  Private (owner only)
+router.put('/:id', requirePostOwner, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    
-    if (!post) {
-      return res.status(404).json({ msg: 'Post not found' });
+    // The status is only changed by publishing
+    if (req.body.status !== undefined && req.body.status !== req.post.status) {
+      return res.status(400).json({
+        success: false,
+        error: 'The status of a post cannot be changed'
+      });
     }
-    
+
     // Update fields
     const updateFields = {};
     const allowedFields = [
@@ -456,12 +779,7 @@ router.put('/:id', async (req, res) => {
       'post_description', 
       'platforms', 
       'isScheduled', 
-      'scheduledDate', 
-      'status',
-      'tiktok_access_token',
-      'tiktok_refresh_token',
-      'twitter_access_token',
-      'twitter_access_token_secret'
+      'scheduledDate'
     ];
     
     // Only update fields that are provided
@@ -471,12 +789,54 @@ router.put('/:id', async (req, res) => {
       }
     });
     
+    const update = { $set: updateFields };
+    const videoChanged = updateFields.video_url !== undefined && updateFields.video_url !== req.post.video_url;
+    const platformsChanged = updateFields.platforms !== undefined;
+
+    // A post with a new video, platforms or caption is checked like a new post
+    if (videoChanged || platformsChanged || updateFields.post_description !== undefined) {
+      const post = req.post.toObject();
+      const check = await checkPost(
+        { ...post, ...updateFields, userId: req.post.userId },
+        { videoInfo: videoChanged ? undefined : post.video_info }
+      );
+      if (check.error) {
+        return res.status(check.error.status).json(check.error.body);
+      }
+      if (platformsChanged) {
+        updateFields.platforms = check.selectedPlatforms;
+      }
+
+      // The inspection and rendition belong to the previous video and platforms
+      const unset = {};
+      if (videoChanged) {
+        if (check.videoInfo) {
+          updateFields.video_info = check.videoInfo;
+        } else {
+          unset.video_info = 1;
+        }
+      }
+      if (videoChanged || platformsChanged) {
+        if (check.transcodePlatforms.length > 0) {
+          updateFields.video_rendition = { status: 'pending', platforms: check.transcodePlatforms };
+        } else {
+          unset.video_rendition = 1;
+        }
+      }
+      if (Object.keys(unset).length > 0) {
+        update.$unset = unset;
+      }
+    }
+
     // Update the post
     const updatedPost = await Post.findByIdAndUpdate(
       req.params.id,
-      { $set: updateFields },
+      update,
       { new: true }
     );
+    if (updatedPost && updateFields.video_url !== undefined) {
+      await syncPostMedia(updatedPost);
+    }
     
     res.json(updatedPost);
   } catch (err) {
@@ -492,16 +852,11 @@ router.put('/:id', async (req, res) => {
 
 // @route   DELETE /posts/:id
 // @desc    Delete a post
-// @access  Public (should be Private in production)
-router.delete('/:id', async (req, res) => {
+// @access  Private (owner only)
+router.delete('/:id', requirePostOwner, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    
-    if (!post) {
-      return res.status(404).json({ msg: 'Post not found' });
-    }
-    
-    await post.deleteOne();
+    await req.post.deleteOne();
+    await unlinkPostMedia(req.post._id);
     res.json({ msg: 'Post removed' });
   } catch (err) {
     console.error(err?.message);
@@ -514,74 +869,4 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// @route   POST /posts/test-scheduler/:id
-// @desc    Test the scheduler by processing a specific post
-// @access  Public (should be Private in production)
-router.post('/test-scheduler/:id', async (req, res) => {
-  try {
-    const postId = req.params.id;
-    if (!postId) {
-      return res.status(400).json({ error: 'Post ID is required' });
-    }
-    
-    console.log(`Testing scheduler for post ID: ${postId}`);
-    
-    // Get the post
-    const post = await Post.findById(postId).lean();
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
-    
-    // Log post details
-    console.log('Post details:', {
-      id: post._id,
-      platforms: post.platforms,
-      has_tiktok_accounts: !!post.tiktok_accounts,
-      tiktok_accounts_count: post.tiktok_accounts?.length || 0,
-      has_legacy_tiktok: !!post.tiktok_access_token,
-      has_twitter: !!post.twitter_access_token
-    });
-    
-    if (post.tiktok_accounts) {
-      console.log('TikTok accounts in post:', 
-        post.tiktok_accounts.map(acc => ({
-          openId: acc.openId,
-          hasAccessToken: !!acc.accessToken,
-          hasRefreshToken: !!acc.refreshToken
-        }))
-      );
-    }
-    
-    // Import the scheduler
-    const { processPost } = require('../services/scheduler');
-    
-    // Process the post
-    try {
-      const results = await processPost(post);
-      console.log('Scheduler test completed successfully');
-      
-      // Update status
-      await Post.updateOne({ _id: post._id }, { status: 'completed' });
-      
-      res.json({ 
-        message: 'Post processed successfully', 
-        results 
-      });
-    } catch (error) {
-      console.error('Error processing post:', error?.message);
-      
-      // Update status
-      await Post.updateOne({ _id: post._id }, { status: 'failed' });
-      
-      res.status(500).json({ 
-        error: 'Error processing post', 
-        details: error?.message 
-      });
-    }
-  } catch (err) {
-    console.error('Error in test-scheduler endpoint:', err?.message);
-    res.status(500).json({ error: 'Server Error', message: err?.message });
-  }
-});
-
 module.exports = router; 
\ No newline at end of file
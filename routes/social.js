@@ -0,0 +1,302 @@
+// File: routes/social.js
+const express = require('express');
+const router = express.Router();
+const userService = require('../services/userService');
+const { auth } = require('../middleware/auth');
+const { shouldSkipOwnership, requireBodyOwner } = require('../middleware/ownership');
+const { needsReconnect } = require('../services/accountHealthService');
+const { hasFeature } = require('../utils/roleLimits');
+const { getPlatform, getPlatforms, getAccountId, supportsPhotos } = require('../services/platforms');
+const { inspectVideo } = require('../services/videoProcessingService');
+
+/**
+ * Generic routes for every platform in the adapter registry (services/platforms).
+ * Platforms with their own routes (e.g. /tiktok, /twitter) can also be used through these.
+ */
+
+// Redirect back to the frontend page of a platform with the outcome of the connect flow
+const redirectToFrontend = (res, platform, params) => {
+  res.redirect(`${process.env.FRONTEND_URL}/${platform}?${new URLSearchParams(params).toString()}`);
+};
+
+// Firebase UID of the request; in BYPASS_AUTH development mode it can be passed as userId
+const getRequestUid = (req) =>
+  req.user?.uid || (shouldSkipOwnership(req) ? (req.body?.userId || req.query.userId) : undefined);
+
+// Connected account of a user with its tokens (the first one without accountId)
+const findAccount = async (uid, adapter, accountId) => {
+  const accounts = await userService.getSocialMediaTokens(uid, adapter.platform);
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    return null;
+  }
+  return accountId ? accounts.find(account => getAccountId(adapter, account) === accountId) : accounts[0];
+};
+
+// Connected account without tokens, for responses
+const toPublicAccount = (adapter, account) => {
+  if (adapter.toPublicAccount) {
+    return adapter.toPublicAccount(account);
+  }
+  const { accessToken, accessTokenSecret, refreshToken, ...publicAccount } = account;
+  return publicAccount;
+};
+
+// Resolve req.adapter from the :platform parameter
+router.param('platform', (req, res, next, platform) => {
+  req.adapter = getPlatform(platform);
+  if (!req.adapter) {
+    return res.status(404).json({ success: false, error: `Platform ${platform} is not supported` });
+  }
+  next();
+});
+
+// GET /social/platforms
+// Lists the supported platforms and how accounts are connected to them
+router.get('/platforms', (req, res) => {
+  res.json({
+    success: true,
+    data: getPlatforms().map(adapter => ({
+      platform: adapter.platform,
+      name: adapter.name,
+      canConnect: typeof adapter.connect === 'function',
+      canPostPhotos: supportsPhotos(adapter),
+      canCheckStatus: typeof adapter.getStatus === 'function'
+    }))
+  });
+});
+
+// GET /social/:platform/auth
+// Starts an OAuth connect flow (query parameters are passed to the adapter, e.g. instance for Mastodon)
+router.get('/:platform/auth', auth, async (req, res) => {
+  const { adapter } = req;
+  try {
+    const uid = getRequestUid(req);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+    if (!adapter.connect) {
+      return res.status(400).json({ success: false, error: `${adapter.name} accounts cannot be connected here` });
+    }
+
+    const { authUrl } = await adapter.connect({ ...req.query, uid });
+    if (!authUrl) {
+      return res.status(400).json({ success: false, error: `${adapter.name} accounts are connected with POST /social/${adapter.platform}/connect` });
+    }
+
+    // API clients get the URL to navigate to, browsers are redirected directly to the platform
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.status(200).json({ success: true, authUrl });
+    }
+    res.redirect(authUrl);
+  } catch (error) {
+    console.error(`[SOCIAL ROUTE] ${adapter.name} auth URL error:`, error?.message);
+    res.status(error?.status || 500).json({ success: false, error: error?.message || 'Failed to generate auth URL' });
+  }
+});
+
+// POST /social/:platform/connect
+// Connects an account with credentials (e.g. a Bluesky handle and app password),
+// or returns the authUrl of an OAuth flow
+router.post('/:platform/connect', auth, async (req, res) => {
+  const { adapter } = req;
+  try {
+    const uid = getRequestUid(req);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+    if (!adapter.connect) {
+      return res.status(400).json({ success: false, error: `${adapter.name} accounts cannot be connected here` });
+    }
+
+    const { authUrl, account } = await adapter.connect({ ...req.body, uid });
+    if (authUrl) {
+      return res.status(200).json({ success: true, authUrl });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${adapter.name} account connected successfully`,
+      data: { accountId: getAccountId(adapter, account), ...toPublicAccount(adapter, account) }
+    });
+  } catch (error) {
+    console.error(`[SOCIAL ROUTE] ${adapter.name} connect error:`, error?.message);
+    const status = error?.message?.startsWith('Account limit reached') ? 403 : (error?.status || 500);
+    res.status(status).json({ success: false, error: error?.message || 'Failed to connect account' });
+  }
+});
+
+// GET /social/:platform/callback
+// OAuth callback of adapters with completeConnect (e.g. Mastodon)
+router.get('/:platform/callback', async (req, res) => {
+  const { adapter } = req;
+  try {
+    const { error, state } = req.query;
+
+    if (error) {
+      console.error(`[SOCIAL ROUTE] ${adapter.name} auth error:`, error);
+      return redirectToFrontend(res, adapter.platform, { connection_error: error === 'access_denied' ? 'Access was denied' : 'Authentication failed' });
+    }
+    if (!adapter.completeConnect || !state) {
+      return redirectToFrontend(res, adapter.platform, { connection_error: 'The connection request is invalid or has expired. Please try again.' });
+    }
+
+    const { uid, account } = await adapter.completeConnect(req.query);
+    console.log(`[SOCIAL ROUTE] ${adapter.name} account ${getAccountId(adapter, account)} connected for user ${uid}`);
+
+    redirectToFrontend(res, adapter.platform, {
+      auth_success: 'true',
+      account: JSON.stringify({ accountId: getAccountId(adapter, account), ...toPublicAccount(adapter, account) })
+    });
+  } catch (error) {
+    console.error(`[SOCIAL ROUTE] ${adapter.name} callback error:`, error?.message);
+    let message = 'Authentication failed: ' + (error?.message || 'Unknown error');
+    if (error?.code === 'INVALID_OAUTH_STATE') {
+      message = 'The connection request is invalid or has expired. Please try again.';
+    } else if (error?.message?.startsWith('Account limit reached')) {
+      message = error.message;
+    }
+    redirectToFrontend(res, adapter.platform, { connection_error: message });
+  }
+});
+
+// POST /social/:platform/post
+// Publishes a video, or images ({ url, mimeType } each), right away with one connected account
+// (the first one without accountId)
+router.post('/:platform/post', auth, requireBodyOwner('userId'), async (req, res) => {
+  const { adapter } = req;
+  try {
+    const { videoUrl, caption, userId, accountId } = req.body || {};
+    const images = Array.isArray(req.body?.images) ? req.body.images : [];
+
+    if ((!videoUrl && images.length === 0) || !userId) {
+      return res.status(400).json({ success: false, error: 'Video URL or images, and user ID are required' });
+    }
+    if (images.length > 0 && !supportsPhotos(adapter)) {
+      return res.status(400).json({ success: false, error: `${adapter.name} does not support photo posts` });
+    }
+
+    // Starter users are limited to a number of posts per cycle
+    const postUsage = await userService.getPostUsage(userId);
+    if (!postUsage.success) {
+      return res.status(404).json({ success: false, error: 'User not found or error retrieving user data' });
+    }
+    if (postUsage.userRole === 'Starter' && postUsage.postsRemaining !== -1 && postUsage.postsRemaining <= 0 && !postUsage.needsCycleReset) {
+      return res.status(403).json({
+        success: false,
+        error: `You have reached the maximum of ${postUsage.limit} posts for the free Starter plan this cycle. Your limit resets on ${new Date(postUsage.nextResetDate).toLocaleDateString()}.`,
+        limit: postUsage.limit,
+        current: postUsage.currentPostCount,
+        nextReset: postUsage.nextResetDate
+      });
+    }
+
+    if (images.length > 0 && !hasFeature(postUsage.userRole, 'carouselPosts')) {
+      return res.status(403).json({
+        success: false,
+        error: `Your ${postUsage.userRole} plan does not include photo carousel posts. Please upgrade to post images.`,
+        feature: 'carouselPosts'
+      });
+    }
+
+    let problems = [];
+    if (images.length > 0) {
+      problems = adapter.validatePhotos(images);
+    } else if (adapter.checkMedia) {
+      const videoInfo = await inspectVideo(videoUrl);
+      problems = adapter.checkMedia({ ...videoInfo, videoUrl }).map(({ message }) => message);
+    } else if (adapter.validateMedia) {
+      problems = adapter.validateMedia({ videoUrl });
+    }
+    if (problems.length > 0) {
+      return res.status(400).json({ success: false, error: problems.join('; '), problems });
+    }
+
+    let account = await findAccount(userId, adapter, accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: `${adapter.name} account not found for this user` });
+    }
+    if (!adapter.hasCredentials(account) || needsReconnect(account)) {
+      return res.status(401).json({
+        success: false,
+        error: `Invalid ${adapter.name} account credentials. Please reconnect.`,
+        code: 'RECONNECT_REQUIRED',
+        retryable: false
+      });
+    }
+
+    if (adapter.refresh) {
+      account = await adapter.refresh(userId, account);
+    }
+
+    // Count the post for Starter plan users before publishing it, like POST /posts
+    if (postUsage.userRole === 'Starter') {
+      const incrementResult = await userService.incrementPostCount(userId);
+      if (!incrementResult.success) {
+        console.error('[SOCIAL ROUTE] Failed to increment post count:', incrementResult.error);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to update post count. Please try again.',
+          details: incrementResult.error
+        });
+      }
+    }
+
+    const { remotePostId, remotePostUrl, data } = await adapter.publish({
+      account,
+      videoUrl: images.length > 0 ? undefined : videoUrl,
+      images: images.map(({ url, mimeType }) => ({ url, mimeType })),
+      caption: caption || '',
+      userId
+    });
+    res.status(200).json({
+      success: true,
+      message: `${images.length > 0 ? 'Images' : 'Video'} posted successfully to ${adapter.name}`,
+      data: { remotePostId, remotePostUrl, result: data }
+    });
+  } catch (error) {
+    console.error(`[SOCIAL ROUTE] ${adapter.name} post error:`, error?.message);
+    const status = error?.code === 'INVALID_MEDIA' ? 400 : error?.status;
+    res.status(status >= 400 ? status : 500).json({
+      success: false,
+      error: error?.message || 'Unknown error',
+      code: error?.code,
+      retryable: error?.retryable === true
+    });
+  }
+});
+
+// GET /social/:platform/status?userId=<uid>&accountId=<account id>&remotePostId=<post id>
+// Status of a published post
+router.get('/:platform/status', auth, async (req, res) => {
+  const { adapter } = req;
+  try {
+    const uid = getRequestUid(req);
+    const { accountId, remotePostId } = req.query;
+
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+    if (!remotePostId) {
+      return res.status(400).json({ success: false, error: 'remotePostId is required' });
+    }
+    if (!adapter.getStatus) {
+      return res.status(400).json({ success: false, error: `The status of ${adapter.name} posts cannot be checked` });
+    }
+
+    let account = await findAccount(uid, adapter, accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: `${adapter.name} account not found for this user` });
+    }
+    if (adapter.refresh) {
+      account = await adapter.refresh(uid, account);
+    }
+
+    const status = await adapter.getStatus({ uid, account, remotePostId });
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error(`[SOCIAL ROUTE] ${adapter.name} status error:`, error?.message);
+    res.status(500).json({ success: false, error: 'Failed to get post status: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+module.exports = router;
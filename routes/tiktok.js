@@ -5,19 +5,36 @@ const tiktokService = require('../services/tiktokService');
 const userService = require('../services/userService');
 const axios = require('axios');
 const crypto = require('crypto');
+const { auth, requireInternal } = require('../middleware/auth');
+const { shouldSkipOwnership, requireQueryOwner } = require('../middleware/ownership');
+const oauthSessionService = require('../services/oauthSessionService');
+const { getPlatform } = require('../services/platforms');
+const { needsReconnect } = require('../services/accountHealthService');
 
 // --- getAuthUrl, callback, getUserInfo routes remain the same ---
 // --- (Code for those routes omitted for brevity, but keep them in your actual file) ---
-// Get TikTok auth URL
-router.get('/auth', (req, res) => {
+
+// Redirect back to the frontend TikTok page with the outcome of the connect flow
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${process.env.FRONTEND_URL}/tiktok?${new URLSearchParams(params).toString()}`);
+};
+
+// Get TikTok auth URL for the authenticated user.
+// The state is signed and bound to the user's Firebase UID; the PKCE verifier stays on the server.
+router.get('/auth', auth, async (req, res) => {
   try {
-    // Add force_login=true to allow switching accounts
-    const authUrl = tiktokService.getAuthUrl({
-      forceLogin: true,
-      state: Math.random().toString(36).substring(2)
-    });
+    // In BYPASS_AUTH development mode there is no req.user, so the UID can be passed as a query param
+    const uid = req.user?.uid || (shouldSkipOwnership(req) ? req.query.userId : undefined);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+
+    const { authUrl } = await getPlatform('tiktok').connect({ uid });
 
-    // Instead of sending JSON, redirect directly to TikTok
+    // API clients get the URL to navigate to, browsers are redirected directly to TikTok
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.status(200).json({ success: true, authUrl });
+    }
     res.redirect(authUrl);
   } catch (error) {
     console.error('Auth URL error:', error?.message);
@@ -36,20 +53,29 @@ router.get('/callback', async (req, res) => {
     // Handle error from TikTok
     if (error) {
       console.error('TikTok auth error:', error, error_description);
-      return res.redirect(`${process.env.FRONTEND_URL}/tiktok?connection_error=${encodeURIComponent(error_description || 'Authentication failed')}`);
+      return redirectToFrontend(res, { connection_error: error_description || 'Authentication failed' });
     }
 
     if (!code) {
       console.error('No authorization code provided');
-      return res.redirect(`${process.env.FRONTEND_URL}/tiktok?error=${encodeURIComponent('No authorization code provided')}`);
+      return redirectToFrontend(res, { error: 'No authorization code provided' });
     }
 
-    console.log('Processing callback with code:', code);
-    const tokenData = await tiktokService.getAccessToken(code);
+    // The state must be one we issued, for a flow that is still open
+    let session;
+    try {
+      session = await oauthSessionService.consumeOAuthSession('tiktok', state);
+    } catch (stateError) {
+      console.error('TikTok callback rejected:', stateError?.message);
+      return redirectToFrontend(res, { connection_error: 'The connection request is invalid or has expired. Please try again.' });
+    }
+
+    console.log(`Processing TikTok callback for user ${session.uid}`);
+    const tokenData = await tiktokService.getAccessToken(code, session.codeVerifier);
 
-    if (!tokenData || tokenData.error) {
+    if (!tokenData || tokenData.error || !tokenData.access_token) {
       console.error('Token exchange failed:', tokenData?.error || 'Unknown error');
-      return res.redirect(`${process.env.FRONTEND_URL}/tiktok?connection_error=${encodeURIComponent(tokenData?.error_description || 'Token exchange failed')}`);
+      return redirectToFrontend(res, { connection_error: tokenData?.error_description || 'Token exchange failed' });
     }
 
     // Check if user.info.basic scope was granted
@@ -61,9 +87,10 @@ router.get('/callback', async (req, res) => {
     }
 
     // Fetch user information immediately after getting the token
+    let userInfo = null;
     try {
       console.log('Attempting to fetch TikTok user info with received token');
-      const userInfo = await tiktokService.getUserInfo(tokenData.access_token, tokenData.refresh_token);
+      userInfo = await tiktokService.getUserInfo(tokenData.access_token, tokenData.refresh_token);
 
       console.log('User info retrieved successfully:', {
         hasUsername: !!userInfo?.username,
@@ -71,32 +98,40 @@ router.get('/callback', async (req, res) => {
         hasAvatarUrl: !!userInfo?.avatar_url,
         hasAvatarUrl100: !!userInfo?.avatar_url_100
       });
+    } catch (userInfoError) {
+      // Continue without a profile, the account can still post
+      console.error('Error fetching user info after token exchange:', userInfoError?.message);
+    }
 
-      // Redirect to frontend with access token and user info as query parameters
-      const redirectParams = new URLSearchParams({
-        access_token: tokenData.access_token,
-        open_id: tokenData.open_id,
-        refresh_token: tokenData.refresh_token || '',
-        ...(userInfo ? { user_info: encodeURIComponent(JSON.stringify(userInfo)) } : {})
-      });
+    const account = {
+      openId: tokenData.open_id,
+      username: userInfo?.username || '',
+      displayName: userInfo?.display_name || '',
+      avatarUrl: userInfo?.avatar_url || '',
+      avatarUrl100: userInfo?.avatar_url_100 || ''
+    };
 
-      const redirectUrl = `${process.env.FRONTEND_URL}/tiktok?${redirectParams.toString()}&auth_success=true`;
-      res.redirect(redirectUrl);
-    } catch (userInfoError) {
-      console.error('Error fetching user info after token exchange:', userInfoError);
-      console.error('Error details:', userInfoError?.response?.data || userInfoError?.message);
-
-      // Continue with the redirect even if user info fetch fails
-       // Pass open_id and tokens even if user info fails
-        const redirectParams = new URLSearchParams({
-            access_token: tokenData.access_token,
-            open_id: tokenData.open_id,
-            refresh_token: tokenData.refresh_token || '',
-            user_info_error: encodeURIComponent(userInfoError.message || 'Failed to fetch profile')
-        });
-       const redirectUrl = `${process.env.FRONTEND_URL}/tiktok?${redirectParams.toString()}`;
-      res.redirect(redirectUrl);
+    // Store the tokens on the user who started the flow; they never reach the browser
+    try {
+      await userService.updateSocialMediaTokens(session.uid, 'tiktok', [{
+        ...account,
+        accessToken: tokenData.access_token,
+        refreshToken: tokenData.refresh_token
+      }]);
+    } catch (saveError) {
+      console.error(`Failed to save TikTok account ${account.openId} for user ${session.uid}:`, saveError?.message);
+      const message = saveError?.message?.startsWith('Account limit reached')
+        ? saveError.message
+        : 'Failed to save the TikTok account. Please try again.';
+      return redirectToFrontend(res, { connection_error: message });
     }
+
+    console.log(`TikTok account ${account.openId} connected for user ${session.uid}`);
+    redirectToFrontend(res, {
+      auth_success: 'true',
+      account: JSON.stringify(account),
+      ...(userInfo ? {} : { user_info_error: 'Failed to fetch profile' })
+    });
   } catch (error) {
     console.error('Auth callback error:', error?.message);
     res.redirect(`${process.env.FRONTEND_URL}/tiktok?connection_error=${encodeURIComponent('Authentication failed: ' + (error?.message || 'Unknown error'))}`);
@@ -105,9 +140,10 @@ router.get('/callback', async (req, res) => {
 
 
 // POST /tiktok/post-video (Single Account Post)
-router.post('/post-video', async (req, res) => {
+// Only the publishing queue calls it (requireInternal), for body.userId
+router.post('/post-video', requireInternal, async (req, res) => {
   try {
-    const { videoUrl, accessToken, refreshToken, caption, userId, accountId } = req?.body || {};
+    const { videoUrl, accessToken, refreshToken, caption, userId, accountId, settings } = req?.body || {};
     let finalAccessToken = accessToken;
     let finalRefreshToken = refreshToken;
     let finalUserId = userId;
@@ -125,9 +161,9 @@ router.post('/post-video', async (req, res) => {
     if (finalUserId) {
       try {
         console.log(`[TIKTOK ROUTE - POST] Looking up tokens for user ${finalUserId}`);
-        const user = await User.findOne({ uid: finalUserId });
+        const tiktokAccounts = await userService.getSocialMediaTokens(finalUserId, 'tiktok');
 
-        if (!user || !user.providerData?.tiktok?.length) {
+        if (!tiktokAccounts?.length) {
           console.error(`[TIKTOK ROUTE - POST] No TikTok accounts found for user ${finalUserId} in DB.`);
           return res.status(404).json({ success: false, error: 'No TikTok accounts found for user.' });
         }
@@ -135,7 +171,7 @@ router.post('/post-video', async (req, res) => {
         let dbAccount;
         if (finalOpenId) {
           // Find the specific account requested
-          dbAccount = user.providerData.tiktok.find(acc => acc.openId === finalOpenId);
+          dbAccount = tiktokAccounts.find(acc => acc.openId === finalOpenId);
           if (!dbAccount) {
             console.error(`[TIKTOK ROUTE - POST] Account ${finalOpenId} not found for user ${finalUserId}.`);
             return res.status(404).json({ success: false, error: `TikTok account ${finalOpenId} not found.` });
@@ -143,7 +179,7 @@ router.post('/post-video', async (req, res) => {
            console.log(`[TIKTOK ROUTE - POST] Found specific account ${finalOpenId} for user ${finalUserId}.`);
         } else {
           // If no specific accountId, use the first one (maintaining previous behavior)
-          dbAccount = user.providerData.tiktok[0];
+          dbAccount = tiktokAccounts[0];
           finalOpenId = dbAccount.openId; // Set the openId for potential token update later
           console.log(`[TIKTOK ROUTE - POST] No specific accountId provided, using first account: ${finalOpenId}`);
         }
@@ -178,7 +214,9 @@ router.post('/post-video', async (req, res) => {
         videoUrl,
         finalAccessToken,
         caption,
-        finalRefreshToken // Pass the refresh token
+        finalRefreshToken, // Pass the refresh token
+        settings, // Privacy level, interactions, cover and disclosures of the post
+        { uid: finalUserId, accountId: finalOpenId } // Record the account's health when it is known
       );
 
       // Check if tokens were refreshed during the posting process
@@ -224,7 +262,11 @@ router.post('/post-video', async (req, res) => {
       let userMessage = `Failed to post video to TikTok: ${postError.message || 'Unknown error'}`;
 
 
-       if (postError.message?.includes('reconnect your TikTok account')) {
+       if (postError.code === 'post_settings_not_allowed') {
+           statusCode = 400;
+           errorCode = 'TIKTOK_INVALID_SETTINGS';
+           userMessage = postError.message;
+       } else if (postError.message?.includes('reconnect your TikTok account')) {
            statusCode = 401; // Unauthorized
            errorCode = 'TIKTOK_AUTH_ERROR';
            userMessage = 'TikTok authorization failed or token expired. Please reconnect your TikTok account.';
@@ -248,6 +290,7 @@ router.post('/post-video', async (req, res) => {
         success: false,
         error: userMessage,
         code: errorCode,
+        retryable: tiktokService.classifyTikTokError(postError).retryable, // Lets the scheduler decide whether to retry
          details: postError.message // Include original message for debugging if needed
       });
     }
@@ -259,9 +302,9 @@ router.post('/post-video', async (req, res) => {
 
 
 // POST /tiktok/post-video-multi
-router.post('/post-video-multi', async (req, res) => {
+router.post('/post-video-multi', requireInternal, async (req, res) => {
   try {
-    const { videoUrl, accounts, caption, userId } = req?.body || {};
+    const { videoUrl, accounts, caption, userId, settings } = req?.body || {};
 
     console.log('[TIKTOK ROUTE - MULTI] Received multi-post request. UserID:', userId, 'Accounts:', accounts?.length);
 
@@ -278,12 +321,11 @@ router.post('/post-video-multi', async (req, res) => {
     try {
       // Fetch all TikTok accounts for the user from DB once
       console.log(`[TIKTOK ROUTE - MULTI] Fetching all TikTok tokens for user ${userId} from DB.`);
-      const User = require('../models/User'); // Ensure model is required
-      const user = await User.findOne({ uid: userId });
-      if (!user || !user.providerData?.tiktok?.length) {
+      const tiktokAccounts = await userService.getSocialMediaTokens(userId, 'tiktok');
+      if (!tiktokAccounts?.length) {
         throw new Error('No TikTok accounts found in database for user.');
       }
-      dbAccounts = user.providerData.tiktok;
+      dbAccounts = tiktokAccounts;
       console.log(`[TIKTOK ROUTE - MULTI] Found ${dbAccounts.length} accounts in DB.`);
     } catch (dbError) {
       console.error('[TIKTOK ROUTE - MULTI] Error fetching user accounts from DB:', dbError);
@@ -326,7 +368,9 @@ router.post('/post-video-multi', async (req, res) => {
           videoUrl,
           dbAccount.accessToken,
           caption,
-          dbAccount.refreshToken // Pass the refresh token from DB
+          dbAccount.refreshToken, // Pass the refresh token from DB
+          settings,
+          { uid: userId, accountId }
         );
 
         results.push({
@@ -416,86 +460,87 @@ router.post('/post-video-multi', async (req, res) => {
 });
 
 
-// GET /tiktok/user-info
-router.get('/user-info', async (req, res) => {
-  try {
-    const accessToken = req.headers.authorization?.split('Bearer ')?.[1];
-    const refreshToken = req.headers['x-refresh-token']; // Get refresh token from custom header
+// Connected TikTok account of a user with its tokens (the first one without accountId)
+const findAccount = async (uid, accountId) => {
+  const accounts = await userService.getSocialMediaTokens(uid, 'tiktok');
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    return null;
+  }
+  return accountId ? accounts.find(account => account.openId === accountId) : accounts[0];
+};
 
-    if (!accessToken) {
-      return res.status(401).json({ error: 'No access token provided' });
+// GET /tiktok/user-info?accountId=<open id>
+// Checks a connected account of the authenticated user with its stored tokens and records the outcome on it
+router.get('/user-info', auth, requireQueryOwner('userId'), async (req, res) => {
+  try {
+    const { userId, accountId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID is required' });
     }
 
-    // Add CORS headers
-    res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'https://sociallane-frontend.mindio.chat');
-    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Authorization, X-Refresh-Token, Content-Type');
-    res.header('Access-Control-Allow-Credentials', 'true');
-
-    // Handle preflight request
-    if (req.method === 'OPTIONS') {
-      return res.status(200).end();
+    let account = await findAccount(userId, accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'TikTok account not found for this user' });
+    }
+    if (!account.accessToken || needsReconnect(account)) {
+      return res.status(401).json({ success: false, error: 'Invalid TikTok account credentials. Please reconnect.', code: 'RECONNECT_REQUIRED' });
     }
 
-
-    // Try to get user info
-    let userInfo = null;
-     let needsReconnect = false;
-     let errorMessage = 'Failed to get user info';
-
+    account = await getPlatform('tiktok').refresh(userId, account);
 
     try {
-       userInfo = await tiktokService.getUserInfo(accessToken, refreshToken);
-     } catch (error) {
-         console.warn("[TIKTOK ROUTE - USER INFO] Initial getUserInfo failed:", error.message);
-         // Check if it's an expired token error and we have a refresh token
-          if (error.message?.includes('expired') && refreshToken) {
-             console.log("[TIKTOK ROUTE - USER INFO] Access token expired, attempting refresh...");
-             try {
-                 const refreshed = await tiktokService.refreshTikTokToken(refreshToken);
-                 console.log("[TIKTOK ROUTE - USER INFO] Refresh successful, retrying getUserInfo...");
-                 // Retry getUserInfo with the new token
-                 userInfo = await tiktokService.getUserInfo(refreshed.accessToken, refreshed.refreshToken);
-                  // Optionally: Update the user's tokens in the database here if needed,
-                  // though usually this is done during posting actions.
-             } catch (refreshError) {
-                 console.error("[TIKTOK ROUTE - USER INFO] Token refresh failed:", refreshError.message);
-                 if (refreshError.message.includes('reconnect your TikTok account')) {
-                    needsReconnect = true;
-                     errorMessage = refreshError.message; // Use the specific error from refresh
-                 } else {
-                     errorMessage = `Failed to get user info after token refresh attempt: ${refreshError.message}`;
-                 }
-             }
-          } else if (error.message?.includes('invalid')) {
-              needsReconnect = true;
-              errorMessage = 'TikTok authorization invalid. Please reconnect your account.';
-          }
-          else {
-             // Use the original error message if not a token issue or no refresh token
-              errorMessage = `Failed to get user info: ${error.message || 'Unknown error'}`;
-          }
-     }
-
+      const userInfo = await tiktokService.getUserInfo(account.accessToken, account.refreshToken, { uid: userId, accountId: account.openId });
+      res.json({ success: true, data: userInfo });
+    } catch (error) {
+      // The call recorded the account's health, re-read it to tell the user whether to reconnect
+      const checkedAccount = await findAccount(userId, account.openId);
+      if (needsReconnect(checkedAccount)) {
+        return res.status(401).json({ success: false, error: error?.message, code: 'RECONNECT_REQUIRED' });
+      }
+      res.status(500).json({ success: false, error: 'Failed to get user info: ' + (error?.message || 'Unknown error') });
+    }
+  } catch (error) {
+    console.error('[TIKTOK ROUTE] Error getting user info:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to get user info: ' + (error?.message || 'Unknown error') });
+  }
+});
 
-     if (needsReconnect) {
-        return res.status(401).json({ error: errorMessage, code: 'RECONNECT_REQUIRED' });
-     }
+// GET /tiktok/creator-info?accountId=<open id>
+// Options the creator can post with (privacy levels, turned off interactions, maximum duration),
+// to show in the post form and to check Post.tiktok_settings against
+router.get('/creator-info', auth, async (req, res) => {
+  try {
+    // In BYPASS_AUTH development mode there is no req.user, so the UID can be passed as a query param
+    const uid = req.user?.uid || (shouldSkipOwnership(req) ? req.query.userId : undefined);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
 
+    let account = await findAccount(uid, req.query.accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'TikTok account not found for this user' });
+    }
+    if (!account.accessToken || needsReconnect(account)) {
+      return res.status(401).json({ success: false, error: 'Invalid TikTok account credentials. Please reconnect.', code: 'RECONNECT_REQUIRED' });
+    }
 
-    if (!userInfo) {
-         return res.status(500).json({ error: errorMessage });
-     }
+    account = await getPlatform('tiktok').refresh(uid, account);
 
-    res.json({ data: userInfo });
+    try {
+      const creatorInfo = await tiktokService.getCreatorInfo(account.accessToken, { uid, accountId: account.openId });
+      res.json({ success: true, data: { accountId: account.openId, ...creatorInfo } });
+    } catch (error) {
+      // The call recorded the account's health, re-read it to tell the user whether to reconnect
+      const checkedAccount = await findAccount(uid, account.openId);
+      if (needsReconnect(checkedAccount)) {
+        return res.status(401).json({ success: false, error: error?.message, code: 'RECONNECT_REQUIRED' });
+      }
+      res.status(500).json({ success: false, error: 'Failed to get creator info: ' + (error?.message || 'Unknown error'), code: error?.code });
+    }
   } catch (error) {
-     // This catch block might be redundant now but keep for safety
-    console.error('Error getting user info in route:', error?.message);
-     let statusCode = 500;
-     if (error.message?.includes('reconnect')) statusCode = 401;
-    res.status(statusCode).json({ error: 'Failed to get user info: ' + (error?.message || 'Unknown error') });
+    console.error('[TIKTOK ROUTE] Error getting creator info:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to get creator info: ' + (error?.message || 'Unknown error') });
   }
 });
 
-
 module.exports = router;
\ No newline at end of file
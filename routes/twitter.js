@@ -2,14 +2,53 @@ const express = require('express');
 const router = express.Router();
 const twitterService = require('../services/twitterService');
 const userService = require('../services/userService');
+const oauthSessionService = require('../services/oauthSessionService');
+const { auth, requireInternal } = require('../middleware/auth');
+const { shouldSkipOwnership, requireQueryOwner } = require('../middleware/ownership');
+const { encryptToken, decryptToken } = require('../utils/tokenEncryption');
+const { getPlatform } = require('../services/platforms');
 const { TwitterApi } = require('twitter-api-v2');
 
-// Store request tokens temporarily (in a real app, use a database or session)
-const requestTokens = new Map();
+// Redirect the browser back to the frontend Twitter page with the given query parameters
+const redirectToFrontend = (res, params) => {
+  const query = new URLSearchParams(params).toString();
+  return res.redirect(`${process.env.FRONTEND_URL}/twitter?${query}`);
+};
+
+// Separate the tokens refreshed by twitterService from its result, they are not sent back to the caller
+const splitRefreshedTokens = (result) => {
+  const { refreshed, newAccessToken, newRefreshToken, tokenExpiresAt, ...data } = result || {};
+  return {
+    data,
+    refreshedTokens: refreshed ? { accessToken: newAccessToken, refreshToken: newRefreshToken, tokenExpiresAt } : null
+  };
+};
+
+// Store OAuth 2.0 tokens refreshed while posting. Twitter has already invalidated the old refresh token.
+const storeRefreshedTokens = async (uid, accountId, tokens) => {
+  if (!tokens) return;
+
+  if (!uid || !accountId) {
+    console.warn('Twitter tokens were refreshed for an account that is not stored, they cannot be saved');
+    return;
+  }
+
+  console.log(`Twitter tokens were refreshed for account ${accountId}, storing them`);
+  const updated = await userService.updateTwitterTokens(uid, accountId, tokens);
+  if (!updated) {
+    console.error(`Failed to store refreshed Twitter tokens of account ${accountId} for user ${uid}`);
+  }
+};
 
 // Get Twitter auth URL
-router.get('/auth', async (req, res) => {
+router.get('/auth', auth, async (req, res) => {
   try {
+    // The connected account is stored on the user who starts the flow
+    const uid = req.user?.uid || (shouldSkipOwnership(req) ? req.query?.userId : null);
+    if (!uid) {
+      return res.status(400).json({ error: 'User ID is required to connect a Twitter account' });
+    }
+
     const authResult = await twitterService.getAuthUrl();
     
     if (!authResult?.oauth_token) {
@@ -21,13 +60,11 @@ router.get('/auth', async (req, res) => {
     
     console.log('Generated Twitter Auth URL:', url);
     
-    // Store the oauth token secret for this oauth token
-    requestTokens.set(oauth_token, oauth_token_secret);
-    
-    // Set a timeout to clean up the request token after 10 minutes
-    setTimeout(() => {
-      requestTokens.delete(oauth_token);
-    }, 10 * 60 * 1000);
+    // Keep the request token secret server-side until the callback, bound to this user
+    await oauthSessionService.startOAuthSession('twitter', uid, {
+      requestToken: oauth_token,
+      requestTokenSecret: encryptToken(oauth_token_secret)
+    });
     
     res.json({ authUrl: url, oauth_token });
   } catch (error) {
@@ -44,112 +81,45 @@ router.get('/callback', async (req, res) => {
     console.log('Twitter callback received:', { 
       hasOauthToken: !!oauth_token,
       hasOauthVerifier: !!oauth_verifier,
-      denied: denied || 'none',
-      tokenLength: oauth_token?.length,
-      verifierLength: oauth_verifier?.length,
-      query: JSON.stringify(req.query)
+      denied: denied || 'none'
     });
     
     // Handle user denying the app
     if (denied) {
-      console.error('Twitter auth denied by user:', denied);
-      return res.redirect(`${process.env.FRONTEND_URL}/twitter?error=${encodeURIComponent('Authentication was denied')}`);
+      console.error('Twitter auth denied by user');
+      // Twitter sends the request token in the denied parameter, its session is no longer needed
+      await oauthSessionService.consumeOAuthSessionByRequestToken('twitter', denied).catch(() => null);
+      return redirectToFrontend(res, { error: 'Authentication was denied' });
     }
     
     if (!oauth_token || !oauth_verifier) {
       console.error('Missing required OAuth parameters');
-      console.error('Query parameters:', req.query);
-      console.error('URL:', req.originalUrl);
-      return res.redirect(`${process.env.FRONTEND_URL}/twitter?error=${encodeURIComponent('Missing required authentication parameters')}`);
+      return redirectToFrontend(res, { error: 'Missing required authentication parameters' });
     }
     
-    // Check if the token exists in our storage
-    if (!requestTokens.has(oauth_token)) {
-      console.error('Invalid or expired OAuth token:', oauth_token);
-      console.error('Available tokens:', Array.from(requestTokens.keys()));
-      
-      // Count how many tokens we have stored
-      console.log('Number of tokens in storage:', requestTokens.size);
-      
-      return res.redirect(`${process.env.FRONTEND_URL}/twitter?error=${encodeURIComponent('Invalid or expired authorization session. Please try again.')}`);
+    // Find the session of the user who started the flow for this request token
+    let session;
+    try {
+      session = await oauthSessionService.consumeOAuthSessionByRequestToken('twitter', oauth_token);
+    } catch (sessionError) {
+      console.error('Invalid or expired OAuth token:', sessionError?.message);
+      return redirectToFrontend(res, { error: 'Invalid or expired authorization session. Please try again.' });
     }
     
-    console.log('Processing callback with OAuth token:', oauth_token);
-    console.log('OAuth token found in storage');
+    console.log(`Processing Twitter callback for user ${session.uid}`);
     
-    const tokenSecret = requestTokens.get(oauth_token);
+    const tokenSecret = decryptToken(session.requestTokenSecret);
     if (!tokenSecret) {
-      console.error('Request token missing');
-      return res.redirect(`${process.env.FRONTEND_URL}/twitter?error=${encodeURIComponent('Request token missing')}`);
+      console.error('Request token secret missing');
+      return redirectToFrontend(res, { error: 'Request token missing' });
     }
     
+    let tokenData;
     try {
-      const tokenData = await twitterService.getAccessToken(oauth_token, oauth_verifier, tokenSecret);
-      
-      if (!tokenData?.access_token || !tokenData?.access_token_secret) {
-        console.error('Token exchange failed:', tokenData?.error || 'Unknown error');
-        return res.redirect(`${process.env.FRONTEND_URL}/twitter?error=${encodeURIComponent('Failed to obtain access tokens. Please try again.')}`);
-      }
-      
-      console.log('Token exchange successful, received tokens:', {
-        hasAccessToken: !!tokenData.access_token,
-        hasAccessTokenSecret: !!tokenData.access_token_secret,
-        accessTokenPrefix: tokenData.access_token ? tokenData.access_token.substring(0, 5) + '...' : 'missing',
-        accessTokenSecretPrefix: tokenData.access_token_secret ? tokenData.access_token_secret.substring(0, 5) + '...' : 'missing',
-        userId: tokenData.user_id,
-        username: tokenData.username
-      });
-      
-      // Clean up the request token
-      requestTokens.delete(oauth_token);
-      
-      // Attempt to get user profile data
-      let profileData = {};
-      try {
-        console.log('Fetching additional user profile data...');
-        const userInfo = await twitterService.getUserInfo(tokenData.access_token, tokenData.access_token_secret);
-        
-        console.log('User profile data fetched:', {
-          hasName: !!userInfo?.name,
-          hasProfileImage: !!userInfo?.profile_image_url,
-          name: userInfo?.name || 'Not available',
-          profileImage: userInfo?.profile_image_url ? userInfo.profile_image_url.substring(0, 30) + '...' : 'Not available'
-        });
-        
-        if (userInfo) {
-          profileData = {
-            name: userInfo.name || tokenData.username, // Use username as fallback if name not available
-            profile_image_url: userInfo.profile_image_url || ''
-          };
-        }
-      } catch (profileError) {
-        console.warn('Could not fetch Twitter user profile data:', profileError.message);
-        // Use username as fallback for name if profile fetch fails
-        profileData = {
-          name: tokenData.username || '',
-          profile_image_url: ''
-        };
-      }
-      
-      console.log('Final user data being sent to frontend:', {
-        userId: tokenData.user_id,
-        username: tokenData.username,
-        name: profileData.name,
-        hasProfileImage: !!profileData.profile_image_url
-      });
-      
-      // Redirect to frontend with access token as a query parameter
-      // In production, you should use a more secure method to transfer the token
-      const redirectUrl = `${process.env.FRONTEND_URL}/twitter?access_token=${encodeURIComponent(tokenData.access_token)}&access_token_secret=${encodeURIComponent(tokenData.access_token_secret || '')}&user_id=${encodeURIComponent(tokenData.user_id || '')}&username=${encodeURIComponent(tokenData.username || '')}&name=${encodeURIComponent(profileData.name || '')}&profile_image_url=${encodeURIComponent(profileData.profile_image_url || '')}`;
-      
-      console.log('Redirecting to frontend with token data');
-      res.redirect(redirectUrl);
+      tokenData = await twitterService.getAccessToken(oauth_token, oauth_verifier, tokenSecret);
     } catch (exchangeError) {
       console.error('Token exchange error:', exchangeError?.message);
       
-      // Clean up the request token on error
-      requestTokens.delete(oauth_token);
-      
       if (exchangeError?.message?.includes('401') || exchangeError?.message?.includes('authentication failed')) {
         console.error('Twitter API credentials may be invalid or expired');
         
@@ -159,47 +129,195 @@ router.get('/callback', async (req, res) => {
           hasApiSecret: !!process.env.TWITTER_API_SECRET
         });
         
-        return res.redirect(`${process.env.FRONTEND_URL}/twitter?error=${encodeURIComponent('Twitter authentication failed. The application\'s API access may have changed. Please try again later.')}`);
+        return redirectToFrontend(res, { error: 'Twitter authentication failed. The application\'s API access may have changed. Please try again later.' });
       }
       
-      return res.redirect(`${process.env.FRONTEND_URL}/twitter?error=${encodeURIComponent('Authentication failed: ' + (exchangeError?.message || 'Unknown error'))}`);
+      return redirectToFrontend(res, { error: 'Authentication failed: ' + (exchangeError?.message || 'Unknown error') });
+    }
+    
+    if (!tokenData?.access_token || !tokenData?.access_token_secret) {
+      console.error('Token exchange failed:', tokenData?.error || 'Unknown error');
+      return redirectToFrontend(res, { error: 'Failed to obtain access tokens. Please try again.' });
+    }
+    
+    console.log('Token exchange successful:', {
+      userId: tokenData.user_id,
+      username: tokenData.username
+    });
+    
+    // Attempt to get user profile data (getUserInfo returns empty fields if it fails)
+    console.log('Fetching additional user profile data...');
+    const userInfo = await twitterService.getUserInfo({
+      tokenType: twitterService.TWITTER_TOKEN_TYPES.OAUTH1,
+      accessToken: tokenData.access_token,
+      accessTokenSecret: tokenData.access_token_secret
+    });
+    
+    const account = {
+      userId: tokenData.user_id,
+      username: tokenData.username,
+      name: userInfo?.name || tokenData.username || '', // Use username as fallback if name not available
+      profileImageUrl: userInfo?.profile_image_url || ''
+    };
+    
+    // Store the account with its tokens on the user who started the flow
+    try {
+      await userService.updateSocialMediaTokens(session.uid, 'twitter', [{
+        ...account,
+        tokenType: twitterService.TWITTER_TOKEN_TYPES.OAUTH1,
+        accessToken: tokenData.access_token,
+        accessTokenSecret: tokenData.access_token_secret
+      }]);
+    } catch (saveError) {
+      console.error(`Failed to save Twitter account ${account.userId} for user ${session.uid}:`, saveError?.message);
+      const message = saveError?.message?.startsWith('Account limit reached')
+        ? saveError.message
+        : 'Failed to save the Twitter account. Please try again.';
+      return redirectToFrontend(res, { error: message });
     }
+    
+    console.log(`Twitter account ${account.userId} connected for user ${session.uid}`);
+    
+    // Only the public profile goes back to the frontend, the tokens stay on the server
+    redirectToFrontend(res, {
+      auth_success: 'true',
+      account: JSON.stringify(account)
+    });
   } catch (error) {
     console.error('Auth callback error:', error?.message);
-    res.redirect(`${process.env.FRONTEND_URL}/twitter?error=${encodeURIComponent('Authentication failed: ' + (error?.message || 'Unknown error'))}`);
+    redirectToFrontend(res, { error: 'Authentication failed: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+// Get Twitter OAuth 2.0 auth URL (Authorization Code flow with PKCE)
+router.get('/oauth2/auth', auth, async (req, res) => {
+  try {
+    // The connected account is stored on the user who starts the flow
+    const uid = req.user?.uid || (shouldSkipOwnership(req) ? req.query?.userId : null);
+    if (!uid) {
+      return res.status(400).json({ error: 'User ID is required to connect a Twitter account' });
+    }
+
+    // The code verifier stays on the server until the callback
+    const { authUrl } = await getPlatform('twitter').connect({ uid });
+
+    console.log('Generated Twitter OAuth 2.0 Auth URL');
+    res.json({ authUrl });
+  } catch (error) {
+    console.error('OAuth 2.0 auth URL error:', error?.message);
+    res.status(500).json({ error: 'Failed to generate auth URL: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+// Twitter OAuth 2.0 callback
+router.get('/oauth2/callback', async (req, res) => {
+  try {
+    const { code, state, error, error_description } = req?.query || {};
+
+    console.log('Twitter OAuth 2.0 callback received:', {
+      hasCode: !!code,
+      hasState: !!state,
+      error: error || 'none'
+    });
+
+    if (error) {
+      console.error('Twitter OAuth 2.0 error:', error, error_description);
+      return redirectToFrontend(res, { error: error === 'access_denied' ? 'Authentication was denied' : (error_description || 'Authentication failed') });
+    }
+
+    if (!code) {
+      return redirectToFrontend(res, { error: 'Missing required authentication parameters' });
+    }
+
+    // Only a state issued by /oauth2/auth, for the user who started the flow, is accepted
+    let session;
+    try {
+      session = await oauthSessionService.consumeOAuthSession('twitter', state);
+    } catch (sessionError) {
+      console.error('Invalid Twitter OAuth 2.0 state:', sessionError?.message);
+      return redirectToFrontend(res, { error: 'Invalid or expired authorization session. Please try again.' });
+    }
+
+    let tokenData;
+    try {
+      tokenData = await twitterService.getOAuth2AccessToken(code, session.codeVerifier);
+    } catch (exchangeError) {
+      console.error('Token exchange error:', exchangeError?.message);
+      return redirectToFrontend(res, { error: 'Authentication failed: ' + (exchangeError?.message || 'Unknown error') });
+    }
+
+    const account = {
+      userId: tokenData.user_id,
+      username: tokenData.username,
+      name: tokenData.name || tokenData.username || '',
+      profileImageUrl: tokenData.profile_image_url || ''
+    };
+
+    // Store the account with its tokens on the user who started the flow
+    try {
+      await userService.updateSocialMediaTokens(session.uid, 'twitter', [{
+        ...account,
+        tokenType: twitterService.TWITTER_TOKEN_TYPES.OAUTH2,
+        accessToken: tokenData.access_token,
+        refreshToken: tokenData.refresh_token,
+        tokenExpiresAt: tokenData.expires_at,
+        scope: tokenData.scope
+      }]);
+    } catch (saveError) {
+      console.error(`Failed to save Twitter account ${account.userId} for user ${session.uid}:`, saveError?.message);
+      const message = saveError?.message?.startsWith('Account limit reached')
+        ? saveError.message
+        : 'Failed to save the Twitter account. Please try again.';
+      return redirectToFrontend(res, { error: message });
+    }
+
+    console.log(`Twitter account ${account.userId} connected with OAuth 2.0 for user ${session.uid}`);
+
+    redirectToFrontend(res, {
+      auth_success: 'true',
+      account: JSON.stringify(account)
+    });
+  } catch (error) {
+    console.error('OAuth 2.0 callback error:', error?.message);
+    redirectToFrontend(res, { error: 'Authentication failed: ' + (error?.message || 'Unknown error') });
   }
 });
 
 // POST /twitter/post-video
-router.post('/post-video', async (req, res) => {
+// Only the publishing queue calls it (requireInternal), for body.userId
+router.post('/post-video', requireInternal, async (req, res) => {
   try {
     console.log('=== TWITTER POST VIDEO ROUTE START ===');
-    console.log('Request body:', JSON.stringify(req.body || {}, null, 2));
     
-    const { videoUrl, accessToken, accessTokenSecret, text, userId } = req?.body || {};
+    const { videoUrl, accessToken, accessTokenSecret, text, userId, accountId } = req?.body || {};
+    console.log('Request:', { videoUrl, userId, accountId, hasTokens: !!(accessToken && accessTokenSecret), textLength: text?.length || 0 });
     
     if (!videoUrl) {
       console.log('Missing required parameter: videoUrl');
       return res.status(400).json({ error: 'Video URL is required' });
     }
 
-    // Check if we need to get tokens from the database
-    let finalAccessToken = accessToken;
-    let finalAccessTokenSecret = accessTokenSecret;
+    // Tokens in the request are OAuth 1.0a; other accounts are read from the database
+    let credentials = accessToken && accessTokenSecret
+      ? { tokenType: twitterService.TWITTER_TOKEN_TYPES.OAUTH1, accessToken, accessTokenSecret }
+      : null;
+    let finalAccountId = accountId; // Twitter userId of the account to post with
     
     // If tokens are missing but userId is provided, try to get tokens from the database
-    if ((!finalAccessToken || !finalAccessTokenSecret) && userId) {
+    if (!credentials && userId) {
       console.log(`Tokens not provided in request, retrieving from database for user ${userId}`);
       try {
         const twitterTokens = await userService.getSocialMediaTokens(userId, 'twitter');
         
-        // If there are tokens in the database, use the first account's tokens
+        // If there are tokens in the database, use the requested account or the first account's tokens
         if (twitterTokens && Array.isArray(twitterTokens) && twitterTokens.length > 0) {
-          const firstAccount = twitterTokens[0];
-          if (firstAccount.accessToken && firstAccount.accessTokenSecret) {
+          const firstAccount = accountId
+            ? twitterTokens.find(acc => acc.userId === accountId)
+            : twitterTokens[0];
+          if (twitterService.hasTwitterCredentials(firstAccount)) {
             console.log(`Found Twitter tokens in database for user ${userId} (account: ${firstAccount.username || firstAccount.userId})`);
-            finalAccessToken = firstAccount.accessToken;
-            finalAccessTokenSecret = firstAccount.accessTokenSecret;
+            credentials = firstAccount;
+            finalAccountId = firstAccount.userId;
           }
         } else {
           console.warn(`No Twitter tokens found in database for user ${userId}`);
@@ -210,30 +328,44 @@ router.post('/post-video', async (req, res) => {
     }
     
     // Check if we have the tokens we need
-    if (!finalAccessToken || !finalAccessTokenSecret) {
+    if (!twitterService.hasTwitterCredentials(credentials)) {
       console.log('Missing required parameters after database lookup:', {
         hasVideoUrl: !!videoUrl,
-        hasAccessToken: !!finalAccessToken,
-        hasAccessTokenSecret: !!finalAccessTokenSecret
+        hasAccessToken: !!credentials?.accessToken,
+        hasAccessTokenSecret: !!credentials?.accessTokenSecret
       });
       return res.status(400).json({ error: 'Twitter access token and secret are required' });
     }
 
     console.log('Posting video to Twitter with URL:', videoUrl);
     console.log('Twitter credentials check:', {
-      hasAccessToken: !!finalAccessToken,
-      hasAccessTokenSecret: !!finalAccessTokenSecret,
-      accessTokenPrefix: finalAccessToken ? finalAccessToken.substring(0, 5) + '...' : 'missing',
-      accessTokenSecretPrefix: finalAccessTokenSecret ? finalAccessTokenSecret.substring(0, 5) + '...' : 'missing',
+      tokenType: twitterService.getTwitterTokenType(credentials),
+      hasAccessToken: !!credentials.accessToken,
+      hasAccessTokenSecret: !!credentials.accessTokenSecret,
+      hasRefreshToken: !!credentials.refreshToken,
       userId: userId || 'not provided'
     });
 
-    const result = await twitterService.postMediaTweet(videoUrl, finalAccessToken, text, finalAccessTokenSecret);
+    let result;
+    try {
+      result = await twitterService.postMediaTweet(
+        videoUrl,
+        credentials,
+        text,
+        { uid: userId, accountId: finalAccountId } // Record the account's health when it is known
+      );
+    } catch (postError) {
+      await storeRefreshedTokens(userId, finalAccountId, postError?.refreshedTokens);
+      throw postError;
+    }
+    
+    const { data: tweet, refreshedTokens } = splitRefreshedTokens(result);
+    await storeRefreshedTokens(userId, finalAccountId, refreshedTokens);
     
-    console.log('Twitter post result:', JSON.stringify(result || {}, null, 2));
+    console.log('Twitter post result:', JSON.stringify(tweet, null, 2));
     console.log('=== TWITTER POST VIDEO ROUTE END ===');
     
-    res.status(200).json({ message: 'Video posted successfully', data: result });
+    res.status(200).json({ message: 'Video posted successfully', data: tweet, tokensRefreshed: !!refreshedTokens });
   } catch (error) {
     console.error('=== TWITTER POST VIDEO ROUTE ERROR ===');
     console.error('Error posting video:', error?.message);
@@ -243,16 +375,21 @@ router.post('/post-video', async (req, res) => {
     if (error?.message?.includes('authentication') || error?.message?.includes('Authentication')) {
       return res.status(401).json({ 
         error: 'Twitter authentication failed. Please reconnect your Twitter account and try again.',
-        code: 'TWITTER_AUTH_ERROR'
+        code: 'TWITTER_AUTH_ERROR',
+        retryable: false
       });
     }
     
-    res.status(500).json({ error: 'Failed to post video to Twitter: ' + (error?.message || 'Unknown error') });
+    res.status(500).json({
+      error: 'Failed to post video to Twitter: ' + (error?.message || 'Unknown error'),
+      // Lets the scheduler decide whether to retry
+      retryable: twitterService.classifyTwitterError(error).retryable
+    });
   }
 });
 
 // POST /twitter/post-video-multi
-router.post('/post-video-multi', async (req, res) => {
+router.post('/post-video-multi', requireInternal, async (req, res) => {
   try {
     const { videoUrl, accounts, text, userId } = req?.body || {};
     
@@ -304,6 +441,7 @@ router.post('/post-video-multi', async (req, res) => {
       console.log('Available Twitter accounts in database:', twitterAccounts.map(acc => ({
         userId: acc.userId || acc.user_id,
         username: acc.username || acc.screenName || 'no username',
+        tokenType: twitterService.getTwitterTokenType(acc),
         hasAccessToken: !!acc.accessToken,
         hasAccessTokenSecret: !!acc.accessTokenSecret
       })));
@@ -340,7 +478,7 @@ router.post('/post-video-multi', async (req, res) => {
         }
         
         // Check if we have the tokens
-        if (!dbAccount.accessToken || !dbAccount.accessTokenSecret) {
+        if (!twitterService.hasTwitterCredentials(dbAccount)) {
           console.error(`Missing tokens for Twitter account: ${account.username || account.userId}`);
           results.push({
             accountId: account.userId,
@@ -354,18 +492,28 @@ router.post('/post-video-multi', async (req, res) => {
         console.log(`Using Twitter tokens from database for account ${account.username || account.userId}`);
         
         // Post to Twitter with this account - use postMediaTweet instead of postVideo
-        const result = await twitterService.postMediaTweet(
-          videoUrl, 
-          dbAccount.accessToken,
-          text || '',
-          dbAccount.accessTokenSecret
-        );
+        let result;
+        try {
+          result = await twitterService.postMediaTweet(
+            videoUrl, 
+            dbAccount,
+            text || '',
+            { uid: userId, accountId: dbAccount.userId }
+          );
+        } catch (postError) {
+          await storeRefreshedTokens(userId, dbAccount.userId, postError?.refreshedTokens);
+          throw postError;
+        }
+        
+        const { data: tweet, refreshedTokens } = splitRefreshedTokens(result);
+        await storeRefreshedTokens(userId, dbAccount.userId, refreshedTokens);
         
         results.push({
           accountId: account.userId,
           username: account.username || '',
           success: true,
-          data: result
+          data: tweet,
+          tokensRefreshed: !!refreshedTokens
         });
         
         // Add a small delay between account requests to avoid rate limiting
@@ -407,18 +555,39 @@ router.post('/post-video-multi', async (req, res) => {
   }
 });
 
-// GET /twitter/user-info
-router.get('/user-info', async (req, res) => {
+// GET /twitter/user-info?accountId=<twitter user id>
+// Checks a connected account of the authenticated user, or the OAuth 1.0a tokens in the query
+router.get('/user-info', auth, requireQueryOwner('userId'), async (req, res) => {
   try {
+    const { userId, accountId } = req.query;
     const { accessToken, accessTokenSecret } = req.query;
+    let credentials = accessToken && accessTokenSecret
+      ? { tokenType: twitterService.TWITTER_TOKEN_TYPES.OAUTH1, accessToken, accessTokenSecret }
+      : null;
+    let healthContext;
+    
+    // Check a connected account with its stored tokens, and record the outcome on it
+    if (!credentials && userId && accountId) {
+      const twitterTokens = await userService.getSocialMediaTokens(userId, 'twitter');
+      const account = Array.isArray(twitterTokens) ? twitterTokens.find(acc => acc.userId === accountId) : null;
+      
+      if (!account) {
+        return res.status(404).json({ error: 'Twitter account not found for this user' });
+      }
+      
+      credentials = account;
+      healthContext = { uid: userId, accountId };
+    }
     
-    if (!accessToken || !accessTokenSecret) {
+    if (!twitterService.hasTwitterCredentials(credentials)) {
       return res.status(400).json({ error: 'Access token and access token secret are required' });
     }
     
     console.log('Fetching Twitter user info with tokens');
     
-    const userInfo = await twitterService.getUserInfo(accessToken, accessTokenSecret);
+    const result = await twitterService.getUserInfo(credentials, healthContext);
+    const { data: userInfo, refreshedTokens } = splitRefreshedTokens(result);
+    await storeRefreshedTokens(healthContext?.uid, healthContext?.accountId, refreshedTokens);
     
     if (!userInfo) {
       return res.status(404).json({ error: 'Failed to fetch user info' });
@@ -4,6 +4,20 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const r2Service = require('../services/r2Service');
+const assetsService = require('../services/assetsService');
+const User = require('../models/User');
+const { hasFeature, getAllPlans } = require('../utils/roleLimits');
+const { IMAGE_MIME_TYPES } = require('../services/platforms/media');
+const { getPlatform } = require('../services/platforms');
+const { inspectVideo } = require('../services/videoProcessingService');
+const uploadSessionService = require('../services/uploadSessionService');
+const mediaService = require('../services/mediaService');
+const { assertStorageQuota, reserveStorage } = require('../services/storageQuotaService');
+const { auth, isAuthBypassed } = require('../middleware/auth');
+const { shouldSkipOwnership } = require('../middleware/ownership');
+
+// All upload routes require an authenticated Firebase user
+router.use(auth);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -25,11 +39,15 @@ const storage = multer.diskStorage({
   }
 });
 
+// Largest file any plan allows (-1 is unlimited); checkDeclaredSize and r2Service hold each
+// upload to the plan of its owner
+const MAX_VIDEO_FILE_BYTES = Math.max(...Object.values(getAllPlans()).map(plan => (plan.maxFileBytes === -1 ? Infinity : plan.maxFileBytes)));
+
 // Configure multer with increased limits for large files
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 500 * 1024 * 1024, // 500MB max file size
+    fileSize: MAX_VIDEO_FILE_BYTES,
   },
   fileFilter: function (req, file, cb) {
     // Accept only video files
@@ -50,8 +68,101 @@ const uploadToMemory = multer({
   },
 });
 
+// Images of photo posts are kept in memory and stored in the assets bucket
+const MAX_IMAGES_PER_UPLOAD = 35;
+const IMAGE_EXTENSIONS = Object.fromEntries(Object.entries(IMAGE_MIME_TYPES).map(([ext, mimeType]) => [mimeType, ext]));
+const uploadImages = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB max image size
+    files: MAX_IMAGES_PER_UPLOAD
+  },
+  fileFilter: function (req, file, cb) {
+    if (IMAGE_EXTENSIONS[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${Object.keys(IMAGE_EXTENSIONS).join(', ')} images are allowed`));
+    }
+  }
+});
+
+// Only plans with carousel posts can upload images for photo posts
+const requireCarouselPosts = async (req, res, next) => {
+  try {
+    if (shouldSkipOwnership(req)) {
+      return next();
+    }
+
+    const user = await User.findOne({ uid: req.user?.uid }).select('role');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    const userRole = user.role || 'Starter';
+    if (!hasFeature(userRole, 'carouselPosts')) {
+      return res.status(403).json({
+        success: false,
+        error: `Your ${userRole} plan does not include photo carousel posts. Please upgrade to post images.`,
+        feature: 'carouselPosts'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('[UPLOAD ROUTE] Error checking carousel posts feature:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to check plan features' });
+  }
+};
+
+// Owner of uploaded files in the media library (the development user only with BYPASS_AUTH)
+const getOwner = (req) => req.user?.uid || (isAuthBypassed() ? 'development' : undefined);
+
+// Uploads over the storage quota of the owner's plan are rejected like posts over the post limit
+const isQuotaError = (error) => error?.code === 'STORAGE_LIMIT_REACHED';
+
+const sendQuotaError = (res, error) => res.status(403).json({
+  success: false,
+  error: error.message,
+  limit: error.limit,
+  current: error.current
+});
+
+// Reject a single-file upload whose Content-Length does not fit in the owner's quota before
+// receiving it. r2Service checks the size of the received file again.
+const checkDeclaredSize = async (req, res, next) => {
+  const size = parseInt(req.headers['content-length']);
+  if (!size) {
+    return next();
+  }
+  try {
+    await assertStorageQuota(getOwner(req), size);
+    next();
+  } catch (error) {
+    if (isQuotaError(error)) {
+      return sendQuotaError(res, error);
+    }
+    console.error('[UPLOAD ROUTE] Error checking storage quota:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to check storage quota' });
+  }
+};
+
+// Inspect an uploaded video with ffprobe. Resolves to the response fields media (null if it could
+// not be inspected) and, for the platforms in ?platforms=a,b, the problems of the video on each
+// (url is null for files that are not in R2 yet).
+// Rejects with code INVALID_MEDIA when the file is not a readable video.
+const inspectUploadedVideo = async (req, source, url) => {
+  const media = await inspectVideo(source);
+  const platforms = String(req.query.platforms || '').split(',').map(platform => platform.trim()).filter(Boolean);
+  const problems = {};
+  for (const platform of platforms) {
+    const adapter = getPlatform(platform);
+    if (adapter?.checkMedia) {
+      problems[platform] = adapter.checkMedia({ ...media, videoUrl: url });
+    }
+  }
+  return platforms.length > 0 ? { media, problems } : { media };
+};
+
 // Handle file uploads (new streaming method)
-router.post('/', async (req, res) => {
+router.post('/', checkDeclaredSize, async (req, res) => {
   try {
     console.log('[UPLOAD ROUTE] File upload request received');
     
@@ -171,6 +282,18 @@ router.post('/', async (req, res) => {
           return;
         }
         
+        let inspection;
+        try {
+          inspection = await inspectUploadedVideo(req, tempFilePath, null);
+        } catch (inspectError) {
+          console.error('[UPLOAD ROUTE] Uploaded file is not a video:', inspectError?.message);
+          fs.unlinkSync(tempFilePath);
+          if (!res.headersSent) {
+            return res.status(400).json({ error: inspectError?.message, code: inspectError?.code });
+          }
+          return;
+        }
+
         // Upload the file to R2
         const contentType = req.headers['content-type'] || 'video/mp4';
         const originalFilename = req.headers['x-file-name'] || `video-${uniqueSuffix}.mp4`;
@@ -186,7 +309,8 @@ router.post('/', async (req, res) => {
         const result = await r2Service.uploadFileFromPath(
           tempFilePath,
           originalFilename,
-          contentType
+          contentType,
+          { owner: getOwner(req), name: originalFilename, info: inspection.media }
         );
         
         console.log('[UPLOAD ROUTE] R2 upload result:', result);
@@ -204,7 +328,9 @@ router.post('/', async (req, res) => {
           res.status(200).json({
             success: true,
             url: result.url,
-            key: result.key
+            key: result.key,
+            mediaId: result.mediaId,
+            ...inspection
           });
         }
       } catch (uploadError) {
@@ -220,6 +346,9 @@ router.post('/', async (req, res) => {
         }
         
         if (!res.headersSent) {
+          if (isQuotaError(uploadError)) {
+            return sendQuotaError(res, uploadError);
+          }
           res.status(500).json({ error: 'Error uploading file to R2', details: uploadError?.message });
         }
       }
@@ -236,7 +365,7 @@ router.post('/', async (req, res) => {
 });
 
 // Legacy upload handler using multer (kept for backward compatibility)
-router.post('/multer', upload.single('file'), async (req, res) => {
+router.post('/multer', checkDeclaredSize, upload.single('file'), async (req, res) => {
   try {
     console.log('[UPLOAD ROUTE] File upload request received (legacy)');
     
@@ -252,11 +381,21 @@ router.post('/multer', upload.single('file'), async (req, res) => {
       path: req.file.path
     });
     
+    let inspection;
+    try {
+      inspection = await inspectUploadedVideo(req, req.file.path, null);
+    } catch (inspectError) {
+      console.error('[UPLOAD ROUTE] Uploaded file is not a video:', inspectError?.message);
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: inspectError?.message, code: inspectError?.code });
+    }
+
     // Upload the file to R2
     const result = await r2Service.uploadFileFromPath(
       req.file.path,
       req.file.originalname,
-      req.file.mimetype
+      req.file.mimetype,
+      { owner: getOwner(req), name: req.file.originalname, info: inspection.media }
     );
     
     console.log('[UPLOAD ROUTE] R2 upload result:', result);
@@ -273,14 +412,61 @@ router.post('/multer', upload.single('file'), async (req, res) => {
     res.status(200).json({
       success: true,
       url: result.url,
-      key: result.key
+      key: result.key,
+      mediaId: result.mediaId,
+      ...inspection
     });
   } catch (error) {
     console.error('[UPLOAD ROUTE] Error handling upload:', error?.message);
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    if (isQuotaError(error)) {
+      return sendQuotaError(res, error);
+    }
     res.status(500).json({ error: 'Error uploading file', details: error?.message });
   }
 });
 
+// Upload the images of a photo post (multipart field "images", in carousel order).
+// The response's media array can be sent as the media of POST /posts.
+router.post('/images', requireCarouselPosts, (req, res, next) => {
+  uploadImages.array('images', MAX_IMAGES_PER_UPLOAD)(req, res, (error) => {
+    if (error) {
+      console.error('[UPLOAD ROUTE] Image upload rejected:', error?.message);
+      return res.status(400).json({ success: false, error: error?.message || 'Invalid image upload' });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, error: 'No images uploaded' });
+    }
+
+    console.log(`[UPLOAD ROUTE] Uploading ${req.files.length} images to the assets bucket`);
+
+    const owner = getOwner(req);
+    // All the images must fit, so that none of them is stored when the upload is rejected
+    await assertStorageQuota(owner, req.files.map(file => file.size));
+
+    const media = [];
+    for (const file of req.files) {
+      const fileName = `images/${owner}/${Date.now()}-${Math.random().toString(36).substring(2, 10)}${IMAGE_EXTENSIONS[file.mimetype]}`;
+      const result = await assetsService.uploadAssetBuffer(file.buffer, fileName, file.mimetype, { owner, name: file.originalname });
+      media.push({ type: 'image', url: result.url, key: result.key, mimeType: file.mimetype, size: file.size, mediaId: result.mediaId });
+    }
+
+    res.status(200).json({ success: true, media });
+  } catch (error) {
+    console.error('[UPLOAD ROUTE] Error handling image upload:', error?.message);
+    if (isQuotaError(error)) {
+      return sendQuotaError(res, error);
+    }
+    res.status(500).json({ success: false, error: 'Error uploading images', details: error?.message });
+  }
+});
+
 // Handle URL uploads (download from URL and upload to R2)
 router.post('/from-url', express.json(), async (req, res) => {
   try {
@@ -298,8 +484,25 @@ router.post('/from-url', express.json(), async (req, res) => {
       fileName: fileName || '(auto-generated)'
     });
     
+    // Inspect the source before copying it, so files that are not videos are not stored
+    let inspection;
+    try {
+      inspection = await inspectUploadedVideo(req, url, url);
+    } catch (inspectError) {
+      console.error('[UPLOAD ROUTE] URL is not a video:', inspectError?.message);
+      return res.status(400).json({ error: inspectError?.message, code: inspectError?.code });
+    }
+    // Reject files over the quota before downloading them when ffprobe reported their size
+    if (inspection.media?.size) {
+      await assertStorageQuota(getOwner(req), inspection.media.size);
+    }
+
     // Download from URL and upload to R2
-    const result = await r2Service.uploadFileFromUrl(url, fileName);
+    const result = await r2Service.uploadFileFromUrl(url, fileName, undefined, {
+      owner: getOwner(req),
+      name: fileName || url.split('?')[0].split('/').pop(),
+      info: inspection.media
+    });
     
     console.log('[UPLOAD ROUTE] R2 upload result:', result);
     
@@ -307,12 +510,134 @@ router.post('/from-url', express.json(), async (req, res) => {
     res.status(200).json({
       success: true,
       url: result.url,
-      key: result.key
+      key: result.key,
+      mediaId: result.mediaId,
+      ...inspection
     });
   } catch (error) {
     console.error('[UPLOAD ROUTE] Error handling URL upload:', error?.message);
+    if (isQuotaError(error)) {
+      return sendQuotaError(res, error);
+    }
     res.status(500).json({ error: 'Error uploading from URL', details: error?.message });
   }
 });
 
+// Multipart uploads: the client PUTs the parts of a large video straight to R2 with presigned URLs
+// and can resume an interrupted upload. Sessions belong to the user who started them.
+const getSessionOwner = (req) => (shouldSkipOwnership(req) ? undefined : req.user?.uid);
+
+const sendSessionError = (res, error, message) => {
+  console.error(`[UPLOAD ROUTE] ${message}:`, error?.message);
+  res.status(error?.status || 500).json({
+    success: false,
+    error: error?.status ? error.message : `${message}: ${error?.message}`,
+    code: error?.code,
+    missingParts: error?.missingParts,
+    limit: error?.limit,
+    current: error?.current
+  });
+};
+
+const toSessionResponse = (session) => ({
+  uploadId: session._id,
+  key: session.key,
+  url: session.url,
+  size: session.size,
+  partSize: session.partSize,
+  partCount: session.partCount,
+  status: session.status,
+  expiresAt: session.expiresAt
+});
+
+// POST /upload/multipart ({ fileName, contentType, size })
+// Starts an upload; the response has the part size to split the file with and URLs for the first parts.
+// The declared size must fit in the storage quota (403 otherwise).
+router.post('/multipart', express.json(), async (req, res) => {
+  try {
+    const session = await uploadSessionService.startUploadSession(getOwner(req), req.body || {});
+    const parts = await uploadSessionService.getPartUploadUrls(session);
+    res.status(201).json({ success: true, upload: toSessionResponse(session), parts });
+  } catch (error) {
+    sendSessionError(res, error, 'Error starting multipart upload');
+  }
+});
+
+// GET /upload/multipart/:id
+// State of an upload and the parts R2 has received, to resume it
+router.get('/multipart/:id', async (req, res) => {
+  try {
+    const session = await uploadSessionService.getUploadSession(req.params.id, getSessionOwner(req));
+    const uploadedParts = await uploadSessionService.getUploadedParts(session);
+    res.json({ success: true, upload: toSessionResponse(session), uploadedParts });
+  } catch (error) {
+    sendSessionError(res, error, 'Error getting multipart upload');
+  }
+});
+
+// POST /upload/multipart/:id/parts ({ partNumbers })
+// Presigned URLs for parts (at most 100 per request). The uploaded parts are listed from R2 when the
+// upload is completed, so the client does not keep their ETags.
+router.post('/multipart/:id/parts', express.json(), async (req, res) => {
+  try {
+    const session = await uploadSessionService.getUploadSession(req.params.id, getSessionOwner(req));
+    const parts = await uploadSessionService.getPartUploadUrls(session, req.body?.partNumbers);
+    res.json({ success: true, parts });
+  } catch (error) {
+    sendSessionError(res, error, 'Error generating part upload URLs');
+  }
+});
+
+// POST /upload/multipart/:id/complete(?platforms=a,b)
+// Assembles the parts and inspects the video like the other upload routes
+router.post('/multipart/:id/complete', async (req, res) => {
+  let reservation;
+  try {
+    const session = await uploadSessionService.getUploadSession(req.params.id, getSessionOwner(req));
+    // The quota is checked again before the file is assembled (without this session), and the
+    // reservation keeps counting the file once the session is no longer open, until it is recorded
+    reservation = await reserveStorage(session.uid, session.size, { sessionId: session._id });
+    await uploadSessionService.completeUploadSession(session);
+
+    let inspection;
+    try {
+      inspection = await inspectUploadedVideo(req, session.url, session.url);
+    } catch (inspectError) {
+      console.error('[UPLOAD ROUTE] Uploaded file is not a video:', inspectError?.message);
+      await uploadSessionService.rejectUploadSession(session, inspectError?.message);
+      return res.status(400).json({ success: false, error: inspectError?.message, code: inspectError?.code });
+    }
+
+    const media = await mediaService.recordMedia({
+      uid: session.uid,
+      bucket: 'videos',
+      key: session.key,
+      url: session.url,
+      name: session.fileName,
+      mimeType: session.contentType,
+      size: session.size,
+      info: inspection.media,
+      source: session.url
+    });
+
+    res.json({ success: true, url: session.url, key: session.key, mediaId: media?._id, ...inspection });
+  } catch (error) {
+    sendSessionError(res, error, 'Error completing multipart upload');
+  } finally {
+    await reservation?.release();
+  }
+});
+
+// DELETE /upload/multipart/:id
+// Aborts an upload and deletes its parts
+router.delete('/multipart/:id', async (req, res) => {
+  try {
+    const session = await uploadSessionService.getUploadSession(req.params.id, getSessionOwner(req));
+    await uploadSessionService.abortUploadSession(session);
+    res.json({ success: true, upload: toSessionResponse(session) });
+  } catch (error) {
+    sendSessionError(res, error, 'Error aborting multipart upload');
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
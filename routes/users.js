@@ -12,23 +12,184 @@ try {
   // Provide a dummy auth middleware that passes through all requests
   auth = (req, res, next) => next();
 }
+const { shouldSkipOwnership, requireSelf, requireBodyOwner } = require('../middleware/ownership');
+const { requireAdmin } = require('../middleware/roleCheck');
 const userService = require('../services/userService');
 const { getAllPlans, getLimit, hasFeature } = require('../utils/roleLimits');
+const { encryptToken } = require('../utils/tokenEncryption');
+const { needsReconnect } = require('../services/accountHealthService');
+const { getTwitterTokenType } = require('../services/twitterService');
+const { getPlatform, getPlatforms, getAccountId } = require('../services/platforms');
 
-// Get all users (with pagination)
+// All user routes require an authenticated Firebase user
+router.use(auth);
+
+/**
+ * User data as the user routes return it: the connected accounts without their tokens
+ * @param {Object} user - User document or plain object
+ * @returns {Object|null} - Sanitized copy of the user
+ */
+const sanitizeUser = (user) => {
+  if (!user) {
+    return null;
+  }
+
+  let sanitizedUserData;
+  
+  if (user.toObject) {
+    sanitizedUserData = user.toObject();
+  } else {
+    sanitizedUserData = JSON.parse(JSON.stringify(user));
+  }
+  
+  // Remove Twitter tokens from response
+  if (sanitizedUserData.providerData && sanitizedUserData.providerData.twitter) {
+    if (Array.isArray(sanitizedUserData.providerData.twitter)) {
+      // Filter out sensitive data from each Twitter account
+      sanitizedUserData.providerData.twitter = sanitizedUserData.providerData.twitter.map(account => ({
+        userId: account.userId,
+        tokenType: getTwitterTokenType(account),
+        username: account.username,
+        name: account.name,
+        profileImageUrl: account.profileImageUrl,
+        health: account.health || null,
+        needsReconnect: needsReconnect(account)
+      }));
+    } else {
+      // If it's a single account object, filter it
+      const twitterAccount = sanitizedUserData.providerData.twitter;
+      sanitizedUserData.providerData.twitter = {
+        userId: twitterAccount.userId,
+        tokenType: getTwitterTokenType(twitterAccount),
+        username: twitterAccount.username,
+        name: twitterAccount.name,
+        profileImageUrl: twitterAccount.profileImageUrl,
+        health: twitterAccount.health || null,
+        needsReconnect: needsReconnect(twitterAccount)
+      };
+    }
+  }
+  
+  // Sanitize TikTok data (remove sensitive tokens just like Twitter)
+  if (sanitizedUserData.providerData && sanitizedUserData.providerData.tiktok) {
+    if (Array.isArray(sanitizedUserData.providerData.tiktok)) {
+      // Filter out sensitive data from each TikTok account
+      sanitizedUserData.providerData.tiktok = sanitizedUserData.providerData.tiktok.map((account, index) => ({
+        accountId: account.openId,
+        openId: account.openId,
+        username: account.username || '',
+        displayName: account.displayName || '',
+        avatarUrl: account.avatarUrl || '',
+        avatarUrl100: account.avatarUrl100 || '',
+        index: account.index || (index + 1),
+        health: account.health || null,
+        needsReconnect: needsReconnect(account)
+      }));
+    } else {
+      // If it's a single account object, filter it
+      const tiktokAccount = sanitizedUserData.providerData.tiktok;
+      sanitizedUserData.providerData.tiktok = {
+        accountId: tiktokAccount.openId,
+        openId: tiktokAccount.openId,
+        username: tiktokAccount.username || '',
+        displayName: tiktokAccount.displayName || '',
+        avatarUrl: tiktokAccount.avatarUrl || '',
+        avatarUrl100: tiktokAccount.avatarUrl100 || '',
+        index: tiktokAccount.index || 1,
+        health: tiktokAccount.health || null,
+        needsReconnect: needsReconnect(tiktokAccount)
+      };
+    }
+  }
+
+  // Sanitize Instagram data (remove sensitive tokens)
+  if (Array.isArray(sanitizedUserData.providerData?.instagram)) {
+    sanitizedUserData.providerData.instagram = sanitizedUserData.providerData.instagram.map(account => ({
+      accountId: account.userId,
+      userId: account.userId,
+      username: account.username || '',
+      name: account.name || '',
+      profilePictureUrl: account.profilePictureUrl || '',
+      accountType: account.accountType,
+      tokenExpiresAt: account.tokenExpiresAt,
+      health: account.health || null,
+      needsReconnect: needsReconnect(account)
+    }));
+  }
+
+  // Sanitize Facebook Pages (remove page access tokens)
+  if (Array.isArray(sanitizedUserData.providerData?.facebook)) {
+    sanitizedUserData.providerData.facebook = sanitizedUserData.providerData.facebook.map(page => ({
+      accountId: page.pageId,
+      pageId: page.pageId,
+      name: page.name || '',
+      category: page.category || '',
+      pictureUrl: page.pictureUrl || '',
+      userName: page.userName || '',
+      health: page.health || null,
+      needsReconnect: needsReconnect(page)
+    }));
+  }
+
+  // Sanitize LinkedIn data (remove sensitive tokens)
+  if (Array.isArray(sanitizedUserData.providerData?.linkedin)) {
+    sanitizedUserData.providerData.linkedin = sanitizedUserData.providerData.linkedin.map(account => ({
+      accountId: account.userId,
+      userId: account.userId,
+      name: account.name || '',
+      profilePictureUrl: account.profilePictureUrl || '',
+      organizations: account.organizations || [],
+      tokenExpiresAt: account.tokenExpiresAt,
+      health: account.health || null,
+      needsReconnect: needsReconnect(account)
+    }));
+  }
+
+  // Sanitize YouTube data (remove sensitive tokens)
+  if (Array.isArray(sanitizedUserData.providerData?.youtube)) {
+    sanitizedUserData.providerData.youtube = sanitizedUserData.providerData.youtube.map(channel => ({
+      accountId: channel.channelId,
+      channelId: channel.channelId,
+      title: channel.title || '',
+      customUrl: channel.customUrl || '',
+      thumbnailUrl: channel.thumbnailUrl || '',
+      health: channel.health || null,
+      needsReconnect: needsReconnect(channel)
+    }));
+  }
+
+  // Sanitize the accounts of platforms whose adapter strips the tokens itself (Bluesky, Mastodon)
+  for (const adapter of getPlatforms().filter(({ toPublicAccount }) => toPublicAccount)) {
+    if (Array.isArray(sanitizedUserData.providerData?.[adapter.platform])) {
+      sanitizedUserData.providerData[adapter.platform] = sanitizedUserData.providerData[adapter.platform].map(account => ({
+        accountId: getAccountId(adapter, account),
+        ...adapter.toPublicAccount(account),
+        health: account.health || null,
+        needsReconnect: needsReconnect(account)
+      }));
+    }
+  }
+
+  return sanitizedUserData;
+};
+
+// Get all users (with pagination), scoped to the authenticated user
 router.get('/', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const users = await User.find()
+    // Users can only ever see their own record
+    const filter = shouldSkipOwnership(req) ? {} : { uid: req.user?.uid };
+
+    const users = await User.find(filter)
       .select('-paymentHistory') // Exclude sensitive data
       .skip(skip)
       .limit(limit)
       .sort({ createdAt: -1 });
 
-    const total = await User.countDocuments();
+    const total = await User.countDocuments(filter);
 
     res.status(200).json({
       success: true,
@@ -36,7 +197,7 @@ router.get('/', async (req, res) => {
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      data: users
+      data: users.map(sanitizeUser)
     });
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -48,7 +209,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get user by Firebase UID
-router.get('/:uid', async (req, res) => {
+router.get('/:uid', requireSelf('uid'), async (req, res) => {
   try {
     const user = await User.findOne({ uid: req.params.uid });
 
@@ -59,64 +220,7 @@ router.get('/:uid', async (req, res) => {
       });
     }
 
-    // Create a sanitized version of user data without Twitter tokens
-    let sanitizedUserData;
-    
-    if (user.toObject) {
-      sanitizedUserData = user.toObject();
-    } else {
-      sanitizedUserData = JSON.parse(JSON.stringify(user));
-    }
-    
-    // Remove Twitter tokens from response
-    if (sanitizedUserData.providerData && sanitizedUserData.providerData.twitter) {
-      if (Array.isArray(sanitizedUserData.providerData.twitter)) {
-        // Filter out sensitive data from each Twitter account
-        sanitizedUserData.providerData.twitter = sanitizedUserData.providerData.twitter.map(account => ({
-          userId: account.userId,
-          username: account.username,
-          name: account.name,
-          profileImageUrl: account.profileImageUrl
-        }));
-      } else {
-        // If it's a single account object, filter it
-        const twitterAccount = sanitizedUserData.providerData.twitter;
-        sanitizedUserData.providerData.twitter = {
-          userId: twitterAccount.userId,
-          username: twitterAccount.username,
-          name: twitterAccount.name,
-          profileImageUrl: twitterAccount.profileImageUrl
-        };
-      }
-    }
-    
-    // Sanitize TikTok data (remove sensitive tokens just like Twitter)
-    if (sanitizedUserData.providerData && sanitizedUserData.providerData.tiktok) {
-      if (Array.isArray(sanitizedUserData.providerData.tiktok)) {
-        // Filter out sensitive data from each TikTok account
-        sanitizedUserData.providerData.tiktok = sanitizedUserData.providerData.tiktok.map((account, index) => ({
-          accountId: account.openId,
-          openId: account.openId,
-          username: account.username || '',
-          displayName: account.displayName || '',
-          avatarUrl: account.avatarUrl || '',
-          avatarUrl100: account.avatarUrl100 || '',
-          index: account.index || (index + 1)
-        }));
-      } else {
-        // If it's a single account object, filter it
-        const tiktokAccount = sanitizedUserData.providerData.tiktok;
-        sanitizedUserData.providerData.tiktok = {
-          accountId: tiktokAccount.openId,
-          openId: tiktokAccount.openId,
-          username: tiktokAccount.username || '',
-          displayName: tiktokAccount.displayName || '',
-          avatarUrl: tiktokAccount.avatarUrl || '',
-          avatarUrl100: tiktokAccount.avatarUrl100 || '',
-          index: tiktokAccount.index || 1
-        };
-      }
-    }
+    const sanitizedUserData = sanitizeUser(user);
 
     // Return the sanitized user object
     res.status(200).json({
@@ -133,7 +237,7 @@ router.get('/:uid', async (req, res) => {
 });
 
 // Create or update user (upsert)
-router.post('/', async (req, res) => {
+router.post('/', requireBodyOwner('uid'), async (req, res) => {
   try {
     console.log('Creating/updating user, request body:', req.body);
     const { uid, email, displayName, photoURL } = req?.body || {};
@@ -181,7 +285,7 @@ router.post('/', async (req, res) => {
     
     res.status(201).json({
       success: true,
-      data: user
+      data: sanitizeUser(user)
     });
   } catch (error) {
     console.error('Error creating/updating user:', error);
@@ -192,8 +296,8 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update user role
-router.put('/:uid/role', async (req, res) => {
+// Update user role (administrators only; subscriptions change it through the PayPal routes)
+router.put('/:uid/role', requireAdmin, async (req, res) => {
   try {
     const { role } = req.body;
 
@@ -227,7 +331,7 @@ router.put('/:uid/role', async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: user
+      data: sanitizeUser(user)
     });
   } catch (error) {
     console.error('Error updating user role:', error);
@@ -238,8 +342,8 @@ router.put('/:uid/role', async (req, res) => {
   }
 });
 
-// Add payment record
-router.post('/:uid/payment', async (req, res) => {
+// Add payment record (administrators only; subscription payments are recorded by the PayPal routes)
+router.post('/:uid/payment', requireAdmin, async (req, res) => {
   try {
     const { amount, currency, paymentMethod, transactionId } = req.body;
 
@@ -277,7 +381,7 @@ router.post('/:uid/payment', async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: user
+      data: sanitizeUser(user)
     });
   } catch (error) {
     console.error('Error adding payment record:', error);
@@ -289,7 +393,7 @@ router.post('/:uid/payment', async (req, res) => {
 });
 
 // Delete user
-router.delete('/:uid', async (req, res) => {
+router.delete('/:uid', requireSelf('uid'), async (req, res) => {
   try {
     const user = await User.findOneAndDelete({ uid: req.params.uid });
 
@@ -314,7 +418,7 @@ router.delete('/:uid', async (req, res) => {
 });
 
 // Update user's Twitter tokens
-router.post('/:uid/social/twitter', async (req, res) => {
+router.post('/:uid/social/twitter', requireSelf('uid'), async (req, res) => {
   try {
     const { uid } = req.params;
     // Handle both direct array and accounts object format
@@ -339,7 +443,7 @@ router.post('/:uid/social/twitter', async (req, res) => {
     
     res.status(200).json({
       success: true,
-      data: user
+      data: sanitizeUser(user)
     });
   } catch (error) {
     console.error('Error updating Twitter tokens:', error);
@@ -351,7 +455,7 @@ router.post('/:uid/social/twitter', async (req, res) => {
 });
 
 // Remove user's Twitter account
-router.delete('/:uid/social/twitter', async (req, res) => {
+router.delete('/:uid/social/twitter', requireSelf('uid'), async (req, res) => {
   try {
     const { uid } = req.params;
     const { userId } = req.query;
@@ -369,7 +473,7 @@ router.delete('/:uid/social/twitter', async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Twitter connection removed successfully',
-      data: user
+      data: sanitizeUser(user)
     });
   } catch (error) {
     console.error('Error removing Twitter connection:', error);
@@ -381,7 +485,7 @@ router.delete('/:uid/social/twitter', async (req, res) => {
 });
 
 // Get user's Twitter accounts
-router.get('/:uid/social/twitter', async (req, res) => {
+router.get('/:uid/social/twitter', requireSelf('uid'), async (req, res) => {
   try {
     // Set explicit CORS headers for this specific route to overcome CORS issues
     res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'https://sociallane-frontend.mindio.chat');
@@ -422,18 +526,24 @@ router.get('/:uid/social/twitter', async (req, res) => {
         // Filter out sensitive data from each Twitter account
         twitterAccounts = user.providerData.twitter.map(account => ({
           userId: account.userId,
+          tokenType: getTwitterTokenType(account),
           username: account.username,
           name: account.name || account.username,
-          profileImageUrl: account.profileImageUrl
+          profileImageUrl: account.profileImageUrl,
+          health: account.health || null,
+          needsReconnect: needsReconnect(account)
         }));
       } else {
         // If it's a single account object, filter it
         const twitterAccount = user.providerData.twitter;
         twitterAccounts = [{
           userId: twitterAccount.userId,
+          tokenType: getTwitterTokenType(twitterAccount),
           username: twitterAccount.username,
           name: twitterAccount.name || twitterAccount.username,
-          profileImageUrl: twitterAccount.profileImageUrl
+          profileImageUrl: twitterAccount.profileImageUrl,
+          health: twitterAccount.health || null,
+          needsReconnect: needsReconnect(twitterAccount)
         }];
       }
     }
@@ -456,7 +566,7 @@ router.get('/:uid/social/twitter', async (req, res) => {
 });
 
 // Update user's TikTok tokens
-router.post('/:uid/social/tiktok', async (req, res) => {
+router.post('/:uid/social/tiktok', requireSelf('uid'), async (req, res) => {
   try {
     const { uid } = req.params;
     let tokenData = req.body;
@@ -502,7 +612,7 @@ router.post('/:uid/social/tiktok', async (req, res) => {
     
     res.status(200).json({
       success: true,
-      data: user
+      data: sanitizeUser(user)
     });
   } catch (error) {
     console.error('Error updating TikTok tokens:', error);
@@ -514,7 +624,7 @@ router.post('/:uid/social/tiktok', async (req, res) => {
 });
 
 // Remove user's TikTok connection
-router.delete('/:uid/social/tiktok', async (req, res) => {
+router.delete('/:uid/social/tiktok', requireSelf('uid'), async (req, res) => {
   try {
     const { uid } = req.params;
     const { openId } = req.query;
@@ -532,7 +642,7 @@ router.delete('/:uid/social/tiktok', async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'TikTok connection removed successfully',
-      data: user
+      data: sanitizeUser(user)
     });
   } catch (error) {
     console.error('Error removing TikTok connection:', error);
@@ -543,6 +653,86 @@ router.delete('/:uid/social/tiktok', async (req, res) => {
   }
 });
 
+// Remove one of the user's Instagram accounts
+router.delete('/:uid/social/instagram/:accountId', requireSelf('uid'), async (req, res) => {
+  try {
+    const { uid, accountId } = req.params;
+
+    await userService.removeSocialAccount(uid, 'instagram', accountId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Instagram connection removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing Instagram connection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Remove one of the user's Facebook Pages
+router.delete('/:uid/social/facebook/:pageId', requireSelf('uid'), async (req, res) => {
+  try {
+    const { uid, pageId } = req.params;
+
+    await userService.removeSocialAccount(uid, 'facebook', pageId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Facebook Page removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing Facebook Page:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Remove one of the user's LinkedIn accounts
+router.delete('/:uid/social/linkedin/:accountId', requireSelf('uid'), async (req, res) => {
+  try {
+    const { uid, accountId } = req.params;
+
+    await userService.removeSocialAccount(uid, 'linkedin', accountId);
+
+    res.status(200).json({
+      success: true,
+      message: 'LinkedIn connection removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing LinkedIn connection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+// Remove one of the user's YouTube channels
+router.delete('/:uid/social/youtube/:channelId', requireSelf('uid'), async (req, res) => {
+  try {
+    const { uid, channelId } = req.params;
+
+    await userService.removeSocialAccount(uid, 'youtube', channelId);
+
+    res.status(200).json({
+      success: true,
+      message: 'YouTube connection removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing YouTube connection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
 // Get subscription plan details
 router.get('/plans', async (req, res) => {
   try {
@@ -563,7 +753,7 @@ router.get('/plans', async (req, res) => {
 });
 
 // Get user limits and features
-router.get('/:uid/limits', async (req, res) => {
+router.get('/:uid/limits', requireSelf('uid'), async (req, res) => {
   try {
     const { uid } = req.params;
     
@@ -579,17 +769,7 @@ router.get('/:uid/limits', async (req, res) => {
     const now = new Date(); // Get current time
     
     // Calculate current counts
-    let currentSocialAccounts = 0;
-    if (user.providerData?.tiktok) {
-        currentSocialAccounts += user.providerData.tiktok.length;
-    }
-    if (user.providerData?.twitter) {
-        if (Array.isArray(user.providerData.twitter)) {
-            currentSocialAccounts += user.providerData.twitter.length;
-        } else { // Handle single account object case
-            currentSocialAccounts += 1;
-        }
-    }
+    const currentSocialAccounts = userService.countConnectedAccounts(user.providerData);
 
     let currentPostsThisCycle = user.postsThisCycle || 0;
     let cycleStartDate = user.cycleStartDate;
@@ -623,6 +803,10 @@ router.get('/:uid/limits', async (req, res) => {
       cycleEndDate: role === 'Starter' ? cycleEndDate : null,
       hasContentStudio: hasFeature(role, 'contentStudio'),
       hasCarouselPosts: hasFeature(role, 'carouselPosts'),
+      // Bytes of the media library and of a single upload (-1 means unlimited)
+      storageBytes: getLimit(role, 'storageBytes'),
+      currentStorageBytes: user.storageUsedBytes || 0,
+      maxFileBytes: getLimit(role, 'maxFileBytes'),
       growthConsulting: getLimit(role, 'growthConsulting'),
       analyticsLevel: getLimit(role, 'analyticsLevel'),
       teamMembers: getLimit(role, 'teamMembers')
@@ -642,7 +826,7 @@ router.get('/:uid/limits', async (req, res) => {
 });
 
 // Add this route to store Twitter accounts for a user if it doesn't exist already
-router.post('/:userId/social/twitter', async (req, res) => {
+router.post('/:userId/social/twitter', requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     // Handle various payload formats: direct array or nested in accounts property
@@ -781,12 +965,12 @@ router.post('/:userId/social/twitter', async (req, res) => {
       }
     }
     
-    // Prepare Twitter accounts data and validate
+    // Prepare Twitter accounts data and validate, tokens are stored encrypted
     const validatedAccounts = twitterAccounts
       .filter(account => account.accessToken && account.accessTokenSecret && account.userId)
       .map(account => ({
-        accessToken: account.accessToken,
-        accessTokenSecret: account.accessTokenSecret,
+        accessToken: encryptToken(account.accessToken),
+        accessTokenSecret: encryptToken(account.accessTokenSecret),
         userId: account.userId,
         username: account.username || '',
         name: account.name || account.username || '',
@@ -974,7 +1158,7 @@ router.post('/:userId/social/twitter', async (req, res) => {
 });
 
 // Fix the DELETE endpoint to properly remove Twitter accounts
-router.delete('/:userId/social/twitter/:twitterUserId', async (req, res) => {
+router.delete('/:userId/social/twitter/:twitterUserId', requireSelf('userId'), async (req, res) => {
   try {
     const { userId, twitterUserId } = req.params;
     
@@ -1082,7 +1266,7 @@ router.delete('/:userId/social/twitter/:twitterUserId', async (req, res) => {
 });
 
 // Temporary debug endpoint to check user data
-router.get('/:userId/debug', async (req, res) => {
+router.get('/:userId/debug', requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -1141,14 +1325,6 @@ router.get('/:userId/debug', async (req, res) => {
       };
     }
     
-    // Check all users
-    const allUsers = await User.find({}).select('uid email');
-    const userIds = allUsers.map(u => ({
-      _id: u._id.toString(),
-      uid: u.uid,
-      email: u.email
-    }));
-    
     // Return results
     res.status(200).json({
       message: 'Debug information',
@@ -1156,8 +1332,7 @@ router.get('/:userId/debug', async (req, res) => {
       foundByUid: !!userByUid,
       foundById: !!userById,
       userByUid: uidUserDetails,
-      userById: idUserDetails,
-      allUsers: userIds
+      userById: idUserDetails
     });
   } catch (error) {
     console.error('[DEBUG] Error:', error);
@@ -1166,7 +1341,7 @@ router.get('/:userId/debug', async (req, res) => {
 });
 
 // Temporary debug endpoint to clear cache and get fresh user data
-router.get('/:userId/refresh', async (req, res) => {
+router.get('/:userId/refresh', requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -1214,10 +1389,10 @@ router.get('/:userId/refresh', async (req, res) => {
         },
         originalUserHasTwitter: user?.providerData?.twitter ? true : false,
         freshUserHasTwitter: freshUser?.providerData?.twitter ? true : false,
-        originalTwitterAccounts: user?.providerData?.twitter || [],
-        freshTwitterAccounts: freshUser?.providerData?.twitter || []
+        originalTwitterAccounts: sanitizeUser(user)?.providerData?.twitter || [],
+        freshTwitterAccounts: sanitizeUser(freshUser)?.providerData?.twitter || []
       },
-      data: freshUser
+      data: sanitizeUser(freshUser)
     });
   } catch (error) {
     console.error('[REFRESH] Error refreshing user data:', error);
@@ -1225,60 +1400,8 @@ router.get('/:userId/refresh', async (req, res) => {
   }
 });
 
-// Direct MongoDB update endpoint for debugging
-router.post('/:userId/force-update', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const update = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
-    
-    console.log(`[FORCE UPDATE] Directly updating user ${userId} with:`, JSON.stringify(update));
-    
-    // Try to find the user first
-    const user = await User.findOne({ uid: userId });
-    
-    if (!user) {
-      console.error(`[FORCE UPDATE] User not found with uid: ${userId}`);
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    console.log(`[FORCE UPDATE] Found user: ${user._id} (uid: ${user.uid})`);
-    
-    // Use direct MongoDB driver operation to bypass Mongoose caching
-    const db = mongoose.connection.db;
-    const usersCollection = db.collection('customers');
-    
-    const result = await usersCollection.updateOne(
-      { _id: user._id },
-      { $set: update }
-    );
-    
-    console.log(`[FORCE UPDATE] Update result:`, result);
-    
-    // Get fresh user data after update
-    const freshUser = await User.findById(user._id).lean();
-    
-    res.status(200).json({
-      success: true,
-      updateResult: {
-        acknowledged: result.acknowledged,
-        modifiedCount: result.modifiedCount,
-        matchedCount: result.matchedCount
-      },
-      message: 'User updated directly via MongoDB',
-      data: freshUser
-    });
-  } catch (error) {
-    console.error('[FORCE UPDATE] Error in direct update:', error);
-    res.status(500).json({ error: 'Failed to update user: ' + error.message });
-  }
-});
-
 // Verify user's TikTok accounts
-router.post('/:uid/social/tiktok/verify', async (req, res) => {
+router.post('/:uid/social/tiktok/verify', requireSelf('uid'), async (req, res) => {
   try {
     const { uid } = req.params;
     let accountIds = req.body;
@@ -1340,7 +1463,9 @@ router.post('/:uid/social/tiktok/verify', async (req, res) => {
       return {
         accountId: accountToVerify.accountId,
         exists: !!foundAccount,
-        status: foundAccount ? 'verified' : 'not_found'
+        status: foundAccount ? 'verified' : 'not_found',
+        health: foundAccount?.health || null,
+        needsReconnect: needsReconnect(foundAccount)
       };
     });
     
@@ -1365,7 +1490,7 @@ router.post('/:uid/social/tiktok/verify', async (req, res) => {
 // @route   GET /users/:uid/post-usage
 // @desc    Get post usage statistics for a user
 // @access  Public (should be Private in production)
-router.get('/:uid/post-usage', async (req, res) => {
+router.get('/:uid/post-usage', requireSelf('uid'), async (req, res) => {
   try {
     const { uid } = req.params;
     
@@ -1392,4 +1517,33 @@ router.get('/:uid/post-usage', async (req, res) => {
   }
 });
 
+// Remove one account of any other platform (e.g. a Bluesky or Mastodon account).
+// Registered last so the platform-specific routes above take precedence.
+router.delete('/:uid/social/:platform/:accountId', requireSelf('uid'), async (req, res) => {
+  try {
+    const { uid, platform, accountId } = req.params;
+
+    const adapter = getPlatform(platform);
+    if (!adapter) {
+      return res.status(404).json({
+        success: false,
+        error: `Platform ${platform} is not supported`
+      });
+    }
+
+    await userService.removeSocialAccount(uid, platform, accountId);
+
+    res.status(200).json({
+      success: true,
+      message: `${adapter.name} connection removed successfully`
+    });
+  } catch (error) {
+    console.error(`Error removing ${req.params.platform} connection:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,258 @@
+// File: routes/youtube.js
+const express = require('express');
+const router = express.Router();
+const youtubeService = require('../services/youtubeService');
+const userService = require('../services/userService');
+const { auth, requireInternal } = require('../middleware/auth');
+const { shouldSkipOwnership, requireQueryOwner } = require('../middleware/ownership');
+const oauthSessionService = require('../services/oauthSessionService');
+const { needsReconnect, recordAccountHealth } = require('../services/accountHealthService');
+const { createCodeVerifier, createCodeChallenge } = require('../utils/pkce');
+
+// Redirect back to the frontend YouTube page with the outcome of the connect flow
+const redirectToFrontend = (res, params) => {
+  res.redirect(`${process.env.FRONTEND_URL}/youtube?${new URLSearchParams(params).toString()}`);
+};
+
+// Firebase UID of the request; in BYPASS_AUTH development mode it can be passed as userId
+const getRequestUid = (req) =>
+  req.user?.uid || (shouldSkipOwnership(req) ? (req.body?.userId || req.query.userId) : undefined);
+
+// Find a connected YouTube channel of a user with its tokens (the first one without accountId)
+const findAccount = async (uid, accountId) => {
+  const accounts = await userService.getSocialMediaTokens(uid, 'youtube');
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    return null;
+  }
+  return accountId ? accounts.find(acc => acc.channelId === accountId) : accounts[0];
+};
+
+// Refresh an access token that is about to expire and store the new token on the user.
+// Returns the access token to use; on failure the current one is kept while it is still valid.
+const getFreshAccessToken = async (uid, account) => {
+  if (!youtubeService.needsTokenRefresh(account)) {
+    return account.accessToken;
+  }
+
+  try {
+    const refreshed = await youtubeService.refreshAccessToken(account.refreshToken);
+    await userService.updateAccountTokens(uid, 'youtube', account.channelId, refreshed);
+    console.log(`[YOUTUBE ROUTE] Refreshed access token of channel ${account.channelId}`);
+    return refreshed.accessToken;
+  } catch (error) {
+    console.error(`[YOUTUBE ROUTE] Failed to refresh access token of channel ${account.channelId}:`, error?.message);
+    // A rejected refresh token cannot be retried, the user has to connect the channel again
+    if (error?.code === 'invalid_grant') {
+      await recordAccountHealth('youtube', { uid, accountId: account.channelId }, error);
+    }
+    return account.accessToken;
+  }
+};
+
+// Get the Google auth URL for the authenticated user.
+// The state is signed and bound to the user's Firebase UID; the PKCE verifier stays on the server.
+router.get('/auth', auth, async (req, res) => {
+  try {
+    const uid = getRequestUid(req);
+    if (!uid) {
+      return res.status(401).json({ success: false, error: 'Unauthorized - No user identity' });
+    }
+
+    const codeVerifier = createCodeVerifier();
+    const { state } = await oauthSessionService.startOAuthSession('youtube', uid, { codeVerifier });
+    const authUrl = youtubeService.getAuthUrl({ state, codeChallenge: createCodeChallenge(codeVerifier) });
+
+    // API clients get the URL to navigate to, browsers are redirected directly to Google
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.status(200).json({ success: true, authUrl });
+    }
+    res.redirect(authUrl);
+  } catch (error) {
+    console.error('[YOUTUBE ROUTE] Auth URL error:', error?.message);
+    redirectToFrontend(res, { error: 'Failed to generate auth URL' });
+  }
+});
+
+// Google OAuth callback
+router.get('/callback', async (req, res) => {
+  try {
+    const { code, error, state } = req?.query || {};
+
+    if (error) {
+      console.error('[YOUTUBE ROUTE] Auth error:', error);
+      return redirectToFrontend(res, { connection_error: error === 'access_denied' ? 'Access was denied' : 'Authentication failed' });
+    }
+
+    if (!code) {
+      return redirectToFrontend(res, { error: 'No authorization code provided' });
+    }
+
+    // The state must be one we issued, for a flow that is still open
+    let session;
+    try {
+      session = await oauthSessionService.consumeOAuthSession('youtube', state);
+    } catch (stateError) {
+      console.error('[YOUTUBE ROUTE] Callback rejected:', stateError?.message);
+      return redirectToFrontend(res, { connection_error: 'The connection request is invalid or has expired. Please try again.' });
+    }
+
+    console.log(`[YOUTUBE ROUTE] Processing callback for user ${session.uid}`);
+
+    const tokenData = await youtubeService.getAccessToken(code, session.codeVerifier);
+    const channel = await youtubeService.getChannelInfo(tokenData.accessToken);
+
+    // Without a refresh token publishing stops working after an hour
+    if (!tokenData.refreshToken) {
+      console.warn(`[YOUTUBE ROUTE] No refresh token issued for channel ${channel.channelId}`);
+    }
+
+    const account = {
+      channelId: channel.channelId,
+      title: channel.title,
+      customUrl: channel.customUrl,
+      thumbnailUrl: channel.thumbnailUrl
+    };
+
+    // Store the tokens on the user who started the flow; they never reach the browser.
+    // A missing refresh token keeps the one stored for the channel.
+    try {
+      await userService.updateSocialMediaTokens(session.uid, 'youtube', [{
+        ...account,
+        accessToken: tokenData.accessToken,
+        ...(tokenData.refreshToken ? { refreshToken: tokenData.refreshToken } : {}),
+        tokenExpiresAt: tokenData.tokenExpiresAt,
+        scope: tokenData.scope
+      }]);
+    } catch (saveError) {
+      console.error(`[YOUTUBE ROUTE] Failed to save channel ${account.channelId} for user ${session.uid}:`, saveError?.message);
+      const message = saveError?.message?.startsWith('Account limit reached')
+        ? saveError.message
+        : 'Failed to save the YouTube channel. Please try again.';
+      return redirectToFrontend(res, { connection_error: message });
+    }
+
+    console.log(`[YOUTUBE ROUTE] Channel ${account.channelId} connected for user ${session.uid}`);
+    redirectToFrontend(res, {
+      auth_success: 'true',
+      account: JSON.stringify(account)
+    });
+  } catch (error) {
+    console.error('[YOUTUBE ROUTE] Auth callback error:', error?.message);
+    redirectToFrontend(res, { connection_error: 'Authentication failed: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+// POST /youtube/post-video
+// Uploads a video to a channel as a Short. Tokens are read from the user, never from the request.
+// Only the publishing queue calls it (requireInternal), for body.userId
+router.post('/post-video', requireInternal, async (req, res) => {
+  try {
+    const { videoUrl, caption, userId, accountId, settings } = req?.body || {};
+
+    console.log('[YOUTUBE ROUTE - POST] Received post request. UserID:', userId, 'Target ChannelID:', accountId);
+
+    if (!videoUrl || !userId) {
+      return res.status(400).json({ success: false, error: 'Video URL and user ID are required' });
+    }
+
+    const account = await findAccount(userId, accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'YouTube channel not found for this user' });
+    }
+
+    if (!account.accessToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid YouTube channel credentials. Please reconnect.',
+        code: 'YOUTUBE_AUTH_ERROR',
+        retryable: false
+      });
+    }
+
+    try {
+      const accessToken = await getFreshAccessToken(userId, account);
+      const result = await youtubeService.uploadShort(
+        videoUrl,
+        accessToken,
+        caption || '',
+        settings || {},
+        { uid: userId, accountId: account.channelId } // Record the channel's health
+      );
+
+      console.log('[YOUTUBE ROUTE - POST] YouTube upload result:', JSON.stringify(result));
+      res.status(200).json({
+        success: true,
+        message: 'Video uploaded successfully to YouTube',
+        data: result
+      });
+    } catch (postError) {
+      console.error('[YOUTUBE ROUTE - POST] YouTube API upload error:', postError?.message);
+
+      const status = postError?.cause?.response?.status;
+      let statusCode = 500;
+      let errorCode = 'YOUTUBE_POST_FAILED';
+
+      if (status === 401) {
+        statusCode = 401;
+        errorCode = 'YOUTUBE_AUTH_ERROR';
+      } else if (postError?.code === 'quotaExceeded' || postError?.code === 'uploadLimitExceeded') {
+        statusCode = 429;
+        errorCode = 'YOUTUBE_QUOTA_EXCEEDED';
+      } else if (status === 429 || postError?.code === 'rateLimitExceeded') {
+        statusCode = 429;
+        errorCode = 'YOUTUBE_RATE_LIMIT';
+      } else if (status === 403) {
+        statusCode = 403;
+        errorCode = 'YOUTUBE_PERMISSION_ERROR';
+      } else if (status === 400) {
+        statusCode = 400;
+        errorCode = 'YOUTUBE_INVALID_REQUEST';
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: `Failed to upload video to YouTube: ${postError?.message || 'Unknown error'}`,
+        code: errorCode,
+        retryable: youtubeService.classifyYouTubeError(postError).retryable // Lets the scheduler decide whether to retry
+      });
+    }
+  } catch (error) {
+    console.error('[YOUTUBE ROUTE - POST] Unexpected error in route handler:', error);
+    res.status(500).json({ success: false, error: 'Internal server error.' });
+  }
+});
+
+// GET /youtube/user-info?accountId=<channel id>
+// Checks a connected channel of the authenticated user and records the outcome on it
+router.get('/user-info', auth, requireQueryOwner('userId'), async (req, res) => {
+  try {
+    const { userId, accountId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID is required' });
+    }
+
+    const account = await findAccount(userId, accountId);
+    if (!account) {
+      return res.status(404).json({ success: false, error: 'YouTube channel not found for this user' });
+    }
+
+    try {
+      const accessToken = await getFreshAccessToken(userId, account);
+      const channel = await youtubeService.getChannelInfo(accessToken, { uid: userId, accountId: account.channelId });
+      res.json({ success: true, data: channel });
+    } catch (error) {
+      // The call recorded the channel's health, re-read it to tell the user whether to reconnect
+      const checkedAccount = await findAccount(userId, account.channelId);
+      if (needsReconnect(checkedAccount)) {
+        return res.status(401).json({ success: false, error: error?.message, code: 'RECONNECT_REQUIRED' });
+      }
+      res.status(500).json({ success: false, error: 'Failed to get user info: ' + (error?.message || 'Unknown error') });
+    }
+  } catch (error) {
+    console.error('[YOUTUBE ROUTE] Error getting user info:', error?.message);
+    res.status(500).json({ success: false, error: 'Failed to get user info: ' + (error?.message || 'Unknown error') });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+/**
+ * Migration script to add the files of existing posts to the media library.
+ * Videos and images uploaded before the library existed have no Media record, so they are
+ * not listed in GET /media and never cleaned up. This records every file of a post that is
+ * in the videos or assets bucket, owned by the post's user and linked to the posts using it.
+ * Files no post uses cannot be attributed to a user and are left alone.
+ *
+ * Usage:
+ * - Make sure MongoDB and the R2 public domains are configured correctly
+ * - Run with: node scripts/backfillMedia.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Media = require('../models/Media');
+const { recordMedia, getPostMediaUrls, syncPostMedia } = require('../services/mediaService');
+const { getImageMimeTypeFromUrl } = require('../services/platforms/media');
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    return conn;
+  } catch (error) {
+    console.error(`Error connecting to MongoDB: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Bucket and key of a URL in one of the public R2 domains
+const parseStorageUrl = (url) => {
+  const buckets = [
+    ['videos', process.env.R2_VIDEOS_PUBLIC_DOMAIN],
+    ['assets', process.env.R2_ASSETS_PUBLIC_DOMAIN]
+  ];
+  for (const [bucket, domain] of buckets) {
+    if (domain && url.startsWith(`${domain}/`)) {
+      return { bucket, key: decodeURIComponent(url.slice(domain.length + 1).split('?')[0]) };
+    }
+  }
+  return null;
+};
+
+// Inspection of a post video, or undefined for images
+const getVideoInfo = (post, url) => {
+  if (url === post.video_url) {
+    return post.video_info;
+  }
+  return url === post.video_rendition?.url ? post.video_rendition.info : undefined;
+};
+
+// MIME type of a post file: the stored one for images, else from the URL or the inspection
+const getMimeType = (post, url) => {
+  const image = [...(post.media || []), ...(post.twitter_thread || []).flatMap(part => part.media || [])].find(item => item.url === url);
+  if (image) {
+    return image.mimeType || getImageMimeTypeFromUrl(url) || 'image/jpeg';
+  }
+  return getVideoInfo(post, url)?.mimeType || 'video/mp4';
+};
+
+const backfillMedia = async () => {
+  try {
+    // Connect to the database
+    const conn = await connectDB();
+
+    console.log('Starting media library backfill...');
+
+    const cursor = Post.find({}).cursor();
+    let posts = 0;
+    let recorded = 0;
+
+    for await (const post of cursor) {
+      posts++;
+      for (const url of getPostMediaUrls(post)) {
+        const location = parseStorageUrl(url);
+        if (!location || await Media.exists(location)) {
+          continue;
+        }
+
+        // No thumbnail or checksum: that would download every file
+        const media = await recordMedia({
+          uid: post.userId,
+          ...location,
+          url,
+          name: location.key.split('/').pop(),
+          mimeType: getMimeType(post, url),
+          info: getVideoInfo(post, url)
+        });
+        if (media) {
+          recorded++;
+        }
+      }
+      await syncPostMedia(post);
+    }
+
+    console.log(`Backfill completed successfully! Checked ${posts} posts, recorded ${recorded} files.`);
+
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+
+  } catch (error) {
+    console.error('Error backfilling media:', error);
+    // Close database connection in case of error
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('Database connection closed due to error');
+    }
+  }
+};
+
+// Run the migration script immediately
+backfillMedia();
@@ -0,0 +1,109 @@
+/**
+ * Migration script to encrypt OAuth tokens that are stored in plaintext in
+ * User.providerData (TikTok and Twitter accounts).
+ * Tokens that are already encrypted are left unchanged, so the script can be run again safely.
+ *
+ * Usage:
+ * - Make sure MongoDB connection is configured correctly
+ * - Set TOKEN_ENCRYPTION_KEYS and TOKEN_ENCRYPTION_ACTIVE_KEY_ID
+ * - Run with: node scripts/encryptProviderTokens.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { TOKEN_FIELDS, isEncryptionConfigured, isEncrypted, encryptToken } = require('../utils/tokenEncryption');
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    return conn;
+  } catch (error) {
+    console.error(`Error connecting to MongoDB: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Encrypt the plaintext token fields of one account, returning the number of encrypted fields
+const encryptAccount = (provider, account) => {
+  let encrypted = 0;
+
+  for (const field of TOKEN_FIELDS[provider]) {
+    if (account?.[field] && !isEncrypted(account[field])) {
+      account[field] = encryptToken(account[field]);
+      encrypted++;
+    }
+  }
+
+  return encrypted;
+};
+
+const encryptProviderTokens = async () => {
+  try {
+    if (!isEncryptionConfigured()) {
+      throw new Error('Token encryption is not configured. Set TOKEN_ENCRYPTION_KEYS and TOKEN_ENCRYPTION_ACTIVE_KEY_ID.');
+    }
+
+    // Connect to the database
+    const conn = await connectDB();
+
+    console.log('Starting provider token encryption...');
+
+    // Query the raw collection so providerData is read exactly as stored
+    const users = await User.collection.find({
+      $or: Object.keys(TOKEN_FIELDS).map(provider => ({ [`providerData.${provider}`]: { $exists: true } }))
+    }).toArray();
+
+    console.log(`Found ${users.length} users with connected accounts`);
+
+    let updated = 0;
+    let encryptedFields = 0;
+
+    for (const user of users) {
+      const $set = {};
+
+      for (const provider of Object.keys(TOKEN_FIELDS)) {
+        const accounts = user.providerData?.[provider];
+        if (!accounts) continue;
+
+        // Twitter data of older users may be a single account object
+        const count = Array.isArray(accounts)
+          ? accounts.reduce((total, account) => total + encryptAccount(provider, account), 0)
+          : encryptAccount(provider, accounts);
+
+        if (count > 0) {
+          $set[`providerData.${provider}`] = accounts;
+          encryptedFields += count;
+        }
+      }
+
+      if (Object.keys($set).length === 0) continue;
+
+      console.log(`Encrypting tokens of user ${user.uid}`);
+      await User.collection.updateOne({ _id: user._id }, { $set });
+      updated++;
+    }
+
+    console.log(`Migration completed successfully! Encrypted ${encryptedFields} tokens of ${updated} users.`);
+
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+
+  } catch (error) {
+    console.error('Error encrypting provider tokens:', error);
+    // Close database connection in case of error
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('Database connection closed due to error');
+    }
+  }
+};
+
+// Run the migration script immediately
+encryptProviderTokens();
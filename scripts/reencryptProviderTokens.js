@@ -0,0 +1,118 @@
+/**
+ * Key rotation script for the OAuth tokens stored in User.providerData.
+ * Re-wraps the data key of every token that was encrypted with a key other than
+ * TOKEN_ENCRYPTION_ACTIVE_KEY_ID, so the old key can be removed afterwards.
+ * The tokens themselves are not decrypted. Plaintext tokens are encrypted as well.
+ *
+ * Usage:
+ * - Make sure MongoDB connection is configured correctly
+ * - Add the new key to TOKEN_ENCRYPTION_KEYS (keep the old one) and make it TOKEN_ENCRYPTION_ACTIVE_KEY_ID
+ * - Run with: node scripts/reencryptProviderTokens.js
+ * - Remove the old key from TOKEN_ENCRYPTION_KEYS
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { TOKEN_FIELDS, isEncryptionConfigured, needsReEncryption, rewrapToken } = require('../utils/tokenEncryption');
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    return conn;
+  } catch (error) {
+    console.error(`Error connecting to MongoDB: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Re-wrap the token fields of one account with the active key, returning the number of changed fields
+const rewrapAccount = (provider, account) => {
+  let rewrapped = 0;
+
+  for (const field of TOKEN_FIELDS[provider]) {
+    if (needsReEncryption(account?.[field])) {
+      account[field] = rewrapToken(account[field]);
+      rewrapped++;
+    }
+  }
+
+  return rewrapped;
+};
+
+const reencryptProviderTokens = async () => {
+  try {
+    if (!isEncryptionConfigured()) {
+      throw new Error('Token encryption is not configured. Set TOKEN_ENCRYPTION_KEYS and TOKEN_ENCRYPTION_ACTIVE_KEY_ID.');
+    }
+
+    // Connect to the database
+    const conn = await connectDB();
+
+    console.log(`Starting provider token re-encryption with key ${process.env.TOKEN_ENCRYPTION_ACTIVE_KEY_ID}...`);
+
+    // Query the raw collection so providerData is read exactly as stored
+    const users = await User.collection.find({
+      $or: Object.keys(TOKEN_FIELDS).map(provider => ({ [`providerData.${provider}`]: { $exists: true } }))
+    }).toArray();
+
+    console.log(`Found ${users.length} users with connected accounts`);
+
+    let updated = 0;
+    let rewrappedFields = 0;
+    let failed = 0;
+
+    for (const user of users) {
+      try {
+        const $set = {};
+
+        for (const provider of Object.keys(TOKEN_FIELDS)) {
+          const accounts = user.providerData?.[provider];
+          if (!accounts) continue;
+
+          // Twitter data of older users may be a single account object
+          const count = Array.isArray(accounts)
+            ? accounts.reduce((total, account) => total + rewrapAccount(provider, account), 0)
+            : rewrapAccount(provider, accounts);
+
+          if (count > 0) {
+            $set[`providerData.${provider}`] = accounts;
+            rewrappedFields += count;
+          }
+        }
+
+        if (Object.keys($set).length === 0) continue;
+
+        console.log(`Re-encrypting tokens of user ${user.uid}`);
+        await User.collection.updateOne({ _id: user._id }, { $set });
+        updated++;
+      } catch (userError) {
+        // e.g. a token wrapped with a key that is no longer configured
+        console.error(`Failed to re-encrypt tokens of user ${user.uid}: ${userError.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`Re-encryption completed! Re-wrapped ${rewrappedFields} tokens of ${updated} users, ${failed} users failed.`);
+
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+
+  } catch (error) {
+    console.error('Error re-encrypting provider tokens:', error);
+    // Close database connection in case of error
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('Database connection closed due to error');
+    }
+  }
+};
+
+// Run the key rotation script immediately
+reencryptProviderTokens();
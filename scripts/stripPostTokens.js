@@ -0,0 +1,182 @@
+/**
+ * Migration script to remove OAuth tokens stored on existing posts.
+ * Posts now only reference connected accounts (TikTok openId / Twitter userId);
+ * tokens are resolved from User.providerData when the post is published.
+ *
+ * Posts that used the legacy single-account token fields are linked to the
+ * matching connected account when the stored token still matches one. Connected accounts'
+ * tokens are encrypted (TOKEN_ENCRYPTION_KEYS must be set), so they are decrypted to compare.
+ * Posts still to be published whose token matches no connected account are marked failed:
+ * without an account reference they would publish to every connected account.
+ *
+ * Usage:
+ * - Make sure MongoDB connection is configured correctly
+ * - Run with: node scripts/stripPostTokens.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { decryptAccountTokens } = require('../utils/tokenEncryption');
+
+const LEGACY_TOKEN_FIELDS = [
+  'tiktok_access_token',
+  'tiktok_refresh_token',
+  'twitter_access_token',
+  'twitter_access_token_secret',
+  'twitter_refresh_token'
+];
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    return conn;
+  } catch (error) {
+    console.error(`Error connecting to MongoDB: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Find the connected account whose stored (encrypted) tokens match a legacy post token
+const findAccountByToken = (provider, accounts, accessToken, refreshToken) => {
+  if (!Array.isArray(accounts)) return null;
+
+  return accounts.find(storedAccount => {
+    let account;
+    try {
+      account = decryptAccountTokens(provider, storedAccount);
+    } catch (error) {
+      console.warn(`Could not decrypt the tokens of a ${provider} account:`, error?.message);
+      return false;
+    }
+    return (accessToken && account?.accessToken === accessToken) ||
+      (refreshToken && account?.refreshToken === refreshToken);
+  }) || null;
+};
+
+// Failed delivery recorded on a post whose legacy token matches no connected account
+const unmatchedDelivery = (platform, platformName) => ({
+  platform,
+  accountId: 'unknown',
+  status: 'failed',
+  errorCode: 'ACCOUNT_NOT_CONNECTED',
+  errorMessage: `The ${platformName} account of this post is no longer connected. Please select an account and post again.`,
+  retryable: false,
+  attempts: 0,
+  failedAt: new Date()
+});
+
+const stripPostTokens = async () => {
+  try {
+    // Connect to the database
+    const conn = await connectDB();
+
+    console.log('Starting post token migration...');
+
+    // The token fields are no longer in the Post schema, so query the raw collection
+    const posts = await Post.collection.find({
+      $or: [
+        ...LEGACY_TOKEN_FIELDS.map(field => ({ [field]: { $exists: true } })),
+        { 'tiktok_accounts.accessToken': { $exists: true } },
+        { 'tiktok_accounts.refreshToken': { $exists: true } },
+        { 'twitter_accounts.accessToken': { $exists: true } },
+        { 'twitter_accounts.accessTokenSecret': { $exists: true } }
+      ]
+    }).toArray();
+
+    console.log(`Found ${posts.length} posts with stored tokens to migrate`);
+
+    let updated = 0;
+    let linked = 0;
+    let unmatched = 0;
+    const usersByUid = new Map();
+
+    for (const post of posts) {
+      const $set = {};
+      const $unset = {};
+      const unmatchedDeliveries = [];
+
+      LEGACY_TOKEN_FIELDS.forEach(field => {
+        if (post[field] !== undefined) $unset[field] = '';
+      });
+
+      if (Array.isArray(post.tiktok_accounts)) {
+        $set.tiktok_accounts = post.tiktok_accounts.map(({ accessToken, refreshToken, ...account }) => account);
+      }
+      if (Array.isArray(post.twitter_accounts)) {
+        $set.twitter_accounts = post.twitter_accounts.map(({ accessToken, accessTokenSecret, refreshToken, ...account }) => account);
+      }
+
+      // Link legacy single-account posts to the connected account they were using
+      const hasLegacyTikTok = post.tiktok_access_token && !post.tiktok_accounts?.length;
+      const hasLegacyTwitter = post.twitter_access_token && !post.twitter_accounts?.length;
+
+      if ((hasLegacyTikTok || hasLegacyTwitter) && post.userId) {
+        if (!usersByUid.has(post.userId)) {
+          usersByUid.set(post.userId, await User.findOne({ uid: post.userId }).lean());
+        }
+        const user = usersByUid.get(post.userId);
+
+        if (hasLegacyTikTok) {
+          const account = findAccountByToken('tiktok', user?.providerData?.tiktok, post.tiktok_access_token, post.tiktok_refresh_token);
+          if (account) {
+            $set.tiktok_accounts = [{ openId: account.openId, username: account.username, displayName: account.displayName }];
+            linked++;
+          } else {
+            unmatchedDeliveries.push(unmatchedDelivery('tiktok', 'TikTok'));
+          }
+        }
+
+        if (hasLegacyTwitter) {
+          const account = findAccountByToken('twitter', user?.providerData?.twitter, post.twitter_access_token, post.twitter_refresh_token);
+          if (account) {
+            $set.twitter_accounts = [{ userId: account.userId, username: account.username, name: account.name }];
+            linked++;
+          } else {
+            unmatchedDeliveries.push(unmatchedDelivery('twitter', 'Twitter'));
+          }
+        }
+      }
+
+      // Published posts keep their status; posts still to be published must not widen their audience
+      if (unmatchedDeliveries.length > 0 && ['pending', 'processing'].includes(post.status || 'pending')) {
+        console.warn(`Post ${post._id}: legacy token does not match a connected account, marking the post failed`);
+        $set.status = 'failed';
+        $set.deliveries = [...(post.deliveries || []), ...unmatchedDeliveries];
+        unmatched++;
+      }
+
+      console.log(`Removing tokens from post ${post._id}`);
+
+      const update = {};
+      if (Object.keys($set).length > 0) update.$set = $set;
+      if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+      await Post.collection.updateOne({ _id: post._id }, update);
+      updated++;
+    }
+
+    console.log(`Migration completed successfully! Updated ${updated} posts, linked ${linked} legacy accounts, marked ${unmatched} posts failed.`);
+
+    // Close database connection
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+
+  } catch (error) {
+    console.error('Error migrating post tokens:', error);
+    // Close database connection in case of error
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('Database connection closed due to error');
+    }
+  }
+};
+
+// Run the migration script immediately
+stripPostTokens();
@@ -0,0 +1,338 @@
+// File: services/accountHealthService.js
+const { ETwitterApiError } = require('twitter-api-v2');
+const User = require('../models/User');
+
+/**
+ * Health of connected social accounts.
+ *
+ * Every call to the platform APIs made on behalf of a connected account records the outcome
+ * on the account (providerData.<platform>[].health), so the frontend can show which accounts
+ * need attention and publishing can skip accounts that cannot work until they are reconnected.
+ */
+
+const HEALTH_STATUSES = ['healthy', 'token_expired', 'scope_missing', 'revoked', 'rate_limited'];
+
+// Statuses that only go away when the user connects the account again
+const RECONNECT_STATUSES = ['token_expired', 'scope_missing', 'revoked'];
+
+// Account id field per platform
+const ACCOUNT_ID_FIELDS = {
+  tiktok: 'openId',
+  twitter: 'userId',
+  instagram: 'userId',
+  facebook: 'pageId',
+  linkedin: 'userId',
+  youtube: 'channelId',
+  bluesky: 'did',
+  mastodon: 'userId'
+};
+
+// Twitter v1.1 error codes per health status
+const TWITTER_HEALTH_ERROR_CODES = {
+  rate_limited: [88],
+  token_expired: [89],
+  revoked: [32, 64, 326],
+  scope_missing: [220, 453]
+};
+
+// OAuth 2.0 token endpoint errors for a refresh token that is no longer valid
+const TWITTER_OAUTH2_REVOKED_ERRORS = ['invalid_grant'];
+
+// Graph API (Instagram, Facebook) error codes per health status (190 is handled by subcode)
+const GRAPH_API_HEALTH_ERROR_CODES = {
+  rate_limited: [4, 17, 32, 613],
+  scope_missing: [10, 200]
+};
+// OAuthException subcode of an expired access token
+const GRAPH_API_TOKEN_EXPIRED_SUBCODE = 463;
+
+// LinkedIn serviceErrorCodes of access tokens that no longer work
+const LINKEDIN_REVOKED_TOKEN_CODES = [65600, 65601];
+const LINKEDIN_EXPIRED_TOKEN_CODE = 65602;
+
+// YouTube Data API error reasons per health status
+const YOUTUBE_HEALTH_ERROR_REASONS = {
+  rate_limited: ['quotaExceeded', 'rateLimitExceeded', 'userRateLimitExceeded'],
+  scope_missing: ['insufficientPermissions', 'forbidden', 'youtubeSignupRequired']
+};
+
+// XRPC errors of Bluesky sessions that can no longer be used or refreshed
+const BLUESKY_REVOKED_ERRORS = ['ExpiredToken', 'InvalidToken', 'AuthenticationRequired', 'AccountTakedown', 'AccountDeactivated'];
+
+// The error and its causes, outermost first
+const getErrorChain = (error) => {
+  const chain = [];
+  for (let current = error; current && chain.length < 10; current = current.cause) {
+    chain.push(current);
+  }
+  return chain;
+};
+
+/**
+ * Map a TikTok API error to a health status
+ * @param {Error} error - Error thrown by tiktokService
+ * @returns {string|null} - Health status, or null if the error does not concern the account
+ */
+const getTikTokHealthStatus = (error) => {
+  const chain = getErrorChain(error);
+  const codes = chain.flatMap(e => [e?.code, e?.response?.data?.error?.code, e?.response?.data?.error]).filter(code => typeof code === 'string');
+  const statuses = chain.map(e => e?.response?.status).filter(Boolean);
+  const message = chain.map(e => e?.message || '').join(' ').toLowerCase();
+
+  if (codes.includes('invalid_grant') || message.includes('refresh token is invalid')) {
+    return 'revoked';
+  }
+  if (codes.includes('scope_not_authorized') || message.includes('scope_not_authorized')) {
+    return 'scope_missing';
+  }
+  if (codes.includes('rate_limit_exceeded') || statuses.includes(429) || message.includes('rate limit')) {
+    return 'rate_limited';
+  }
+  if (
+    codes.some(code => ['access_token_invalid', 'access_token_has_expired', 'token_has_expired', 'invalid_access_token'].includes(code)) ||
+    /access token (has expired|is invalid)|token became invalid/.test(message)
+  ) {
+    return 'token_expired';
+  }
+
+  return null;
+};
+
+/**
+ * Map a Twitter API error to a health status
+ * @param {Error} error - Error thrown by twitterService
+ * @returns {string|null} - Health status, or null if the error does not concern the account
+ */
+const getTwitterHealthStatus = (error) => {
+  // Find the original twitter-api-v2 response error, if any
+  const apiError = getErrorChain(error).find(e => e?.type === ETwitterApiError.Response);
+
+  if (apiError) {
+    const errorCodes = (apiError.errors || []).map(e => e?.code);
+    const matches = status => errorCodes.some(code => TWITTER_HEALTH_ERROR_CODES[status].includes(code));
+
+    if (apiError.rateLimitError || apiError.code === 429 || matches('rate_limited')) return 'rate_limited';
+    if (matches('token_expired')) return 'token_expired';
+    if (matches('revoked') || apiError.code === 401) return 'revoked';
+    if (matches('scope_missing') || (apiError.code === 403 && /permission|not permitted/i.test(JSON.stringify(apiError.data || {})))) {
+      return 'scope_missing';
+    }
+    // OAuth 2.0 token endpoint rejecting a refresh token
+    if (TWITTER_OAUTH2_REVOKED_ERRORS.includes(apiError.data?.error)) return 'revoked';
+    return null;
+  }
+
+  return /reconnect your Twitter account/i.test(error?.message || '') ? 'revoked' : null;
+};
+
+/**
+ * Map a Graph API error (Instagram, Facebook) to a health status
+ * @param {Error} error - Error thrown by instagramService or facebookService
+ * @returns {string|null} - Health status, or null if the error does not concern the account
+ */
+const getGraphApiHealthStatus = (error) => {
+  const chain = getErrorChain(error);
+  const apiError = chain.map(e => e?.response?.data?.error).find(Boolean);
+  const statuses = chain.map(e => e?.response?.status).filter(Boolean);
+
+  if (!apiError) {
+    return statuses.includes(429) ? 'rate_limited' : null;
+  }
+
+  if (apiError.code === 190) {
+    return apiError.error_subcode === GRAPH_API_TOKEN_EXPIRED_SUBCODE ? 'token_expired' : 'revoked';
+  }
+  if (GRAPH_API_HEALTH_ERROR_CODES.rate_limited.includes(apiError.code) || statuses.includes(429)) {
+    return 'rate_limited';
+  }
+  // 200-299 are permission errors
+  if (GRAPH_API_HEALTH_ERROR_CODES.scope_missing.includes(apiError.code) || (apiError.code > 200 && apiError.code < 300)) {
+    return 'scope_missing';
+  }
+
+  return null;
+};
+
+/**
+ * Map a LinkedIn API error to a health status
+ * @param {Error} error - Error thrown by linkedinService
+ * @returns {string|null} - Health status, or null if the error does not concern the account
+ */
+const getLinkedInHealthStatus = (error) => {
+  const chain = getErrorChain(error);
+  const response = chain.map(e => e?.response).find(Boolean);
+  if (!response) {
+    return null;
+  }
+
+  const data = response.data || {};
+  if (response.status === 429) return 'rate_limited';
+  if (data.serviceErrorCode === LINKEDIN_EXPIRED_TOKEN_CODE) return 'token_expired';
+  // Token endpoint rejecting a refresh token
+  if (data.error === 'invalid_grant') return 'revoked';
+  if (response.status === 401 || LINKEDIN_REVOKED_TOKEN_CODES.includes(data.serviceErrorCode)) {
+    return /expired/i.test(data.message || '') ? 'token_expired' : 'revoked';
+  }
+  if (response.status === 403 && /permission|scope|not enough/i.test(data.message || '')) {
+    return 'scope_missing';
+  }
+
+  return null;
+};
+
+/**
+ * Map a YouTube Data API or Google OAuth error to a health status
+ * @param {Error} error - Error thrown by youtubeService
+ * @returns {string|null} - Health status, or null if the error does not concern the account
+ */
+const getYouTubeHealthStatus = (error) => {
+  const chain = getErrorChain(error);
+  const response = chain.map(e => e?.response).find(Boolean);
+  if (!response) {
+    return null;
+  }
+
+  const data = response.data || {};
+  const reason = data.error?.errors?.[0]?.reason;
+  // Token endpoint rejecting a refresh token: revoked access or a changed password
+  if (data.error === 'invalid_grant') return 'revoked';
+  if (response.status === 429 || YOUTUBE_HEALTH_ERROR_REASONS.rate_limited.includes(reason)) return 'rate_limited';
+  if (response.status === 401) return 'token_expired';
+  if (YOUTUBE_HEALTH_ERROR_REASONS.scope_missing.includes(reason)) return 'scope_missing';
+
+  return null;
+};
+
+/**
+ * Map a Bluesky XRPC error to a health status
+ * @param {Error} error - Error thrown by blueskyService
+ * @returns {string|null} - Health status, or null if the error does not concern the account
+ */
+const getBlueskyHealthStatus = (error) => {
+  const chain = getErrorChain(error);
+  const response = chain.map(e => e?.response).find(Boolean);
+  if (!response) {
+    return null;
+  }
+
+  // The app password is stored, so an expired session only means it was revoked or the account is gone
+  if (response.status === 429) return 'rate_limited';
+  if (response.status === 401 || BLUESKY_REVOKED_ERRORS.includes(response.data?.error)) return 'revoked';
+
+  return null;
+};
+
+/**
+ * Map a Mastodon API error to a health status
+ * @param {Error} error - Error thrown by mastodonService
+ * @returns {string|null} - Health status, or null if the error does not concern the account
+ */
+const getMastodonHealthStatus = (error) => {
+  const chain = getErrorChain(error);
+  const response = chain.map(e => e?.response).find(Boolean);
+  if (!response) {
+    return null;
+  }
+
+  // Mastodon access tokens do not expire, a 401 means the user revoked the app
+  if (response.status === 429) return 'rate_limited';
+  if (response.status === 401) return 'revoked';
+  if (response.status === 403) return 'scope_missing';
+
+  return null;
+};
+
+/**
+ * Map a platform error to a health status
+ * @param {string} platform - Platform name (e.g. 'tiktok')
+ * @param {Error} error - Error thrown by the platform service
+ * @returns {string|null} - Health status, or null if the error does not concern the account
+ */
+const getHealthStatus = (platform, error) => {
+  if (platform === 'tiktok') return getTikTokHealthStatus(error);
+  if (platform === 'twitter') return getTwitterHealthStatus(error);
+  if (platform === 'instagram' || platform === 'facebook') return getGraphApiHealthStatus(error);
+  if (platform === 'linkedin') return getLinkedInHealthStatus(error);
+  if (platform === 'youtube') return getYouTubeHealthStatus(error);
+  if (platform === 'bluesky') return getBlueskyHealthStatus(error);
+  if (platform === 'mastodon') return getMastodonHealthStatus(error);
+  return null;
+};
+
+/**
+ * Whether an account can only be used again after the user reconnects it
+ * @param {Object} account - Connected account from providerData
+ * @returns {boolean}
+ */
+const needsReconnect = (account) => RECONNECT_STATUSES.includes(account?.health?.status);
+
+/**
+ * Record the outcome of an API call on the connected account. Never throws.
+ * Errors that do not concern the account (e.g. an unsupported video) update the last
+ * error but keep the current status.
+ * @param {string} platform - 'tiktok' or 'twitter'
+ * @param {Object} context - Account the call was made for
+ * @param {string} context.uid - Firebase UID of the account owner
+ * @param {string} context.accountId - TikTok openId / Twitter userId
+ * @param {Error|null} [error] - Error of the call, or null if it succeeded
+ * @returns {Promise<string|null>} - The recorded status, or null if nothing was recorded
+ */
+const recordAccountHealth = async (platform, { uid, accountId } = {}, error = null) => {
+  const idField = ACCOUNT_ID_FIELDS[platform];
+  if (!idField || !uid || !accountId) {
+    return null;
+  }
+
+  const status = error ? getHealthStatus(platform, error) : 'healthy';
+  const prefix = `providerData.${platform}.$.health`;
+  const update = { $set: { [`${prefix}.lastCheckedAt`]: new Date() } };
+
+  if (status) {
+    update.$set[`${prefix}.status`] = status;
+  }
+  if (error) {
+    update.$set[`${prefix}.lastError`] = error?.message || 'Unknown error';
+  } else {
+    update.$unset = { [`${prefix}.lastError`]: 1 };
+  }
+
+  try {
+    await User.updateOne({ uid, [`providerData.${platform}.${idField}`]: accountId }, update);
+
+    if (status && status !== 'healthy') {
+      console.warn(`[ACCOUNT HEALTH] ${platform} account ${accountId} of user ${uid} is ${status}: ${error?.message}`);
+    }
+    return status;
+  } catch (updateError) {
+    console.error(`[ACCOUNT HEALTH] Failed to record health of ${platform} account ${accountId}:`, updateError?.message);
+    return null;
+  }
+};
+
+/**
+ * Run a platform API call and record its outcome on the connected account
+ * @param {string} platform - 'tiktok' or 'twitter'
+ * @param {Object|undefined} context - { uid, accountId }; nothing is recorded without it
+ * @param {Function} operation - Async function performing the call
+ * @returns {Promise<*>} - Result of the operation
+ */
+const trackAccountHealth = async (platform, context, operation) => {
+  try {
+    const result = await operation();
+    await recordAccountHealth(platform, context);
+    return result;
+  } catch (error) {
+    await recordAccountHealth(platform, context, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  ACCOUNT_ID_FIELDS,
+  HEALTH_STATUSES,
+  RECONNECT_STATUSES,
+  getHealthStatus,
+  needsReconnect,
+  recordAccountHealth,
+  trackAccountHealth
+};
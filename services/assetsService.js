@@ -1,7 +1,9 @@
 require('dotenv').config();
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const crypto = require('crypto');
 const axios = require('axios');
 const path = require('path');
+const { reserveStorage } = require('./storageQuotaService');
 
 // Initialize R2 client with credentials from environment variables
 const r2Client = new S3Client({
@@ -13,11 +15,18 @@ const r2Client = new S3Client({
   },
 });
 
-// Upload a file buffer to R2 assets bucket
-async function uploadAssetBuffer(fileBuffer, fileName, contentType) {
+// Upload a file buffer to R2 assets bucket. With options.owner the file is recorded in the owner's
+// media library (options.name is its display name) and must fit in the owner's storage quota.
+async function uploadAssetBuffer(fileBuffer, fileName, contentType, options = {}) {
+  let reservation;
   try {
     console.log(`[AssetsService] Uploading asset: ${fileName}, type: ${contentType}, size: ${fileBuffer?.length} bytes`);
     
+    // The reservation counts until the asset is recorded in the media library
+    if (options.owner) {
+      reservation = await reserveStorage(options.owner, fileBuffer?.length || 0);
+    }
+    
     // Generate a unique file name if one is not provided
     const uniqueFileName = fileName || `${Date.now()}-${Math.random().toString(36).substring(2, 15)}${path.extname(fileName || '.jpg')}`;
     
@@ -37,14 +46,36 @@ async function uploadAssetBuffer(fileBuffer, fileName, contentType) {
     // Generate the public URL for the uploaded file
     const fileUrl = `${process.env.R2_ASSETS_PUBLIC_DOMAIN}/${uniqueFileName}`;
     
+    // mediaService is required lazily because it deletes files through this service
+    let mediaId;
+    if (options.owner) {
+      const media = await require('./mediaService').recordMedia({
+        uid: options.owner,
+        bucket: 'assets',
+        key: uniqueFileName,
+        url: fileUrl,
+        name: options.name,
+        mimeType: uploadParams.ContentType,
+        size: fileBuffer?.length,
+        checksum: crypto.createHash('sha256').update(fileBuffer).digest('hex'),
+      });
+      mediaId = media?._id;
+    }
+    
     return {
       success: true,
       url: fileUrl,
       key: uniqueFileName,
+      mediaId,
     };
   } catch (error) {
     console.error('[AssetsService] Error uploading asset:', error?.message);
+    if (error?.code === 'STORAGE_LIMIT_REACHED') {
+      throw error;
+    }
     throw new Error(`Failed to upload asset to R2: ${error?.message}`);
+  } finally {
+    await reservation?.release();
   }
 }
 
@@ -98,7 +129,22 @@ async function uploadAssetFromUrl(url, fileName, contentType) {
   }
 }
 
+// Delete a file from the assets bucket
+async function deleteAsset(key) {
+  try {
+    await r2Client.send(new DeleteObjectCommand({
+      Bucket: process.env.R2_ASSETS_BUCKET_NAME,
+      Key: key,
+    }));
+    console.log(`[AssetsService] Deleted asset: ${key}`);
+  } catch (error) {
+    console.error('[AssetsService] Error deleting asset:', error?.message);
+    throw new Error(`Failed to delete asset from R2: ${error?.message}`);
+  }
+}
+
 module.exports = {
   uploadAssetBuffer,
-  uploadAssetFromUrl
+  uploadAssetFromUrl,
+  deleteAsset
 }; 
\ No newline at end of file
@@ -0,0 +1,353 @@
+// File: services/blueskyService.js
+const axios = require('axios');
+const fs = require('fs');
+const { trackAccountHealth } = require('./accountHealthService');
+const { downloadVideoToTempFile, removeTempFile } = require('../utils/videoDownload');
+
+/**
+ * Bluesky publishing through the AT Protocol (XRPC).
+ *
+ * Connecting: the user signs in with their handle and an app password (never their main
+ * password). The session's access JWT is valid for about two hours and its refresh JWT
+ * for a few months; the app password is kept (encrypted) to start a new session after that.
+ * Requests go to the account's PDS, taken from its DID document.
+ * Publishing: the video is uploaded as a blob and embedded in an app.bsky.feed.post record.
+ *
+ * BLUESKY_SERVICE_URL can point at a local mock of the PDS.
+ */
+
+const BLUESKY_SERVICE_URL = process.env.BLUESKY_SERVICE_URL || 'https://bsky.social';
+
+// Bluesky limits
+const MAX_POST_GRAPHEMES = 300;
+const MAX_VIDEO_BYTES = parseInt(process.env.BLUESKY_MAX_VIDEO_BYTES) || 100 * 1024 * 1024; // 100 MB
+
+// App passwords look like xxxx-xxxx-xxxx-xxxx
+const APP_PASSWORD_PATTERN = /^[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}$/i;
+
+// Access tokens are refreshed when they expire within this window
+const TOKEN_REFRESH_WINDOW_MS = 5 * 60 * 1000;
+
+// XRPC errors of a refresh JWT that can no longer be used
+const EXPIRED_SESSION_ERRORS = ['ExpiredToken', 'InvalidToken'];
+
+// Wrap an axios error, keeping the XRPC error name and message
+function toBlueskyError(error, action) {
+  const data = error?.response?.data;
+  const blueskyError = new Error(`Failed to ${action}: ${data?.message || data?.error || error?.message || 'Unknown error'}`, { cause: error });
+  blueskyError.code = data?.error;
+  return blueskyError;
+}
+
+// Strip trailing slashes so XRPC paths can be appended
+const normalizeServiceUrl = (serviceUrl) => String(serviceUrl || BLUESKY_SERVICE_URL).trim().replace(/\/+$/, '');
+
+const authHeaders = (token) => ({ 'Authorization': `Bearer ${token}` });
+
+// Expiry of a JWT from its exp claim, or undefined if it cannot be read
+const getJwtExpiry = (jwt) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(jwt).split('.')[1], 'base64url').toString('utf8'));
+    return payload.exp ? new Date(payload.exp * 1000) : undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// PDS endpoint of an account from its DID document
+const getPdsEndpoint = (didDoc) => {
+  const service = (didDoc?.service || []).find(entry => entry?.id === '#atproto_pds' || entry?.type === 'AtprotoPersonalDataServer');
+  return typeof service?.serviceEndpoint === 'string' ? normalizeServiceUrl(service.serviceEndpoint) : undefined;
+};
+
+// Session tokens in the shape stored on the account
+const toSessionData = (session, serviceUrl) => ({
+  did: session.did,
+  handle: session.handle,
+  serviceUrl: getPdsEndpoint(session.didDoc) || normalizeServiceUrl(serviceUrl),
+  accessToken: session.accessJwt,
+  refreshToken: session.refreshJwt,
+  tokenExpiresAt: getJwtExpiry(session.accessJwt)
+});
+
+/**
+ * Check that a password has the format of an app password
+ * @param {string} password - Password entered by the user
+ * @returns {boolean}
+ */
+const isAppPassword = (password) => APP_PASSWORD_PATTERN.test(String(password || '').trim());
+
+/**
+ * Sign in with a handle (or email) and an app password
+ * @param {string} identifier - Handle, DID or email of the account
+ * @param {string} appPassword - App password created in the Bluesky settings
+ * @param {string} [serviceUrl] - PDS or entryway to sign in at, defaults to BLUESKY_SERVICE_URL
+ * @returns {Promise<Object>} - { did, handle, serviceUrl, accessToken, refreshToken, tokenExpiresAt }
+ */
+async function createSession(identifier, appPassword, serviceUrl) {
+  const service = normalizeServiceUrl(serviceUrl);
+  try {
+    const response = await axios.post(`${service}/xrpc/com.atproto.server.createSession`, {
+      identifier: String(identifier || '').trim().replace(/^@/, ''),
+      password: String(appPassword || '').trim()
+    });
+    return toSessionData(response.data, service);
+  } catch (error) {
+    throw toBlueskyError(error, 'sign in to Bluesky');
+  }
+}
+
+/**
+ * Get a new access token with the session's refresh token
+ * @param {string} refreshToken - Refresh JWT of the session
+ * @param {string} serviceUrl - PDS of the account
+ * @returns {Promise<Object>} - { did, handle, serviceUrl, accessToken, refreshToken, tokenExpiresAt }
+ */
+async function refreshSession(refreshToken, serviceUrl) {
+  const service = normalizeServiceUrl(serviceUrl);
+  try {
+    const response = await axios.post(`${service}/xrpc/com.atproto.server.refreshSession`, null, {
+      headers: authHeaders(refreshToken)
+    });
+    return toSessionData(response.data, service);
+  } catch (error) {
+    throw toBlueskyError(error, 'refresh Bluesky session');
+  }
+}
+
+/**
+ * Check if the session of an account has to be refreshed before it is used
+ * @param {Object} account - Connected account with tokenExpiresAt
+ * @returns {boolean}
+ */
+const needsTokenRefresh = (account) => {
+  if (!account?.tokenExpiresAt) return false;
+  return new Date(account.tokenExpiresAt).getTime() - Date.now() < TOKEN_REFRESH_WINDOW_MS;
+};
+
+/**
+ * Whether a session error means the refresh token has expired, so only the app password can sign in again
+ * @param {Error} error - Error thrown by refreshSession
+ * @returns {boolean}
+ */
+const isExpiredSessionError = (error) => EXPIRED_SESSION_ERRORS.includes(error?.code);
+
+/**
+ * Get the profile of an account
+ * @param {Object} account - { did, serviceUrl, accessToken }
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<{ displayName: string|undefined, avatarUrl: string|undefined, handle: string|undefined }>}
+ */
+async function getProfile({ did, serviceUrl, accessToken }, healthContext) {
+  return trackAccountHealth('bluesky', healthContext, async () => {
+    try {
+      const response = await axios.get(`${normalizeServiceUrl(serviceUrl)}/xrpc/app.bsky.actor.getProfile`, {
+        params: { actor: did },
+        headers: authHeaders(accessToken)
+      });
+      return {
+        handle: response.data?.handle,
+        displayName: response.data?.displayName,
+        avatarUrl: response.data?.avatar
+      };
+    } catch (error) {
+      throw toBlueskyError(error, 'get Bluesky profile');
+    }
+  });
+}
+
+/**
+ * Count the graphemes of a text the way Bluesky does for its post length limit
+ * @param {string} text
+ * @returns {number}
+ */
+const countGraphemes = (text) => Array.from(new Intl.Segmenter('en', { granularity: 'grapheme' }).segment(text || '')).length;
+
+/**
+ * Build the rich text facets (links and hashtags) of a post. Facets index UTF-8 bytes.
+ * Mentions are not linked: that would need every handle resolved to a DID.
+ * @param {string} text - Post text
+ * @returns {Array<Object>} - app.bsky.richtext.facet entries
+ */
+const buildFacets = (text) => {
+  const facets = [];
+  const byteOffset = (index) => Buffer.byteLength(text.slice(0, index), 'utf8');
+  const addFacet = (start, end, feature) => {
+    facets.push({ index: { byteStart: byteOffset(start), byteEnd: byteOffset(end) }, features: [feature] });
+  };
+
+  for (const match of text.matchAll(/https?:\/\/[^\s]+/g)) {
+    // Trailing punctuation is not part of the link
+    const url = match[0].replace(/[.,;:!?)\]]+$/, '');
+    addFacet(match.index, match.index + url.length, { $type: 'app.bsky.richtext.facet#link', uri: url });
+  }
+
+  for (const match of text.matchAll(/(^|\s)#([^\s#]*[^\d\s#.,;:!?)\]][^\s#]*)/gu)) {
+    const tag = match[2].replace(/[.,;:!?)\]]+$/, '');
+    const start = match.index + match[1].length;
+    addFacet(start, start + tag.length + 1, { $type: 'app.bsky.richtext.facet#tag', tag });
+  }
+
+  return facets;
+};
+
+// Upload the video file as a blob, returning the blob reference
+async function uploadVideoBlob(account, tempFilePath, size) {
+  try {
+    const response = await axios.post(`${normalizeServiceUrl(account.serviceUrl)}/xrpc/com.atproto.repo.uploadBlob`, fs.createReadStream(tempFilePath), {
+      headers: {
+        ...authHeaders(account.accessToken),
+        'Content-Type': 'video/mp4',
+        'Content-Length': size
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+
+    if (!response.data?.blob) {
+      throw new Error('Bluesky did not return a blob reference');
+    }
+    return response.data.blob;
+  } catch (error) {
+    throw toBlueskyError(error, 'upload video to Bluesky');
+  }
+}
+
+// Create the post record with the uploaded video, returning its URI and CID
+async function createVideoPost(account, text, blob) {
+  const record = {
+    $type: 'app.bsky.feed.post',
+    text,
+    createdAt: new Date().toISOString(),
+    embed: { $type: 'app.bsky.embed.video', video: blob }
+  };
+  const facets = buildFacets(text);
+  if (facets.length > 0) {
+    record.facets = facets;
+  }
+
+  try {
+    const response = await axios.post(`${normalizeServiceUrl(account.serviceUrl)}/xrpc/com.atproto.repo.createRecord`, {
+      repo: account.did,
+      collection: 'app.bsky.feed.post',
+      record
+    }, { headers: authHeaders(account.accessToken) });
+
+    return { uri: response.data?.uri, cid: response.data?.cid };
+  } catch (error) {
+    throw toBlueskyError(error, 'create Bluesky post');
+  }
+}
+
+/**
+ * URL of a post on bsky.app
+ * @param {string} handle - Handle (or DID) of the author
+ * @param {string} uri - at:// URI of the post
+ * @returns {string|undefined}
+ */
+const getPostUrl = (handle, uri) => {
+  const rkey = String(uri || '').split('/').pop();
+  return handle && rkey ? `https://bsky.app/profile/${handle}/post/${rkey}` : undefined;
+};
+
+/**
+ * Post a video
+ * @param {string} videoUrl - URL of the video
+ * @param {Object} account - { did, handle, serviceUrl, accessToken } of the connected account
+ * @param {string} [text=''] - Post text, at most 300 graphemes
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<{ uri: string, cid: string, postUrl: string|undefined }>}
+ */
+async function postVideo(videoUrl, account, text = '', healthContext) {
+  const postText = (text || '').trim();
+  if (countGraphemes(postText) > MAX_POST_GRAPHEMES) {
+    const error = new Error(`Bluesky posts can have at most ${MAX_POST_GRAPHEMES} characters`);
+    error.retryable = false;
+    throw error;
+  }
+
+  return trackAccountHealth('bluesky', healthContext, async () => {
+    console.log(`[BLUESKY] Posting video as ${account.handle || account.did}`);
+
+    const { tempFilePath, size } = await downloadVideoToTempFile(videoUrl, 'bluesky');
+    let blob;
+    try {
+      if (size > MAX_VIDEO_BYTES) {
+        const error = new Error(`Bluesky accepts videos of at most ${Math.round(MAX_VIDEO_BYTES / (1024 * 1024))} MB`);
+        error.retryable = false;
+        throw error;
+      }
+      blob = await uploadVideoBlob(account, tempFilePath, size);
+    } finally {
+      await removeTempFile(tempFilePath);
+    }
+    console.log(`[BLUESKY] Uploaded video blob of ${size} bytes`);
+
+    const { uri, cid } = await createVideoPost(account, postText, blob);
+    console.log(`[BLUESKY] Created post ${uri}`);
+
+    return { uri, cid, postUrl: getPostUrl(account.handle || account.did, uri) };
+  });
+}
+
+/**
+ * Get a published post
+ * @param {Object} account - { did, serviceUrl, accessToken } of the connected account
+ * @param {string} uri - at:// URI of the post
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<Object|null>} - The post view, or null if the post was deleted
+ */
+async function getPost(account, uri, healthContext) {
+  return trackAccountHealth('bluesky', healthContext, async () => {
+    try {
+      const response = await axios.get(`${normalizeServiceUrl(account.serviceUrl)}/xrpc/app.bsky.feed.getPosts`, {
+        params: { uris: uri },
+        headers: authHeaders(account.accessToken)
+      });
+      return response.data?.posts?.[0] || null;
+    } catch (error) {
+      throw toBlueskyError(error, 'get Bluesky post');
+    }
+  });
+}
+
+/**
+ * Classify an error thrown by postVideo as retryable (transient) or permanent
+ * @param {Error} error - Error thrown while posting
+ * @returns {{ retryable: boolean }} - Whether posting again later may succeed
+ */
+function classifyBlueskyError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return { retryable: error.retryable };
+  }
+
+  const axiosError = error?.cause?.isAxiosError ? error.cause : error;
+  if (axiosError?.isAxiosError) {
+    // The request never got a response: network error or timeout
+    if (!axiosError.response) {
+      return { retryable: true };
+    }
+    const status = axiosError.response.status;
+    return { retryable: status === 429 || status >= 500 };
+  }
+
+  // Download failures and anything unexpected
+  return { retryable: true };
+}
+
+module.exports = {
+  MAX_POST_GRAPHEMES,
+  MAX_VIDEO_BYTES,
+  isAppPassword,
+  createSession,
+  refreshSession,
+  needsTokenRefresh,
+  isExpiredSessionError,
+  getProfile,
+  countGraphemes,
+  buildFacets,
+  getPostUrl,
+  postVideo,
+  getPost,
+  classifyBlueskyError
+};
@@ -0,0 +1,357 @@
+// File: services/facebookService.js
+const axios = require('axios');
+const FormData = require('form-data');
+const fs = require('fs');
+const { trackAccountHealth } = require('./accountHealthService');
+const { downloadVideoToTempFile, removeTempFile } = require('../utils/videoDownload');
+
+/**
+ * Facebook Page video publishing through the Graph API.
+ *
+ * Connecting: a Facebook user logs in, the code is exchanged for a long-lived user token,
+ * which lists the Pages the user manages. Page access tokens obtained with a long-lived
+ * user token do not expire, so only the page tokens of the selected Pages are stored.
+ * Publishing: the video is downloaded and sent to the Page with a resumable upload
+ * (start → transfer chunks → finish).
+ *
+ * The base URLs can point at a local mock of the Graph endpoints.
+ */
+
+const FACEBOOK_APP_ID = process.env.FACEBOOK_APP_ID;
+const FACEBOOK_APP_SECRET = process.env.FACEBOOK_APP_SECRET;
+const FACEBOOK_GRAPH_API_VERSION = process.env.FACEBOOK_GRAPH_API_VERSION || 'v21.0';
+const FACEBOOK_AUTH_URL = process.env.FACEBOOK_AUTH_URL || `https://www.facebook.com/${FACEBOOK_GRAPH_API_VERSION}/dialog/oauth`;
+const FACEBOOK_GRAPH_BASE_URL = process.env.FACEBOOK_GRAPH_BASE_URL || 'https://graph.facebook.com';
+const FACEBOOK_GRAPH_VIDEO_BASE_URL = process.env.FACEBOOK_GRAPH_VIDEO_BASE_URL || 'https://graph-video.facebook.com';
+
+const FACEBOOK_SCOPES = ['pages_show_list', 'pages_read_engagement', 'pages_manage_posts'];
+
+// Attempts per transfer chunk before the upload is given up
+const UPLOAD_CHUNK_ATTEMPTS = parseInt(process.env.FACEBOOK_UPLOAD_CHUNK_ATTEMPTS) || 3;
+
+// Graph API error codes that go away on their own (unknown/service errors, rate limits)
+const TRANSIENT_FACEBOOK_ERROR_CODES = [1, 2, 4, 17, 32, 341, 613];
+
+const getRedirectUri = () => `${process.env.BACKEND_URL}/facebook/callback`;
+
+const graphUrl = (urlPath) => `${FACEBOOK_GRAPH_BASE_URL}/${FACEBOOK_GRAPH_API_VERSION}/${urlPath}`;
+
+const graphVideoUrl = (urlPath) => `${FACEBOOK_GRAPH_VIDEO_BASE_URL}/${FACEBOOK_GRAPH_API_VERSION}/${urlPath}`;
+
+// Wrap an axios error, keeping Facebook's error message and code
+function toFacebookError(error, action) {
+  const apiError = error?.response?.data?.error;
+  const facebookError = new Error(`Failed to ${action}: ${apiError?.message || error?.message || 'Unknown error'}`, { cause: error });
+  facebookError.code = apiError?.code;
+  return facebookError;
+}
+
+/**
+ * Generate the Facebook Login URL
+ * @param {Object} options
+ * @param {string} options.state - Signed state, verified by the callback
+ * @returns {string} - Authorization URL
+ */
+function getAuthUrl({ state }) {
+  if (!FACEBOOK_APP_ID) {
+    throw new Error('Missing Facebook app ID');
+  }
+
+  const params = new URLSearchParams({
+    client_id: FACEBOOK_APP_ID,
+    redirect_uri: getRedirectUri(),
+    response_type: 'code',
+    scope: FACEBOOK_SCOPES.join(','),
+    state
+  });
+
+  return `${FACEBOOK_AUTH_URL}?${params.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for a long-lived user access token
+ * @param {string} code - Authorization code from the callback
+ * @returns {Promise<{ accessToken: string, tokenExpiresAt: Date|undefined }>}
+ */
+async function getAccessToken(code) {
+  let shortLivedToken;
+  try {
+    console.log('[FACEBOOK] Exchanging authorization code for access token');
+
+    const response = await axios.get(graphUrl('oauth/access_token'), {
+      params: {
+        client_id: FACEBOOK_APP_ID,
+        client_secret: FACEBOOK_APP_SECRET,
+        redirect_uri: getRedirectUri(),
+        code
+      }
+    });
+    shortLivedToken = response.data?.access_token;
+  } catch (error) {
+    console.error('[FACEBOOK] Code exchange failed:', error?.response?.data || error?.message);
+    throw toFacebookError(error, 'exchange authorization code');
+  }
+
+  if (!shortLivedToken) {
+    throw new Error('Facebook did not return an access token');
+  }
+
+  try {
+    const response = await axios.get(graphUrl('oauth/access_token'), {
+      params: {
+        grant_type: 'fb_exchange_token',
+        client_id: FACEBOOK_APP_ID,
+        client_secret: FACEBOOK_APP_SECRET,
+        fb_exchange_token: shortLivedToken
+      }
+    });
+
+    console.log('[FACEBOOK] Obtained long-lived user access token');
+    return {
+      accessToken: response.data.access_token,
+      tokenExpiresAt: response.data.expires_in ? new Date(Date.now() + response.data.expires_in * 1000) : undefined
+    };
+  } catch (error) {
+    console.error('[FACEBOOK] Long-lived token exchange failed:', error?.response?.data || error?.message);
+    throw toFacebookError(error, 'get long-lived access token');
+  }
+}
+
+/**
+ * Get the Facebook user who logged in
+ * @param {string} userAccessToken - User access token
+ * @returns {Promise<{ userId: string, name: string }>}
+ */
+async function getUserInfo(userAccessToken) {
+  try {
+    const response = await axios.get(graphUrl('me'), {
+      params: { fields: 'id,name', access_token: userAccessToken }
+    });
+    return { userId: String(response.data.id), name: response.data.name || '' };
+  } catch (error) {
+    throw toFacebookError(error, 'get Facebook user info');
+  }
+}
+
+/**
+ * List the Pages the user can publish to, with their page access tokens
+ * @param {string} userAccessToken - Long-lived user access token
+ * @returns {Promise<Array<{ pageId: string, name: string, category: string, pictureUrl: string, accessToken: string }>>}
+ */
+async function getPages(userAccessToken) {
+  const pages = [];
+  let url = graphUrl('me/accounts');
+  let params = {
+    fields: 'id,name,category,access_token,tasks,picture{url}',
+    limit: 100,
+    access_token: userAccessToken
+  };
+
+  try {
+    // Follow the paging links; the next link carries all parameters
+    while (url) {
+      const response = await axios.get(url, { params });
+      pages.push(...(response.data?.data || []));
+      url = response.data?.paging?.next;
+      params = undefined;
+    }
+  } catch (error) {
+    throw toFacebookError(error, 'list Facebook Pages');
+  }
+
+  return pages
+    // Without the CREATE_CONTENT task the user cannot publish to the Page
+    .filter(page => page.access_token && (!Array.isArray(page.tasks) || page.tasks.includes('CREATE_CONTENT')))
+    .map(page => ({
+      pageId: String(page.id),
+      name: page.name || '',
+      category: page.category || '',
+      pictureUrl: page.picture?.data?.url || '',
+      accessToken: page.access_token
+    }));
+}
+
+/**
+ * Get a connected Page with its page access token
+ * @param {string} pageId - Page ID
+ * @param {string} pageAccessToken - Page access token
+ * @param {Object} [healthContext] - { uid, accountId } of the connected Page, to record its health
+ * @returns {Promise<{ pageId: string, name: string, category: string, pictureUrl: string }>}
+ */
+async function getPageInfo(pageId, pageAccessToken, healthContext) {
+  return trackAccountHealth('facebook', healthContext, async () => {
+    try {
+      const response = await axios.get(graphUrl(pageId), {
+        params: { fields: 'id,name,category,picture{url}', access_token: pageAccessToken }
+      });
+
+      return {
+        pageId: String(response.data.id),
+        name: response.data.name || '',
+        category: response.data.category || '',
+        pictureUrl: response.data.picture?.data?.url || ''
+      };
+    } catch (error) {
+      throw toFacebookError(error, 'get Facebook Page info');
+    }
+  });
+}
+
+// Send one chunk of a resumable upload, returning the next offsets requested by Facebook
+async function transferChunk(pageId, pageAccessToken, uploadSessionId, fileHandle, startOffset, endOffset) {
+  const chunk = Buffer.alloc(endOffset - startOffset);
+  await fileHandle.read(chunk, 0, chunk.length, startOffset);
+
+  for (let attempt = 1; ; attempt++) {
+    const form = new FormData();
+    form.append('upload_phase', 'transfer');
+    form.append('upload_session_id', uploadSessionId);
+    form.append('start_offset', String(startOffset));
+    form.append('access_token', pageAccessToken);
+    form.append('video_file_chunk', chunk, { filename: 'chunk', contentType: 'application/octet-stream' });
+
+    try {
+      const response = await axios.post(graphVideoUrl(`${pageId}/videos`), form, {
+        headers: form.getHeaders(),
+        maxBodyLength: Infinity
+      });
+      return {
+        startOffset: parseInt(response.data.start_offset, 10),
+        endOffset: parseInt(response.data.end_offset, 10)
+      };
+    } catch (error) {
+      const facebookError = toFacebookError(error, 'upload video chunk to Facebook');
+      if (attempt >= UPLOAD_CHUNK_ATTEMPTS || !classifyFacebookError(facebookError).retryable) {
+        throw facebookError;
+      }
+      console.warn(`[FACEBOOK] Chunk at offset ${startOffset} failed (attempt ${attempt}/${UPLOAD_CHUNK_ATTEMPTS}), retrying:`, facebookError.message);
+      await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+    }
+  }
+}
+
+// Upload a local video file to a Page with a resumable upload session
+async function uploadVideo(pageId, pageAccessToken, tempFilePath, size, description) {
+  let session;
+  try {
+    const response = await axios.post(graphVideoUrl(`${pageId}/videos`), null, {
+      params: { upload_phase: 'start', file_size: size, access_token: pageAccessToken }
+    });
+    session = response.data || {};
+  } catch (error) {
+    throw toFacebookError(error, 'start Facebook video upload');
+  }
+
+  const { video_id: videoId, upload_session_id: uploadSessionId } = session;
+  if (!videoId || !uploadSessionId) {
+    throw new Error('Facebook did not return an upload session');
+  }
+  console.log(`[FACEBOOK] Started upload session ${uploadSessionId} for video ${videoId}`);
+
+  // Facebook decides the chunk boundaries; the upload is complete when both offsets are equal
+  let startOffset = parseInt(session.start_offset, 10);
+  let endOffset = parseInt(session.end_offset, 10);
+  const fileHandle = await fs.promises.open(tempFilePath, 'r');
+  try {
+    while (startOffset < endOffset) {
+      ({ startOffset, endOffset } = await transferChunk(pageId, pageAccessToken, uploadSessionId, fileHandle, startOffset, endOffset));
+      console.log(`[FACEBOOK] Uploaded ${startOffset}/${size} bytes of video ${videoId}`);
+    }
+  } finally {
+    await fileHandle.close();
+  }
+
+  try {
+    const response = await axios.post(graphVideoUrl(`${pageId}/videos`), null, {
+      params: {
+        upload_phase: 'finish',
+        upload_session_id: uploadSessionId,
+        description,
+        access_token: pageAccessToken
+      }
+    });
+    if (response.data?.success === false) {
+      throw new Error('Facebook did not accept the uploaded video');
+    }
+  } catch (error) {
+    throw toFacebookError(error, 'finish Facebook video upload');
+  }
+
+  return videoId;
+}
+
+/**
+ * Publish a video to a Facebook Page
+ * @param {string} videoUrl - URL of the video
+ * @param {string} pageAccessToken - Page access token
+ * @param {string} [description=''] - Post text
+ * @param {string} pageId - Page ID
+ * @param {Object} [healthContext] - { uid, accountId } of the connected Page, to record its health
+ * @returns {Promise<{ videoId: string, permalinkUrl: string|undefined }>}
+ */
+async function publishVideo(videoUrl, pageAccessToken, description = '', pageId, healthContext) {
+  return trackAccountHealth('facebook', healthContext, async () => {
+    console.log(`[FACEBOOK] Publishing video to Page ${pageId}`);
+
+    const { tempFilePath, size } = await downloadVideoToTempFile(videoUrl, 'facebook');
+    let videoId;
+    try {
+      videoId = await uploadVideo(pageId, pageAccessToken, tempFilePath, size, description);
+    } finally {
+      await removeTempFile(tempFilePath);
+    }
+    console.log(`[FACEBOOK] Published video ${videoId} to Page ${pageId}`);
+
+    // The permalink is only informational, publishing succeeded without it
+    let permalinkUrl;
+    try {
+      const response = await axios.get(graphUrl(videoId), {
+        params: { fields: 'permalink_url', access_token: pageAccessToken }
+      });
+      const permalink = response.data?.permalink_url;
+      permalinkUrl = permalink?.startsWith('/') ? `https://www.facebook.com${permalink}` : permalink;
+    } catch (error) {
+      console.warn(`[FACEBOOK] Could not get the permalink of ${videoId}:`, error?.message);
+    }
+
+    return { videoId, permalinkUrl };
+  });
+}
+
+/**
+ * Classify an error thrown by publishVideo as retryable (transient) or permanent
+ * @param {Error} error - Error thrown while publishing
+ * @returns {{ retryable: boolean }} - Whether publishing again later may succeed
+ */
+function classifyFacebookError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return { retryable: error.retryable };
+  }
+
+  const axiosError = error?.cause?.isAxiosError ? error.cause : error;
+  if (axiosError?.isAxiosError) {
+    // The request never got a response: network error or timeout
+    if (!axiosError.response) {
+      return { retryable: true };
+    }
+
+    const apiError = axiosError.response.data?.error;
+    if (apiError?.is_transient || TRANSIENT_FACEBOOK_ERROR_CODES.includes(apiError?.code)) {
+      return { retryable: true };
+    }
+    return { retryable: axiosError.response.status >= 500 };
+  }
+
+  // Download failures and anything unexpected
+  return { retryable: true };
+}
+
+module.exports = {
+  getAuthUrl,
+  getAccessToken,
+  getUserInfo,
+  getPages,
+  getPageInfo,
+  publishVideo,
+  classifyFacebookError
+};
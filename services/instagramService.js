@@ -0,0 +1,316 @@
+// File: services/instagramService.js
+const axios = require('axios');
+const { trackAccountHealth } = require('./accountHealthService');
+
+/**
+ * Instagram publishing through the Instagram API with Instagram Login (professional accounts).
+ *
+ * Connecting: the user authorizes the app, the code is exchanged for a short-lived token,
+ * which is exchanged for a long-lived token (valid for 60 days, refreshable).
+ * Publishing a Reel: create a media container from the video URL, poll the container until
+ * Instagram has processed the video, then publish the container.
+ *
+ * The base URLs can point at a local mock of the Graph endpoints.
+ */
+
+const INSTAGRAM_APP_ID = process.env.INSTAGRAM_APP_ID;
+const INSTAGRAM_APP_SECRET = process.env.INSTAGRAM_APP_SECRET;
+const INSTAGRAM_AUTH_URL = process.env.INSTAGRAM_AUTH_URL || 'https://www.instagram.com/oauth/authorize';
+const INSTAGRAM_API_BASE_URL = process.env.INSTAGRAM_API_BASE_URL || 'https://api.instagram.com';
+const INSTAGRAM_GRAPH_BASE_URL = process.env.INSTAGRAM_GRAPH_BASE_URL || 'https://graph.instagram.com';
+const INSTAGRAM_GRAPH_API_VERSION = process.env.INSTAGRAM_GRAPH_API_VERSION || 'v21.0';
+
+const INSTAGRAM_SCOPES = ['instagram_business_basic', 'instagram_business_content_publish'];
+
+const CONTAINER_POLL_INTERVAL_MS = parseInt(process.env.INSTAGRAM_CONTAINER_POLL_INTERVAL_MS) || 10 * 1000; // Default: 10 seconds
+const CONTAINER_POLL_TIMEOUT_MS = parseInt(process.env.INSTAGRAM_CONTAINER_POLL_TIMEOUT_MS) || 10 * 60 * 1000; // Default: 10 minutes
+
+// Long-lived tokens are refreshed when they expire within this window
+const TOKEN_REFRESH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Graph API error codes that go away on their own (unknown/service errors, rate limits)
+const TRANSIENT_INSTAGRAM_ERROR_CODES = [1, 2, 4, 17, 32, 613];
+
+const getRedirectUri = () => `${process.env.BACKEND_URL}/instagram/callback`;
+
+const graphUrl = (path) => `${INSTAGRAM_GRAPH_BASE_URL}/${INSTAGRAM_GRAPH_API_VERSION}/${path}`;
+
+// Wrap an axios error, keeping Instagram's error message and code
+function toInstagramError(error, action) {
+  const apiError = error?.response?.data?.error;
+  const instagramError = new Error(`Failed to ${action}: ${apiError?.message || error?.message || 'Unknown error'}`, { cause: error });
+  instagramError.code = apiError?.code;
+  return instagramError;
+}
+
+/**
+ * Generate the Instagram authorization URL
+ * @param {Object} options
+ * @param {string} options.state - Signed state, verified by the callback
+ * @returns {string} - Authorization URL
+ */
+function getAuthUrl({ state }) {
+  if (!INSTAGRAM_APP_ID) {
+    throw new Error('Missing Instagram app ID');
+  }
+
+  const params = new URLSearchParams({
+    client_id: INSTAGRAM_APP_ID,
+    redirect_uri: getRedirectUri(),
+    response_type: 'code',
+    scope: INSTAGRAM_SCOPES.join(','),
+    state
+  });
+
+  return `${INSTAGRAM_AUTH_URL}?${params.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for a long-lived access token
+ * @param {string} code - Authorization code from the callback
+ * @returns {Promise<{ accessToken: string, userId: string, tokenExpiresAt: Date }>}
+ */
+async function getAccessToken(code) {
+  let shortLived;
+  try {
+    console.log('[INSTAGRAM] Exchanging authorization code for access token');
+
+    const params = new URLSearchParams({
+      client_id: INSTAGRAM_APP_ID,
+      client_secret: INSTAGRAM_APP_SECRET,
+      grant_type: 'authorization_code',
+      redirect_uri: getRedirectUri(),
+      code
+    });
+
+    const response = await axios.post(`${INSTAGRAM_API_BASE_URL}/oauth/access_token`, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    shortLived = response.data;
+  } catch (error) {
+    console.error('[INSTAGRAM] Code exchange failed:', error?.response?.data || error?.message);
+    throw toInstagramError(error, 'exchange authorization code');
+  }
+
+  if (!shortLived?.access_token) {
+    throw new Error('Instagram did not return an access token');
+  }
+
+  try {
+    const response = await axios.get(`${INSTAGRAM_GRAPH_BASE_URL}/access_token`, {
+      params: {
+        grant_type: 'ig_exchange_token',
+        client_secret: INSTAGRAM_APP_SECRET,
+        access_token: shortLived.access_token
+      }
+    });
+
+    console.log('[INSTAGRAM] Obtained long-lived access token for user', shortLived.user_id);
+    return {
+      accessToken: response.data.access_token,
+      userId: String(shortLived.user_id),
+      tokenExpiresAt: new Date(Date.now() + response.data.expires_in * 1000)
+    };
+  } catch (error) {
+    console.error('[INSTAGRAM] Long-lived token exchange failed:', error?.response?.data || error?.message);
+    throw toInstagramError(error, 'get long-lived access token');
+  }
+}
+
+/**
+ * Refresh a long-lived access token (it must be at least 24 hours old and not expired)
+ * @param {string} accessToken - Current long-lived token
+ * @returns {Promise<{ accessToken: string, tokenExpiresAt: Date }>}
+ */
+async function refreshAccessToken(accessToken) {
+  try {
+    const response = await axios.get(`${INSTAGRAM_GRAPH_BASE_URL}/refresh_access_token`, {
+      params: { grant_type: 'ig_refresh_token', access_token: accessToken }
+    });
+
+    return {
+      accessToken: response.data.access_token,
+      tokenExpiresAt: new Date(Date.now() + response.data.expires_in * 1000)
+    };
+  } catch (error) {
+    console.error('[INSTAGRAM] Token refresh failed:', error?.response?.data || error?.message);
+    throw toInstagramError(error, 'refresh Instagram access token');
+  }
+}
+
+/**
+ * Whether an account's long-lived token should be refreshed before it is used
+ * @param {Object} account - Instagram account from providerData
+ * @returns {boolean}
+ */
+function needsTokenRefresh(account) {
+  return !!account?.tokenExpiresAt && new Date(account.tokenExpiresAt).getTime() - Date.now() <= TOKEN_REFRESH_WINDOW_MS;
+}
+
+/**
+ * Get the profile of the connected Instagram account
+ * @param {string} accessToken - Account access token
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<Object>} - { userId, username, name, profilePictureUrl, accountType }
+ */
+async function getUserInfo(accessToken, healthContext) {
+  return trackAccountHealth('instagram', healthContext, async () => {
+    try {
+      const response = await axios.get(graphUrl('me'), {
+        params: {
+          fields: 'user_id,username,name,profile_picture_url,account_type',
+          access_token: accessToken
+        }
+      });
+
+      const profile = response.data || {};
+      return {
+        userId: String(profile.user_id || profile.id),
+        username: profile.username,
+        name: profile.name || profile.username || '',
+        profilePictureUrl: profile.profile_picture_url || '',
+        accountType: profile.account_type
+      };
+    } catch (error) {
+      throw toInstagramError(error, 'get Instagram user info');
+    }
+  });
+}
+
+// Create a Reels media container from a public video URL
+async function createReelContainer(igUserId, accessToken, videoUrl, caption) {
+  try {
+    const response = await axios.post(graphUrl(`${igUserId}/media`), null, {
+      params: {
+        media_type: 'REELS',
+        video_url: videoUrl,
+        caption,
+        access_token: accessToken
+      }
+    });
+
+    if (!response.data?.id) {
+      throw new Error('Instagram did not return a container ID');
+    }
+    return response.data.id;
+  } catch (error) {
+    throw toInstagramError(error, 'create Instagram media container');
+  }
+}
+
+// Poll a media container until Instagram has processed the video
+async function waitForContainer(containerId, accessToken) {
+  const deadline = Date.now() + CONTAINER_POLL_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    let container;
+    try {
+      const response = await axios.get(graphUrl(containerId), {
+        params: { fields: 'status_code,status', access_token: accessToken }
+      });
+      container = response.data || {};
+    } catch (error) {
+      throw toInstagramError(error, 'check Instagram media container status');
+    }
+
+    console.log(`[INSTAGRAM] Container ${containerId} status: ${container.status_code}`);
+
+    if (container.status_code === 'FINISHED') {
+      return;
+    }
+    if (container.status_code === 'ERROR' || container.status_code === 'EXPIRED') {
+      const error = new Error(`Instagram could not process the video: ${container.status || container.status_code}`);
+      error.retryable = false;
+      throw error;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, CONTAINER_POLL_INTERVAL_MS));
+  }
+
+  throw new Error(`Instagram did not finish processing the video within ${Math.round(CONTAINER_POLL_TIMEOUT_MS / 1000)} seconds`);
+}
+
+// Publish a processed container, returning the media ID
+async function publishContainer(igUserId, accessToken, containerId) {
+  try {
+    const response = await axios.post(graphUrl(`${igUserId}/media_publish`), null, {
+      params: { creation_id: containerId, access_token: accessToken }
+    });
+    return response.data?.id;
+  } catch (error) {
+    throw toInstagramError(error, 'publish Instagram media');
+  }
+}
+
+/**
+ * Publish a video as a Reel
+ * @param {string} videoUrl - Publicly accessible URL of the video
+ * @param {string} accessToken - Account access token
+ * @param {string} [caption=''] - Reel caption
+ * @param {string} igUserId - Instagram user ID of the account
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<{ containerId: string, mediaId: string, permalink: string }>}
+ */
+async function publishReel(videoUrl, accessToken, caption = '', igUserId, healthContext) {
+  return trackAccountHealth('instagram', healthContext, async () => {
+    console.log(`[INSTAGRAM] Publishing Reel for account ${igUserId}`);
+
+    const containerId = await createReelContainer(igUserId, accessToken, videoUrl, caption);
+    console.log(`[INSTAGRAM] Created media container ${containerId}`);
+
+    await waitForContainer(containerId, accessToken);
+    const mediaId = await publishContainer(igUserId, accessToken, containerId);
+    console.log(`[INSTAGRAM] Published Reel ${mediaId}`);
+
+    // The permalink is only informational, publishing succeeded without it
+    let permalink;
+    try {
+      const response = await axios.get(graphUrl(mediaId), {
+        params: { fields: 'permalink', access_token: accessToken }
+      });
+      permalink = response.data?.permalink;
+    } catch (error) {
+      console.warn(`[INSTAGRAM] Could not get the permalink of ${mediaId}:`, error?.message);
+    }
+
+    return { containerId, mediaId, permalink };
+  });
+}
+
+/**
+ * Classify an error thrown by publishReel as retryable (transient) or permanent
+ * @param {Error} error - Error thrown while publishing
+ * @returns {{ retryable: boolean }} - Whether publishing again later may succeed
+ */
+function classifyInstagramError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return { retryable: error.retryable };
+  }
+
+  const axiosError = error?.cause?.isAxiosError ? error.cause : error;
+  if (axiosError?.isAxiosError) {
+    // The request never got a response: network error or timeout
+    if (!axiosError.response) {
+      return { retryable: true };
+    }
+
+    const apiError = axiosError.response.data?.error;
+    if (apiError?.is_transient || TRANSIENT_INSTAGRAM_ERROR_CODES.includes(apiError?.code)) {
+      return { retryable: true };
+    }
+    return { retryable: axiosError.response.status >= 500 };
+  }
+
+  // Processing timeouts and anything unexpected
+  return { retryable: true };
+}
+
+module.exports = {
+  getAuthUrl,
+  getAccessToken,
+  refreshAccessToken,
+  needsTokenRefresh,
+  getUserInfo,
+  publishReel,
+  classifyInstagramError
+};
@@ -0,0 +1,304 @@
+// File: services/jobQueue.js
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const Job = require('../models/Job');
+
+/**
+ * Mongo-backed durable job queue.
+ *
+ * Jobs are claimed atomically (status + lease owner + lease expiry in one findOneAndUpdate),
+ * so several backend instances can share the queue without running the same job twice.
+ * A running job's lease is extended by a heartbeat; if the worker dies, the lease expires
+ * and the job is re-queued (or failed once it has used up its attempts).
+ */
+
+// Load configuration from environment variables
+const JOB_QUEUE_CONCURRENCY = parseInt(process.env.JOB_QUEUE_CONCURRENCY) || 2; // Jobs run in parallel per instance
+const JOB_QUEUE_POLL_INTERVAL_MS = parseInt(process.env.JOB_QUEUE_POLL_INTERVAL_MS) || 5000; // Default: 5 seconds
+const JOB_QUEUE_LEASE_MS = parseInt(process.env.JOB_QUEUE_LEASE_MS) || 2 * 60 * 1000; // Default: 2 minutes
+const JOB_QUEUE_HEARTBEAT_MS = Math.floor(JOB_QUEUE_LEASE_MS / 3);
+
+// Identifies this process as a lease owner
+const workerId = `${os.hostname()}-${process.pid}-${uuidv4().substring(0, 8)}`;
+
+// Registered job handlers by job type
+const handlers = new Map();
+
+let activeJobs = 0;
+let polling = false;
+let pollTimer = null;
+let recoveryTimer = null;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type (e.g. 'publish_post')
+ * @param {Function} handler - Async function receiving the claimed job document. It may return
+ *   { retryAt } to run the same job again later instead of completing it.
+ * @param {Object} [options]
+ * @param {Function} [options.onFailed] - Called with (job, error) when a job fails permanently
+ */
+const registerHandler = (type, handler, { onFailed } = {}) => {
+  handlers.set(type, { handler, onFailed });
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} [payload={}] - Job data
+ * @param {Object} [options]
+ * @param {Date} [options.runAt] - Earliest time the job may run (defaults to now)
+ * @param {string} [options.postId] - Related post ID
+ * @param {number} [options.maxAttempts] - Maximum number of attempts
+ * @param {string} [options.dedupeKey] - If set, no second active job with this key is created
+ * @returns {Promise<Object>} - The queued (or already active) job
+ */
+const enqueue = async (type, payload = {}, { runAt = new Date(), postId, maxAttempts, dedupeKey } = {}) => {
+  const jobData = { type, payload, runAt, status: 'queued' };
+  if (postId) jobData.postId = postId;
+  if (maxAttempts) jobData.maxAttempts = maxAttempts;
+
+  let job;
+
+  if (!dedupeKey) {
+    job = await Job.create(jobData);
+  } else {
+    try {
+      // Upsert on the dedupe key so concurrent enqueues create a single job
+      job = await Job.findOneAndUpdate(
+        { dedupeKey },
+        { $setOnInsert: { ...jobData, dedupeKey } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Another instance inserted the same key at the same time
+      if (error?.code !== 11000) {
+        throw error;
+      }
+      job = await Job.findOne({ dedupeKey });
+    }
+  }
+
+  console.log(`[JOB QUEUE] Queued ${type} job ${job?._id} to run at ${new Date(job?.runAt || runAt).toISOString()}`);
+
+  // Pick the job up right away if this process is running a worker
+  if (pollTimer) {
+    setImmediate(poll);
+  }
+
+  return job;
+};
+
+/**
+ * Atomically claim the next due job for this worker
+ * @returns {Promise<Object|null>} - The claimed job or null if none is due
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+
+  return await Job.findOneAndUpdate(
+    {
+      status: 'queued',
+      runAt: { $lte: now },
+      type: { $in: Array.from(handlers.keys()) }
+    },
+    {
+      $set: {
+        status: 'running',
+        leaseOwner: workerId,
+        leaseExpiresAt: new Date(now.getTime() + JOB_QUEUE_LEASE_MS),
+        lastHeartbeatAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Mark a job as permanently failed and notify its handler
+ * @param {Object} job - Job document
+ * @param {Error} error - Cause of the failure
+ * @param {Object} filter - Extra conditions the job must still match
+ * @returns {Promise<boolean>} - True if the job was marked failed
+ */
+const failJob = async (job, error, filter) => {
+  const result = await Job.updateOne(
+    { _id: job._id, ...filter },
+    {
+      $set: { status: 'failed', failedAt: new Date(), lastError: error?.message || 'Unknown error' },
+      $unset: { leaseOwner: 1, leaseExpiresAt: 1, dedupeKey: 1 }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  const { onFailed } = handlers.get(job.type) || {};
+  if (onFailed) {
+    try {
+      await onFailed(job, error);
+    } catch (callbackError) {
+      console.error(`[JOB QUEUE] onFailed handler for job ${job._id} threw:`, callbackError?.message);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Run a claimed job, keeping its lease alive until the handler settles
+ * @param {Object} job - Claimed job document
+ */
+const runJob = async (job) => {
+  const { handler } = handlers.get(job.type);
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const result = await Job.updateOne(
+        { _id: job._id, status: 'running', leaseOwner: workerId },
+        { $set: { leaseExpiresAt: new Date(Date.now() + JOB_QUEUE_LEASE_MS), lastHeartbeatAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        console.warn(`[JOB QUEUE] Lost lease on job ${job._id}, another worker may have taken it over`);
+      }
+    } catch (error) {
+      console.error(`[JOB QUEUE] Heartbeat failed for job ${job._id}:`, error?.message);
+    }
+  }, JOB_QUEUE_HEARTBEAT_MS);
+
+  try {
+    console.log(`[JOB QUEUE] Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts}) on ${workerId}`);
+
+    const result = await handler(job);
+
+    if (result?.retryAt) {
+      // Run the job again later, keeping its dedupe key so it is not queued twice
+      await Job.updateOne(
+        { _id: job._id, leaseOwner: workerId },
+        {
+          $set: { status: 'queued', runAt: result.retryAt, attempts: 0 },
+          $unset: { leaseOwner: 1, leaseExpiresAt: 1 }
+        }
+      );
+
+      console.log(`[JOB QUEUE] Rescheduled ${job.type} job ${job._id} to run at ${new Date(result.retryAt).toISOString()}`);
+      return;
+    }
+
+    await Job.updateOne(
+      { _id: job._id, leaseOwner: workerId },
+      {
+        $set: { status: 'completed', completedAt: new Date() },
+        $unset: { leaseOwner: 1, leaseExpiresAt: 1, dedupeKey: 1 }
+      }
+    );
+
+    console.log(`[JOB QUEUE] Completed ${job.type} job ${job._id}`);
+  } catch (error) {
+    console.error(`[JOB QUEUE] ${job.type} job ${job._id} failed:`, error?.message);
+    await failJob(job, error, { leaseOwner: workerId });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Claim and start jobs until this worker is at its concurrency limit
+ */
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    while (activeJobs < JOB_QUEUE_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job)
+        .catch(error => console.error(`[JOB QUEUE] Unexpected error running job ${job._id}:`, error?.message))
+        .finally(() => {
+          activeJobs--;
+          // A slot is free, look for more work
+          setImmediate(poll);
+        });
+    }
+  } catch (error) {
+    console.error('[JOB QUEUE] Error polling for jobs:', error?.message);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Re-queue jobs whose worker stopped sending heartbeats (crash recovery).
+ * Jobs that have used up their attempts are failed instead.
+ */
+const recoverExpiredLeases = async () => {
+  try {
+    const now = new Date();
+    const expiredJobs = await Job.find({ status: 'running', leaseExpiresAt: { $lte: now } });
+
+    for (const job of expiredJobs) {
+      // Only touch the job if nobody renewed or reclaimed the lease in the meantime
+      const leaseFilter = { status: 'running', leaseOwner: job.leaseOwner, leaseExpiresAt: job.leaseExpiresAt };
+      const leaseError = new Error(`Lease held by ${job.leaseOwner} expired`);
+
+      if (job.attempts >= job.maxAttempts) {
+        if (await failJob(job, leaseError, leaseFilter)) {
+          console.warn(`[JOB QUEUE] Job ${job._id} failed after ${job.attempts} attempts: ${leaseError.message}`);
+        }
+        continue;
+      }
+
+      const result = await Job.updateOne(
+        { _id: job._id, ...leaseFilter },
+        {
+          $set: { status: 'queued', runAt: now, lastError: leaseError.message },
+          $unset: { leaseOwner: 1, leaseExpiresAt: 1 }
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        console.warn(`[JOB QUEUE] Re-queued job ${job._id}: ${leaseError.message}`);
+      }
+    }
+  } catch (error) {
+    console.error('[JOB QUEUE] Error recovering expired leases:', error?.message);
+  }
+};
+
+/**
+ * Start polling for jobs and recovering expired leases
+ */
+const startWorker = () => {
+  if (pollTimer) return;
+
+  console.log(`[JOB QUEUE] Starting worker ${workerId} (concurrency: ${JOB_QUEUE_CONCURRENCY}, lease: ${JOB_QUEUE_LEASE_MS}ms)`);
+
+  recoveryTimer = setInterval(recoverExpiredLeases, Math.floor(JOB_QUEUE_LEASE_MS / 2));
+  pollTimer = setInterval(poll, JOB_QUEUE_POLL_INTERVAL_MS);
+
+  recoverExpiredLeases().then(poll);
+};
+
+/**
+ * Stop claiming new jobs. Jobs already running finish normally.
+ */
+const stopWorker = () => {
+  clearInterval(pollTimer);
+  clearInterval(recoveryTimer);
+  pollTimer = null;
+  recoveryTimer = null;
+  console.log(`[JOB QUEUE] Stopped worker ${workerId}`);
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  startWorker,
+  stopWorker,
+  recoverExpiredLeases
+};
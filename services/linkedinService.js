@@ -0,0 +1,421 @@
+// File: services/linkedinService.js
+const axios = require('axios');
+const fs = require('fs');
+const { trackAccountHealth } = require('./accountHealthService');
+const { downloadVideoToTempFile, removeTempFile } = require('../utils/videoDownload');
+
+/**
+ * LinkedIn video posting for members and the organization pages they administer.
+ *
+ * Connecting: OAuth 2.0 authorization code flow. Access tokens are valid for 60 days;
+ * apps with programmatic refresh also get a refresh token (valid for a year).
+ * Organization pages the member can post to are discovered through their role assignments.
+ * Publishing: register a video upload (assets API), upload the file to the returned URL,
+ * wait until LinkedIn has processed the video, then create a UGC post with it.
+ *
+ * The base URLs can point at a local mock of the LinkedIn endpoints.
+ */
+
+const LINKEDIN_CLIENT_ID = process.env.LINKEDIN_CLIENT_ID;
+const LINKEDIN_CLIENT_SECRET = process.env.LINKEDIN_CLIENT_SECRET;
+const LINKEDIN_OAUTH_BASE_URL = process.env.LINKEDIN_OAUTH_BASE_URL || 'https://www.linkedin.com/oauth/v2';
+const LINKEDIN_API_BASE_URL = process.env.LINKEDIN_API_BASE_URL || 'https://api.linkedin.com';
+const LINKEDIN_API_VERSION = process.env.LINKEDIN_API_VERSION || '202409';
+
+// Organization scopes need the Community Management API product on the LinkedIn app
+const LINKEDIN_MEMBER_SCOPES = ['openid', 'profile', 'w_member_social'];
+const LINKEDIN_ORGANIZATION_SCOPES = ['w_organization_social', 'rw_organization_admin'];
+const ORGANIZATIONS_ENABLED = process.env.LINKEDIN_ORGANIZATIONS_ENABLED !== 'false';
+
+// Organization roles that can post on behalf of the organization
+const POSTING_ROLES = ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR', 'DIRECT_SPONSORED_CONTENT_POSTER'];
+
+const ASSET_POLL_INTERVAL_MS = parseInt(process.env.LINKEDIN_ASSET_POLL_INTERVAL_MS) || 5 * 1000; // Default: 5 seconds
+const ASSET_POLL_TIMEOUT_MS = parseInt(process.env.LINKEDIN_ASSET_POLL_TIMEOUT_MS) || 10 * 60 * 1000; // Default: 10 minutes
+
+// Access tokens are refreshed when they expire within this window
+const TOKEN_REFRESH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Maximum length of the post text
+const MAX_COMMENTARY_LENGTH = 3000;
+
+const getRedirectUri = () => `${process.env.BACKEND_URL}/linkedin/callback`;
+
+// Headers of the v2 API (assets, UGC posts)
+const v2Headers = (accessToken) => ({
+  'Authorization': `Bearer ${accessToken}`,
+  'X-Restli-Protocol-Version': '2.0.0'
+});
+
+// Headers of the versioned REST API (organizations)
+const restHeaders = (accessToken) => ({
+  ...v2Headers(accessToken),
+  'LinkedIn-Version': LINKEDIN_API_VERSION
+});
+
+/**
+ * URN of the author of a post
+ * @param {string} memberId - LinkedIn member id
+ * @param {string} [organizationId] - Organization to post as
+ * @returns {string}
+ */
+const getAuthorUrn = (memberId, organizationId) =>
+  organizationId ? `urn:li:organization:${organizationId}` : `urn:li:person:${memberId}`;
+
+// Wrap an axios error, keeping LinkedIn's error message and code
+function toLinkedInError(error, action) {
+  const data = error?.response?.data;
+  const apiMessage = data?.message || data?.error_description;
+  const linkedinError = new Error(`Failed to ${action}: ${apiMessage || error?.message || 'Unknown error'}`, { cause: error });
+  linkedinError.code = data?.serviceErrorCode || data?.error;
+  return linkedinError;
+}
+
+/**
+ * Generate the LinkedIn authorization URL
+ * @param {Object} options
+ * @param {string} options.state - Signed state, verified by the callback
+ * @returns {string} - Authorization URL
+ */
+function getAuthUrl({ state }) {
+  if (!LINKEDIN_CLIENT_ID) {
+    throw new Error('Missing LinkedIn client ID');
+  }
+
+  const scopes = ORGANIZATIONS_ENABLED ? [...LINKEDIN_MEMBER_SCOPES, ...LINKEDIN_ORGANIZATION_SCOPES] : LINKEDIN_MEMBER_SCOPES;
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: LINKEDIN_CLIENT_ID,
+    redirect_uri: getRedirectUri(),
+    scope: scopes.join(' '),
+    state
+  });
+
+  return `${LINKEDIN_OAUTH_BASE_URL}/authorization?${params.toString()}`;
+}
+
+// Map a token endpoint response to the stored token fields
+const toTokenData = (data) => ({
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token,
+  tokenExpiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000) : undefined,
+  refreshTokenExpiresAt: data.refresh_token_expires_in ? new Date(Date.now() + data.refresh_token_expires_in * 1000) : undefined,
+  scope: data.scope
+});
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code - Authorization code from the callback
+ * @returns {Promise<{ accessToken: string, refreshToken?: string, tokenExpiresAt?: Date, refreshTokenExpiresAt?: Date, scope?: string }>}
+ */
+async function getAccessToken(code) {
+  try {
+    console.log('[LINKEDIN] Exchanging authorization code for access token');
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getRedirectUri(),
+      client_id: LINKEDIN_CLIENT_ID,
+      client_secret: LINKEDIN_CLIENT_SECRET
+    });
+
+    const response = await axios.post(`${LINKEDIN_OAUTH_BASE_URL}/accessToken`, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    if (!response.data?.access_token) {
+      throw new Error('LinkedIn did not return an access token');
+    }
+    return toTokenData(response.data);
+  } catch (error) {
+    console.error('[LINKEDIN] Code exchange failed:', error?.response?.data || error?.message);
+    throw toLinkedInError(error, 'exchange authorization code');
+  }
+}
+
+/**
+ * Refresh an access token
+ * @param {string} refreshToken - Refresh token of the account
+ * @returns {Promise<{ accessToken: string, refreshToken?: string, tokenExpiresAt?: Date, refreshTokenExpiresAt?: Date }>}
+ */
+async function refreshAccessToken(refreshToken) {
+  try {
+    const params = new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: LINKEDIN_CLIENT_ID,
+      client_secret: LINKEDIN_CLIENT_SECRET
+    });
+
+    const response = await axios.post(`${LINKEDIN_OAUTH_BASE_URL}/accessToken`, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    const { scope, ...tokens } = toTokenData(response.data);
+    // LinkedIn returns the same refresh token until it is close to expiry
+    return { ...tokens, refreshToken: tokens.refreshToken || refreshToken };
+  } catch (error) {
+    console.error('[LINKEDIN] Token refresh failed:', error?.response?.data || error?.message);
+    throw toLinkedInError(error, 'refresh LinkedIn access token');
+  }
+}
+
+/**
+ * Whether an account's access token should be refreshed before it is used
+ * @param {Object} account - LinkedIn account from providerData
+ * @returns {boolean}
+ */
+function needsTokenRefresh(account) {
+  return !!account?.refreshToken && !!account?.tokenExpiresAt &&
+    new Date(account.tokenExpiresAt).getTime() - Date.now() <= TOKEN_REFRESH_WINDOW_MS;
+}
+
+/**
+ * Get the profile of the connected member
+ * @param {string} accessToken - Account access token
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<{ userId: string, name: string, profilePictureUrl: string }>}
+ */
+async function getUserInfo(accessToken, healthContext) {
+  return trackAccountHealth('linkedin', healthContext, async () => {
+    try {
+      const response = await axios.get(`${LINKEDIN_API_BASE_URL}/v2/userinfo`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+
+      const profile = response.data || {};
+      return {
+        userId: profile.sub,
+        name: profile.name || [profile.given_name, profile.family_name].filter(Boolean).join(' '),
+        profilePictureUrl: profile.picture || ''
+      };
+    } catch (error) {
+      throw toLinkedInError(error, 'get LinkedIn user info');
+    }
+  });
+}
+
+/**
+ * Discover the organization pages the member can post to
+ * @param {string} accessToken - Account access token
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<Array<{ organizationId: string, name: string, vanityName: string, role: string }>>}
+ */
+async function getOrganizations(accessToken, healthContext) {
+  return trackAccountHealth('linkedin', healthContext, async () => {
+    let acls;
+    try {
+      const response = await axios.get(`${LINKEDIN_API_BASE_URL}/rest/organizationAcls`, {
+        params: { q: 'roleAssignee', state: 'APPROVED', count: 100 },
+        headers: restHeaders(accessToken)
+      });
+      acls = (response.data?.elements || []).filter(acl => POSTING_ROLES.includes(acl.role));
+    } catch (error) {
+      throw toLinkedInError(error, 'list LinkedIn organizations');
+    }
+
+    // A member can have several roles on the same organization
+    const organizationIds = [...new Set(acls.map(acl => String(acl.organization).split(':').pop()))];
+
+    const organizations = [];
+    for (const organizationId of organizationIds) {
+      try {
+        const response = await axios.get(`${LINKEDIN_API_BASE_URL}/rest/organizations/${organizationId}`, {
+          headers: restHeaders(accessToken)
+        });
+        organizations.push({
+          organizationId,
+          name: response.data?.localizedName || '',
+          vanityName: response.data?.vanityName || '',
+          role: acls.find(acl => String(acl.organization).endsWith(`:${organizationId}`))?.role
+        });
+      } catch (error) {
+        throw toLinkedInError(error, `get LinkedIn organization ${organizationId}`);
+      }
+    }
+
+    return organizations;
+  });
+}
+
+/**
+ * Whether the granted scopes allow posting as an organization
+ * @param {Object} account - LinkedIn account or token data with scope
+ * @returns {boolean}
+ */
+function hasOrganizationScopes(account) {
+  const granted = String(account?.scope || '').split(/[ ,]+/);
+  return LINKEDIN_ORGANIZATION_SCOPES.every(scope => granted.includes(scope));
+}
+
+// Register a video upload for the author, returning the upload URL and the asset URN
+async function registerUpload(accessToken, authorUrn) {
+  try {
+    const response = await axios.post(`${LINKEDIN_API_BASE_URL}/v2/assets?action=registerUpload`, {
+      registerUploadRequest: {
+        recipes: ['urn:li:digitalmediaRecipe:feedshare-video'],
+        owner: authorUrn,
+        serviceRelationships: [{ relationshipType: 'OWNER', identifier: 'urn:li:userGeneratedContent' }]
+      }
+    }, { headers: v2Headers(accessToken) });
+
+    const value = response.data?.value;
+    const uploadUrl = value?.uploadMechanism?.['com.linkedin.digitalmedia.uploading.MediaUploadHttpRequest']?.uploadUrl;
+    if (!uploadUrl || !value?.asset) {
+      throw new Error('LinkedIn did not return an upload URL');
+    }
+    return { uploadUrl, asset: value.asset };
+  } catch (error) {
+    throw toLinkedInError(error, 'register LinkedIn video upload');
+  }
+}
+
+// Upload the video file to the registered upload URL
+async function uploadFile(accessToken, uploadUrl, tempFilePath, size) {
+  try {
+    await axios.put(uploadUrl, fs.createReadStream(tempFilePath), {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': size
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+  } catch (error) {
+    throw toLinkedInError(error, 'upload video to LinkedIn');
+  }
+}
+
+// Poll an asset until LinkedIn has processed the video
+async function waitForAsset(accessToken, asset) {
+  const assetId = asset.split(':').pop();
+  const deadline = Date.now() + ASSET_POLL_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    let status;
+    try {
+      const response = await axios.get(`${LINKEDIN_API_BASE_URL}/v2/assets/${assetId}`, {
+        headers: v2Headers(accessToken)
+      });
+      status = response.data?.recipes?.[0]?.status;
+    } catch (error) {
+      throw toLinkedInError(error, 'check LinkedIn video status');
+    }
+
+    console.log(`[LINKEDIN] Asset ${asset} status: ${status}`);
+
+    if (status === 'AVAILABLE') {
+      return;
+    }
+    if (status === 'CLIENT_ERROR' || status === 'INCOMPLETE') {
+      const error = new Error(`LinkedIn could not process the video: ${status}`);
+      error.retryable = false;
+      throw error;
+    }
+    if (status === 'SERVER_ERROR') {
+      throw new Error('LinkedIn could not process the video: SERVER_ERROR');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, ASSET_POLL_INTERVAL_MS));
+  }
+
+  throw new Error(`LinkedIn did not finish processing the video within ${Math.round(ASSET_POLL_TIMEOUT_MS / 1000)} seconds`);
+}
+
+// Create a public UGC post with the processed video, returning the post URN
+async function createVideoPost(accessToken, authorUrn, asset, text) {
+  try {
+    const response = await axios.post(`${LINKEDIN_API_BASE_URL}/v2/ugcPosts`, {
+      author: authorUrn,
+      lifecycleState: 'PUBLISHED',
+      specificContent: {
+        'com.linkedin.ugc.ShareContent': {
+          shareCommentary: { text: text.slice(0, MAX_COMMENTARY_LENGTH) },
+          shareMediaCategory: 'VIDEO',
+          media: [{ status: 'READY', media: asset }]
+        }
+      },
+      visibility: { 'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC' }
+    }, { headers: v2Headers(accessToken) });
+
+    return response.headers?.['x-restli-id'] || response.data?.id;
+  } catch (error) {
+    throw toLinkedInError(error, 'create LinkedIn post');
+  }
+}
+
+/**
+ * Post a video as the member or as one of their organizations
+ * @param {string} videoUrl - URL of the video
+ * @param {string} accessToken - Account access token
+ * @param {string} [text=''] - Post text
+ * @param {string} memberId - LinkedIn member id of the account
+ * @param {string} [organizationId] - Organization to post as
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<{ postUrn: string, asset: string, postUrl: string|undefined }>}
+ */
+async function postVideo(videoUrl, accessToken, text = '', memberId, organizationId, healthContext) {
+  return trackAccountHealth('linkedin', healthContext, async () => {
+    const authorUrn = getAuthorUrn(memberId, organizationId);
+    console.log(`[LINKEDIN] Posting video as ${authorUrn}`);
+
+    const { uploadUrl, asset } = await registerUpload(accessToken, authorUrn);
+    console.log(`[LINKEDIN] Registered upload of asset ${asset}`);
+
+    const { tempFilePath, size } = await downloadVideoToTempFile(videoUrl, 'linkedin');
+    try {
+      await uploadFile(accessToken, uploadUrl, tempFilePath, size);
+    } finally {
+      await removeTempFile(tempFilePath);
+    }
+
+    await waitForAsset(accessToken, asset);
+    const postUrn = await createVideoPost(accessToken, authorUrn, asset, text);
+    console.log(`[LINKEDIN] Created post ${postUrn}`);
+
+    return {
+      postUrn,
+      asset,
+      postUrl: postUrn ? `https://www.linkedin.com/feed/update/${postUrn}/` : undefined
+    };
+  });
+}
+
+/**
+ * Classify an error thrown by postVideo as retryable (transient) or permanent
+ * @param {Error} error - Error thrown while posting
+ * @returns {{ retryable: boolean }} - Whether posting again later may succeed
+ */
+function classifyLinkedInError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return { retryable: error.retryable };
+  }
+
+  const axiosError = error?.cause?.isAxiosError ? error.cause : error;
+  if (axiosError?.isAxiosError) {
+    // The request never got a response: network error or timeout
+    if (!axiosError.response) {
+      return { retryable: true };
+    }
+    const status = axiosError.response.status;
+    return { retryable: status === 429 || status >= 500 };
+  }
+
+  // Processing timeouts, download failures and anything unexpected
+  return { retryable: true };
+}
+
+module.exports = {
+  getAuthorUrn,
+  getAuthUrl,
+  getAccessToken,
+  refreshAccessToken,
+  needsTokenRefresh,
+  getUserInfo,
+  getOrganizations,
+  hasOrganizationScopes,
+  postVideo,
+  classifyLinkedInError
+};
@@ -0,0 +1,408 @@
+// File: services/mastodonService.js
+const axios = require('axios');
+const fs = require('fs');
+const FormData = require('form-data');
+const MastodonApp = require('../models/MastodonApp');
+const { trackAccountHealth } = require('./accountHealthService');
+const { encryptToken, decryptToken } = require('../utils/tokenEncryption');
+const { downloadVideoToTempFile, removeTempFile } = require('../utils/videoDownload');
+
+/**
+ * Mastodon publishing through the Mastodon REST API.
+ *
+ * Connecting: every instance has its own OAuth clients, so the backend registers an app on
+ * an instance the first time someone connects an account there (models/MastodonApp.js) and
+ * then runs the authorization code flow against that instance. Access tokens do not expire.
+ * Publishing: the video is uploaded as media, which the instance transcodes asynchronously,
+ * and attached to a status once it is processed.
+ */
+
+const MASTODON_CLIENT_NAME = process.env.MASTODON_CLIENT_NAME || 'Social Lane';
+const MASTODON_SCOPES = 'read:accounts write:media write:statuses';
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+const DEFAULT_VISIBILITY = VISIBILITIES.includes(process.env.MASTODON_DEFAULT_VISIBILITY) ? process.env.MASTODON_DEFAULT_VISIBILITY : 'public';
+
+// Mastodon's default limits; instances can raise them
+const DEFAULT_MAX_CHARACTERS = 500;
+const MAX_VIDEO_BYTES = parseInt(process.env.MASTODON_MAX_VIDEO_BYTES) || 99 * 1024 * 1024; // 99 MB
+
+// Polling of media that is still being processed
+const MEDIA_POLL_INTERVAL_MS = parseInt(process.env.MASTODON_MEDIA_POLL_INTERVAL_MS) || 5000;
+const MEDIA_POLL_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+
+// Hosts that must never be called with a user-supplied instance URL outside development
+const PRIVATE_HOST_PATTERN = /^(localhost|.*\.local|.*\.internal|127\.\d+\.\d+\.\d+|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(1[6-9]|2\d|3[01])\.\d+\.\d+|169\.254\.\d+\.\d+|0\.0\.0\.0|\[?::1\]?)$/i;
+
+const getRedirectUri = () => `${process.env.BACKEND_URL}/social/mastodon/callback`;
+
+// Wrap an axios error, keeping Mastodon's error message
+function toMastodonError(error, action) {
+  const data = error?.response?.data;
+  const mastodonError = new Error(`Failed to ${action}: ${data?.error_description || data?.error || error?.message || 'Unknown error'}`, { cause: error });
+  mastodonError.code = typeof data?.error === 'string' && !data.error.includes(' ') ? data.error : undefined;
+  return mastodonError;
+}
+
+const authHeaders = (accessToken) => ({ 'Authorization': `Bearer ${accessToken}` });
+
+/**
+ * Normalize the instance a user entered (e.g. "mastodon.social", "https://mastodon.social/",
+ * "@user@mastodon.social") to its base URL
+ * @param {string} instance - Instance entered by the user
+ * @returns {string} - https://<host>
+ * @throws {Error} - With status 400 if it is not a valid public instance
+ */
+const normalizeInstanceUrl = (instance) => {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  let value = String(instance || '').trim();
+  // A full handle: take the domain part
+  if (/^@?[^@\s/]+@[^@\s/]+$/.test(value)) {
+    value = value.split('@').pop();
+  }
+  if (!value) {
+    throw invalid('Mastodon instance is required');
+  }
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    value = `https://${value}`;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw invalid(`Invalid Mastodon instance: ${instance}`);
+  }
+
+  const isDevelopment = process.env.NODE_ENV === 'development';
+  if (url.protocol !== 'https:' && !(isDevelopment && url.protocol === 'http:')) {
+    throw invalid('Mastodon instances must be reached over https');
+  }
+  if (!isDevelopment && PRIVATE_HOST_PATTERN.test(url.hostname)) {
+    throw invalid(`Invalid Mastodon instance: ${instance}`);
+  }
+
+  return url.origin;
+};
+
+/**
+ * Get the app registered on an instance, registering it first if needed
+ * @param {string} instanceUrl - Normalized instance URL
+ * @returns {Promise<{ clientId: string, clientSecret: string, redirectUri: string }>} - With the decrypted client secret
+ */
+async function getOrRegisterApp(instanceUrl) {
+  const redirectUri = getRedirectUri();
+  const existing = await MastodonApp.findOne({ instanceUrl }).lean();
+  if (existing && existing.redirectUri === redirectUri && existing.scopes === MASTODON_SCOPES) {
+    return { clientId: existing.clientId, clientSecret: decryptToken(existing.clientSecret), redirectUri };
+  }
+
+  let app;
+  try {
+    const response = await axios.post(`${instanceUrl}/api/v1/apps`, {
+      client_name: MASTODON_CLIENT_NAME,
+      redirect_uris: redirectUri,
+      scopes: MASTODON_SCOPES,
+      website: process.env.FRONTEND_URL
+    });
+    app = response.data;
+  } catch (error) {
+    throw toMastodonError(error, `register the app on ${instanceUrl}`);
+  }
+  if (!app?.client_id || !app?.client_secret) {
+    throw new Error(`${instanceUrl} did not return OAuth client credentials`);
+  }
+
+  const fields = {
+    clientId: app.client_id,
+    clientSecret: encryptToken(app.client_secret),
+    redirectUri,
+    scopes: MASTODON_SCOPES
+  };
+  try {
+    await MastodonApp.updateOne({ instanceUrl }, { $set: fields }, { upsert: true });
+  } catch (error) {
+    // Another request registered the app at the same time; use that registration
+    if (error?.code === 11000) {
+      return getOrRegisterApp(instanceUrl);
+    }
+    throw error;
+  }
+
+  console.log(`[MASTODON] Registered app on ${instanceUrl}`);
+  return { clientId: app.client_id, clientSecret: app.client_secret, redirectUri };
+}
+
+/**
+ * Generate the authorization URL of an instance
+ * @param {string} instanceUrl - Normalized instance URL
+ * @param {Object} options
+ * @param {string} options.clientId - Client id of the app registered on the instance
+ * @param {string} options.state - Signed state, verified by the callback
+ * @returns {string} - Authorization URL
+ */
+function getAuthUrl(instanceUrl, { clientId, state }) {
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: getRedirectUri(),
+    scope: MASTODON_SCOPES,
+    state
+  });
+  return `${instanceUrl}/oauth/authorize?${params.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for an access token
+ * @param {string} instanceUrl - Normalized instance URL
+ * @param {string} code - Authorization code from the callback
+ * @returns {Promise<{ accessToken: string, scope: string }>}
+ */
+async function getAccessToken(instanceUrl, code) {
+  const { clientId, clientSecret, redirectUri } = await getOrRegisterApp(instanceUrl);
+
+  try {
+    const response = await axios.post(`${instanceUrl}/oauth/token`, {
+      grant_type: 'authorization_code',
+      code,
+      client_id: clientId,
+      client_secret: clientSecret,
+      redirect_uri: redirectUri,
+      scope: MASTODON_SCOPES
+    });
+
+    if (!response.data?.access_token) {
+      throw new Error('No access token in response');
+    }
+    return { accessToken: response.data.access_token, scope: response.data.scope || MASTODON_SCOPES };
+  } catch (error) {
+    throw toMastodonError(error, 'get Mastodon access token');
+  }
+}
+
+/**
+ * Account id stored on the user; Mastodon account ids are only unique per instance
+ * @param {string} id - Account id on the instance
+ * @param {string} instanceUrl - Normalized instance URL
+ * @returns {string} - <id>@<host>
+ */
+const getAccountId = (id, instanceUrl) => `${id}@${new URL(instanceUrl).host}`;
+
+/**
+ * Get the account an access token belongs to
+ * @param {string} instanceUrl - Normalized instance URL
+ * @param {string} accessToken - Access token
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<Object>} - { userId, instanceUrl, username, acct, displayName, avatarUrl, profileUrl }
+ */
+async function getAccountInfo(instanceUrl, accessToken, healthContext) {
+  return trackAccountHealth('mastodon', healthContext, async () => {
+    try {
+      const response = await axios.get(`${instanceUrl}/api/v1/accounts/verify_credentials`, {
+        headers: authHeaders(accessToken)
+      });
+      const account = response.data || {};
+      return {
+        userId: getAccountId(account.id, instanceUrl),
+        instanceUrl,
+        username: account.username,
+        // acct has no domain for local accounts
+        acct: account.acct && account.acct.includes('@') ? account.acct : `${account.acct || account.username}@${new URL(instanceUrl).host}`,
+        displayName: account.display_name || account.username,
+        avatarUrl: account.avatar,
+        profileUrl: account.url
+      };
+    } catch (error) {
+      throw toMastodonError(error, 'get Mastodon account');
+    }
+  });
+}
+
+// Maximum status length of an instance; the default if the instance does not say
+async function getMaxCharacters(instanceUrl) {
+  try {
+    const response = await axios.get(`${instanceUrl}/api/v2/instance`);
+    return response.data?.configuration?.statuses?.max_characters || DEFAULT_MAX_CHARACTERS;
+  } catch (error) {
+    console.warn(`[MASTODON] Failed to get limits of ${instanceUrl}:`, error?.message);
+    return DEFAULT_MAX_CHARACTERS;
+  }
+}
+
+// Upload the video file as media, returning the media attachment
+async function uploadMedia(account, tempFilePath, size) {
+  const form = new FormData();
+  form.append('file', fs.createReadStream(tempFilePath), {
+    filename: 'video.mp4',
+    contentType: 'video/mp4',
+    knownLength: size
+  });
+
+  try {
+    const response = await axios.post(`${account.instanceUrl}/api/v2/media`, form, {
+      headers: { ...authHeaders(account.accessToken), ...form.getHeaders() },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+    return response.data;
+  } catch (error) {
+    throw toMastodonError(error, 'upload video to Mastodon');
+  }
+}
+
+// Poll a media attachment until the instance has processed the video (its url is set)
+async function waitForMedia(account, media) {
+  if (media?.url) {
+    return;
+  }
+
+  const deadline = Date.now() + MEDIA_POLL_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, MEDIA_POLL_INTERVAL_MS));
+
+    let response;
+    try {
+      response = await axios.get(`${account.instanceUrl}/api/v1/media/${media.id}`, {
+        headers: authHeaders(account.accessToken)
+      });
+    } catch (error) {
+      throw toMastodonError(error, 'check Mastodon media status');
+    }
+
+    // 206 Partial Content while processing
+    if (response.status === 200 && response.data?.url) {
+      return;
+    }
+    console.log(`[MASTODON] Media ${media.id} is still being processed`);
+  }
+
+  throw new Error(`Mastodon did not finish processing the video within ${Math.round(MEDIA_POLL_TIMEOUT_MS / 1000)} seconds`);
+}
+
+// Create a status with the processed video
+async function createStatus(account, text, mediaId, idempotencyKey) {
+  const headers = authHeaders(account.accessToken);
+  // The instance returns the first status again for a repeated key, so retries never post twice
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  try {
+    const response = await axios.post(`${account.instanceUrl}/api/v1/statuses`, {
+      status: text,
+      media_ids: [mediaId],
+      visibility: DEFAULT_VISIBILITY
+    }, { headers });
+    return response.data;
+  } catch (error) {
+    throw toMastodonError(error, 'create Mastodon status');
+  }
+}
+
+/**
+ * Post a video
+ * @param {string} videoUrl - URL of the video
+ * @param {Object} account - { userId, instanceUrl, accessToken } of the connected account
+ * @param {string} [text=''] - Status text
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey] - Same key for every attempt of the same post
+ * @param {Object} [options.healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<{ statusId: string, statusUrl: string|undefined }>}
+ */
+async function postVideo(videoUrl, account, text = '', { idempotencyKey, healthContext } = {}) {
+  const statusText = (text || '').trim();
+  const maxCharacters = await getMaxCharacters(account.instanceUrl);
+  if (Array.from(statusText).length > maxCharacters) {
+    const error = new Error(`${new URL(account.instanceUrl).host} allows statuses of at most ${maxCharacters} characters`);
+    error.retryable = false;
+    throw error;
+  }
+
+  return trackAccountHealth('mastodon', healthContext, async () => {
+    console.log(`[MASTODON] Posting video as ${account.acct || account.userId}`);
+
+    const { tempFilePath, size } = await downloadVideoToTempFile(videoUrl, 'mastodon');
+    let media;
+    try {
+      if (size > MAX_VIDEO_BYTES) {
+        const error = new Error(`Mastodon accepts videos of at most ${Math.round(MAX_VIDEO_BYTES / (1024 * 1024))} MB`);
+        error.retryable = false;
+        throw error;
+      }
+      media = await uploadMedia(account, tempFilePath, size);
+    } finally {
+      await removeTempFile(tempFilePath);
+    }
+    console.log(`[MASTODON] Uploaded media ${media?.id}`);
+
+    await waitForMedia(account, media);
+    const status = await createStatus(account, statusText, media.id, idempotencyKey);
+    console.log(`[MASTODON] Created status ${status?.id}`);
+
+    return { statusId: status?.id, statusUrl: status?.url };
+  });
+}
+
+/**
+ * Get a published status
+ * @param {Object} account - { instanceUrl, accessToken } of the connected account
+ * @param {string} statusId - Status id on the instance
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<Object|null>} - The status, or null if it was deleted
+ */
+async function getStatus(account, statusId, healthContext) {
+  return trackAccountHealth('mastodon', healthContext, async () => {
+    try {
+      const response = await axios.get(`${account.instanceUrl}/api/v1/statuses/${statusId}`, {
+        headers: authHeaders(account.accessToken)
+      });
+      return response.data;
+    } catch (error) {
+      if (error?.response?.status === 404) {
+        return null;
+      }
+      throw toMastodonError(error, 'get Mastodon status');
+    }
+  });
+}
+
+/**
+ * Classify an error thrown by postVideo as retryable (transient) or permanent
+ * @param {Error} error - Error thrown while posting
+ * @returns {{ retryable: boolean }} - Whether posting again later may succeed
+ */
+function classifyMastodonError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return { retryable: error.retryable };
+  }
+
+  const axiosError = error?.cause?.isAxiosError ? error.cause : error;
+  if (axiosError?.isAxiosError) {
+    // The request never got a response: network error or timeout
+    if (!axiosError.response) {
+      return { retryable: true };
+    }
+    const status = axiosError.response.status;
+    return { retryable: status === 429 || status >= 500 };
+  }
+
+  // Processing timeouts, download failures and anything unexpected
+  return { retryable: true };
+}
+
+module.exports = {
+  MAX_VIDEO_BYTES,
+  normalizeInstanceUrl,
+  getOrRegisterApp,
+  getAuthUrl,
+  getAccessToken,
+  getAccountInfo,
+  postVideo,
+  getStatus,
+  classifyMastodonError
+};
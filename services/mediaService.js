@@ -0,0 +1,197 @@
+// File: services/mediaService.js
+const Media = require('../models/Media');
+const r2Service = require('./r2Service');
+const assetsService = require('./assetsService');
+const { createThumbnail } = require('./videoProcessingService');
+const { addStorageUsage } = require('./storageQuotaService');
+
+/**
+ * Media library: the files users uploaded to R2, who owns them and which posts use them.
+ * Uploads are recorded by r2Service and assetsService, posts are linked to the media whose URL
+ * they use, and media no post references is deleted after MEDIA_RETENTION_DAYS. The size of each
+ * recorded file counts against the storage quota of its owner's plan until it is deleted.
+ */
+
+const RETENTION_MS = (parseInt(process.env.MEDIA_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const deleteObject = (bucket, key) => (bucket === 'videos' ? r2Service.deleteFile(key) : assetsService.deleteAsset(key));
+
+// Store a JPEG frame of a video in the assets bucket. Never throws.
+const storeThumbnail = async (uid, key, source) => {
+  try {
+    const thumbnail = await createThumbnail(source);
+    const fileName = `thumbnails/${uid}/${key.split('/').pop().replace(/\.[^.]+$/, '')}.jpg`;
+    const { url, key: thumbnailKey } = await assetsService.uploadAssetBuffer(thumbnail, fileName, 'image/jpeg');
+    return { thumbnailUrl: url, thumbnailKey };
+  } catch (error) {
+    console.warn(`[MEDIA] Could not create a thumbnail of ${key}:`, error?.message);
+    return {};
+  }
+};
+
+/**
+ * Record an uploaded file in the media library. Never throws: an upload that could not be
+ * recorded is still usable, it is just not listed.
+ * @param {Object} file - Uploaded file
+ * @param {string} file.uid - Firebase UID of the owner
+ * @param {string} file.bucket - 'videos' or 'assets'
+ * @param {string} file.key - Object key
+ * @param {string} file.url - Public URL
+ * @param {string} [file.name] - Name of the uploaded file
+ * @param {string} [file.mimeType] - MIME type
+ * @param {number} [file.size] - Size in bytes
+ * @param {string} [file.checksum] - SHA-256 of the file (hex)
+ * @param {Object} [file.info] - Inspection of a video (videoProcessingService.probeVideo)
+ * @param {string} [file.source] - Local path or URL of a video to take the thumbnail from
+ * @returns {Promise<Object|null>} - The media, or null if it could not be recorded
+ */
+const recordMedia = async ({ uid, bucket, key, url, name, mimeType, size, checksum, info, source }) => {
+  try {
+    const type = (mimeType || info?.mimeType || '').startsWith('image/') ? 'image' : 'video';
+    const fields = {
+      uid,
+      bucket,
+      key,
+      url,
+      type,
+      name,
+      mimeType: mimeType || info?.mimeType,
+      size: size ?? info?.size,
+      duration: info?.duration,
+      width: info?.width,
+      height: info?.height,
+      checksum
+    };
+    if (type === 'video' && source) {
+      Object.assign(fields, await storeThumbnail(uid, key, source));
+    }
+
+    const { value: media, lastErrorObject } = await Media.findOneAndUpdate(
+      { bucket, key },
+      { $set: Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)) },
+      { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+    if (!lastErrorObject?.updatedExisting) {
+      await addStorageUsage(uid, media.size);
+    }
+    console.log(`[MEDIA] Recorded ${type} ${key} for user ${uid}`);
+    return media;
+  } catch (error) {
+    console.error(`[MEDIA] Error recording ${key}:`, error?.message);
+    return null;
+  }
+};
+
+// URLs of the files a post publishes
+const getPostMediaUrls = (post) => [
+  post.video_url,
+  post.video_rendition?.url,
+  ...(post.media || []).map(item => item.url),
+  ...(post.twitter_thread || []).flatMap(part => (part.media || []).map(item => item.url))
+].filter(Boolean);
+
+// Start the retention period of media that lost its last reference
+const markUnreferenced = (filter) => Media.updateMany(
+  { ...filter, referencedBy: { $size: 0 }, unreferencedAt: { $exists: false } },
+  { $set: { unreferencedAt: new Date() } }
+);
+
+/**
+ * Link a post to the media of its owner that it uses, and unlink the media it no longer uses.
+ * Never throws.
+ * @param {Object} post - Post (document or plain object)
+ */
+const syncPostMedia = async (post) => {
+  try {
+    const urls = getPostMediaUrls(post);
+
+    await Media.updateMany(
+      { uid: post.userId, url: { $in: urls } },
+      { $addToSet: { referencedBy: post._id }, $unset: { unreferencedAt: 1 } }
+    );
+
+    const stale = { referencedBy: post._id, url: { $nin: urls } };
+    const staleIds = (await Media.find(stale).select('_id').lean()).map(media => media._id);
+    if (staleIds.length > 0) {
+      await Media.updateMany({ _id: { $in: staleIds } }, { $pull: { referencedBy: post._id } });
+      await markUnreferenced({ _id: { $in: staleIds } });
+    }
+  } catch (error) {
+    console.error(`[MEDIA] Error linking media of post ${post?._id}:`, error?.message);
+  }
+};
+
+/**
+ * Unlink a deleted post from its media. Never throws.
+ * @param {string} postId - Post id
+ */
+const unlinkPostMedia = async (postId) => {
+  try {
+    const ids = (await Media.find({ referencedBy: postId }).select('_id').lean()).map(media => media._id);
+    if (ids.length > 0) {
+      await Media.updateMany({ _id: { $in: ids } }, { $pull: { referencedBy: postId } });
+      await markUnreferenced({ _id: { $in: ids } });
+    }
+  } catch (error) {
+    console.error(`[MEDIA] Error unlinking media of post ${postId}:`, error?.message);
+  }
+};
+
+/**
+ * Delete a media file, its thumbnail and its record, and free its storage
+ * @param {Object} media - Media document
+ */
+const deleteMedia = async (media) => {
+  await deleteObject(media.bucket, media.key);
+  if (media.thumbnailKey) {
+    try {
+      await deleteObject('assets', media.thumbnailKey);
+    } catch (error) {
+      console.warn(`[MEDIA] Could not delete the thumbnail of ${media.key}:`, error?.message);
+    }
+  }
+  const { deletedCount } = await Media.deleteOne({ _id: media._id });
+  if (deletedCount > 0) {
+    await addStorageUsage(media.uid, -(media.size || 0));
+  }
+  console.log(`[MEDIA] Deleted ${media.type} ${media.key} of user ${media.uid}`);
+};
+
+/**
+ * Delete media that no post has referenced for the retention period
+ * @returns {Promise<number>} - Number of deleted files
+ */
+const cleanupUnreferencedMedia = async () => {
+  let deleted = 0;
+  try {
+    const expired = await Media.find({
+      referencedBy: { $size: 0 },
+      unreferencedAt: { $lte: new Date(Date.now() - RETENTION_MS) }
+    });
+
+    for (const media of expired) {
+      try {
+        await deleteMedia(media);
+        deleted++;
+      } catch (error) {
+        console.error(`[MEDIA] Error deleting unreferenced ${media.key}:`, error?.message);
+      }
+    }
+
+    if (deleted > 0) {
+      console.log(`[MEDIA] Deleted ${deleted} unreferenced media files`);
+    }
+  } catch (error) {
+    console.error('[MEDIA] Error cleaning up unreferenced media:', error?.message);
+  }
+  return deleted;
+};
+
+module.exports = {
+  recordMedia,
+  getPostMediaUrls,
+  syncPostMedia,
+  unlinkPostMedia,
+  deleteMedia,
+  cleanupUnreferencedMedia
+};
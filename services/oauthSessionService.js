@@ -0,0 +1,108 @@
+// File: services/oauthSessionService.js
+const OAuthSession = require('../models/OAuthSession');
+const { createOAuthState, verifyOAuthState } = require('../utils/oauthState');
+
+/**
+ * Start an OAuth connect flow for a user
+ * @param {string} provider - Platform name (e.g. 'tiktok')
+ * @param {string} uid - Firebase UID of the user connecting an account
+ * @param {Object} [data] - Data needed again in the callback (e.g. { codeVerifier })
+ * @returns {Promise<{ state: string, session: Object }>} - Signed state to send to the platform and the stored session
+ */
+const startOAuthSession = async (provider, uid, data = {}) => {
+  if (!provider || !uid) {
+    throw new Error('Provider and user ID are required to start an OAuth flow');
+  }
+
+  const { state, stateId, expiresAt } = createOAuthState(provider, uid);
+  const session = await OAuthSession.create({ ...data, provider, uid, stateId, expiresAt });
+
+  console.log(`[OAUTH] Started ${provider} connect flow for user ${uid}`);
+  return { state, session };
+};
+
+/**
+ * Verify the state of an OAuth callback and consume its session.
+ * A session can only be consumed once.
+ * @param {string} provider - Platform the callback belongs to
+ * @param {string} state - State parameter from the callback
+ * @returns {Promise<Object>} - The session, with the uid of the user who started the flow
+ * @throws {Error} - With code 'INVALID_OAUTH_STATE' if the state or session is not valid
+ */
+const consumeOAuthSession = async (provider, state) => {
+  const { uid, stateId } = verifyOAuthState(state, provider);
+
+  const session = await OAuthSession.findOneAndDelete({
+    provider,
+    uid,
+    stateId,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+
+  if (!session) {
+    const error = new Error('Invalid OAuth state: session not found, expired or already used');
+    error.code = 'INVALID_OAUTH_STATE';
+    throw error;
+  }
+
+  return session;
+};
+
+/**
+ * Verify a state and get its open session without consuming it
+ * @param {string} provider - Platform the state was issued for
+ * @param {string} state - Signed state
+ * @returns {Promise<Object>} - The session, with the uid of the user who started the flow
+ * @throws {Error} - With code 'INVALID_OAUTH_STATE' if the state or session is not valid
+ */
+const getOAuthSession = async (provider, state) => {
+  const { uid, stateId } = verifyOAuthState(state, provider);
+
+  const session = await OAuthSession.findOne({
+    provider,
+    uid,
+    stateId,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+
+  if (!session) {
+    const error = new Error('Invalid OAuth state: session not found, expired or already used');
+    error.code = 'INVALID_OAUTH_STATE';
+    throw error;
+  }
+
+  return session;
+};
+
+/**
+ * Consume the session of an OAuth 1.0a callback, identified by its request token.
+ * A session can only be consumed once.
+ * @param {string} provider - Platform the callback belongs to
+ * @param {string} requestToken - oauth_token from the callback
+ * @returns {Promise<Object>} - The session, with the uid of the user who started the flow
+ * @throws {Error} - With code 'INVALID_OAUTH_STATE' if there is no open session for the token
+ */
+const consumeOAuthSessionByRequestToken = async (provider, requestToken) => {
+  const session = requestToken
+    ? await OAuthSession.findOneAndDelete({
+      provider,
+      requestToken,
+      expiresAt: { $gt: new Date() }
+    }).lean()
+    : null;
+
+  if (!session) {
+    const error = new Error('Invalid OAuth request token: session not found, expired or already used');
+    error.code = 'INVALID_OAUTH_STATE';
+    throw error;
+  }
+
+  return session;
+};
+
+module.exports = {
+  startOAuthSession,
+  consumeOAuthSession,
+  getOAuthSession,
+  consumeOAuthSessionByRequestToken
+};
@@ -0,0 +1,162 @@
+// File: services/platforms/bluesky.js
+const blueskyService = require('../blueskyService');
+const userService = require('../userService');
+const { needsReconnect, recordAccountHealth } = require('../accountHealthService');
+const { checkVideo, validateVideo } = require('./media');
+
+/**
+ * Bluesky adapter. Accounts are connected with POST /social/bluesky/connect
+ * ({ identifier, appPassword, service }) and published to directly from here.
+ */
+
+const BLUESKY_VIDEO_LIMITS = {
+  maxBytes: blueskyService.MAX_VIDEO_BYTES,
+  mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+  maxDurationSec: 3 * 60
+};
+
+// Error thrown by connect for input the user has to correct
+const invalidConnectRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Error code of a failed publish, stored on the delivery
+const getErrorCode = (error) => {
+  const status = error?.cause?.response?.status;
+  if (status === 401 || ['ExpiredToken', 'InvalidToken', 'AuthenticationRequired'].includes(error?.code)) return 'BLUESKY_AUTH_ERROR';
+  if (status === 429) return 'BLUESKY_RATE_LIMIT';
+  if (status === 400 || error?.retryable === false) return 'BLUESKY_INVALID_REQUEST';
+  return 'BLUESKY_POST_FAILED';
+};
+
+module.exports = {
+  platform: 'bluesky',
+  name: 'Bluesky',
+  idField: 'did',
+  maxDeliveryAttempts: parseInt(process.env.BLUESKY_MAX_DELIVERY_ATTEMPTS) || 3,
+  captionLimits: { maxLength: blueskyService.MAX_POST_GRAPHEMES, countLength: blueskyService.countGraphemes },
+  videoLimits: BLUESKY_VIDEO_LIMITS,
+
+  hasCredentials: (account) => !!account?.accessToken && !!account?.serviceUrl,
+
+  resolveReference: (selected, connectedAccounts) => {
+    const dbAccount = connectedAccounts.find(
+      dbAcc => ((selected?.did || selected?.accountId) && dbAcc.did === (selected.did || selected.accountId)) ||
+              (selected?.handle && dbAcc.handle === String(selected.handle).replace(/^@/, ''))
+    );
+    if (!dbAccount) {
+      return null;
+    }
+
+    return {
+      did: dbAccount.did,
+      handle: dbAccount.handle || '',
+      displayName: dbAccount.displayName || ''
+    };
+  },
+
+  getMissingLabel: (selected) => `Bluesky ${selected?.handle || selected?.did || selected?.accountId || 'unknown'}`,
+
+  // Sign in with an app password; the account is connected right away
+  connect: async ({ uid, identifier, appPassword, service }) => {
+    if (!identifier || !appPassword) {
+      throw invalidConnectRequest('Bluesky handle and app password are required');
+    }
+    if (!blueskyService.isAppPassword(appPassword)) {
+      throw invalidConnectRequest('Please use an app password (Settings > Privacy and security > App passwords), not your account password');
+    }
+
+    let session;
+    try {
+      session = await blueskyService.createSession(identifier, appPassword, service);
+    } catch (error) {
+      const status = error?.cause?.response?.status;
+      if (status === 400 || status === 401) {
+        throw invalidConnectRequest(`Bluesky rejected the handle or app password: ${error.message}`);
+      }
+      throw error;
+    }
+
+    const profile = await blueskyService.getProfile(session).catch(error => {
+      console.warn(`[BLUESKY ADAPTER] Failed to get profile of ${session.did}:`, error?.message);
+      return {};
+    });
+
+    const account = {
+      ...session,
+      handle: profile.handle || session.handle,
+      displayName: profile.displayName || '',
+      avatarUrl: profile.avatarUrl || '',
+      appPassword: String(appPassword).trim()
+    };
+    await userService.updateSocialMediaTokens(uid, 'bluesky', [account]);
+    console.log(`[BLUESKY ADAPTER] Connected Bluesky account ${account.handle} (${account.did}) for user ${uid}`);
+
+    return { account };
+  },
+
+  // Refresh the session before it expires; after the refresh token expired, sign in again with the app password
+  refresh: async (uid, account) => {
+    if (!account?.refreshToken || needsReconnect(account) || !blueskyService.needsTokenRefresh(account)) {
+      return account;
+    }
+
+    try {
+      let session;
+      try {
+        session = await blueskyService.refreshSession(account.refreshToken, account.serviceUrl);
+      } catch (error) {
+        if (!account.appPassword || !blueskyService.isExpiredSessionError(error)) {
+          throw error;
+        }
+        console.log(`[BLUESKY ADAPTER] Session of ${account.did} expired, signing in again with the app password`);
+        session = await blueskyService.createSession(account.did, account.appPassword, account.serviceUrl);
+      }
+
+      const tokens = {
+        accessToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        tokenExpiresAt: session.tokenExpiresAt
+      };
+      await userService.updateAccountTokens(uid, 'bluesky', account.did, tokens);
+      return { ...account, ...tokens };
+    } catch (error) {
+      console.error(`[BLUESKY ADAPTER] Failed to refresh session of account ${account.did}:`, error?.message);
+      await recordAccountHealth('bluesky', { uid, accountId: account.did }, error);
+      return account;
+    }
+  },
+
+  checkMedia: (media) => checkVideo('Bluesky', media, BLUESKY_VIDEO_LIMITS),
+
+  validateMedia: (media) => validateVideo('Bluesky', media, BLUESKY_VIDEO_LIMITS),
+
+  publish: async ({ account, videoUrl, caption, userId }) => {
+    try {
+      const result = await blueskyService.postVideo(videoUrl, account, caption, { uid: userId, accountId: account.did });
+      return {
+        remotePostId: result.uri,
+        remotePostUrl: result.postUrl,
+        data: result
+      };
+    } catch (error) {
+      console.error('Error posting to Bluesky:', error?.message);
+      const publishError = new Error(`Failed to post to Bluesky: ${error?.message || 'Unknown error'}`, { cause: error });
+      publishError.code = getErrorCode(error);
+      publishError.status = error?.cause?.response?.status;
+      publishError.retryable = blueskyService.classifyBlueskyError(error).retryable;
+      throw publishError;
+    }
+  },
+
+  getStatus: async ({ uid, account, remotePostId }) => {
+    const post = await blueskyService.getPost(account, remotePostId, { uid, accountId: account.did });
+    return post
+      ? { status: 'published', remotePostUrl: blueskyService.getPostUrl(account.handle || account.did, remotePostId) }
+      : { status: 'deleted' };
+  },
+
+  toPublicAccount: ({ accessToken, refreshToken, appPassword, ...account }) => account
+};
@@ -0,0 +1,179 @@
+// File: services/platforms/captions.js
+
+/**
+ * Captions of a post per platform account, and their checks against the adapters' captionLimits.
+ *
+ * An account uses its account override from Post.caption_overrides, else the platform override,
+ * else post_description. Overrides are written for the platform, so they are only checked;
+ * post_description is truncated to fit unless the post sets caption_overflow to 'reject'.
+ */
+
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s]+?(?=[.,!?:;)\]'"]*(?:\s|$))/gi;
+const HASHTAG_PATTERN = /(?:^|\s)#[\p{L}\p{N}_]+/gu;
+const TRAILING_HASHTAGS_PATTERN = /(?:\s+#[\p{L}\p{N}_]+)+\s*$/u;
+const ELLIPSIS = '…';
+
+// Twitter counts every URL as 23 characters, and emoji and characters outside these ranges (e.g. CJK) as 2
+const TWITTER_URL_LENGTH = 23;
+const TWITTER_SINGLE_WEIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+const splitGraphemes = (text) => Array.from(segmenter.segment(text || ''), ({ segment }) => segment);
+
+// Length in UTF-16 code units, as counted by most platforms
+const countUtf16 = (text) => (text || '').length;
+
+// Length in user-perceived characters (Bluesky)
+const countGraphemes = (text) => splitGraphemes(text).length;
+
+const getTwitterWeight = (grapheme) => {
+  if (/\p{Extended_Pictographic}/u.test(grapheme)) {
+    return 2;
+  }
+  return Array.from(grapheme).reduce((weight, character) => {
+    const codePoint = character.codePointAt(0);
+    return weight + (TWITTER_SINGLE_WEIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2);
+  }, 0);
+};
+
+const countTwitterText = (text) => splitGraphemes(text).reduce((length, grapheme) => length + getTwitterWeight(grapheme), 0);
+
+/**
+ * Weighted length of a tweet, as Twitter counts it against the 280 character limit
+ * @param {string} text - Tweet text
+ * @returns {number}
+ */
+const countTwitterLength = (text) => {
+  const normalized = (text || '').normalize('NFC');
+  let length = 0;
+  let lastIndex = 0;
+  for (const match of normalized.matchAll(URL_PATTERN)) {
+    length += countTwitterText(normalized.slice(lastIndex, match.index)) + TWITTER_URL_LENGTH;
+    lastIndex = match.index + match[0].length;
+  }
+  return length + countTwitterText(normalized.slice(lastIndex));
+};
+
+const countHashtags = (text) => (text || '').match(HASHTAG_PATTERN)?.length || 0;
+
+/**
+ * Check a caption against the caption limits of a platform
+ * @param {Object} adapter - Platform adapter (services/platforms)
+ * @param {string} caption - Caption to check
+ * @param {string} [label] - Name used in messages, defaults to the platform name
+ * @returns {Array<string>} - Problems of the caption, empty if it can be published
+ */
+const validateCaption = (adapter, caption, label = adapter.name) => {
+  const { maxLength, maxHashtags, countLength = countUtf16 } = adapter.captionLimits || {};
+  const problems = [];
+
+  const length = countLength(caption || '');
+  if (maxLength && length > maxLength) {
+    problems.push(`${label} captions can have at most ${maxLength} characters, this one has ${length}`);
+  }
+
+  const hashtags = countHashtags(caption);
+  if (maxHashtags && hashtags > maxHashtags) {
+    problems.push(`${label} captions can have at most ${maxHashtags} hashtags, this one has ${hashtags}`);
+  }
+
+  return problems;
+};
+
+// Longest prefix of a text that fits with an ellipsis and the suffix, cut after a word when possible
+const truncateText = (text, suffix, maxLength, countLength) => {
+  const graphemes = splitGraphemes(text.trimEnd());
+  const build = (count) => `${graphemes.slice(0, count).join('').trimEnd()}${ELLIPSIS}${suffix}`;
+
+  let low = 0;
+  let high = graphemes.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (countLength(build(middle)) <= maxLength) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  if (low === 0) {
+    return null;
+  }
+
+  // Drop a partial word, unless that removes more than half of the text
+  const prefix = graphemes.slice(0, low).join('');
+  const lastSpace = prefix.search(/\s\S*$/);
+  if (/\S/.test(graphemes[low] || ' ') && lastSpace > prefix.length / 2) {
+    const wordTruncated = `${prefix.slice(0, lastSpace).trimEnd()}${ELLIPSIS}${suffix}`;
+    if (countLength(wordTruncated) <= maxLength) {
+      return wordTruncated;
+    }
+  }
+  return build(low);
+};
+
+/**
+ * Shorten a caption to the maximum length of a platform. Hashtags at the end of the caption
+ * are kept when the text before them can be shortened instead.
+ * @param {Object} adapter - Platform adapter (services/platforms)
+ * @param {string} caption - Caption to shorten
+ * @returns {string} - The caption, or its truncated version ending with an ellipsis
+ */
+const truncateCaption = (adapter, caption) => {
+  const { maxLength, countLength = countUtf16 } = adapter.captionLimits || {};
+  if (!caption || !maxLength || countLength(caption) <= maxLength) {
+    return caption || '';
+  }
+
+  const trailingHashtags = caption.match(TRAILING_HASHTAGS_PATTERN);
+  if (trailingHashtags) {
+    const truncated = truncateText(caption.slice(0, trailingHashtags.index), ` ${trailingHashtags[0].trim()}`, maxLength, countLength);
+    if (truncated) {
+      return truncated;
+    }
+  }
+  return truncateText(caption, '', maxLength, countLength) || '';
+};
+
+/**
+ * Caption override of an account, or of its platform
+ * @param {Object} post - Post (document or plain object)
+ * @param {string} platform - Platform name
+ * @param {string} [accountId] - Delivery account id
+ * @returns {Object|undefined} - { platform, accountId, caption }
+ */
+const getCaptionOverride = (post, platform, accountId) => {
+  const overrides = Array.isArray(post?.caption_overrides) ? post.caption_overrides : [];
+  return (accountId && overrides.find(override => override.platform === platform && override.accountId === accountId)) ||
+    overrides.find(override => override.platform === platform && !override.accountId);
+};
+
+/**
+ * Caption to publish a post with on one account, and its problems with the platform's limits
+ * @param {Object} post - Post (document or plain object)
+ * @param {Object} adapter - Platform adapter (services/platforms)
+ * @param {string} [accountId] - Delivery account id
+ * @returns {{ caption: string, problems: Array<string>, truncated: boolean }}
+ */
+const getPublishCaption = (post, adapter, accountId) => {
+  const override = getCaptionOverride(post, adapter.platform, accountId);
+  if (override) {
+    const label = override.accountId ? `${adapter.name} account ${override.accountId}` : adapter.name;
+    return { caption: override.caption, problems: validateCaption(adapter, override.caption, label), truncated: false };
+  }
+
+  const description = post?.post_description || '';
+  const caption = post?.caption_overflow === 'reject' ? description : truncateCaption(adapter, description);
+  return { caption, problems: validateCaption(adapter, caption), truncated: caption !== description };
+};
+
+module.exports = {
+  countUtf16,
+  countGraphemes,
+  countTwitterLength,
+  countHashtags,
+  validateCaption,
+  truncateCaption,
+  getCaptionOverride,
+  getPublishCaption
+};
@@ -0,0 +1,62 @@
+// File: services/platforms/facebook.js
+const { postToRoute } = require('./routePublisher');
+const { checkVideo, validateVideo } = require('./media');
+
+/**
+ * Facebook adapter. Pages are connected with GET /facebook/auth and POST /facebook/pages;
+ * videos are published through POST /facebook/post-video, which reads the Page's token from the user.
+ */
+
+const FACEBOOK_VIDEO_LIMITS = {
+  maxBytes: 10 * 1024 * 1024 * 1024, // 10 GB
+  mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+  maxDurationSec: 4 * 60 * 60
+};
+
+module.exports = {
+  platform: 'facebook',
+  name: 'Facebook',
+  idField: 'pageId',
+  maxDeliveryAttempts: parseInt(process.env.FACEBOOK_MAX_DELIVERY_ATTEMPTS) || 3,
+  captionLimits: { maxLength: 63206 },
+  videoLimits: FACEBOOK_VIDEO_LIMITS,
+
+  hasCredentials: (account) => !!account?.accessToken,
+
+  resolveReference: (selected, connectedAccounts) => {
+    const dbAccount = connectedAccounts.find(
+      dbAcc => ((selected?.pageId || selected?.accountId) && dbAcc.pageId === (selected.pageId || selected.accountId)) ||
+              (selected?.name && dbAcc.name === selected.name)
+    );
+    if (!dbAccount) {
+      return null;
+    }
+
+    return {
+      pageId: dbAccount.pageId,
+      name: dbAccount.name || '',
+      pictureUrl: dbAccount.pictureUrl || ''
+    };
+  },
+
+  getMissingLabel: (selected) => `Facebook Page ${selected?.name || selected?.pageId || selected?.accountId || 'unknown'}`,
+
+  checkMedia: (media) => checkVideo('Facebook', media, FACEBOOK_VIDEO_LIMITS),
+
+  validateMedia: (media) => validateVideo('Facebook', media, FACEBOOK_VIDEO_LIMITS),
+
+  publish: async ({ account, videoUrl, caption, userId }) => {
+    const response = await postToRoute('Facebook', '/facebook/post-video', {
+      videoUrl,
+      caption,
+      userId,
+      accountId: account.pageId
+    });
+
+    return {
+      remotePostId: response?.data?.videoId,
+      remotePostUrl: response?.data?.permalinkUrl,
+      data: response
+    };
+  }
+};
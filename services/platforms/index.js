@@ -0,0 +1,134 @@
+// File: services/platforms/index.js
+
+/**
+ * Registry of the platforms posts can be published to.
+ *
+ * Each platform is an adapter object. The scheduler, the posts routes and the generic
+ * /social/:platform routes only talk to adapters, so adding a platform means writing an
+ * adapter, registering it here and adding its account schemas (User.providerData.<platform>,
+ * Post.<platform>_accounts).
+ *
+ * Adapter properties:
+ * - platform: Name used in Post.platforms, User.providerData and <platform>_accounts
+ * - name: Display name used in messages
+ * - idField: Account id field of the connected accounts
+ * - maxDeliveryAttempts: Publish attempts per account before a retryable failure becomes final
+ * - captionLimits (optional): { maxLength, countLength(text), maxHashtags } of captions (see ./captions)
+ * - videoLimits (optional): Limits of videos (see checkVideo in ./media), also the targets of
+ *   transcoded renditions (services/videoProcessingService)
+ *
+ * Adapter methods:
+ * - hasCredentials(account): Whether a connected account has usable tokens
+ * - resolveReference(selected, connectedAccounts): Reference (without tokens) stored on a post for
+ *   an account selected in a request, or null if it is not connected
+ * - getMissingLabel(selected): Name of a selected account in "not connected" errors
+ * - publish({ post, account, videoUrl, images, caption, userId, publishedIds, recordPublishedId }):
+ *   Publish a video, or the images ({ url, mimeType }) of a photo post, with a connected account.
+ *   Resolves to { remotePostId, remotePostUrl, data }. Errors have code and retryable. Adapters that
+ *   publish several posts per account (Twitter threads) record each id with recordPublishedId(id),
+ *   and get them back in publishedIds when a failed delivery is retried.
+ * - connect(params) (optional): Start connecting an account for params.uid. Resolves to { authUrl }
+ *   for OAuth flows, or { account } when the account was connected directly.
+ * - completeConnect(query) (optional): Finish an OAuth flow handled by GET /social/:platform/callback,
+ *   resolves to { uid, account }
+ * - refresh(uid, account) (optional): Resolves to the account with tokens that are valid now
+ * - checkMedia(media) (optional): Problems of a video for the platform as { message, fixable }, where
+ *   media is { videoUrl, size, mimeType } with the ffprobe inspection fields when known (see checkVideo
+ *   in ./media). Fixable problems go away when the video is transcoded to the platform's videoLimits.
+ * - validateMedia({ videoUrl, size, mimeType }) (optional): Problems of a video for the platform
+ *   (size and mimeType when known), as an array of messages
+ * - validatePhotos(images) (optional): Problems of the images ({ url, size, mimeType }) of a photo post.
+ *   Only platforms with this method accept photo posts.
+ * - getStatus({ uid, account, remotePostId }) (optional): Resolves to { status, remotePostUrl, error }
+ *   of a published post; status is processing, published, failed or deleted
+ * - getAccountId(account) (optional): Delivery account id, defaults to account[idField]
+ * - toPublicAccount(account) (optional): Connected account without tokens, for API responses
+ */
+
+const REQUIRED_PROPERTIES = ['platform', 'name', 'idField'];
+const REQUIRED_METHODS = ['hasCredentials', 'resolveReference', 'getMissingLabel', 'publish'];
+
+const adapters = new Map();
+
+/**
+ * Register a platform adapter
+ * @param {Object} adapter - Platform adapter (see above)
+ * @throws {Error} - If the adapter is incomplete or the platform is already registered
+ */
+const registerPlatform = (adapter) => {
+  const missing = [
+    ...REQUIRED_PROPERTIES.filter(property => !adapter?.[property]),
+    ...REQUIRED_METHODS.filter(method => typeof adapter?.[method] !== 'function')
+  ];
+  if (missing.length > 0) {
+    throw new Error(`Platform adapter ${adapter?.platform || 'unknown'} is missing: ${missing.join(', ')}`);
+  }
+  if (adapters.has(adapter.platform)) {
+    throw new Error(`Platform ${adapter.platform} is already registered`);
+  }
+
+  adapters.set(adapter.platform, adapter);
+};
+
+/**
+ * Get the adapter of a platform
+ * @param {string} platform - Platform name (e.g. 'bluesky')
+ * @returns {Object|undefined} - The adapter, or undefined if the platform is not supported
+ */
+const getPlatform = (platform) => adapters.get(platform);
+
+/**
+ * Get all registered adapters
+ * @returns {Array<Object>}
+ */
+const getPlatforms = () => Array.from(adapters.values());
+
+/**
+ * Get the names of all registered platforms
+ * @returns {Array<string>}
+ */
+const getPlatformNames = () => Array.from(adapters.keys());
+
+/**
+ * Whether posts can be published to a platform
+ * @param {string} platform - Platform name
+ * @returns {boolean}
+ */
+const isSupportedPlatform = (platform) => adapters.has(platform);
+
+/**
+ * Delivery account id of a connected account
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} account - Connected account
+ * @returns {string|undefined}
+ */
+const getAccountId = (adapter, account) =>
+  account && (adapter.getAccountId ? adapter.getAccountId(account) : account[adapter.idField]);
+
+/**
+ * Whether photo posts (Post.media images) can be published to a platform
+ * @param {Object} adapter - Platform adapter
+ * @returns {boolean}
+ */
+const supportsPhotos = (adapter) => typeof adapter?.validatePhotos === 'function';
+
+[
+  require('./tiktok'),
+  require('./twitter'),
+  require('./instagram'),
+  require('./facebook'),
+  require('./linkedin'),
+  require('./youtube'),
+  require('./bluesky'),
+  require('./mastodon')
+].forEach(registerPlatform);
+
+module.exports = {
+  registerPlatform,
+  getPlatform,
+  getPlatforms,
+  getPlatformNames,
+  isSupportedPlatform,
+  getAccountId,
+  supportsPhotos
+};
@@ -0,0 +1,70 @@
+// File: services/platforms/instagram.js
+const { postToRoute } = require('./routePublisher');
+const { checkVideo, validateVideo } = require('./media');
+
+/**
+ * Instagram adapter. Accounts are connected with GET /instagram/auth; Reels are published
+ * through POST /instagram/post-video, which reads the account's token from the user.
+ */
+
+const INSTAGRAM_VIDEO_LIMITS = {
+  maxBytes: 300 * 1024 * 1024, // 300 MB for Reels
+  mimeTypes: ['video/mp4', 'video/quicktime'],
+  videoCodecs: ['h264', 'hevc'],
+  audioCodecs: ['aac'],
+  minDurationSec: 3,
+  maxDurationSec: 15 * 60,
+  maxLongSide: 1920,
+  minFrameRate: 23,
+  maxFrameRate: 60,
+  maxBitrate: 25 * 1000 * 1000
+};
+
+module.exports = {
+  platform: 'instagram',
+  name: 'Instagram',
+  idField: 'userId',
+  maxDeliveryAttempts: parseInt(process.env.INSTAGRAM_MAX_DELIVERY_ATTEMPTS) || 3,
+  captionLimits: { maxLength: 2200, maxHashtags: 30 },
+  videoLimits: INSTAGRAM_VIDEO_LIMITS,
+
+  hasCredentials: (account) => !!account?.accessToken,
+
+  resolveReference: (selected, connectedAccounts) => {
+    const dbAccount = connectedAccounts.find(
+      dbAcc => ((selected?.userId || selected?.accountId) && dbAcc.userId === (selected.userId || selected.accountId)) ||
+              (selected?.username && dbAcc.username === selected.username)
+    );
+    if (!dbAccount) {
+      return null;
+    }
+
+    return {
+      userId: dbAccount.userId,
+      username: dbAccount.username || selected.username || '',
+      name: dbAccount.name || '',
+      profilePictureUrl: dbAccount.profilePictureUrl || ''
+    };
+  },
+
+  getMissingLabel: (selected) => `Instagram ${selected?.username || selected?.userId || selected?.accountId || 'unknown'}`,
+
+  checkMedia: (media) => checkVideo('Instagram', media, INSTAGRAM_VIDEO_LIMITS),
+
+  validateMedia: (media) => validateVideo('Instagram', media, INSTAGRAM_VIDEO_LIMITS),
+
+  publish: async ({ account, videoUrl, caption, userId }) => {
+    const response = await postToRoute('Instagram', '/instagram/post-video', {
+      videoUrl,
+      caption,
+      userId,
+      accountId: account.userId
+    });
+
+    return {
+      remotePostId: response?.data?.mediaId,
+      remotePostUrl: response?.data?.permalink,
+      data: response
+    };
+  }
+};
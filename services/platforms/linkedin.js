@@ -0,0 +1,74 @@
+// File: services/platforms/linkedin.js
+const { getAuthorUrn } = require('../linkedinService');
+const { postToRoute } = require('./routePublisher');
+const { checkVideo, validateVideo } = require('./media');
+
+/**
+ * LinkedIn adapter. Accounts are connected with GET /linkedin/auth; videos are published
+ * through POST /linkedin/post-video. One member account can post to its profile and to its
+ * organization pages, each is a separate delivery identified by its author URN.
+ */
+
+const LINKEDIN_VIDEO_LIMITS = {
+  maxBytes: 5 * 1024 * 1024 * 1024, // 5 GB
+  mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+  minDurationSec: 3,
+  maxDurationSec: 30 * 60,
+  minShortSide: 144,
+  maxLongSide: 4096,
+  maxFrameRate: 60
+};
+
+module.exports = {
+  platform: 'linkedin',
+  name: 'LinkedIn',
+  idField: 'userId',
+  maxDeliveryAttempts: parseInt(process.env.LINKEDIN_MAX_DELIVERY_ATTEMPTS) || 3,
+  captionLimits: { maxLength: 3000 },
+  videoLimits: LINKEDIN_VIDEO_LIMITS,
+
+  hasCredentials: (account) => !!account?.accessToken,
+
+  getAccountId: (account) => account.userId && getAuthorUrn(account.userId, account.organizationId),
+
+  // With organizationId the post goes to an organization page the member can post to
+  resolveReference: (selected, connectedAccounts) => {
+    const dbAccount = connectedAccounts.find(dbAcc => (selected?.userId || selected?.accountId) && dbAcc.userId === (selected.userId || selected.accountId));
+    const organization = selected?.organizationId
+      ? (dbAccount?.organizations || []).find(org => org.organizationId === String(selected.organizationId))
+      : null;
+
+    if (!dbAccount || (selected?.organizationId && !organization)) {
+      return null;
+    }
+
+    return {
+      userId: dbAccount.userId,
+      name: dbAccount.name || '',
+      ...(organization ? { organizationId: organization.organizationId, organizationName: organization.name || '' } : {})
+    };
+  },
+
+  getMissingLabel: (selected) =>
+    `LinkedIn ${selected?.organizationName || selected?.name || selected?.organizationId || selected?.userId || 'unknown'}`,
+
+  checkMedia: (media) => checkVideo('LinkedIn', media, LINKEDIN_VIDEO_LIMITS),
+
+  validateMedia: (media) => validateVideo('LinkedIn', media, LINKEDIN_VIDEO_LIMITS),
+
+  publish: async ({ account, videoUrl, caption, userId }) => {
+    const response = await postToRoute('LinkedIn', '/linkedin/post-video', {
+      videoUrl,
+      caption,
+      userId,
+      accountId: account.userId,
+      organizationId: account.organizationId
+    });
+
+    return {
+      remotePostId: response?.data?.postUrn,
+      remotePostUrl: response?.data?.postUrl,
+      data: response
+    };
+  }
+};
@@ -0,0 +1,112 @@
+// File: services/platforms/mastodon.js
+const mastodonService = require('../mastodonService');
+const userService = require('../userService');
+const oauthSessionService = require('../oauthSessionService');
+const { checkVideo, validateVideo } = require('./media');
+
+/**
+ * Mastodon adapter. Accounts are connected with GET /social/mastodon/auth?instance=<host>,
+ * which registers the backend on the instance if needed, and published to directly from here.
+ */
+
+const MASTODON_VIDEO_LIMITS = {
+  maxBytes: mastodonService.MAX_VIDEO_BYTES,
+  mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm']
+};
+
+// Error code of a failed publish, stored on the delivery
+const getErrorCode = (error) => {
+  const status = error?.cause?.response?.status;
+  if (status === 401) return 'MASTODON_AUTH_ERROR';
+  if (status === 403) return 'MASTODON_PERMISSION_ERROR';
+  if (status === 429) return 'MASTODON_RATE_LIMIT';
+  if (status === 422 || error?.retryable === false) return 'MASTODON_INVALID_REQUEST';
+  return 'MASTODON_POST_FAILED';
+};
+
+module.exports = {
+  platform: 'mastodon',
+  name: 'Mastodon',
+  idField: 'userId',
+  maxDeliveryAttempts: parseInt(process.env.MASTODON_MAX_DELIVERY_ATTEMPTS) || 3,
+  // No captionLimits: the character limit depends on the instance and is checked when posting
+  videoLimits: MASTODON_VIDEO_LIMITS,
+
+  hasCredentials: (account) => !!account?.accessToken && !!account?.instanceUrl,
+
+  resolveReference: (selected, connectedAccounts) => {
+    const dbAccount = connectedAccounts.find(
+      dbAcc => ((selected?.userId || selected?.accountId) && dbAcc.userId === (selected.userId || selected.accountId)) ||
+              (selected?.acct && dbAcc.acct === String(selected.acct).replace(/^@/, ''))
+    );
+    if (!dbAccount) {
+      return null;
+    }
+
+    return {
+      userId: dbAccount.userId,
+      acct: dbAccount.acct || '',
+      displayName: dbAccount.displayName || ''
+    };
+  },
+
+  getMissingLabel: (selected) => `Mastodon ${selected?.acct || selected?.userId || selected?.accountId || 'unknown'}`,
+
+  // The state is signed and bound to the user's Firebase UID; the session remembers the instance
+  connect: async ({ uid, instance }) => {
+    const instanceUrl = mastodonService.normalizeInstanceUrl(instance);
+    const { clientId } = await mastodonService.getOrRegisterApp(instanceUrl);
+    const { state } = await oauthSessionService.startOAuthSession('mastodon', uid, { instanceUrl });
+    return { authUrl: mastodonService.getAuthUrl(instanceUrl, { clientId, state }) };
+  },
+
+  completeConnect: async ({ code, state }) => {
+    const session = await oauthSessionService.consumeOAuthSession('mastodon', state);
+    if (!code) {
+      throw new Error('No authorization code provided');
+    }
+
+    const { accessToken, scope } = await mastodonService.getAccessToken(session.instanceUrl, code);
+    const accountInfo = await mastodonService.getAccountInfo(session.instanceUrl, accessToken);
+    const account = { ...accountInfo, accessToken, scope };
+
+    await userService.updateSocialMediaTokens(session.uid, 'mastodon', [account]);
+    console.log(`[MASTODON ADAPTER] Connected Mastodon account ${account.acct} for user ${session.uid}`);
+
+    return { uid: session.uid, account };
+  },
+
+  checkMedia: (media) => checkVideo('Mastodon', media, MASTODON_VIDEO_LIMITS),
+
+  validateMedia: (media) => validateVideo('Mastodon', media, MASTODON_VIDEO_LIMITS),
+
+  publish: async ({ post, account, videoUrl, caption, userId }) => {
+    try {
+      const result = await mastodonService.postVideo(videoUrl, account, caption, {
+        idempotencyKey: post?._id ? `${post._id}:${account.userId}` : undefined,
+        healthContext: { uid: userId, accountId: account.userId }
+      });
+      return {
+        remotePostId: result.statusId,
+        remotePostUrl: result.statusUrl,
+        data: result
+      };
+    } catch (error) {
+      console.error('Error posting to Mastodon:', error?.message);
+      const publishError = new Error(`Failed to post to Mastodon: ${error?.message || 'Unknown error'}`, { cause: error });
+      publishError.code = getErrorCode(error);
+      publishError.status = error?.cause?.response?.status;
+      publishError.retryable = mastodonService.classifyMastodonError(error).retryable;
+      throw publishError;
+    }
+  },
+
+  getStatus: async ({ uid, account, remotePostId }) => {
+    const status = await mastodonService.getStatus(account, remotePostId, { uid, accountId: account.userId });
+    return status
+      ? { status: 'published', remotePostUrl: status.url }
+      : { status: 'deleted' };
+  },
+
+  toPublicAccount: ({ accessToken, ...account }) => account
+};
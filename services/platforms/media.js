@@ -0,0 +1,208 @@
+// File: services/platforms/media.js
+const path = require('path');
+
+/**
+ * Checks of a video or of the images of a photo post against the limits of a platform,
+ * shared by the adapters' validateMedia and validatePhotos.
+ */
+
+// Video MIME types by file extension, for URLs without a known type
+const VIDEO_MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm'
+};
+
+// Image MIME types by file extension, for URLs without a known type
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+const getExtension = (url) => {
+  try {
+    return path.extname(new URL(url).pathname).toLowerCase();
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// MIME type of a video from its URL, or undefined if the extension is unknown
+const getMimeTypeFromUrl = (videoUrl) => VIDEO_MIME_TYPES[getExtension(videoUrl)];
+
+// MIME type of an image from its URL, or undefined if the extension is unknown
+const getImageMimeTypeFromUrl = (imageUrl) => IMAGE_MIME_TYPES[getExtension(imageUrl)];
+
+const normalizeMimeType = (mimeType) => (mimeType || '').split(';')[0].trim().toLowerCase();
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+const formatDuration = (seconds) => (seconds >= 60 ? `${Math.round(seconds / 6) / 10} minutes` : `${Math.round(seconds * 10) / 10} seconds`);
+
+/**
+ * Check a video against the limits of a platform. Problems a transcoded rendition (H.264/AAC MP4,
+ * scaled down, at a lower frame rate or bitrate) would not have are fixable.
+ * @param {string} platformName - Display name used in messages
+ * @param {Object} media - { videoUrl, size, mimeType } and the inspection fields of videoProcessingService.probeVideo
+ *   (videoCodec, audioCodec, width, height, duration, bitrate, frameRate); each field is checked when known.
+ *   videoUrl is null for files that are not uploaded yet.
+ * @param {Object} limits - Video limits of the platform (all optional but mimeTypes)
+ * @param {number} limits.maxBytes - Maximum file size
+ * @param {Array<string>} limits.mimeTypes - Accepted MIME types
+ * @param {Array<string>} limits.videoCodecs - Accepted video codecs (ffprobe names, e.g. h264)
+ * @param {Array<string>} limits.audioCodecs - Accepted audio codecs
+ * @param {number} limits.minDurationSec - Minimum duration
+ * @param {number} limits.maxDurationSec - Maximum duration
+ * @param {number} limits.minShortSide - Minimum width or height, whichever is smaller
+ * @param {number} limits.maxShortSide - Maximum width or height, whichever is smaller
+ * @param {number} limits.maxLongSide - Maximum width or height, whichever is larger
+ * @param {number} limits.minFrameRate - Minimum frames per second
+ * @param {number} limits.maxFrameRate - Maximum frames per second
+ * @param {number} limits.maxBitrate - Maximum bitrate in bits per second
+ * @returns {Array<{ message: string, fixable: boolean }>} - Problems of the video, empty if it can be published
+ */
+const checkVideo = (platformName, media = {}, limits) => {
+  const { videoUrl, size, mimeType, videoCodec, audioCodec, width, height, duration, bitrate, frameRate } = media;
+  const problems = [];
+  const problem = (message, fixable) => problems.push({ message, fixable });
+
+  // Files that were not uploaded yet have no URL
+  if (videoUrl !== null) {
+    let url;
+    try {
+      url = new URL(videoUrl);
+    } catch (error) {
+      return [{ message: `${platformName}: the video URL is invalid`, fixable: false }];
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      problem(`${platformName}: the video URL must be an http(s) URL`, false);
+    }
+  }
+
+  const type = normalizeMimeType(mimeType || (videoUrl && getMimeTypeFromUrl(videoUrl)));
+  if (type && type !== 'application/octet-stream' && !limits.mimeTypes.includes(type)) {
+    problem(`${platformName} does not accept ${type} videos (accepted: ${limits.mimeTypes.join(', ')})`, true);
+  }
+
+  if (size && limits.maxBytes && size > limits.maxBytes) {
+    problem(`${platformName} accepts videos of at most ${formatMegabytes(limits.maxBytes)}, this video has ${formatMegabytes(size)}`, true);
+  }
+
+  if (videoCodec && limits.videoCodecs && !limits.videoCodecs.includes(videoCodec)) {
+    problem(`${platformName} does not accept ${videoCodec} video (accepted: ${limits.videoCodecs.join(', ')})`, true);
+  }
+  if (audioCodec && limits.audioCodecs && !limits.audioCodecs.includes(audioCodec)) {
+    problem(`${platformName} does not accept ${audioCodec} audio (accepted: ${limits.audioCodecs.join(', ')})`, true);
+  }
+
+  if (duration && limits.minDurationSec && duration < limits.minDurationSec) {
+    problem(`${platformName} videos must be at least ${formatDuration(limits.minDurationSec)} long, this video has ${formatDuration(duration)}`, false);
+  }
+  if (duration && limits.maxDurationSec && duration > limits.maxDurationSec) {
+    problem(`${platformName} videos can be at most ${formatDuration(limits.maxDurationSec)} long, this video has ${formatDuration(duration)}`, false);
+  }
+
+  if (width && height) {
+    const shortSide = Math.min(width, height);
+    const longSide = Math.max(width, height);
+    if (limits.minShortSide && shortSide < limits.minShortSide) {
+      problem(`${platformName} videos must be at least ${limits.minShortSide} pixels wide and high, this video is ${width}x${height}`, false);
+    }
+    if ((limits.maxShortSide && shortSide > limits.maxShortSide) || (limits.maxLongSide && longSide > limits.maxLongSide)) {
+      const maximum = limits.maxShortSide ? `${limits.maxLongSide}x${limits.maxShortSide}` : `${limits.maxLongSide} pixels on the longest side`;
+      problem(`${platformName} videos can be at most ${maximum}, this video is ${width}x${height}`, true);
+    }
+  }
+
+  if (frameRate && limits.minFrameRate && frameRate < limits.minFrameRate) {
+    problem(`${platformName} videos need at least ${limits.minFrameRate} frames per second, this video has ${frameRate}`, true);
+  }
+  if (frameRate && limits.maxFrameRate && frameRate > limits.maxFrameRate) {
+    problem(`${platformName} videos can have at most ${limits.maxFrameRate} frames per second, this video has ${frameRate}`, true);
+  }
+  if (bitrate && limits.maxBitrate && bitrate > limits.maxBitrate) {
+    problem(`${platformName} videos can have a bitrate of at most ${Math.round(limits.maxBitrate / 1000000)} Mbps, this video has ${Math.round(bitrate / 100000) / 10} Mbps`, true);
+  }
+
+  return problems;
+};
+
+/**
+ * Check a video against the limits of a platform
+ * @param {string} platformName - Display name used in messages
+ * @param {Object} media - See checkVideo
+ * @param {Object} limits - See checkVideo
+ * @returns {Array<string>} - Problems of the video, empty if it can be published
+ */
+const validateVideo = (platformName, media, limits) => checkVideo(platformName, media, limits).map(({ message }) => message);
+
+/**
+ * Check the images of a photo post against the limits of a platform
+ * @param {string} platformName - Display name used in messages
+ * @param {Array<Object>} images - { url, size, mimeType } of each image; size and mimeType are checked when known
+ * @param {Object} limits
+ * @param {number} limits.maxImages - Maximum number of images in a post
+ * @param {number} limits.maxBytes - Maximum file size of an image
+ * @param {Array<string>} limits.mimeTypes - Accepted MIME types
+ * @returns {Array<string>} - Problems of the images, empty if they can be published
+ */
+const validatePhotos = (platformName, images = [], { maxImages, maxBytes, mimeTypes }) => {
+  const problems = [];
+
+  if (images.length === 0) {
+    return [`${platformName}: a photo post needs at least one image`];
+  }
+  if (maxImages && images.length > maxImages) {
+    problems.push(`${platformName} posts can have at most ${maxImages} images, this one has ${images.length}`);
+  }
+
+  images.forEach(({ url, size, mimeType }, index) => {
+    const label = `${platformName}: image ${index + 1}`;
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      problems.push(`${label} has an invalid URL`);
+      return;
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      problems.push(`${label} must have an http(s) URL`);
+    }
+
+    const type = normalizeMimeType(mimeType || getImageMimeTypeFromUrl(url));
+    if (type && type !== 'application/octet-stream' && !mimeTypes.includes(type)) {
+      problems.push(`${platformName} does not accept ${type} images (accepted: ${mimeTypes.join(', ')})`);
+    }
+
+    if (size && maxBytes && size > maxBytes) {
+      problems.push(`${label} has ${formatMegabytes(size)}, ${platformName} accepts images of at most ${formatMegabytes(maxBytes)}`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Images of a photo post
+ * @param {Object} post - Post (document or plain object)
+ * @returns {Array<Object>} - { url, mimeType, size } of each image in Post.media, empty for video posts
+ */
+const getPostImages = (post) =>
+  (Array.isArray(post?.media) ? post.media : [])
+    .filter(item => item?.type === 'image')
+    .map(({ url, mimeType, size }) => ({ url, mimeType, size }));
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  getMimeTypeFromUrl,
+  getImageMimeTypeFromUrl,
+  checkVideo,
+  validateVideo,
+  validatePhotos,
+  getPostImages
+};
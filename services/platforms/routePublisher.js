@@ -0,0 +1,59 @@
+// File: services/platforms/routePublisher.js
+const axios = require('axios');
+const { INTERNAL_SECRET_HEADER } = require('../../middleware/auth');
+
+/**
+ * Publishing through the backend's own platform routes (e.g. POST /tiktok/post-video).
+ * Those routes read the account's tokens from the user, refresh them and record the account's
+ * health, so adapters of platforms that have such a route publish through it.
+ * The routes only accept the internal API secret (INTERNAL_API_SECRET) these calls send, which
+ * also exempts them from the rate limiters.
+ */
+
+// A route that publishes a large video can take minutes; past this the job lease must not be held
+const ROUTE_TIMEOUT_MS = parseInt(process.env.PUBLISH_ROUTE_TIMEOUT_MS) || 15 * 60 * 1000; // Default: 15 minutes
+
+/**
+ * Call a platform post route of this backend
+ * @param {string} platformName - Display name used in messages
+ * @param {string} path - Route path (e.g. '/tiktok/post-video')
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - Response body of the route
+ * @throws {Error} - With the route's error code, the HTTP status and whether a retry may succeed
+ */
+const postToRoute = async (platformName, path, body) => {
+  if (!process.env.INTERNAL_API_SECRET) {
+    const configError = new Error(`Failed to post to ${platformName}: INTERNAL_API_SECRET is not configured`);
+    configError.retryable = false;
+    throw configError;
+  }
+
+  try {
+    const response = await axios.post(`${process.env.BACKEND_URL}${path}`, body, {
+      headers: { [INTERNAL_SECRET_HEADER]: process.env.INTERNAL_API_SECRET },
+      timeout: ROUTE_TIMEOUT_MS
+    });
+    return response?.data;
+  } catch (error) {
+    console.error(`Error posting to ${platformName}:`, error?.message);
+    const publishError = new Error(`Failed to post to ${platformName}: ${error?.response?.data?.error || error?.message || 'Unknown error'}`);
+    // Keep the route's error code (e.g. TIKTOK_AUTH_ERROR) for the delivery record
+    publishError.code = error?.response?.data?.code;
+    publishError.status = error?.response?.status;
+    // The route classifies the platform error. A rate limit, a server error the route did not
+    // classify or no response (our backend was unreachable) are worth retrying
+    const status = error?.response?.status;
+    const routeRetryable = error?.response?.data?.retryable;
+    publishError.retryable = !error?.response || status === 429 || routeRetryable === true || (status >= 500 && routeRetryable !== false);
+    // After a timeout the route may still publish: like an interrupted delivery, it is left for review
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+      publishError.code = 'PUBLISH_TIMEOUT';
+      publishError.retryable = false;
+    }
+    throw publishError;
+  }
+};
+
+module.exports = {
+  postToRoute
+};
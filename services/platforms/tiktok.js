@@ -0,0 +1,156 @@
+// File: services/platforms/tiktok.js
+const tiktokService = require('../tiktokService');
+const oauthSessionService = require('../oauthSessionService');
+const { isNearExpiry, refreshAccountTokens } = require('../tiktokTokenRefresher');
+const { needsReconnect } = require('../accountHealthService');
+const { createCodeVerifier, createCodeChallenge } = require('../../utils/pkce');
+const { postToRoute } = require('./routePublisher');
+const { checkVideo, validateVideo, validatePhotos } = require('./media');
+
+/**
+ * TikTok adapter. Accounts are connected with GET /tiktok/auth and published to through
+ * POST /tiktok/post-video, which refreshes an expired token while posting. Photo posts are
+ * published with tiktokService.postPhotos directly, with the token refreshed beforehand.
+ */
+
+const TIKTOK_VIDEO_LIMITS = {
+  maxBytes: 4 * 1024 * 1024 * 1024, // 4 GB
+  mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+  videoCodecs: ['h264', 'hevc', 'vp8', 'vp9'],
+  minDurationSec: 3,
+  maxDurationSec: 10 * 60,
+  minShortSide: 360,
+  maxLongSide: 4096,
+  minFrameRate: 23,
+  maxFrameRate: 60
+};
+
+const TIKTOK_PHOTO_LIMITS = {
+  maxImages: tiktokService.MAX_PHOTO_COUNT,
+  maxBytes: 20 * 1024 * 1024, // 20 MB
+  mimeTypes: ['image/jpeg', 'image/webp']
+};
+
+// TikTok publish statuses mapped to delivery statuses
+const PUBLISH_STATUSES = {
+  PUBLISH_COMPLETE: 'published',
+  FAILED: 'failed',
+  PUBLISH_FAILED: 'failed'
+};
+
+const getVideoUrl = (username, publicPostId, type = 'video') =>
+  publicPostId && username ? `https://www.tiktok.com/@${username}/${type}/${publicPostId}` : undefined;
+
+module.exports = {
+  platform: 'tiktok',
+  name: 'TikTok',
+  idField: 'openId',
+  maxDeliveryAttempts: parseInt(process.env.TIKTOK_MAX_DELIVERY_ATTEMPTS) || 3,
+  // TikTok captions (the post title) can have 2200 UTF-16 characters, hashtags included
+  captionLimits: { maxLength: 2200 },
+  videoLimits: TIKTOK_VIDEO_LIMITS,
+
+  hasCredentials: (account) => !!account?.accessToken,
+
+  resolveReference: (selected, connectedAccounts) => {
+    const dbAccount = connectedAccounts.find(
+      dbAcc => ((selected?.openId || selected?.accountId) && dbAcc.openId === (selected.openId || selected.accountId)) ||
+              (selected?.username && dbAcc.username === selected.username) ||
+              (selected?.displayName && (dbAcc.displayName === selected.displayName || dbAcc.username === selected.displayName))
+    );
+    if (!dbAccount) {
+      return null;
+    }
+
+    return {
+      openId: dbAccount.openId,
+      username: selected.username || dbAccount.username || '',
+      displayName: selected.displayName || dbAccount.displayName || ''
+    };
+  },
+
+  getMissingLabel: (selected) =>
+    `TikTok ${selected?.username || selected?.displayName || selected?.openId || selected?.accountId || 'unknown'}`,
+
+  // The state is signed and bound to the user's Firebase UID; the PKCE verifier stays on the server
+  connect: async ({ uid }) => {
+    const codeVerifier = createCodeVerifier();
+    const { state } = await oauthSessionService.startOAuthSession('tiktok', uid, { codeVerifier });
+
+    // force_login lets the user switch TikTok accounts
+    const authUrl = tiktokService.getAuthUrl({
+      forceLogin: true,
+      state,
+      codeChallenge: createCodeChallenge(codeVerifier, 'hex')
+    });
+    return { authUrl };
+  },
+
+  // Refresh an access token that is about to expire; on failure the current one is kept
+  refresh: async (uid, account) => {
+    if (!account?.refreshToken || needsReconnect(account) || !isNearExpiry(account)) {
+      return account;
+    }
+
+    try {
+      return (await refreshAccountTokens(uid, account)) || account;
+    } catch (error) {
+      console.error(`[TIKTOK ADAPTER] Failed to refresh tokens of account ${account.openId}:`, error?.message);
+      return account;
+    }
+  },
+
+  checkMedia: (media) => checkVideo('TikTok', media, TIKTOK_VIDEO_LIMITS),
+
+  validateMedia: (media) => validateVideo('TikTok', media, TIKTOK_VIDEO_LIMITS),
+
+  validatePhotos: (images) => validatePhotos('TikTok', images, TIKTOK_PHOTO_LIMITS),
+
+  publish: async ({ post, account, videoUrl, images, caption, userId }) => {
+    if (images?.length) {
+      try {
+        const result = await tiktokService.postPhotos(
+          images.map(image => image.url),
+          account.accessToken,
+          caption,
+          post?.tiktok_settings,
+          { uid: userId, accountId: account.openId }
+        );
+        return {
+          remotePostId: result?.publishId,
+          remotePostUrl: getVideoUrl(account.username, result?.data?.publicaly_available_post_id?.[0], 'photo'),
+          data: result
+        };
+      } catch (error) {
+        error.retryable = tiktokService.classifyTikTokError(error).retryable;
+        throw error;
+      }
+    }
+
+    const response = await postToRoute('TikTok', '/tiktok/post-video', {
+      videoUrl,
+      caption,
+      settings: post?.tiktok_settings,
+      accessToken: account.accessToken,
+      refreshToken: account.refreshToken,
+      userId,
+      accountId: account.openId
+    });
+
+    const uploadResult = response?.data;
+    return {
+      remotePostId: uploadResult?.publishId,
+      remotePostUrl: getVideoUrl(account.username, uploadResult?.data?.publicaly_available_post_id?.[0]),
+      data: response
+    };
+  },
+
+  getStatus: async ({ uid, account, remotePostId }) => {
+    const result = await tiktokService.getPublishStatus(account.accessToken, remotePostId, { uid, accountId: account.openId });
+    return {
+      status: PUBLISH_STATUSES[result.status] || 'processing',
+      remotePostUrl: getVideoUrl(account.username, result.publicPostId),
+      error: result.failReason
+    };
+  }
+};
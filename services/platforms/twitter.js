@@ -0,0 +1,235 @@
+// File: services/platforms/twitter.js
+const twitterService = require('../twitterService');
+const userService = require('../userService');
+const oauthSessionService = require('../oauthSessionService');
+const { needsReconnect, recordAccountHealth } = require('../accountHealthService');
+const { createCodeVerifier, createCodeChallenge } = require('../../utils/pkce');
+const { postToRoute } = require('./routePublisher');
+const { checkVideo, validateVideo, validatePhotos, getPostImages } = require('./media');
+const { countTwitterLength } = require('./captions');
+
+/**
+ * Twitter adapter. New accounts connect with OAuth 2.0 (PKCE); accounts connected with
+ * OAuth 1.0a (GET /twitter/auth) keep working. Videos are published through POST /twitter/post-video,
+ * tweets with images and the follow-up tweets of a thread (Post.twitter_thread) with
+ * twitterService.postTweet directly.
+ */
+
+const TWITTER_VIDEO_LIMITS = {
+  maxBytes: 512 * 1024 * 1024, // 512 MB
+  mimeTypes: ['video/mp4', 'video/quicktime'],
+  videoCodecs: ['h264'],
+  audioCodecs: ['aac'],
+  minDurationSec: 0.5,
+  maxDurationSec: 140,
+  minShortSide: 32,
+  maxShortSide: 1200,
+  maxLongSide: 1920,
+  maxFrameRate: 60,
+  maxBitrate: 25 * 1000 * 1000
+};
+
+const TWITTER_PHOTO_LIMITS = {
+  maxImages: twitterService.MAX_TWEET_IMAGES,
+  maxBytes: twitterService.MAX_TWEET_IMAGE_SIZE,
+  mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
+};
+
+const getTweetUrl = (tweetId) => (tweetId ? `https://x.com/i/status/${tweetId}` : undefined);
+
+// Errors of a partly published thread keep its first tweet, which the scheduler stores on the delivery
+const withPublishedTweet = (error, tweetIds) => {
+  if (tweetIds.length > 0 && error && !error.remotePostId) {
+    error.remotePostId = tweetIds[0];
+    error.remotePostUrl = getTweetUrl(tweetIds[0]);
+  }
+  return error;
+};
+
+// Store OAuth 2.0 tokens refreshed during a call. Twitter has already invalidated the old refresh token.
+const storeRefreshedTokens = async (uid, account, result) => {
+  if (!result?.refreshed) return;
+
+  const updated = await userService.updateTwitterTokens(uid, account.userId, {
+    accessToken: result.newAccessToken,
+    refreshToken: result.newRefreshToken,
+    tokenExpiresAt: result.tokenExpiresAt
+  });
+  if (!updated) {
+    console.error(`[TWITTER ADAPTER] Failed to store refreshed tokens of account ${account.userId} for user ${uid}`);
+  }
+};
+
+// Account with the tokens it has now; the OAuth 2.0 tokens change when they are refreshed
+const withTokens = (account, result) => (result?.refreshed
+  ? { ...account, accessToken: result.newAccessToken, refreshToken: result.newRefreshToken, tokenExpiresAt: result.tokenExpiresAt }
+  : account);
+
+// Post a tweet with twitterService.postTweet; failures get retryable like the route errors
+const postTweet = async (uid, account, tweet) => {
+  try {
+    const result = await twitterService.postTweet(account, tweet, { uid, accountId: account.userId });
+    await storeRefreshedTokens(uid, account, result);
+    return { tweetId: result?.data?.id, data: result, account: withTokens(account, result) };
+  } catch (error) {
+    if (error?.refreshedTokens) {
+      await userService.updateTwitterTokens(uid, account.userId, error.refreshedTokens);
+    }
+    error.retryable = twitterService.classifyTwitterError(error).retryable;
+    throw error;
+  }
+};
+
+// Stored tokens of an account, which the video route may have refreshed while posting
+const reloadAccount = async (uid, account) => {
+  try {
+    const accounts = await userService.getSocialMediaTokens(uid, 'twitter');
+    const stored = (accounts || []).find(connected => connected?.userId === account.userId);
+    return stored ? { ...account, ...(typeof stored.toObject === 'function' ? stored.toObject() : stored) } : account;
+  } catch (error) {
+    console.error(`[TWITTER ADAPTER] Failed to reload tokens of account ${account.userId}:`, error?.message);
+    return account;
+  }
+};
+
+// First tweet of a post: the images, or the video through POST /twitter/post-video.
+// OAuth 1.0a tokens are sent along; the route reads OAuth 2.0 tokens from the user so it can refresh them.
+const publishFirstTweet = async ({ account, videoUrl, images, caption, userId }) => {
+  if (images?.length) {
+    return postTweet(userId, account, { text: caption, images });
+  }
+
+  const response = await postToRoute('Twitter', '/twitter/post-video', {
+    videoUrl,
+    text: caption,
+    accessToken: account.accessToken,
+    accessTokenSecret: account.accessTokenSecret,
+    userId,
+    accountId: account.userId
+  });
+  return { tweetId: response?.data?.data?.id, data: response, account };
+};
+
+module.exports = {
+  platform: 'twitter',
+  name: 'Twitter',
+  idField: 'userId',
+  maxDeliveryAttempts: parseInt(process.env.TWITTER_MAX_DELIVERY_ATTEMPTS) || 4,
+  // Weighted length: URLs count as 23 characters, emoji and CJK characters as 2
+  captionLimits: { maxLength: 280, countLength: countTwitterLength },
+  videoLimits: TWITTER_VIDEO_LIMITS,
+
+  hasCredentials: (account) => twitterService.hasTwitterCredentials(account),
+
+  resolveReference: (selected, connectedAccounts) => {
+    const dbAccount = connectedAccounts.find(
+      dbAcc => (selected?.userId && (dbAcc.userId === selected.userId || dbAcc.user_id === selected.userId)) ||
+              (selected?.username && dbAcc.username === selected.username)
+    );
+    if (!dbAccount) {
+      return null;
+    }
+
+    return {
+      userId: dbAccount.userId || dbAccount.user_id,
+      username: selected.username || dbAccount.username || '',
+      name: dbAccount.name || '',
+      profileImageUrl: dbAccount.profileImageUrl || ''
+    };
+  },
+
+  getMissingLabel: (selected) => `Twitter ${selected?.username || selected?.userId || 'unknown'}`,
+
+  // OAuth 2.0 Authorization Code flow with PKCE; the code verifier stays on the server until the callback
+  connect: async ({ uid }) => {
+    const codeVerifier = createCodeVerifier();
+    const { state } = await oauthSessionService.startOAuthSession('twitter', uid, { codeVerifier });
+    const authUrl = twitterService.getOAuth2AuthUrl({ state, codeChallenge: createCodeChallenge(codeVerifier) });
+    return { authUrl };
+  },
+
+  // Refresh an OAuth 2.0 access token that is about to expire; OAuth 1.0a tokens do not expire
+  refresh: async (uid, account) => {
+    if (
+      twitterService.getTwitterTokenType(account) !== twitterService.TWITTER_TOKEN_TYPES.OAUTH2 ||
+      !account.refreshToken || needsReconnect(account) || !twitterService.isOAuth2TokenExpiring(account)
+    ) {
+      return account;
+    }
+
+    try {
+      const refreshed = await twitterService.refreshOAuth2Token(account.refreshToken);
+      await userService.updateTwitterTokens(uid, account.userId, refreshed);
+      return { ...account, ...refreshed };
+    } catch (error) {
+      console.error(`[TWITTER ADAPTER] Failed to refresh tokens of account ${account.userId}:`, error?.message);
+      await recordAccountHealth('twitter', { uid, accountId: account.userId }, error);
+      return account;
+    }
+  },
+
+  checkMedia: (media) => checkVideo('Twitter', media, TWITTER_VIDEO_LIMITS),
+
+  validateMedia: (media) => validateVideo('Twitter', media, TWITTER_VIDEO_LIMITS),
+
+  validatePhotos: (images) => validatePhotos('Twitter', images, TWITTER_PHOTO_LIMITS),
+
+  // Posts the video or images, then each part of the post's thread as a reply to the previous tweet.
+  // Every tweet id is recorded, so a retry resumes the thread after the last published tweet;
+  // a tweet that cannot be recorded fails the delivery without a retry (recordPublishedId throws).
+  publish: async ({ post, account, videoUrl, images, caption, userId, publishedIds = [], recordPublishedId }) => {
+    const thread = Array.isArray(post?.twitter_thread) ? post.twitter_thread : [];
+    const tweetIds = [...publishedIds];
+    let currentAccount = account;
+    let data;
+
+    try {
+      if (tweetIds.length === 0) {
+        const first = await publishFirstTweet({ account, videoUrl, images, caption, userId });
+        tweetIds.push(first.tweetId);
+        await recordPublishedId?.(first.tweetId);
+        data = first.data;
+        currentAccount = thread.length > 0 && !images?.length ? await reloadAccount(userId, first.account) : first.account;
+      } else {
+        console.log(`[TWITTER ADAPTER] Resuming thread of account ${account.userId} after tweet ${tweetIds[tweetIds.length - 1]}`);
+      }
+
+      // The first part replies to the first tweet, so a thread of n parts has n + 1 tweets
+      for (let index = tweetIds.length - 1; index < thread.length; index++) {
+        const part = thread[index];
+        let result;
+        try {
+          result = await postTweet(userId, currentAccount, {
+            text: part.text,
+            images: getPostImages(part),
+            replyToTweetId: part.replyToTweetId || tweetIds[tweetIds.length - 1],
+            quoteTweetId: part.quoteTweetId
+          });
+        } catch (error) {
+          error.message = `Tweet ${index + 2} of ${thread.length + 1} of the thread failed: ${error.message}`;
+          throw error;
+        }
+        tweetIds.push(result.tweetId);
+        await recordPublishedId?.(result.tweetId);
+        currentAccount = result.account;
+      }
+    } catch (error) {
+      throw withPublishedTweet(error, tweetIds);
+    }
+
+    return {
+      remotePostId: tweetIds[0],
+      remotePostUrl: getTweetUrl(tweetIds[0]),
+      data: thread.length > 0 ? { tweetIds, firstTweet: data } : data
+    };
+  },
+
+  getStatus: async ({ uid, account, remotePostId }) => {
+    const result = await twitterService.getTweet(account, remotePostId, { uid, accountId: account.userId });
+    await storeRefreshedTokens(uid, account, result);
+
+    return result?.tweet
+      ? { status: 'published', remotePostUrl: getTweetUrl(remotePostId) }
+      : { status: 'deleted' };
+  }
+};
@@ -0,0 +1,64 @@
+// File: services/platforms/youtube.js
+const { postToRoute } = require('./routePublisher');
+const { checkVideo, validateVideo } = require('./media');
+const { MAX_DESCRIPTION_LENGTH } = require('../youtubeService');
+
+/**
+ * YouTube adapter. Channels are connected with GET /youtube/auth; Shorts are uploaded through
+ * POST /youtube/post-video with the post's youtube_settings.
+ */
+
+const YOUTUBE_VIDEO_LIMITS = {
+  maxBytes: 256 * 1024 * 1024 * 1024, // 256 GB
+  mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+  maxDurationSec: 12 * 60 * 60
+};
+
+module.exports = {
+  platform: 'youtube',
+  name: 'YouTube',
+  idField: 'channelId',
+  maxDeliveryAttempts: parseInt(process.env.YOUTUBE_MAX_DELIVERY_ATTEMPTS) || 3,
+  captionLimits: { maxLength: MAX_DESCRIPTION_LENGTH },
+  videoLimits: YOUTUBE_VIDEO_LIMITS,
+
+  hasCredentials: (account) => !!account?.accessToken,
+
+  resolveReference: (selected, connectedAccounts) => {
+    const dbAccount = connectedAccounts.find(
+      dbAcc => ((selected?.channelId || selected?.accountId) && dbAcc.channelId === (selected.channelId || selected.accountId)) ||
+              (selected?.title && dbAcc.title === selected.title)
+    );
+    if (!dbAccount) {
+      return null;
+    }
+
+    return {
+      channelId: dbAccount.channelId,
+      title: dbAccount.title || '',
+      thumbnailUrl: dbAccount.thumbnailUrl || ''
+    };
+  },
+
+  getMissingLabel: (selected) => `YouTube ${selected?.title || selected?.channelId || selected?.accountId || 'unknown'}`,
+
+  checkMedia: (media) => checkVideo('YouTube', media, YOUTUBE_VIDEO_LIMITS),
+
+  validateMedia: (media) => validateVideo('YouTube', media, YOUTUBE_VIDEO_LIMITS),
+
+  publish: async ({ post, account, videoUrl, caption, userId }) => {
+    const response = await postToRoute('YouTube', '/youtube/post-video', {
+      videoUrl,
+      caption,
+      userId,
+      accountId: account.channelId,
+      settings: post?.youtube_settings
+    });
+
+    return {
+      remotePostId: response?.data?.videoId,
+      remotePostUrl: response?.data?.videoUrl,
+      data: response
+    };
+  }
+};
@@ -1,7 +1,20 @@
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListMultipartUploadsCommand
+} = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { reserveStorage } = require('./storageQuotaService');
 
 // Initialize R2 client with credentials from environment variables
 const r2Client = new S3Client({
@@ -13,11 +26,55 @@ const r2Client = new S3Client({
   },
 });
 
-// Upload a file to R2 storage
-async function uploadFile(fileBuffer, fileName, contentType) {
+/**
+ * Record an upload in the media library when it has an owner, and resolve to its media id.
+ * mediaService is required lazily because it deletes files through this service.
+ * @param {Object} options - { owner, name, info } passed to the upload functions
+ * @param {Object} file - { key, url, mimeType, size, checksum, source } of the uploaded file
+ */
+async function recordUpload(options, file) {
+  if (!options?.owner) {
+    return undefined;
+  }
+  const media = await require('./mediaService').recordMedia({
+    uid: options.owner,
+    bucket: 'videos',
+    name: options.name,
+    info: options.info,
+    ...file,
+  });
+  return media?._id;
+}
+
+// Reserve room for an upload with an owner, or reject it when the owner's plan has no room for it
+// (403 STORAGE_LIMIT_REACHED). The caller releases the reservation once the file is recorded.
+// options.enforceQuota false stores the file anyway, it still counts as used storage.
+async function reserveStorageQuota(options, size) {
+  if (options?.owner && options.enforceQuota !== false) {
+    return reserveStorage(options.owner, size);
+  }
+  return { release: async () => {} };
+}
+
+// SHA-256 of a file on disk, read as a stream
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Upload a file to R2 storage. With options.owner the file is recorded in the owner's media library
+// (options.name is its display name, options.info the inspection of the video) and must fit in
+// the owner's storage quota.
+async function uploadFile(fileBuffer, fileName, contentType, options = {}) {
+  let reservation;
   try {
     console.log(`[R2Service] Uploading file: ${fileName}, type: ${contentType}, size: ${fileBuffer.length} bytes`);
     
+    reservation = await reserveStorageQuota(options, fileBuffer.length);
+    
     // Generate a unique file name if one is not provided
     const uniqueFileName = fileName || `${Date.now()}-${Math.random().toString(36).substring(2, 15)}.mp4`;
     
@@ -40,38 +97,91 @@ async function uploadFile(fileBuffer, fileName, contentType) {
     // Generate the public URL for the uploaded file
     const fileUrl = `${process.env.R2_VIDEOS_PUBLIC_DOMAIN}/${fileKey}`;
     
+    const mediaId = await recordUpload(options, {
+      key: fileKey,
+      url: fileUrl,
+      mimeType: uploadParams.ContentType,
+      size: fileBuffer.length,
+      checksum: options.owner ? crypto.createHash('sha256').update(fileBuffer).digest('hex') : undefined,
+      source: fileUrl,
+    });
+    
     return {
       success: true,
       url: fileUrl,
       key: fileKey,
+      mediaId,
     };
   } catch (error) {
     console.error('[R2Service] Error uploading file:', error?.message);
+    if (error?.code === 'STORAGE_LIMIT_REACHED') {
+      throw error;
+    }
     throw new Error(`Failed to upload file to R2: ${error?.message}`);
+  } finally {
+    await reservation?.release();
   }
 }
 
-// Upload a file from a local path to R2 storage
-async function uploadFileFromPath(filePath, fileName, contentType) {
+// Upload a file from a local path to R2 storage. The file is streamed, not read into memory.
+// options are the ones of uploadFile.
+async function uploadFileFromPath(filePath, fileName, contentType, options = {}) {
+  let reservation;
   try {
-    console.log(`[R2Service] Reading file from path: ${filePath}`);
+    console.log(`[R2Service] Streaming file from path: ${filePath}`);
     
-    // Read the file from the local path
-    const fileBuffer = fs.readFileSync(filePath);
+    const { size } = await fs.promises.stat(filePath);
+    reservation = await reserveStorageQuota(options, size);
     
     // If no filename is provided, use the original filename
     const originalFileName = fileName || path.basename(filePath);
+    const fileKey = `video-posts/${originalFileName}`;
     
-    // Upload the file to R2
-    return await uploadFile(fileBuffer, originalFileName, contentType);
+    const body = fs.createReadStream(filePath);
+    try {
+      await r2Client.send(new PutObjectCommand({
+        Bucket: process.env.R2_VIDEOS_BUCKET_NAME,
+        Key: fileKey,
+        Body: body,
+        ContentLength: size,
+        ContentType: contentType || 'video/mp4',
+      }));
+    } finally {
+      // A request that failed before reading the whole file leaves the stream open
+      body.destroy();
+    }
+    
+    console.log(`[R2Service] Upload successful: ${fileKey}, size: ${size} bytes`);
+    
+    const fileUrl = `${process.env.R2_VIDEOS_PUBLIC_DOMAIN}/${fileKey}`;
+    const mediaId = await recordUpload(options, {
+      key: fileKey,
+      url: fileUrl,
+      mimeType: contentType || 'video/mp4',
+      size,
+      checksum: options.owner ? await hashFile(filePath) : undefined,
+      source: filePath,
+    });
+    
+    return {
+      success: true,
+      url: fileUrl,
+      key: fileKey,
+      mediaId,
+    };
   } catch (error) {
     console.error('[R2Service] Error uploading file from path:', error?.message);
+    if (error?.code === 'STORAGE_LIMIT_REACHED') {
+      throw error;
+    }
     throw new Error(`Failed to upload file from path: ${error?.message}`);
+  } finally {
+    await reservation?.release();
   }
 }
 
-// Download a file from a URL and upload it to R2
-async function uploadFileFromUrl(url, fileName, contentType) {
+// Download a file from a URL and upload it to R2 (options are the ones of uploadFile)
+async function uploadFileFromUrl(url, fileName, contentType, options = {}) {
   try {
     console.log(`[R2Service] Downloading file from URL: ${url}`);
     
@@ -83,9 +193,12 @@ async function uploadFileFromUrl(url, fileName, contentType) {
     console.log(`[R2Service] Downloaded file, size: ${fileBuffer.length} bytes`);
     
     // Upload the file to R2
-    return await uploadFile(fileBuffer, fileName, contentType || response?.headers?.['content-type']);
+    return await uploadFile(fileBuffer, fileName, contentType || response?.headers?.['content-type'], options);
   } catch (error) {
     console.error('[R2Service] Error uploading file from URL:', error?.message);
+    if (error?.code === 'STORAGE_LIMIT_REACHED') {
+      throw error;
+    }
     throw new Error(`Failed to upload file from URL: ${error?.message}`);
   }
 }
@@ -118,9 +231,185 @@ async function getPresignedUrl(key, expiresIn = 3600) {
   }
 }
 
+// Delete a file from the videos bucket
+async function deleteFile(key) {
+  try {
+    await r2Client.send(new DeleteObjectCommand({
+      Bucket: process.env.R2_VIDEOS_BUCKET_NAME,
+      Key: key,
+    }));
+    console.log(`[R2Service] Deleted file: ${key}`);
+  } catch (error) {
+    console.error('[R2Service] Error deleting file:', error?.message);
+    throw new Error(`Failed to delete file from R2: ${error?.message}`);
+  }
+}
+
+/**
+ * Start a multipart upload in the videos bucket. Its parts are uploaded with presigned URLs
+ * (getPartUploadUrl), so large files go straight from the client to R2.
+ * @param {string} fileName - File name under video-posts/
+ * @param {string} contentType - MIME type of the file
+ * @returns {Promise<{ uploadId: string, key: string, url: string }>} - url is where the file is once completed
+ */
+async function createMultipartUpload(fileName, contentType) {
+  try {
+    const fileKey = `video-posts/${fileName}`;
+    const response = await r2Client.send(new CreateMultipartUploadCommand({
+      Bucket: process.env.R2_VIDEOS_BUCKET_NAME,
+      Key: fileKey,
+      ContentType: contentType || 'video/mp4',
+    }));
+    
+    console.log(`[R2Service] Started multipart upload ${response.UploadId} for ${fileKey}`);
+    
+    return {
+      uploadId: response.UploadId,
+      key: fileKey,
+      url: `${process.env.R2_VIDEOS_PUBLIC_DOMAIN}/${fileKey}`,
+    };
+  } catch (error) {
+    console.error('[R2Service] Error starting multipart upload:', error?.message);
+    throw new Error(`Failed to start multipart upload: ${error?.message}`);
+  }
+}
+
+/**
+ * Presigned URL to PUT one part of a multipart upload. The response's ETag header is needed
+ * to complete the upload.
+ * @param {string} key - Object key of the upload
+ * @param {string} uploadId - Multipart upload id
+ * @param {number} partNumber - Part number, from 1
+ * @param {number} [expiresIn=3600] - Seconds the URL is valid
+ * @returns {Promise<string>}
+ */
+async function getPartUploadUrl(key, uploadId, partNumber, expiresIn = 3600) {
+  try {
+    const command = new UploadPartCommand({
+      Bucket: process.env.R2_VIDEOS_BUCKET_NAME,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+    });
+    return await getSignedUrl(r2Client, command, { expiresIn });
+  } catch (error) {
+    console.error('[R2Service] Error generating part upload URL:', error?.message);
+    throw new Error(`Failed to generate part upload URL: ${error?.message}`);
+  }
+}
+
+/**
+ * Parts of a multipart upload that R2 has received
+ * @param {string} key - Object key of the upload
+ * @param {string} uploadId - Multipart upload id
+ * @returns {Promise<Array<{ partNumber: number, etag: string, size: number }>>}
+ */
+async function listUploadedParts(key, uploadId) {
+  try {
+    const parts = [];
+    let marker;
+    do {
+      const response = await r2Client.send(new ListPartsCommand({
+        Bucket: process.env.R2_VIDEOS_BUCKET_NAME,
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: marker,
+      }));
+      for (const part of response.Parts || []) {
+        parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size });
+      }
+      marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+    } while (marker);
+    return parts;
+  } catch (error) {
+    console.error('[R2Service] Error listing uploaded parts:', error?.message);
+    throw new Error(`Failed to list uploaded parts: ${error?.message}`);
+  }
+}
+
+/**
+ * Assemble the uploaded parts into the file
+ * @param {string} key - Object key of the upload
+ * @param {string} uploadId - Multipart upload id
+ * @param {Array<{ partNumber: number, etag: string }>} parts - Every part, in any order
+ */
+async function completeMultipartUpload(key, uploadId, parts) {
+  try {
+    await r2Client.send(new CompleteMultipartUploadCommand({
+      Bucket: process.env.R2_VIDEOS_BUCKET_NAME,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: [...parts]
+          .sort((a, b) => a.partNumber - b.partNumber)
+          .map(({ partNumber, etag }) => ({ PartNumber: partNumber, ETag: etag })),
+      },
+    }));
+    console.log(`[R2Service] Completed multipart upload ${uploadId} for ${key}`);
+  } catch (error) {
+    console.error('[R2Service] Error completing multipart upload:', error?.message);
+    throw new Error(`Failed to complete multipart upload: ${error?.message}`);
+  }
+}
+
+// Abort a multipart upload and delete its parts; uploads that no longer exist are ignored
+async function abortMultipartUpload(key, uploadId) {
+  try {
+    await r2Client.send(new AbortMultipartUploadCommand({
+      Bucket: process.env.R2_VIDEOS_BUCKET_NAME,
+      Key: key,
+      UploadId: uploadId,
+    }));
+    console.log(`[R2Service] Aborted multipart upload ${uploadId} for ${key}`);
+  } catch (error) {
+    if (error?.name === 'NoSuchUpload') {
+      return;
+    }
+    console.error('[R2Service] Error aborting multipart upload:', error?.message);
+    throw new Error(`Failed to abort multipart upload: ${error?.message}`);
+  }
+}
+
+/**
+ * Multipart uploads in the videos bucket that were started and neither completed nor aborted
+ * @returns {Promise<Array<{ key: string, uploadId: string, initiated: Date }>>}
+ */
+async function listMultipartUploads() {
+  try {
+    const uploads = [];
+    let keyMarker;
+    let uploadIdMarker;
+    do {
+      const response = await r2Client.send(new ListMultipartUploadsCommand({
+        Bucket: process.env.R2_VIDEOS_BUCKET_NAME,
+        Prefix: 'video-posts/',
+        KeyMarker: keyMarker,
+        UploadIdMarker: uploadIdMarker,
+      }));
+      for (const upload of response.Uploads || []) {
+        uploads.push({ key: upload.Key, uploadId: upload.UploadId, initiated: upload.Initiated });
+      }
+      keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+      uploadIdMarker = response.IsTruncated ? response.NextUploadIdMarker : undefined;
+    } while (keyMarker);
+    return uploads;
+  } catch (error) {
+    console.error('[R2Service] Error listing multipart uploads:', error?.message);
+    throw new Error(`Failed to list multipart uploads: ${error?.message}`);
+  }
+}
+
 module.exports = {
   uploadFile,
   uploadFileFromPath,
   uploadFileFromUrl,
   getPresignedUrl,
+  recordUpload,
+  deleteFile,
+  createMultipartUpload,
+  getPartUploadUrl,
+  listUploadedParts,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  listMultipartUploads,
 }; 
\ No newline at end of file
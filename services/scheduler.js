@@ -2,75 +2,49 @@ const cron = require('node-cron');
 const Post = require('../models/Post');
 const User = require('../models/User');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
 const { hasReachedLimit } = require('../utils/roleLimits');
 const userService = require('./userService');
+const jobQueue = require('./jobQueue');
+const { needsReconnect } = require('./accountHealthService');
+const { getPlatform, getAccountId, supportsPhotos } = require('./platforms');
+const { getPublishCaption } = require('./platforms/captions');
+const { getPostImages } = require('./platforms/media');
+const { createRendition } = require('./videoProcessingService');
+const { cleanupAbandonedUploads } = require('./uploadSessionService');
+const { syncPostMedia, cleanupUnreferencedMedia } = require('./mediaService');
+const { REFRESH_TIKTOK_TOKEN_JOB, checkExpiringTikTokTokens, runRefreshTikTokTokenJob } = require('./tiktokTokenRefresher');
+
+// Job type used to publish a post through the job queue
+const PUBLISH_POST_JOB = 'publish_post';
+
+// Maximum publish attempts per account before a retryable failure becomes final,
+// for adapters that do not set maxDeliveryAttempts
+const DEFAULT_MAX_DELIVERY_ATTEMPTS = 3;
+
+// Exponential backoff between publish attempts
+const DELIVERY_RETRY_BASE_DELAY_MS = parseInt(process.env.DELIVERY_RETRY_BASE_DELAY_MS) || 60 * 1000; // Default: 1 minute
+const DELIVERY_RETRY_MAX_DELAY_MS = parseInt(process.env.DELIVERY_RETRY_MAX_DELAY_MS) || 30 * 60 * 1000; // Default: 30 minutes
 
 // Initialize the scheduler
 const initScheduler = () => {
   console.log('Initializing post scheduler...');
   
-  // Run every minute to check for posts that need to be published
-  cron.schedule('* * * * *', async () => {
-    try {
-      // Find posts that are scheduled and due for publishing
-      const now = new Date();
-      console.log('Running scheduler check at', now.toISOString());
-      
-      const posts = await Post.find({
-        isScheduled: true,
-        scheduledDate: { $lte: now },
-        status: 'pending'
-      }).lean(); // Using lean() to get plain JS objects for better debugging
-      
-      if (posts.length > 0) {
-        console.log(`Found ${posts.length} scheduled posts to publish`);
-        
-        // Process each post
-        for (const post of posts) {
-          try {
-            // Debug log the post structure
-            console.log('Processing scheduled post:', {
-              id: post._id,
-              platforms: post.platforms,
-              has_tiktok_accounts: !!post.tiktok_accounts,
-              tiktok_accounts_count: post.tiktok_accounts?.length || 0,
-              has_legacy_tiktok: !!post.tiktok_access_token,
-              has_twitter: !!post.twitter_access_token
-            });
-            
-            if (post.tiktok_accounts) {
-              console.log('TikTok accounts found in post:', 
-                post.tiktok_accounts.map(acc => ({
-                  openId: acc?.openId,
-                  hasAccessToken: !!acc?.accessToken,
-                  hasRefreshToken: !!acc?.refreshToken
-                }))
-              );
-            }
-            
-            // Update status to processing
-            await Post.updateOne({ _id: post._id }, { status: 'processing' });
-            
-            // Process the post
-            await processPost(post);
-            
-            // Update status to completed
-            await Post.updateOne({ _id: post._id }, { status: 'completed' });
-            
-            console.log(`Successfully published scheduled post: ${post._id}`);
-          } catch (error) {
-            console.error(`Error publishing scheduled post ${post._id}:`, error?.message);
-            
-            // Update status to failed
-            await Post.updateOne({ _id: post._id }, { status: 'failed' });
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error in scheduler:', error?.message);
-    }
-  });
+  // Publish jobs are run by the durable job queue worker
+  jobQueue.registerHandler(PUBLISH_POST_JOB, runPublishPostJob, { onFailed: onPublishPostJobFailed });
+  jobQueue.registerHandler(REFRESH_TIKTOK_TOKEN_JOB, runRefreshTikTokTokenJob);
+  jobQueue.startWorker();
+  
+  // Run every minute to queue posts that are due for publishing
+  cron.schedule('* * * * *', checkScheduledPosts);
+  
+  // Run every 10 minutes to refresh TikTok access tokens before they expire
+  cron.schedule('*/10 * * * *', checkExpiringTikTokTokens);
+  
+  // Run every hour to abort multipart uploads that were abandoned
+  cron.schedule('0 * * * *', cleanupAbandonedUploads);
+  
+  // Run every day to delete media no post has used for the retention period
+  cron.schedule('30 3 * * *', cleanupUnreferencedMedia);
   
   // Run every 15 minutes to check for expired subscriptions
   cron.schedule('*/15 * * * *', async () => {
@@ -141,23 +115,467 @@ const initScheduler = () => {
   console.log('Subscription expiration checker initialized');
 };
 
+// Get the maximum number of publish attempts for a platform
+const getMaxDeliveryAttempts = (platform) => getPlatform(platform)?.maxDeliveryAttempts || DEFAULT_MAX_DELIVERY_ATTEMPTS;
+
+// Delay before the next attempt: exponential backoff with jitter (between half and all of the backoff)
+const getRetryDelay = (attempts) => {
+  const backoff = Math.min(DELIVERY_RETRY_MAX_DELAY_MS, DELIVERY_RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)));
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+};
+
+// Check if a failed delivery should be attempted again
+const isRetryPending = (delivery) => {
+  return delivery?.status === 'failed' &&
+    delivery.retryable === true &&
+    delivery.attempts < getMaxDeliveryAttempts(delivery.platform);
+};
+
+// Get the earliest time a failed delivery is due for retry, or null if none is
+const getNextRetryAt = (deliveries = []) => {
+  const retryTimes = deliveries
+    .filter(delivery => isRetryPending(delivery) && delivery.nextAttemptAt)
+    .map(delivery => new Date(delivery.nextAttemptAt).getTime());
+
+  return retryTimes.length > 0 ? new Date(Math.min(...retryTimes)) : null;
+};
+
+/**
+ * Check if a platform account should be published to in this run.
+ * Accounts that already succeeded, failed permanently or ran out of attempts are skipped,
+ * so retries never create duplicate posts. Failed deliveries wait for their own nextAttemptAt.
+ * @param {Object} post - Post being processed
+ * @param {string} platform - Platform name
+ * @param {string} accountId - Platform account ID
+ * @param {Date} [now] - Time of the run
+ * @returns {boolean} - True if the account should be attempted
+ */
+const shouldAttemptDelivery = (post, platform, accountId, now = new Date()) => {
+  const delivery = post.deliveries?.find(d => d.platform === platform && d.accountId === accountId);
+
+  if (!delivery || delivery.status === 'pending' || delivery.status === 'processing') {
+    return true;
+  }
+
+  return isRetryPending(delivery) && (!delivery.nextAttemptAt || new Date(delivery.nextAttemptAt) <= now);
+};
+
+// A delivery still processing when its post is processed again was interrupted (e.g. the server
+// restarted while publishing), possibly after the platform accepted the post. Deliveries with
+// remotePostIds are left to the adapter, which resumes after the posts it recorded.
+const isInterruptedMidPublish = (delivery) => {
+  return delivery?.status === 'processing' && !(delivery.remotePostIds?.length > 0);
+};
+
+// Result entry for an account skipped by shouldAttemptDelivery
+const skippedDeliveryResult = (post, platform, accountId) => {
+  const delivery = post.deliveries?.find(d => d.platform === platform && d.accountId === accountId);
+
+  return {
+    success: delivery?.status === 'succeeded',
+    accountId,
+    skipped: true,
+    error: delivery?.status === 'succeeded' ? undefined : delivery?.errorMessage
+  };
+};
+
+/**
+ * Resolve live credentials for the accounts a post references.
+ * Posts without account references publish to every connected account.
+ * References to accounts that are no longer connected are kept (flagged notConnected)
+ * so they fail with a clear error instead of being dropped silently.
+ * @param {string} userId - Firebase UID of the post owner
+ * @param {string} platform - Platform name (e.g. 'tiktok')
+ * @param {Array} references - Account references stored on the post
+ * @returns {Promise<Array>} - Accounts with tokens from User.providerData
+ */
+const resolveAccountCredentials = async (userId, platform, references) => {
+  const idField = getPlatform(platform)?.idField || 'userId';
+  const connectedAccounts = (await userService.getSocialMediaTokens(userId, platform) || [])
+    .map(account => (typeof account?.toObject === 'function' ? account.toObject() : account));
+
+  if (!Array.isArray(references) || references.length === 0) {
+    return connectedAccounts;
+  }
+
+  return references.map(reference => {
+    const connected = connectedAccounts.find(account => account?.[idField] && account[idField] === reference?.[idField]);
+    return connected ? { ...reference, ...connected } : { ...reference, notConnected: true };
+  });
+};
+
+// Name of an account in error messages (Facebook Pages and LinkedIn organizations have a name but no username,
+// YouTube channels have a title, Bluesky accounts a handle and Mastodon accounts an acct)
+const getAccountLabel = (account) => account.organizationName || account.username || account.handle || account.acct || account.name || account.title ||
+  account.openId || account.pageId || account.channelId || account.did || account.userId;
+
+// Error message for an account without usable tokens
+const getMissingCredentialsMessage = (platformName, account) => {
+  return account?.notConnected
+    ? `${platformName} account ${getAccountLabel(account)} is no longer connected. Please reconnect it.`
+    : `Missing required ${platformName} tokens`;
+};
+
+// Error message for an account that cannot be used until the user reconnects it
+const getReconnectMessage = (platformName, account) => {
+  const reason = account.health.status.replace('_', ' ');
+  return `${platformName} account ${getAccountLabel(account)} needs to be reconnected (${reason}). Please reconnect it.`;
+};
+
+/**
+ * Make sure the post has a delivery entry for a platform account
+ * @param {string} postId - Post ID
+ * @param {string} platform - Platform name (e.g. 'tiktok')
+ * @param {string} accountId - Platform account ID
+ * @param {string} [username] - Account username
+ */
+const ensureDelivery = async (postId, platform, accountId, username) => {
+  const delivery = { platform, accountId };
+  if (username) delivery.username = username;
+
+  await Post.updateOne(
+    { _id: postId, deliveries: { $not: { $elemMatch: { platform, accountId } } } },
+    { $push: { deliveries: delivery } }
+  );
+};
+
+/**
+ * Record the start of a publish attempt for a platform account
+ * @param {string} postId - Post ID
+ * @param {string} platform - Platform name
+ * @param {string} accountId - Platform account ID
+ * @param {string} [username] - Account username
+ */
+const startDelivery = async (postId, platform, accountId, username) => {
+  if (!postId) return;
+
+  try {
+    await ensureDelivery(postId, platform, accountId, username);
+    await Post.updateOne(
+      { _id: postId, deliveries: { $elemMatch: { platform, accountId } } },
+      {
+        $set: { 'deliveries.$.status': 'processing', 'deliveries.$.lastAttemptAt': new Date() },
+        $inc: { 'deliveries.$.attempts': 1 }
+      }
+    );
+  } catch (error) {
+    console.error(`[PROCESS POST] Error recording delivery start for ${platform} account ${accountId}:`, error?.message);
+  }
+};
+
+/**
+ * Record one of several posts published for a platform account (e.g. a tweet of a thread)
+ * @param {string} postId - Post ID
+ * @param {string} platform - Platform name
+ * @param {string} accountId - Platform account ID
+ * @param {string} remotePostId - Id of the published post
+ * @throws {Error} - Not retryable, with code RECORD_FAILED, if the id could not be recorded:
+ * a retry would publish the post again
+ */
+const recordPublishedId = async (postId, platform, accountId, remotePostId) => {
+  if (!postId || !remotePostId) return;
+
+  let result;
+  try {
+    result = await Post.updateOne(
+      { _id: postId, deliveries: { $elemMatch: { platform, accountId } } },
+      { $push: { 'deliveries.$.remotePostIds': remotePostId } }
+    );
+  } catch (error) {
+    console.error(`[PROCESS POST] Error recording published post ${remotePostId} of ${platform} account ${accountId}:`, error?.message);
+  }
+
+  if (!result?.matchedCount) {
+    const recordError = new Error(`Post ${remotePostId} was published but could not be recorded, so it will not be retried`);
+    recordError.code = 'RECORD_FAILED';
+    recordError.retryable = false;
+    throw recordError;
+  }
+};
+
+/**
+ * Record the outcome of a publish attempt for a platform account
+ * @param {string} postId - Post ID
+ * @param {string} platform - Platform name
+ * @param {string} accountId - Platform account ID
+ * @param {Object} outcome - { success, username, remotePostId, remotePostUrl, errorCode, errorMessage, retryable }.
+ * A failure keeps the remotePostId of what was published before it (e.g. the first tweets of a thread).
+ */
+const finishDelivery = async (postId, platform, accountId, outcome) => {
+  if (!postId) return;
+
+  try {
+    await ensureDelivery(postId, platform, accountId, outcome.username);
+
+    const now = new Date();
+    let update;
+
+    if (outcome.success) {
+      const fields = { status: 'succeeded', completedAt: now };
+      if (outcome.remotePostId) fields.remotePostId = outcome.remotePostId;
+      if (outcome.remotePostUrl) fields.remotePostUrl = outcome.remotePostUrl;
+
+      update = {
+        $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`deliveries.$.${key}`, value])),
+        $unset: {
+          'deliveries.$.errorCode': 1,
+          'deliveries.$.errorMessage': 1,
+          'deliveries.$.failedAt': 1,
+          'deliveries.$.retryable': 1,
+          'deliveries.$.nextAttemptAt': 1
+        }
+      };
+    } else {
+      update = {
+        $set: {
+          'deliveries.$.status': 'failed',
+          'deliveries.$.errorCode': outcome.errorCode || 'PUBLISH_FAILED',
+          'deliveries.$.errorMessage': outcome.errorMessage || 'Unknown error',
+          'deliveries.$.retryable': outcome.retryable === true,
+          'deliveries.$.failedAt': now
+        },
+        $unset: { 'deliveries.$.nextAttemptAt': 1 }
+      };
+      if (outcome.remotePostId) update.$set['deliveries.$.remotePostId'] = outcome.remotePostId;
+      if (outcome.remotePostUrl) update.$set['deliveries.$.remotePostUrl'] = outcome.remotePostUrl;
+    }
+
+    const updatedPost = await Post.findOneAndUpdate(
+      { _id: postId, deliveries: { $elemMatch: { platform, accountId } } },
+      update,
+      { new: true }
+    ).select('deliveries').lean();
+
+    // Schedule the next attempt for transient failures that have attempts left
+    const delivery = updatedPost?.deliveries?.find(d => d.platform === platform && d.accountId === accountId);
+    if (isRetryPending(delivery)) {
+      const nextAttemptAt = new Date(now.getTime() + getRetryDelay(delivery.attempts));
+      await Post.updateOne(
+        { _id: postId, deliveries: { $elemMatch: { platform, accountId } } },
+        { $set: { 'deliveries.$.nextAttemptAt': nextAttemptAt } }
+      );
+      console.log(`[PROCESS POST] ${platform} account ${accountId} will be retried at ${nextAttemptAt.toISOString()} (attempt ${delivery.attempts}/${getMaxDeliveryAttempts(platform)})`);
+    }
+  } catch (error) {
+    console.error(`[PROCESS POST] Error recording delivery result for ${platform} account ${accountId}:`, error?.message);
+  }
+};
+
+// Rendition errors that another attempt would not fix
+const PERMANENT_RENDITION_ERRORS = ['TRANSCODE_NOT_POSSIBLE', 'INVALID_MEDIA', 'INVALID_VIDEO_URL', 'VIDEO_PROCESSING_UNAVAILABLE'];
+
+/**
+ * Transcode the pending rendition of a post (Post.video_rendition) for the platforms its video
+ * does not fit. Transient failures leave it pending for the next attempt of the deliveries.
+ * @param {Object} post - Post being processed, updated with the rendition
+ */
+const prepareRendition = async (post) => {
+  const rendition = post.video_rendition;
+  if (!post.video_url || rendition?.status !== 'pending') {
+    return;
+  }
+
+  const limitsList = rendition.platforms.map(platform => getPlatform(platform)?.videoLimits).filter(Boolean);
+  let update;
+  try {
+    console.log(`[PROCESS POST] Transcoding the video of post ${post._id} for ${rendition.platforms.join(', ')}`);
+    const { url, key, info } = await createRendition(post, limitsList);
+    update = { status: 'ready', platforms: rendition.platforms, url, key, info };
+  } catch (error) {
+    console.error(`[PROCESS POST] Error transcoding the video of post ${post._id}:`, error?.message);
+    const status = PERMANENT_RENDITION_ERRORS.includes(error?.code) ? 'failed' : 'pending';
+    update = { status, platforms: rendition.platforms, error: error?.message || 'Unknown error' };
+  }
+
+  post.video_rendition = update;
+  try {
+    await Post.updateOne({ _id: post._id }, { video_rendition: update });
+    if (update.status === 'ready') {
+      await syncPostMedia(post);
+    }
+  } catch (error) {
+    console.error(`[PROCESS POST] Error saving the rendition of post ${post._id}:`, error?.message);
+  }
+};
+
+/**
+ * Video URL to publish a post with on a platform: the rendition for the platforms it was made for
+ * @param {Object} post - Post being processed
+ * @param {string} platform - Platform name
+ * @returns {{ videoUrl: string|undefined, error: Error|undefined }} - error if the rendition is not ready
+ */
+const getPublishVideo = (post, platform) => {
+  const rendition = post.video_rendition;
+  if (!post.video_url || !rendition?.platforms?.includes(platform)) {
+    return { videoUrl: post.video_url };
+  }
+  if (rendition.status === 'ready') {
+    return { videoUrl: rendition.url };
+  }
+
+  const error = new Error(`The video could not be transcoded for this platform: ${rendition.error || 'Unknown error'}`);
+  error.code = 'TRANSCODE_FAILED';
+  error.retryable = rendition.status === 'pending';
+  return { error };
+};
+
+/**
+ * Publish a post to each resolved account of a platform, recording a delivery per account.
+ * Accounts that were already published, lack tokens or need reconnecting are not attempted.
+ * @param {Object} post - Post being processed
+ * @param {Object} adapter - Platform adapter (services/platforms)
+ * @param {Array} accounts - Accounts from resolveAccountCredentials
+ * @returns {Promise<Array>} - Result per account
+ */
+const publishToAccounts = async (post, adapter, accounts) => {
+  const { platform, name: platformName } = adapter;
+
+  if (!accounts || accounts.length === 0) {
+    const errorMessage = `No ${platformName} accounts connected`;
+    console.warn(`${errorMessage} for post`);
+    await finishDelivery(post._id, platform, 'unknown', {
+      success: false,
+      errorCode: 'ACCOUNT_NOT_CONNECTED',
+      errorMessage
+    });
+    return [{ success: false, accountId: 'unknown', error: errorMessage }];
+  }
+
+  console.log(`Found ${accounts.length} ${platformName} accounts to post to`);
+  const { videoUrl, error: videoError } = getPublishVideo(post, platform);
+
+  const accountResults = [];
+  let attempted = 0;
+  const now = new Date();
+
+  for (const connectedAccount of accounts) {
+    let account = connectedAccount;
+    const accountId = getAccountId(adapter, account) || 'unknown';
+
+    if (!shouldAttemptDelivery(post, platform, accountId, now)) {
+      console.log(`Skipping ${platformName} account ${accountId}: already published, not retryable or not due`);
+      accountResults.push(skippedDeliveryResult(post, platform, accountId));
+      continue;
+    }
+
+    // Publishing again could post a duplicate: the delivery is left for someone to review
+    const previousDelivery = post.deliveries?.find(d => d.platform === platform && d.accountId === accountId);
+    if (isInterruptedMidPublish(previousDelivery)) {
+      const errorMessage = `The previous attempt was interrupted while publishing, the post may already be on ${platformName}. Check the account and publish again if it is missing.`;
+      console.warn(`Not publishing to ${platformName} account ${accountId} again: its previous attempt was interrupted`);
+      accountResults.push({ success: false, accountId, error: errorMessage });
+      await finishDelivery(post._id, platform, accountId, {
+        success: false,
+        errorCode: 'PUBLISH_INTERRUPTED',
+        errorMessage,
+        retryable: false
+      });
+      continue;
+    }
+
+    if (!adapter.hasCredentials(account)) {
+      const errorMessage = getMissingCredentialsMessage(platformName, account);
+      console.warn(`Skipping ${platformName} account ${accountId}: ${errorMessage}`);
+      accountResults.push({ success: false, accountId, error: errorMessage });
+      await finishDelivery(post._id, platform, accountId, {
+        success: false,
+        username: account?.username,
+        errorCode: account?.notConnected ? 'ACCOUNT_NOT_CONNECTED' : 'MISSING_CREDENTIALS',
+        errorMessage
+      });
+      continue;
+    }
+
+    if (needsReconnect(account)) {
+      const errorMessage = getReconnectMessage(platformName, account);
+      console.warn(`Skipping ${platformName} account ${accountId}: ${errorMessage}`);
+      accountResults.push({ success: false, accountId, error: errorMessage });
+      await finishDelivery(post._id, platform, accountId, {
+        success: false,
+        username: account.username,
+        errorCode: 'ACCOUNT_NEEDS_RECONNECT',
+        errorMessage
+      });
+      continue;
+    }
+
+    // Captions that break the platform's limits would be rejected by the platform
+    const { caption, problems: captionProblems, truncated } = getPublishCaption(post, adapter, accountId);
+    if (captionProblems.length > 0) {
+      const errorMessage = captionProblems.join('; ');
+      console.warn(`Skipping ${platformName} account ${accountId}: ${errorMessage}`);
+      accountResults.push({ success: false, accountId, error: errorMessage });
+      await finishDelivery(post._id, platform, accountId, {
+        success: false,
+        username: account.username,
+        errorCode: 'INVALID_CAPTION',
+        errorMessage
+      });
+      continue;
+    }
+    if (truncated) {
+      console.log(`Caption truncated to fit ${platformName} for account ${accountId}`);
+    }
+
+    // Wait 5 seconds between social media account posts to avoid rate limits
+    if (attempted > 0) {
+      console.log(`Waiting 5 seconds for next social media account post (${platformName} account: ${accountId})`);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+    attempted++;
+
+    try {
+      console.log(`Posting to ${platformName} account with ID ${accountId}`);
+      await startDelivery(post._id, platform, accountId, account.username || account.handle || account.acct);
+      if (videoError) {
+        throw videoError;
+      }
+
+      // Tokens that are about to expire are refreshed before the upload starts
+      if (adapter.refresh) {
+        account = await adapter.refresh(post.userId, account);
+      }
+
+      // Adapters that publish several posts per account resume after the ones already published
+      const delivery = post.deliveries?.find(d => d.platform === platform && d.accountId === accountId);
+      const { remotePostId, remotePostUrl, data } = await adapter.publish({
+        post,
+        account,
+        videoUrl,
+        images: getPostImages(post),
+        caption,
+        userId: post.userId,
+        publishedIds: delivery?.remotePostIds || [],
+        recordPublishedId: (id) => recordPublishedId(post._id, platform, accountId, id)
+      });
+
+      accountResults.push({ success: true, accountId, data });
+      await finishDelivery(post._id, platform, accountId, { success: true, remotePostId, remotePostUrl });
+
+      console.log(`${platformName} posting completed successfully for account ${accountId}`);
+    } catch (accountError) {
+      console.error(`Error posting to ${platformName} account ${accountId}:`, accountError?.message);
+      accountResults.push({ success: false, accountId, error: accountError?.message });
+      await finishDelivery(post._id, platform, accountId, {
+        success: false,
+        errorCode: accountError?.code,
+        errorMessage: accountError?.message,
+        retryable: accountError?.retryable,
+        remotePostId: accountError?.remotePostId,
+        remotePostUrl: accountError?.remotePostUrl
+      });
+    }
+  }
+
+  return accountResults;
+};
+
 // Process a post by publishing to selected platforms
 const processPost = async (post) => {
-  const { 
-    video_url, 
-    post_description, 
-    platforms, 
-    userId,
-    tiktok_accounts,
-    tiktok_access_token,
-    tiktok_refresh_token,
-    twitter_access_token,
-    twitter_access_token_secret,
-    twitter_refresh_token,
-    twitter_accounts
-  } = post;
+  const { video_url, post_description, platforms, userId } = post;
+  const images = getPostImages(post);
   
-  if (!video_url || !platforms || platforms.length === 0) {
+  if ((!video_url && images.length === 0) || !platforms || platforms.length === 0) {
     throw new Error('Invalid post data');
   }
   
@@ -167,257 +585,61 @@ const processPost = async (post) => {
   
   console.log('Post data for processing:', {
     video_url: !!video_url,
+    images_count: images.length,
     post_description: !!post_description,
     platforms,
-    has_tiktok_accounts: !!tiktok_accounts,
-    tiktok_accounts_count: tiktok_accounts?.length || 0,
-    has_legacy_tiktok: !!tiktok_access_token,
-    has_twitter: !!twitter_access_token && !!twitter_access_token_secret,
-    has_twitter_refresh: !!twitter_refresh_token,
-    has_twitter_accounts: !!twitter_accounts && Array.isArray(twitter_accounts) && twitter_accounts.length > 0,
+    ...Object.fromEntries(platforms.map(platform => [`${platform}_accounts_count`, post[`${platform}_accounts`]?.length || 0]))
   });
   
-  // Check if we need to retrieve tokens from the database
-  let updatedTiktokAccounts = tiktok_accounts;
-  let updatedTwitterAccounts = twitter_accounts;
-  
-  // Fetch TikTok tokens from database if not provided in post
-  if (platforms.includes('tiktok') && (!tiktok_accounts || tiktok_accounts.length === 0) && !tiktok_access_token) {
-    console.log(`No TikTok tokens in post, retrieving from database for user ${userId}`);
-    try {
-      const tiktokTokens = await userService.getSocialMediaTokens(userId, 'tiktok');
-      if (tiktokTokens && Array.isArray(tiktokTokens) && tiktokTokens.length > 0) {
-        console.log(`Found ${tiktokTokens.length} TikTok accounts in database for user ${userId}`);
-        updatedTiktokAccounts = tiktokTokens;
-      } else {
-        console.warn(`No TikTok tokens found in database for user ${userId}`);
-      }
-    } catch (error) {
-      console.error(`Error retrieving TikTok tokens from database:`, error?.message);
-    }
-  }
-  
-  // Fetch Twitter tokens from database if not provided in post
-  if (platforms.includes('twitter') && (!twitter_accounts || twitter_accounts.length === 0) && 
-      (!twitter_access_token || !twitter_access_token_secret)) {
-    console.log(`No Twitter tokens in post, retrieving from database for user ${userId}`);
-    try {
-      const twitterTokens = await userService.getSocialMediaTokens(userId, 'twitter');
-      if (twitterTokens && Array.isArray(twitterTokens) && twitterTokens.length > 0) {
-        console.log(`Found ${twitterTokens.length} Twitter accounts in database for user ${userId}`);
-        updatedTwitterAccounts = twitterTokens;
-      } else {
-        console.warn(`No Twitter tokens found in database for user ${userId}`);
-      }
-    } catch (error) {
-      console.error(`Error retrieving Twitter tokens from database:`, error?.message);
-    }
-  }
-  
+  await prepareRendition(post);
+
   const results = {};
-  let tokenUpdates = {};
   
   for (const platform of platforms) {
     try {
       console.log('Processing platform:', platform);
+      const adapter = getPlatform(platform);
+      
+      if (!adapter) {
+        const errorMessage = `Platform ${platform} is not supported`;
+        console.error(`[PROCESS POST] ${errorMessage}`);
+        results[platform] = [{ success: false, accountId: 'unknown', error: errorMessage }];
+        await finishDelivery(post._id, platform, 'unknown', {
+          success: false,
+          errorCode: 'UNSUPPORTED_PLATFORM',
+          errorMessage
+        });
+        continue;
+      }
+
+      if (images.length > 0 && !supportsPhotos(adapter)) {
+        const errorMessage = `${adapter.name} does not support photo posts`;
+        console.error(`[PROCESS POST] ${errorMessage}`);
+        results[platform] = [{ success: false, accountId: 'unknown', error: errorMessage }];
+        await finishDelivery(post._id, platform, 'unknown', {
+          success: false,
+          errorCode: 'UNSUPPORTED_MEDIA',
+          errorMessage
+        });
+        continue;
+      }
       
       // Add delay between platforms if not the first platform
       if (platform !== platforms[0]) {
-        const platformName = platform.charAt(0).toUpperCase() + platform.slice(1);
-        console.log(`Waiting 5 seconds for next social media platform post (${platformName})`);
+        console.log(`Waiting 5 seconds for next social media platform post (${adapter.name})`);
         await new Promise(resolve => setTimeout(resolve, 5000));
       }
       
-      if (platform === 'tiktok') {
-        // TikTok posting logic (multiple accounts)
-        if (updatedTiktokAccounts && updatedTiktokAccounts.length > 0) {
-          console.log(`Found ${updatedTiktokAccounts.length} TikTok accounts to post to`);
-          
-          const accountResults = [];
-          
-          for (let i = 0; i < updatedTiktokAccounts.length; i++) {
-            const account = updatedTiktokAccounts[i];
-            console.log(`TikTok account ${i + 1}:`, {
-              openId: account?.openId,
-              hasAccessToken: !!account?.accessToken,
-              hasRefreshToken: !!account?.refreshToken
-            });
-            
-            try {
-              console.log(`Posting to TikTok account with ID ${account?.openId}`);
-              const accountResult = await postToTikTok(
-                video_url, 
-                post_description, 
-                account?.accessToken, 
-                account?.refreshToken
-              );
-              
-              accountResults.push({ 
-                success: true, 
-                accountId: account?.openId,
-                ...accountResult 
-              });
-              
-              console.log(`TikTok posting completed successfully for account ${account?.openId}`);
-              
-              // Add a 5-second delay between accounts if not the last account
-              if (i < updatedTiktokAccounts.length - 1) {
-                console.log(`Waiting 5 seconds for next social media account post (TikTok account: ${updatedTiktokAccounts[i+1]?.openId})`);
-                await new Promise(resolve => setTimeout(resolve, 5000));
-              }
-            } catch (accountError) {
-              console.error(`Error posting to TikTok account ${account?.openId}:`, accountError?.message);
-              accountResults.push({ 
-                success: false, 
-                accountId: account?.openId,
-                error: accountError?.message 
-              });
-              
-              // Still add delay even if posting failed
-              if (i < updatedTiktokAccounts.length - 1) {
-                console.log(`Waiting 5 seconds for next social media account post (TikTok account: ${updatedTiktokAccounts[i+1]?.openId})`);
-                await new Promise(resolve => setTimeout(resolve, 5000));
-              }
-            }
-          }
-          
-          results.tiktok = accountResults;
-        }
-        // Fallback to legacy single account
-        else if (tiktok_access_token) {
-          console.log('Using legacy TikTok credentials format');
-          try {
-            const tiktokResult = await postToTikTok(
-              video_url, 
-              post_description, 
-              tiktok_access_token, 
-              tiktok_refresh_token
-            );
-            results.tiktok = [{ 
-              success: true, 
-              accountId: 'legacy',
-              ...tiktokResult 
-            }];
-            console.log('TikTok posting completed successfully using legacy format');
-          } catch (accountError) {
-            console.error('Error posting to TikTok using legacy format:', accountError?.message);
-            results.tiktok = [{ 
-              success: false, 
-              accountId: 'legacy',
-              error: accountError?.message 
-            }];
-          }
-        } else {
-          console.warn('No TikTok credentials found for scheduled post');
-        }
-      }
-      else if (platform === 'twitter' && updatedTwitterAccounts && updatedTwitterAccounts.length > 0) {
-        // Post to Twitter with multiple accounts
-        console.log(`Found ${updatedTwitterAccounts.length} Twitter accounts to post to`);
-        results.twitter = [];
-        const twitterTokenUpdates = {};
-        
-        // Process each Twitter account
-        for (const account of updatedTwitterAccounts) {
-          try {
-            const { accessToken, accessTokenSecret, refreshToken, userId, username } = account || {};
-            
-            if (!accessToken || !accessTokenSecret) {
-              console.warn(`Skipping Twitter account ${userId || 'unknown'} due to missing tokens`);
-              results.twitter.push({
-                success: false,
-                accountId: userId || 'unknown',
-                error: 'Missing required tokens'
-              });
-              continue;
-            }
-            
-            console.log(`Posting to Twitter account with ID ${userId || 'unknown'}`);
-            console.log('Twitter account credentials check:', {
-              hasAccessToken: !!accessToken,
-              hasAccessTokenSecret: !!accessTokenSecret,
-              hasRefreshToken: !!refreshToken,
-              username: username || 'unknown'
-            });
-            
-            // Wait 5 seconds between social media account posts to avoid rate limits
-            if (results.twitter.length > 0) {
-              console.log(`Waiting 5 seconds for next social media account post (Twitter account: ${userId || 'unknown'})`);
-              await new Promise(resolve => setTimeout(resolve, 5000));
-            }
-            
-            const twitterResult = await postToTwitter(video_url, post_description, accessToken, accessTokenSecret, userId);
-            
-            results.twitter.push({
-              success: true,
-              accountId: userId || 'unknown',
-              ...twitterResult
-            });
-            
-            // Check if tokens were refreshed and store them for later update
-            if (twitterResult?.refreshed && twitterResult?.newAccessToken) {
-              console.log(`Twitter tokens were refreshed for account ${userId}, will update in post`);
-              twitterTokenUpdates[userId] = {
-                accessToken: twitterResult.newAccessToken
-              };
-            }
-            
-            console.log(`Twitter posting completed successfully for account ${userId || 'unknown'}`);
-          } catch (accountError) {
-            console.error(`Error posting to Twitter account ${account.userId || 'unknown'}:`, accountError?.message);
-            results.twitter.push({
-              success: false,
-              accountId: account.userId || 'unknown',
-              error: accountError?.message
-            });
-          }
-        }
-        
-        // If we have token updates, we'll need to update the post
-        if (Object.keys(twitterTokenUpdates).length > 0) {
-          tokenUpdates.twitter_accounts = updatedTwitterAccounts.map(account => {
-            const updates = twitterTokenUpdates[account.userId];
-            if (updates) {
-              return { ...account, ...updates };
-            }
-            return account;
-          });
-        }
-      } else if (platform === 'twitter' && twitter_access_token && twitter_access_token_secret) {
-        // Post to Twitter using legacy single account format (for backward compatibility)
-        try {
-          console.log('Posting to Twitter with legacy credentials:', { 
-            hasAccessToken: !!twitter_access_token, 
-            hasAccessTokenSecret: !!twitter_access_token_secret,
-            hasRefreshToken: !!twitter_refresh_token
-          });
-          
-          const twitterResult = await postToTwitter(video_url, post_description, twitter_access_token, twitter_access_token_secret, 'legacy');
-          results.twitter = [{ 
-            success: true, 
-            accountId: 'legacy',
-            ...twitterResult 
-          }];
-          
-          // Check if tokens were refreshed and store them for later update
-          if (twitterResult?.refreshed && twitterResult?.newAccessToken) {
-            console.log('Twitter tokens were refreshed, will update post with new tokens');
-            tokenUpdates.twitter_access_token = twitterResult.newAccessToken;
-          }
-          
-          console.log('Twitter posting completed successfully with legacy account');
-        } catch (twitterError) {
-          console.error('Error posting to Twitter with legacy account:', twitterError?.message);
-          results.twitter = [{ 
-            success: false, 
-            accountId: 'legacy',
-            error: twitterError?.message 
-          }];
-        }
-      } else if (platform === 'twitter') {
-        console.warn('Twitter credentials are missing');
-        results.twitter = [{ success: false, accountId: 'unknown', error: 'Twitter credentials are missing' }];
+      // Resolve live tokens from User.providerData; posts only store account references
+      let accounts = [];
+      try {
+        accounts = await resolveAccountCredentials(userId, platform, post[`${platform}_accounts`]);
+        console.log(`Resolved ${accounts.length} ${adapter.name} accounts for user ${userId}`);
+      } catch (error) {
+        console.error(`Error retrieving ${adapter.name} tokens from database:`, error?.message);
       }
+      
+      results[platform] = await publishToAccounts(post, adapter, accounts);
     } catch (error) {
       console.error(`Error processing platform ${platform}:`, error?.message);
       results[platform] = { success: false, error: error?.message };
@@ -432,19 +654,19 @@ const processPost = async (post) => {
     return result?.success;
   });
   
-  // Update tokens if they were refreshed
-  if (Object.keys(tokenUpdates).length > 0 && post._id) {
-    try {
-      console.log('Updating post with refreshed tokens:', Object.keys(tokenUpdates).join(', '));
-      await Post.updateOne({ _id: post._id }, tokenUpdates);
-      console.log('Updated post with refreshed tokens successfully');
-    } catch (updateError) {
-      console.error('Error updating post with refreshed tokens:', updateError?.message);
-      // Continue anyway, the post was still published
+  // Leave the post processing while failed deliveries are waiting to be retried
+  try {
+    const updatedPost = await Post.findById(post._id).select('deliveries').lean();
+    const retryAt = getNextRetryAt(updatedPost?.deliveries);
+    if (retryAt) {
+      console.log(`[PROCESS POST] Post ${post._id} has deliveries to retry, next attempt at ${retryAt.toISOString()}`);
+      return results;
     }
+  } catch (retryCheckError) {
+    console.error(`[PROCESS POST] Error checking pending retries for ${post._id}:`, retryCheckError?.message);
   }
   
-  // Update post status to completed or partial based on results
+  // Update post status to completed or partially_completed based on results
   // Determine overall status
   let finalStatus = 'failed';
   const allSuccess = Object.values(results).every(result => {
@@ -457,11 +679,11 @@ const processPost = async (post) => {
   if (anySuccess && allSuccess) {
     finalStatus = 'completed';
   } else if (anySuccess) {
-    finalStatus = 'partial';
+    finalStatus = 'partially_completed';
   }
 
   try {
-    await Post.updateOne({ _id: post._id }, { status: finalStatus, processing_results: results });
+    await Post.updateOne({ _id: post._id }, { status: finalStatus });
     console.log(`[PROCESS POST] Updated post ${post._id} status to: ${finalStatus}`);
   } catch(statusUpdateError) {
      console.error(`[PROCESS POST] Error updating final post status for ${post._id}:`, statusUpdateError?.message);
@@ -470,66 +692,6 @@ const processPost = async (post) => {
   return results;
 };
 
-// Post to TikTok
-const postToTikTok = async (videoUrl, caption, accessToken, refreshToken) => {
-  try {
-    const response = await axios.post(`${process.env.BACKEND_URL}/tiktok/post-video`, {
-      videoUrl,
-      caption,
-      accessToken,
-      refreshToken
-    });
-    
-    return { success: true, data: response?.data };
-  } catch (error) {
-    console.error('Error posting to TikTok:', error?.message);
-    throw new Error(`Failed to post to TikTok: ${error?.message}`);
-  }
-};
-
-// Post to Twitter
-const postToTwitter = async (videoUrl, text, accessToken, accessTokenSecret, userId) => {
-  try {
-    console.log('Posting to Twitter with credentials:', { 
-      hasAccessToken: !!accessToken, 
-      hasAccessTokenSecret: !!accessTokenSecret,
-      userId: userId || 'not provided'
-    });
-    
-    try {
-      const response = await axios.post(`${process.env.BACKEND_URL}/twitter/post-video`, {
-        videoUrl,
-        text,
-        accessToken,
-        accessTokenSecret,
-        userId
-      });
-      
-      console.log('Twitter API response:', response?.status, response?.statusText);
-      return response?.data?.data || response?.data || {};
-    } catch (error) {
-      // Handle errors
-      console.error('Error posting to Twitter:', error?.message);
-      
-      if (error.response) {
-        console.error('Twitter API error response:', error.response?.status, error.response?.statusText);
-        console.error('Twitter API error data:', error.response?.data);
-      }
-      
-      throw new Error(`Failed to post to Twitter: ${error?.message || 'Unknown error'}`);
-    }
-  } catch (error) {
-    console.error('Error posting to Twitter:', error?.message);
-    
-    if (error.response) {
-      console.error('Twitter API error response:', error.response?.status, error.response?.statusText);
-      console.error('Twitter API error data:', error.response?.data);
-    }
-    
-    throw new Error(`Failed to post to Twitter: ${error?.message || 'Unknown error'}`);
-  }
-};
-
 // Check if a user has reached their limits for posts
 const checkUserLimits = async (userId, postType) => {
   try {
@@ -590,37 +752,99 @@ const checkUserLimits = async (userId, postType) => {
   }
 };
 
-// Update the checkScheduledPosts function
+/**
+ * Queue a post for publishing. Safe to call more than once for the same post:
+ * only one publish job per post can be active at a time.
+ * @param {Object} post - Post document (or lean object)
+ * @param {Date} [runAt] - Earliest time to publish (defaults to now)
+ * @returns {Promise<Object>} - The queued job
+ */
+const enqueuePost = async (post, runAt = new Date()) => {
+  const postId = post._id.toString();
+
+  return await jobQueue.enqueue(
+    PUBLISH_POST_JOB,
+    { postId },
+    { postId, runAt, dedupeKey: `${PUBLISH_POST_JOB}:${postId}` }
+  );
+};
+
+/**
+ * Job handler: publish the post referenced by the job
+ * @param {Object} job - Claimed job document
+ */
+const runPublishPostJob = async (job) => {
+  const postId = job.payload?.postId || job.postId;
+
+  // Claim the post; skip it if it was deleted or already reached a final status
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, status: { $in: ['pending', 'processing'] } },
+    { status: 'processing' },
+    { new: true }
+  ).lean();
+
+  if (!post) {
+    console.log(`[PUBLISH JOB] Post ${postId} no longer needs publishing, skipping`);
+    return;
+  }
+
+  console.log(`[PUBLISH JOB] Publishing post ${postId} (job ${job._id}, attempt ${job.attempts})`);
+
+  // processPost stores the final status of the post, or leaves it processing when retries are due
+  await processPost(post);
+
+  const updatedPost = await Post.findById(postId).select('status deliveries').lean();
+  const retryAt = updatedPost?.status === 'processing' ? getNextRetryAt(updatedPost.deliveries) : null;
+
+  if (retryAt) {
+    console.log(`[PUBLISH JOB] Retrying failed deliveries of post ${postId} at ${retryAt.toISOString()}`);
+    return { retryAt };
+  }
+};
+
+/**
+ * Job failure callback: mark the post as failed once its job gives up
+ * @param {Object} job - Failed job document
+ * @param {Error} error - Cause of the failure
+ */
+const onPublishPostJobFailed = async (job, error) => {
+  const postId = job.payload?.postId || job.postId;
+
+  console.error(`[PUBLISH JOB] Publishing post ${postId} failed:`, error?.message);
+
+  await Post.updateOne(
+    { _id: postId, status: { $in: ['pending', 'processing'] } },
+    { status: 'failed' }
+  );
+};
+
+// Queue scheduled posts that are due for publishing
 const checkScheduledPosts = async () => {
   try {
     const now = new Date();
-    console.log(`Running scheduler check at ${now.toISOString()}`);
+    console.log('Running scheduler check at', now.toISOString());
     
     // Find posts that are scheduled and ready to be posted
     const posts = await Post.find({
       isScheduled: true,
       status: 'pending',
       scheduledDate: { $lte: now }
-    });
+    }).select('_id scheduledDate').lean();
     
-    console.log(`Found ${posts.length} scheduled posts ready to be posted`);
+    if (posts.length > 0) {
+      console.log(`Found ${posts.length} scheduled posts to publish`);
+    }
     
-    // Process each post
     for (const post of posts) {
-      console.log(`Processing scheduled post: ${post._id}, scheduled for ${post.scheduledDate}`);
-      
-      // Before processing, check if the user still has valid subscription
-      const user = await User.findOne({ uid: post.userId });
-      if (!user) {
-        console.error(`User not found for post ${post._id}`);
-        continue;
+      try {
+        console.log(`Queueing scheduled post: ${post._id}, scheduled for ${post.scheduledDate}`);
+        await enqueuePost(post);
+      } catch (error) {
+        console.error(`Error queueing scheduled post ${post._id}:`, error?.message);
       }
-      
-      // Process the post
-      await processPost(post);
     }
   } catch (error) {
-    console.error('Error in scheduler:', error);
+    console.error('Error in scheduler:', error?.message);
   }
 };
 
@@ -628,5 +852,6 @@ module.exports = {
   initScheduler,
   processPost,
   checkUserLimits,
-  checkScheduledPosts
+  checkScheduledPosts,
+  enqueuePost
 }; 
\ No newline at end of file
@@ -0,0 +1,156 @@
+// File: services/storageQuotaService.js
+const User = require('../models/User');
+const UploadSession = require('../models/UploadSession');
+const StorageReservation = require('../models/StorageReservation');
+const { getLimit } = require('../utils/roleLimits');
+
+/**
+ * Storage quotas of the plans. Each user's consumed bytes are kept on User.storageUsedBytes:
+ * mediaService adds the size of every file recorded in the media library and subtracts it when
+ * the file is deleted. Files that are still being stored count too: the declared size of open
+ * multipart uploads, and the reservations r2Service, assetsService and uploadSessionService make
+ * with reserveStorage until the file is recorded.
+ */
+
+const RESERVATION_TTL_MS = parseInt(process.env.STORAGE_RESERVATION_TTL_MS) || 60 * 60 * 1000; // Default: 1 hour
+
+const formatBytes = (bytes) => (bytes >= 1024 ** 3
+  ? `${Math.round(bytes / 1024 ** 3 * 10) / 10} GB`
+  : `${Math.round(bytes / (1024 * 1024))} MB`);
+
+const createQuotaError = (message, limit, current) => {
+  const error = new Error(message);
+  error.status = 403;
+  error.code = 'STORAGE_LIMIT_REACHED';
+  error.limit = limit;
+  error.current = current;
+  return error;
+};
+
+/**
+ * Storage used by a user and the limits of their plan (-1 means unlimited)
+ * @param {string} uid - Firebase UID of the user
+ * @returns {Promise<Object>} - { role, storageBytes, maxFileBytes, currentStorageBytes }, with the
+ * Starter limits and nothing stored if there is no such user
+ */
+const getStorageUsage = async (uid) => {
+  const user = await User.findOne({ uid }).select('role storageUsedBytes').lean();
+
+  const role = user?.role || 'Starter';
+  return {
+    role,
+    storageBytes: getLimit(role, 'storageBytes'),
+    maxFileBytes: getLimit(role, 'maxFileBytes'),
+    currentStorageBytes: user?.storageUsedBytes || 0
+  };
+};
+
+/**
+ * Bytes of a user's files that are being stored: live reservations and open multipart uploads
+ * @param {string} uid - Firebase UID of the user
+ * @param {Object} [exclude] - { reservationId, sessionId } not to count
+ * @returns {Promise<number>}
+ */
+const getReservedBytes = async (uid, { reservationId, sessionId } = {}) => {
+  const now = new Date();
+  const [reservations, sessions] = await Promise.all([
+    StorageReservation.find({ uid, expiresAt: { $gt: now }, ...(reservationId && { _id: { $ne: reservationId } }) }).select('bytes').lean(),
+    UploadSession.find({ uid, status: 'uploading', expiresAt: { $gt: now }, ...(sessionId && { _id: { $ne: sessionId } }) }).select('size').lean()
+  ]);
+
+  return reservations.reduce((total, reservation) => total + (reservation.bytes || 0), 0) +
+    sessions.reduce((total, session) => total + (session.size || 0), 0);
+};
+
+/**
+ * Check that a user can store a file, or all the files of an upload, next to the files already
+ * stored and the ones being stored
+ * @param {string} uid - Firebase UID of the user
+ * @param {number|Array<number>} sizes - Size of the file, or of each file
+ * @param {Object} [exclude] - { reservationId, sessionId } already made for these files (see getReservedBytes)
+ * @throws {Error} - With status 403, code STORAGE_LIMIT_REACHED, limit and current if a file is
+ * larger than the plan allows or the files would exceed the storage quota
+ */
+const assertStorageQuota = async (uid, sizes, exclude) => {
+  const fileSizes = [].concat(sizes);
+  const bytes = fileSizes.reduce((total, size) => total + size, 0);
+  const largest = Math.max(0, ...fileSizes);
+
+  const usage = await getStorageUsage(uid);
+  const { role, storageBytes, maxFileBytes } = usage;
+  if (maxFileBytes !== -1 && largest > maxFileBytes) {
+    throw createQuotaError(
+      `Your ${role} plan allows files of at most ${formatBytes(maxFileBytes)}. This file has ${formatBytes(largest)}. Please upgrade to upload larger files.`,
+      maxFileBytes,
+      largest
+    );
+  }
+  if (storageBytes === -1) {
+    return;
+  }
+  const currentStorageBytes = usage.currentStorageBytes + await getReservedBytes(uid, exclude);
+  if (currentStorageBytes + bytes > storageBytes) {
+    throw createQuotaError(
+      `You have reached the maximum of ${formatBytes(storageBytes)} of storage for the ${role} plan. Delete unused files from your media library or upgrade to upload more.`,
+      storageBytes,
+      currentStorageBytes
+    );
+  }
+};
+
+/**
+ * Reserve room in a user's storage quota for files about to be stored. The reservation is saved
+ * before the quota is checked, so of two uploads checked at the same time each one sees the other.
+ * @param {string} uid - Firebase UID of the user
+ * @param {number|Array<number>} sizes - Size of the file, or of each file
+ * @param {Object} [options] - { sessionId } of a multipart upload the files come from, not to count twice
+ * @returns {Promise<{ release: Function }>} - Call release once the files are recorded or failed.
+ * release never throws.
+ * @throws {Error} - See assertStorageQuota
+ */
+const reserveStorage = async (uid, sizes, { sessionId } = {}) => {
+  const bytes = [].concat(sizes).reduce((total, size) => total + size, 0);
+  const reservation = await StorageReservation.create({ uid, bytes, expiresAt: new Date(Date.now() + RESERVATION_TTL_MS) });
+
+  const release = async () => {
+    try {
+      await StorageReservation.deleteOne({ _id: reservation._id });
+    } catch (error) {
+      console.error(`[STORAGE] Error releasing the storage reservation of user ${uid}:`, error?.message);
+    }
+  };
+
+  try {
+    await assertStorageQuota(uid, sizes, { reservationId: reservation._id, sessionId });
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  return { release };
+};
+
+/**
+ * Add to (or, with a negative size, subtract from) the storage a user has consumed. Never throws.
+ * @param {string} uid - Firebase UID of the user
+ * @param {number} bytes - Size of the stored or deleted file
+ */
+const addStorageUsage = async (uid, bytes) => {
+  if (!uid || !bytes) {
+    return;
+  }
+  try {
+    // Never below zero, for files stored before usage was tracked
+    await User.updateOne({ uid }, [
+      { $set: { storageUsedBytes: { $max: [0, { $add: [{ $ifNull: ['$storageUsedBytes', 0] }, bytes] }] } } }
+    ]);
+  } catch (error) {
+    console.error(`[STORAGE] Error updating the storage usage of user ${uid}:`, error?.message);
+  }
+};
+
+module.exports = {
+  getStorageUsage,
+  assertStorageQuota,
+  reserveStorage,
+  addStorageUsage
+};
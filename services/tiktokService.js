@@ -1,8 +1,12 @@
 // File: services/tiktokService.js
 const axios = require('axios');
+const fs = require('fs');
 const FormData = require('form-data');
 const assetsService = require('./assetsService');
 const userService = require('./userService'); // Import user service
+const { trackAccountHealth } = require('./accountHealthService');
+const { downloadVideoToTempFile, removeTempFile } = require('../utils/videoDownload');
+const { getMimeTypeFromUrl } = require('./platforms/media');
 
 const TIKTOK_API_KEY = process.env.TIKTOK_API_KEY;
 const TIKTOK_CLIENT_SECRET = process.env.TIKTOK_CLIENT_SECRET;
@@ -10,12 +14,45 @@ const TIKTOK_AUTH_URL = 'https://www.tiktok.com/v2/auth/authorize/';
 const TIKTOK_ACCESS_TOKEN_URL = 'https://open.tiktokapis.com/v2/oauth/token/';
 const TIKTOK_VIDEO_UPLOAD_URL = 'https://open.tiktokapis.com/v2/post/publish/video/init/';
 const TIKTOK_USER_INFO_URL = 'https://open.tiktokapis.com/v2/user/info/';
+const TIKTOK_PUBLISH_STATUS_URL = 'https://open.tiktokapis.com/v2/post/publish/status/fetch/';
+const TIKTOK_CREATOR_INFO_URL = 'https://open.tiktokapis.com/v2/post/publish/creator_info/query/';
+const TIKTOK_CONTENT_INIT_URL = 'https://open.tiktokapis.com/v2/post/publish/content/init/';
+
+// Privacy levels of a post; creator_info lists the ones a creator can use
+const PRIVACY_LEVELS = ['PUBLIC_TO_EVERYONE', 'MUTUAL_FOLLOW_FRIENDS', 'FOLLOWER_OF_CREATOR', 'SELF_ONLY'];
+// Unaudited apps can only post privately, so posts without a privacy level stay private
+const DEFAULT_PRIVACY_LEVEL = PRIVACY_LEVELS.includes(process.env.TIKTOK_DEFAULT_PRIVACY_LEVEL) ? process.env.TIKTOK_DEFAULT_PRIVACY_LEVEL : 'SELF_ONLY';
+const DEFAULT_COVER_TIMESTAMP_MS = 1000;
+// creator_info errors about the creator's posting quota, which resets later
+const RETRYABLE_CREATOR_INFO_ERRORS = ['spam_risk_too_many_posts', 'reached_active_user_cap'];
+
+// FILE_UPLOAD chunks must be 5-64 MB; the last one takes the remainder. Smaller videos are sent whole.
+const MIN_CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const UPLOAD_CHUNK_SIZE = Math.min(Math.max(parseInt(process.env.TIKTOK_UPLOAD_CHUNK_SIZE) || 10 * 1024 * 1024, MIN_CHUNK_SIZE), MAX_CHUNK_SIZE);
+const UPLOAD_CHUNK_ATTEMPTS = parseInt(process.env.TIKTOK_UPLOAD_CHUNK_ATTEMPTS) || 3;
+// Domains verified with TikTok, which can be used with PULL_FROM_URL. Without the list every
+// URL is tried with PULL_FROM_URL first and uploaded as a file if TikTok rejects its domain.
+const VERIFIED_DOMAINS = (process.env.TIKTOK_VERIFIED_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+// Photo posts: images per post, and the length of the title (the caption is the description)
+const MAX_PHOTO_COUNT = 35;
+const MAX_PHOTO_TITLE_LENGTH = 90;
 
 // --- getAuthUrl, getAccessToken, refreshTikTokToken, getUserInfo remain the same ---
 // --- (Code for those functions omitted for brevity, but keep them in your actual file) ---
 
-// Generate TikTok OAuth URL with state parameter for multiple accounts
-function getAuthUrl({ forceLogin = false, state = '' } = {}) {
+/**
+ * Generate TikTok OAuth URL with state parameter for multiple accounts
+ * @param {Object} [options]
+ * @param {boolean} [options.forceLogin=false] - Let the user switch TikTok accounts
+ * @param {string} [options.state=''] - Signed state, verified by the callback
+ * @param {string} [options.codeChallenge] - PKCE code challenge (S256, hex encoded as TikTok expects)
+ * @returns {string} - Authorization URL
+ */
+function getAuthUrl({ forceLogin = false, state = '', codeChallenge } = {}) {
   const redirectUri = `${process.env.BACKEND_URL}/tiktok/callback`;
 
   // Include all required scopes for video posting and user info
@@ -35,6 +72,11 @@ function getAuthUrl({ forceLogin = false, state = '' } = {}) {
     state: state
   });
 
+  if (codeChallenge) {
+    params.append('code_challenge', codeChallenge);
+    params.append('code_challenge_method', 'S256');
+  }
+
   // Add force_login parameter to allow switching accounts
   if (forceLogin) {
     params.append('force_login', 'true');
@@ -47,10 +89,15 @@ function getAuthUrl({ forceLogin = false, state = '' } = {}) {
   return authUrl;
 }
 
-// Exchange code for access token
-async function getAccessToken(code) {
+/**
+ * Exchange code for access token
+ * @param {string} code - Authorization code from the callback
+ * @param {string} [codeVerifier] - PKCE code verifier matching the challenge sent in getAuthUrl
+ * @returns {Promise<object>} - TikTok token response
+ */
+async function getAccessToken(code, codeVerifier) {
   try {
-    console.log('Exchanging code for access token with code:', code);
+    console.log('Exchanging authorization code for access token');
 
     const params = new URLSearchParams();
     params.append('client_key', TIKTOK_API_KEY);
@@ -58,8 +105,9 @@ async function getAccessToken(code) {
     params.append('code', code);
     params.append('grant_type', 'authorization_code');
     params.append('redirect_uri', `${process.env.BACKEND_URL}/tiktok/callback`);
-
-    console.log('Token request params:', params.toString());
+    if (codeVerifier) {
+      params.append('code_verifier', codeVerifier);
+    }
 
     const response = await axios.post(TIKTOK_ACCESS_TOKEN_URL, params.toString(), {
       headers: {
@@ -67,7 +115,7 @@ async function getAccessToken(code) {
       }
     });
 
-    console.log('Token response:', response?.data);
+    console.log('Token response received:', { openId: response?.data?.open_id, scope: response?.data?.scope, error: response?.data?.error });
     return response?.data;
   } catch (error) {
     console.error('Error getting access token:', error?.response?.data || error?.message);
@@ -117,7 +165,10 @@ async function refreshTikTokToken(refreshToken) {
       // Log the error field if present
        if(response?.data?.error) {
            console.error('[TIKTOK SERVICE] Error in refresh response:', response.data.error, response.data.error_description);
-           throw new Error(`Failed to refresh TikTok token: ${response.data.error_description || response.data.error}`);
+           // TikTok answers a revoked or expired refresh token with HTTP 200 and error: 'invalid_grant'
+           const responseError = new Error(`Failed to refresh TikTok token: ${response.data.error_description || response.data.error}`);
+           responseError.code = response.data.error;
+           throw responseError;
        }
       throw new Error('No access token received in refresh response');
     }
@@ -135,14 +186,20 @@ async function refreshTikTokToken(refreshToken) {
   } catch (error) {
     console.error('[TIKTOK SERVICE] Error refreshing TikTok token:', error?.response?.data || error?.message);
 
-    // Enhanced error handling for refresh token failures
-    if (error?.response?.status === 400 || error?.response?.status === 401 || error?.response?.status === 403 || error?.response?.data?.error === 'invalid_grant') {
-       console.error('[TIKTOK SERVICE] Refresh token is likely invalid or expired. User needs to reconnect.');
-      throw new Error('Refresh token is invalid or expired. Please reconnect your TikTok account.');
+    // Only invalid_grant means the refresh token itself was rejected. Other 4xx errors
+    // (invalid_request, invalid_client, ...) are request or app configuration problems
+    const errorCode = error?.response?.data?.error || error?.code;
+    if (errorCode === 'invalid_grant') {
+      console.error('[TIKTOK SERVICE] Refresh token is invalid or expired. User needs to reconnect.');
+      const reconnectError = new Error('Refresh token is invalid or expired. Please reconnect your TikTok account.', { cause: error });
+      reconnectError.code = 'invalid_grant';
+      throw reconnectError;
     }
 
     if (error?.response?.data?.error_description) {
-      throw new Error(`Failed to refresh TikTok access token: ${error.response.data.error_description}`);
+      const refreshError = new Error(`Failed to refresh TikTok access token: ${error.response.data.error_description}`, { cause: error });
+      refreshError.code = errorCode;
+      throw refreshError;
     }
 
     throw new Error('Failed to refresh TikTok access token: ' + (error?.response?.data?.error?.message || error?.message || 'Unknown error'));
@@ -150,8 +207,18 @@ async function refreshTikTokToken(refreshToken) {
 }
 
 
-// Get TikTok user info
-async function getUserInfo(accessToken, refreshToken = '') {
+/**
+ * Get TikTok user info
+ * @param {string} accessToken - User's TikTok access token.
+ * @param {string} [refreshToken=''] - User's TikTok refresh token.
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health.
+ * @returns {Promise<object>} - Profile of the TikTok user.
+ */
+async function getUserInfo(accessToken, refreshToken = '', healthContext) {
+  return trackAccountHealth('tiktok', healthContext, () => fetchUserInfo(accessToken, refreshToken));
+}
+
+async function fetchUserInfo(accessToken, refreshToken = '') {
   try {
     console.log('Fetching TikTok user info with access token:', !!accessToken);
     console.log('Refresh token provided:', !!refreshToken);
@@ -308,22 +375,276 @@ async function getUserInfo(accessToken, refreshToken = '') {
     console.error('Error getting user info:', error?.response?.data || error?.message);
     // Check if it's an expired token error
     if (error?.response?.data?.error?.code === 'access_token_invalid' || error?.message?.includes('expired')) {
-        throw new Error('TikTok access token has expired or is invalid.'); // Throw specific error
+        throw new Error('TikTok access token has expired or is invalid.', { cause: error }); // Throw specific error
+    }
+    throw new Error('Failed to get user info', { cause: error });
+  }
+}
+
+
+/**
+ * Get the options a creator can post with (creator_info/query). TikTok requires checking them
+ * before every post: the privacy levels the account allows, and whether the creator turned off
+ * comments, duets or stitches.
+ * @param {string} accessToken - User's TikTok access token.
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health.
+ * @returns {Promise<{ username: string, nickname: string, avatarUrl: string, privacyLevelOptions: Array<string>,
+ *   commentDisabled: boolean, duetDisabled: boolean, stitchDisabled: boolean, maxVideoPostDurationSec: number }>}
+ */
+async function getCreatorInfo(accessToken, healthContext) {
+  return trackAccountHealth('tiktok', healthContext, () => fetchCreatorInfo(accessToken));
+}
+
+async function fetchCreatorInfo(accessToken) {
+  let response;
+  try {
+    response = await axios.post(TIKTOK_CREATOR_INFO_URL, {}, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json; charset=UTF-8'
+      },
+      timeout: 30000
+    });
+  } catch (error) {
+    handleTikTokError(error);
+  }
+
+  // Creators who cannot post right now get an error with a 200 response
+  const apiError = response?.data?.error;
+  if (apiError?.code && apiError.code !== 'ok') {
+    const error = new Error(`TikTok creator info error: ${apiError.message || apiError.code}`);
+    error.code = apiError.code;
+    error.retryable = RETRYABLE_CREATOR_INFO_ERRORS.includes(apiError.code);
+    throw error;
+  }
+
+  const data = response?.data?.data || {};
+  return {
+    username: data.creator_username,
+    nickname: data.creator_nickname,
+    avatarUrl: data.creator_avatar_url,
+    privacyLevelOptions: data.privacy_level_options || [],
+    commentDisabled: !!data.comment_disabled,
+    duetDisabled: !!data.duet_disabled,
+    stitchDisabled: !!data.stitch_disabled,
+    maxVideoPostDurationSec: data.max_video_post_duration_sec
+  };
+}
+
+/**
+ * Check post settings against the options of a creator
+ * @param {Object} [settings={}] - Post.tiktok_settings
+ * @param {Object} creatorInfo - Result of getCreatorInfo
+ * @returns {Array<string>} - Problems of the settings, empty if the creator can post with them
+ */
+function checkPostSettings(settings = {}, creatorInfo) {
+  const problems = [];
+  const creator = creatorInfo.username ? `@${creatorInfo.username}` : 'this TikTok account';
+  const privacyLevel = settings.privacyLevel || DEFAULT_PRIVACY_LEVEL;
+
+  if (creatorInfo.privacyLevelOptions.length > 0 && !creatorInfo.privacyLevelOptions.includes(privacyLevel)) {
+    problems.push(`${creator} cannot post with privacy level ${privacyLevel} (allowed: ${creatorInfo.privacyLevelOptions.join(', ')})`);
+  }
+  if (settings.disableComment === false && creatorInfo.commentDisabled) {
+    problems.push(`${creator} has turned off comments`);
+  }
+  if (settings.disableDuet === false && creatorInfo.duetDisabled) {
+    problems.push(`${creator} has turned off duets`);
+  }
+  if (settings.disableStitch === false && creatorInfo.stitchDisabled) {
+    problems.push(`${creator} has turned off stitches`);
+  }
+  // TikTok does not allow branded content to be private
+  if (settings.brandContentToggle && privacyLevel === 'SELF_ONLY') {
+    problems.push('Branded content cannot be posted with privacy level SELF_ONLY');
+  }
+
+  return problems;
+}
+
+// Throw a permanent error if the creator cannot post with the settings
+function assertPostSettings(settings, creatorInfo) {
+  const problems = checkPostSettings(settings, creatorInfo);
+  if (problems.length > 0) {
+    const settingsError = new Error(`TikTok post settings are not allowed: ${problems.join('; ')}`);
+    settingsError.code = 'post_settings_not_allowed';
+    settingsError.retryable = false;
+    throw settingsError;
+  }
+}
+
+// post_info of a video, from the post settings; interactions the creator turned off stay off
+function buildPostInfo(caption, settings = {}, creatorInfo = {}) {
+  const postInfo = {
+    title: caption || 'Video posted via API',
+    description: caption || '',
+    privacy_level: settings.privacyLevel || DEFAULT_PRIVACY_LEVEL,
+    disable_comment: settings.disableComment ?? !!creatorInfo.commentDisabled,
+    disable_duet: settings.disableDuet ?? !!creatorInfo.duetDisabled,
+    disable_stitch: settings.disableStitch ?? !!creatorInfo.stitchDisabled,
+    video_cover_timestamp_ms: settings.videoCoverTimestampMs ?? DEFAULT_COVER_TIMESTAMP_MS
+  };
+  if (settings.brandContentToggle !== undefined) {
+    postInfo.brand_content_toggle = settings.brandContentToggle;
+  }
+  if (settings.brandOrganicToggle !== undefined) {
+    postInfo.brand_organic_toggle = settings.brandOrganicToggle;
+  }
+  return postInfo;
+}
+
+// post_info of a photo post: the first line of the caption is the title, the whole caption the description
+function buildPhotoPostInfo(caption, settings = {}, creatorInfo = {}) {
+  const postInfo = {
+    title: Array.from((caption || '').split('\n')[0].trim()).slice(0, MAX_PHOTO_TITLE_LENGTH).join(''),
+    description: caption || '',
+    privacy_level: settings.privacyLevel || DEFAULT_PRIVACY_LEVEL,
+    disable_comment: settings.disableComment ?? !!creatorInfo.commentDisabled,
+    auto_add_music: true
+  };
+  if (settings.brandContentToggle !== undefined) {
+    postInfo.brand_content_toggle = settings.brandContentToggle;
+  }
+  if (settings.brandOrganicToggle !== undefined) {
+    postInfo.brand_organic_toggle = settings.brandOrganicToggle;
+  }
+  return postInfo;
+}
+
+// Whether TikTok can fetch a video itself (PULL_FROM_URL), i.e. its domain may be verified
+function canPullFromUrl(videoUrl) {
+  if (VERIFIED_DOMAINS.length === 0) {
+    return true;
+  }
+  try {
+    const host = new URL(videoUrl).hostname.toLowerCase();
+    return VERIFIED_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether TikTok refused to pull a video because its domain is not verified for the app
+function isUnverifiedUrlError(error) {
+  return error?.response?.data?.error?.code === 'url_ownership_unverified';
+}
+
+/**
+ * Chunks of a FILE_UPLOAD. TikTok expects chunk_size for all chunks but the last one, which
+ * takes the remainder, so the chunk count is rounded down.
+ * @param {number} size - Video size in bytes
+ * @returns {{ chunkSize: number, totalChunkCount: number }}
+ */
+function getChunkPlan(size) {
+  if (size <= UPLOAD_CHUNK_SIZE) {
+    return { chunkSize: size, totalChunkCount: 1 };
+  }
+  return { chunkSize: UPLOAD_CHUNK_SIZE, totalChunkCount: Math.floor(size / UPLOAD_CHUNK_SIZE) };
+}
+
+// Initialize a direct post; resolves to TikTok's data (publish_id, and upload_url for FILE_UPLOAD)
+async function initVideoPublish(accessToken, initRequest) {
+  const headers = {
+    'Authorization': `Bearer ${accessToken}`,
+    'Content-Type': 'application/json; charset=UTF-8', // Specify charset
+  };
+
+  console.log(`[TIKTOK SERVICE - postVideo] Initializing video upload (${initRequest.source_info.source})...`);
+  console.log('[TIKTOK SERVICE - postVideo] Request Body:', JSON.stringify(initRequest));
+
+  const initResponse = await axios.post(TIKTOK_VIDEO_UPLOAD_URL, initRequest, {
+    headers,
+    timeout: 60000 // 60 second timeout for init
+  });
+
+  console.log('[TIKTOK SERVICE - postVideo] Init Response Status:', initResponse?.status);
+  console.log('[TIKTOK SERVICE - postVideo] Init Response Data:', JSON.stringify(initResponse?.data, null, 2));
+
+  if (!initResponse?.data?.data?.publish_id) {
+    const errorData = initResponse?.data?.error;
+    const errorMessage = errorData?.message || errorData?.code || 'Failed to initialize upload, no publish_id received.';
+    console.error(`[TIKTOK SERVICE - postVideo] Upload initialization failed: ${errorMessage}`);
+    throw new Error(`Upload initialization failed: ${errorMessage}`);
+  }
+
+  console.log(`[TIKTOK SERVICE - postVideo] Upload initialized successfully. Publish ID: ${initResponse.data.data.publish_id}`);
+  return initResponse.data.data;
+}
+
+// PUT one byte range of the file to TikTok's upload URL, retrying network errors and 5xx responses
+async function uploadChunk(uploadUrl, tempFilePath, start, end, size, mimeType) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await axios.put(uploadUrl, fs.createReadStream(tempFilePath, { start, end }), {
+        headers: {
+          'Content-Type': mimeType,
+          'Content-Length': end - start + 1,
+          'Content-Range': `bytes ${start}-${end}/${size}`
+        },
+        maxBodyLength: Infinity,
+        timeout: 300000 // 5 minutes per chunk
+      });
+      return;
+    } catch (error) {
+      const status = error?.response?.status;
+      if (attempt >= UPLOAD_CHUNK_ATTEMPTS || (status && status < 500 && status !== 429)) {
+        throw new Error(`Failed to upload video chunk to TikTok: ${status ? `HTTP ${status}` : error?.message}`, { cause: error });
+      }
+      console.warn(`[TIKTOK SERVICE - postVideo] Chunk ${start}-${end} failed (attempt ${attempt}/${UPLOAD_CHUNK_ATTEMPTS}), retrying:`, error?.message);
+      await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
     }
-    throw new Error('Failed to get user info');
   }
 }
 
+// Download the video to a temporary file and send it to TikTok in chunks (FILE_UPLOAD)
+async function uploadVideoFile(accessToken, postInfo, videoUrl) {
+  const { tempFilePath, size } = await downloadVideoToTempFile(videoUrl, 'tiktok');
+  try {
+    const { chunkSize, totalChunkCount } = getChunkPlan(size);
+    const { publish_id: publishId, upload_url: uploadUrl } = await initVideoPublish(accessToken, {
+      post_info: postInfo,
+      source_info: {
+        source: 'FILE_UPLOAD',
+        video_size: size,
+        chunk_size: chunkSize,
+        total_chunk_count: totalChunkCount
+      }
+    });
+    if (!uploadUrl) {
+      throw new Error('Upload initialization failed: no upload_url received.');
+    }
+
+    const mimeType = getMimeTypeFromUrl(videoUrl) || 'video/mp4';
+    for (let index = 0; index < totalChunkCount; index++) {
+      const start = index * chunkSize;
+      const end = index === totalChunkCount - 1 ? size - 1 : start + chunkSize - 1;
+      await uploadChunk(uploadUrl, tempFilePath, start, end, size, mimeType);
+      console.log(`[TIKTOK SERVICE - postVideo] Uploaded chunk ${index + 1}/${totalChunkCount} (${end + 1}/${size} bytes)`);
+    }
+
+    return publishId;
+  } finally {
+    await removeTempFile(tempFilePath);
+  }
+}
 
 /**
  * Posts a video to TikTok. Handles token refresh automatically if needed.
+ * The settings are checked against the creator's options first. TikTok pulls videos on verified
+ * domains itself; other videos are downloaded and uploaded in chunks.
  * @param {string} videoUrl - Publicly accessible URL of the video.
  * @param {string} accessToken - User's TikTok access token.
  * @param {string} [caption=''] - Video caption.
  * @param {string} [refreshToken=''] - User's TikTok refresh token.
+ * @param {Object} [settings={}] - Post.tiktok_settings (privacy level, interactions, cover, disclosures).
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health.
  * @returns {Promise<object>} - Result of the posting process, including refreshed tokens if applicable.
  */
-async function postVideo(videoUrl, accessToken, caption = '', refreshToken = '') {
+async function postVideo(videoUrl, accessToken, caption = '', refreshToken = '', settings = {}, healthContext) {
+  return trackAccountHealth('tiktok', healthContext, () => postVideoWithTokenRefresh(videoUrl, accessToken, caption, refreshToken, settings || {}));
+}
+
+async function postVideoWithTokenRefresh(videoUrl, accessToken, caption = '', refreshToken = '', settings = {}) {
   let currentAccessToken = accessToken;
   let currentRefreshToken = refreshToken;
   let attemptedRefresh = false;
@@ -338,69 +659,36 @@ async function postVideo(videoUrl, accessToken, caption = '', refreshToken = '')
   const attemptTikTokPost = async (tokenToUse) => {
     console.log(`[TIKTOK SERVICE - postVideo] Attempting TikTok API call with token.`);
 
-     // Download video - ensure this happens *before* API init call
-     let videoBuffer;
-     try {
-         console.log('[TIKTOK SERVICE - postVideo] Downloading video from:', videoUrl);
-         const videoResponse = await axios.get(videoUrl, {
-             responseType: 'arraybuffer',
-             timeout: 60000, // Increased timeout for download
-             maxContentLength: 600 * 1024 * 1024, // Allow large files
-             maxBodyLength: 600 * 1024 * 1024
-         });
-         videoBuffer = Buffer.from(videoResponse.data);
-          if (!videoBuffer || videoBuffer.length === 0) throw new Error("Downloaded video buffer is empty.");
-         console.log(`[TIKTOK SERVICE - postVideo] Video downloaded, size: ${videoBuffer.length} bytes`);
-     } catch (downloadError) {
-         console.error('[TIKTOK SERVICE - postVideo] Video download failed:', downloadError.message);
-         throw new Error(`Failed to download video: ${downloadError.message}`);
-     }
-
-    // Now init the upload
-    const initRequest = {
-      post_info: {
-        title: caption || 'Video posted via API',
-        description: caption || '',
-        privacy_level: 'SELF_ONLY',
-        disable_comment: false,
-        disable_duet: false,
-        disable_stitch: false,
-        video_cover_timestamp_ms: 1000 // Try requesting cover at 1s
-      },
-      source_info: {
-        source: "PULL_FROM_URL", // Use PULL_FROM_URL as intended
-        video_url: videoUrl
-      }
-    };
-
-    const headers = {
-      'Authorization': `Bearer ${tokenToUse}`,
-      'Content-Type': 'application/json; charset=UTF-8', // Specify charset
-    };
-
-     console.log(`[TIKTOK SERVICE - postVideo] Initializing video upload...`);
-     console.log('[TIKTOK SERVICE - postVideo] Request Headers (excluding Authorization):', { ...headers, Authorization: 'Bearer [REDACTED]' });
-     console.log('[TIKTOK SERVICE - postVideo] Request Body:', JSON.stringify(initRequest));
-
+    // The creator's options can change after the post was created
+    const creatorInfo = await fetchCreatorInfo(tokenToUse);
+    assertPostSettings(settings, creatorInfo);
 
-    const initResponse = await axios.post(TIKTOK_VIDEO_UPLOAD_URL, initRequest, {
-      headers,
-      timeout: 60000 // 60 second timeout for init
-    });
+    const postInfo = buildPostInfo(caption, settings, creatorInfo);
+    let publishId;
 
-     console.log('[TIKTOK SERVICE - postVideo] Init Response Status:', initResponse?.status);
-     console.log('[TIKTOK SERVICE - postVideo] Init Response Data:', JSON.stringify(initResponse?.data, null, 2));
+    if (canPullFromUrl(videoUrl)) {
+      try {
+        ({ publish_id: publishId } = await initVideoPublish(tokenToUse, {
+          post_info: postInfo,
+          source_info: {
+            source: 'PULL_FROM_URL',
+            video_url: videoUrl
+          }
+        }));
+      } catch (error) {
+        if (!isUnverifiedUrlError(error)) {
+          throw error;
+        }
+        console.warn('[TIKTOK SERVICE - postVideo] The video domain is not verified with TikTok, uploading the file instead.');
+      }
+    }
 
-    if (!initResponse?.data?.data?.publish_id) {
-      const errorData = initResponse?.data?.error;
-      const errorMessage = errorData?.message || errorData?.code || 'Failed to initialize upload, no publish_id received.';
-      console.error(`[TIKTOK SERVICE - postVideo] Upload initialization failed: ${errorMessage}`);
-      throw new Error(`Upload initialization failed: ${errorMessage}`);
+    if (!publishId) {
+      publishId = await uploadVideoFile(tokenToUse, postInfo, videoUrl);
     }
 
-     console.log(`[TIKTOK SERVICE - postVideo] Upload initialized successfully. Publish ID: ${initResponse.data.data.publish_id}`);
     // If initialization is successful, proceed to check status
-    return await handleVideoUploadStatus(initResponse.data.data.publish_id, tokenToUse, currentRefreshToken);
+    return await handleVideoUploadStatus(publishId, tokenToUse, currentRefreshToken);
   };
 
   try {
@@ -456,7 +744,7 @@ async function postVideo(videoUrl, accessToken, caption = '', refreshToken = '')
              throw refreshOrRetryError;
         }
         // Otherwise, throw a generic error indicating refresh failure
-        throw new Error(`Failed to post video after token refresh attempt: ${refreshOrRetryError.message}`);
+        throw new Error(`Failed to post video after token refresh attempt: ${refreshOrRetryError.message}`, { cause: refreshOrRetryError });
       }
     } else {
       // If it wasn't a token error, or refresh wasn't possible/attempted, rethrow original error
@@ -467,6 +755,70 @@ async function postVideo(videoUrl, accessToken, caption = '', refreshToken = '')
 }
 
 
+/**
+ * Posts images to TikTok as a photo carousel (media_type PHOTO). TikTok only pulls photos from
+ * URLs on domains verified for the app, so they should come from the assets bucket
+ * (R2_ASSETS_PUBLIC_DOMAIN). Expired tokens are not refreshed here; callers refresh them first.
+ * @param {Array<string>} imageUrls - Publicly accessible URLs of the images, in carousel order.
+ * @param {string} accessToken - User's TikTok access token.
+ * @param {string} [caption=''] - Post caption; its first line is also the title.
+ * @param {Object} [settings={}] - Post.tiktok_settings (privacy level, comments, disclosures).
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health.
+ * @returns {Promise<object>} - Result of the status checks, with publishId.
+ */
+async function postPhotos(imageUrls, accessToken, caption = '', settings = {}, healthContext) {
+  return trackAccountHealth('tiktok', healthContext, async () => {
+    if (!Array.isArray(imageUrls) || imageUrls.length === 0 || imageUrls.length > MAX_PHOTO_COUNT) {
+      const countError = new Error(`TikTok photo posts can have 1 to ${MAX_PHOTO_COUNT} images`);
+      countError.retryable = false;
+      throw countError;
+    }
+
+    const creatorInfo = await fetchCreatorInfo(accessToken);
+    assertPostSettings(settings || {}, creatorInfo);
+
+    const initRequest = {
+      post_info: buildPhotoPostInfo(caption, settings || {}, creatorInfo),
+      source_info: {
+        source: 'PULL_FROM_URL',
+        photo_cover_index: 0,
+        photo_images: imageUrls
+      },
+      post_mode: 'DIRECT_POST',
+      media_type: 'PHOTO'
+    };
+    console.log(`[TIKTOK SERVICE - postPhotos] Initializing photo post with ${imageUrls.length} images...`);
+
+    let initResponse;
+    try {
+      initResponse = await axios.post(TIKTOK_CONTENT_INIT_URL, initRequest, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json; charset=UTF-8'
+        },
+        timeout: 60000
+      });
+    } catch (error) {
+      if (isUnverifiedUrlError(error)) {
+        const domainError = new Error('TikTok cannot pull the images: their domain is not verified for this app.', { cause: error });
+        domainError.code = 'url_ownership_unverified';
+        domainError.retryable = false;
+        throw domainError;
+      }
+      handleTikTokError(error);
+    }
+
+    const publishId = initResponse?.data?.data?.publish_id;
+    if (!publishId) {
+      const errorData = initResponse?.data?.error;
+      throw new Error(`Photo post initialization failed: ${errorData?.message || errorData?.code || 'no publish_id received.'}`);
+    }
+
+    console.log(`[TIKTOK SERVICE - postPhotos] Photo post initialized. Publish ID: ${publishId}`);
+    return handleVideoUploadStatus(publishId, accessToken);
+  });
+}
+
 // --- handleVideoUploadStatus, handleTikTokError, handleUploadFailure remain the same ---
 // --- (Ensure handleVideoUploadStatus potentially returns refreshed token info if needed) ---
 // Helper function to handle video upload status checks
@@ -503,7 +855,7 @@ async function handleVideoUploadStatus(publishId, accessToken, refreshToken) {
        //   headers['X-Refresh-Token'] = refreshToken;
        // }
 
-      statusResponse = await axios.post('https://open.tiktokapis.com/v2/post/publish/status/fetch/', {
+      statusResponse = await axios.post(TIKTOK_PUBLISH_STATUS_URL, {
         publish_id: publishId
       }, {
         headers,
@@ -588,6 +940,32 @@ async function handleVideoUploadStatus(publishId, accessToken, refreshToken) {
 
 }
 
+/**
+ * Get the current status of a publish request
+ * @param {string} accessToken - User's TikTok access token.
+ * @param {string} publishId - publish_id returned when the upload was initialized.
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health.
+ * @returns {Promise<{ status: string, failReason?: string, publicPostId?: string }>} - TikTok status (e.g. PUBLISH_COMPLETE)
+ */
+async function getPublishStatus(accessToken, publishId, healthContext) {
+  return trackAccountHealth('tiktok', healthContext, async () => {
+    const response = await axios.post(TIKTOK_PUBLISH_STATUS_URL, { publish_id: publishId }, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json; charset=UTF-8'
+      },
+      timeout: 30000
+    });
+
+    const data = response?.data?.data || {};
+    return {
+      status: data.status,
+      failReason: data.fail_reason,
+      publicPostId: data.publicaly_available_post_id?.[0]
+    };
+  });
+}
+
 // Helper function to handle upload failures more specifically
 function handleUploadFailure(failReason) {
   console.error(`[TIKTOK SERVICE - handleUploadFailure] Handling failure reason: ${failReason}`);
@@ -622,8 +1000,9 @@ function handleUploadFailure(failReason) {
   throw new Error(userFriendlyMessage); // Throw the user-friendly message
 }
 
-// Modify handleTikTokError to be more specific about token errors
-function handleTikTokError(error) {
+// Translate a TikTok API error into a standardized error. The returned error's
+// retryable flag tells whether the same request may succeed later.
+function normalizeTikTokError(error) {
   console.error('[TIKTOK SERVICE - handleTikTokError] Handling TikTok API Error');
   console.error('[TIKTOK SERVICE - handleTikTokError] Error Message:', error?.message);
 
@@ -646,27 +1025,91 @@ function handleTikTokError(error) {
      }
   }
 
+  const standardizedError = (message, retryable) => {
+    const normalized = new Error(message, { cause: error });
+    normalized.code = errorCode;
+    normalized.retryable = retryable;
+    return normalized;
+  };
+
   // Standardize token-related error messages for upstream handling
   if (errorCode === 'access_token_has_expired' || errorCode === 'token_has_expired' || errorMessage.toLowerCase().includes('token expired')) {
-    throw new Error('TikTok access token has expired.');
+    return standardizedError('TikTok access token has expired.', false);
   }
   if (errorCode === 'invalid_access_token' || errorCode?.includes('invalid_token') || errorMessage.toLowerCase().includes('invalid token')) {
-    throw new Error('TikTok access token is invalid.');
+    return standardizedError('TikTok access token is invalid.', false);
   }
   if (errorCode === 'invalid_refresh_token' || errorMessage.toLowerCase().includes('refresh token')) {
-    throw new Error('TikTok refresh token is invalid.');
+    return standardizedError('TikTok refresh token is invalid.', false);
   }
    if (errorCode === 'scope_not_authorized' || error?.response?.status === 403) {
-    throw new Error('App does not have required permissions (scope_not_authorized). Please reconnect your TikTok account ensuring all permissions are granted.');
+    return standardizedError('App does not have required permissions (scope_not_authorized). Please reconnect your TikTok account ensuring all permissions are granted.', false);
    }
-    if (errorCode === 'rate_limit_exceeded') {
-      throw new Error('TikTok API rate limit exceeded. Please try again later.');
+    if (errorCode === 'rate_limit_exceeded' || error?.response?.status === 429) {
+      return standardizedError('TikTok API rate limit exceeded. Please try again later.', true);
     }
 
 
-  // Throw a generic but informative error for other cases
-  throw new Error(`TikTok API error: ${errorMessage} (Code: ${errorCode || 'N/A'})`);
+  // Generic but informative error for other cases. Server errors and
+  // requests that got no response at all are worth retrying.
+  const status = error?.response?.status;
+  return standardizedError(`TikTok API error: ${errorMessage} (Code: ${errorCode || 'N/A'})`, !status || status >= 500);
+}
+
+// Throw the standardized version of a TikTok API error
+function handleTikTokError(error) {
+  throw normalizeTikTokError(error);
+}
+
+// Messages thrown by this service for problems only the user can fix
+const PERMANENT_TIKTOK_ERROR_PATTERNS = [
+  'reconnect',
+  'permissions',
+  'exceeds TikTok',
+  'too short for TikTok',
+  'resolution or aspect ratio'
+];
+
+/**
+ * Classify an error thrown by postVideo as retryable (transient) or permanent
+ * @param {Error} error - Error thrown while posting
+ * @returns {{ retryable: boolean }} - Whether posting again later may succeed
+ */
+function classifyTikTokError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return { retryable: error.retryable };
+  }
+
+  const message = error?.message || '';
+  if (PERMANENT_TIKTOK_ERROR_PATTERNS.some(pattern => message.includes(pattern))) {
+    return { retryable: false };
+  }
+
+  // Raw API errors (e.g. from the init request) carry TikTok's error shape
+  if (error?.response) {
+    return { retryable: normalizeTikTokError(error).retryable };
+  }
+
+  if (error?.cause) {
+    return classifyTikTokError(error.cause);
+  }
+
+  // Download failures, TikTok internal errors and network errors
+  return { retryable: true };
 }
 
 
-module.exports = { getAuthUrl, getAccessToken, refreshTikTokToken, postVideo, getUserInfo };
\ No newline at end of file
+module.exports = {
+  PRIVACY_LEVELS,
+  getAuthUrl,
+  getAccessToken,
+  refreshTikTokToken,
+  getCreatorInfo,
+  checkPostSettings,
+  MAX_PHOTO_COUNT,
+  postVideo,
+  postPhotos,
+  getPublishStatus,
+  getUserInfo,
+  classifyTikTokError
+};
\ No newline at end of file
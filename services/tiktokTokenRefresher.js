@@ -0,0 +1,145 @@
+// File: services/tiktokTokenRefresher.js
+const User = require('../models/User');
+const tiktokService = require('./tiktokService');
+const userService = require('./userService');
+const jobQueue = require('./jobQueue');
+const { RECONNECT_STATUSES, needsReconnect, recordAccountHealth } = require('./accountHealthService');
+
+/**
+ * Proactive refresh of TikTok access tokens.
+ *
+ * TikTok access tokens expire after 24 hours. Instead of waiting for a publish attempt to fail,
+ * accounts whose token is close to expiry (based on tokensUpdatedAt) get a refresh job.
+ * Each account has at most one active refresh job, so several backend instances never
+ * refresh the same refresh token concurrently.
+ */
+
+// Job type used to refresh the tokens of one TikTok account
+const REFRESH_TIKTOK_TOKEN_JOB = 'refresh_tiktok_token';
+
+const TIKTOK_ACCESS_TOKEN_TTL_MS = parseInt(process.env.TIKTOK_ACCESS_TOKEN_TTL_MS) || 24 * 60 * 60 * 1000; // Default: 24 hours
+const TIKTOK_TOKEN_REFRESH_WINDOW_MS = parseInt(process.env.TIKTOK_TOKEN_REFRESH_WINDOW_MS) || 2 * 60 * 60 * 1000; // Default: 2 hours
+
+// Refresh errors meaning the refresh token itself is no longer valid
+const RECONNECT_ERROR_CODES = ['invalid_grant'];
+
+// Tokens updated before this time expire within the refresh window
+const getRefreshThreshold = (now = new Date()) =>
+  new Date(now.getTime() - (TIKTOK_ACCESS_TOKEN_TTL_MS - TIKTOK_TOKEN_REFRESH_WINDOW_MS));
+
+/**
+ * Whether an account's access token expires within the refresh window.
+ * Accounts without tokensUpdatedAt are treated as near expiry, their token age is unknown.
+ * @param {Object} account - TikTok account from providerData
+ * @returns {boolean}
+ */
+const isNearExpiry = (account) =>
+  !account?.tokensUpdatedAt || new Date(account.tokensUpdatedAt) <= getRefreshThreshold();
+
+/**
+ * Queue a refresh job for every TikTok account whose access token is about to expire
+ */
+const checkExpiringTikTokTokens = async () => {
+  try {
+    const threshold = getRefreshThreshold();
+
+    const users = await User.find({
+      'providerData.tiktok': {
+        $elemMatch: {
+          refreshToken: { $exists: true, $ne: '' },
+          'health.status': { $nin: RECONNECT_STATUSES },
+          $or: [
+            { tokensUpdatedAt: { $exists: false } },
+            { tokensUpdatedAt: { $lte: threshold } }
+          ]
+        }
+      }
+    }).select('uid providerData.tiktok').lean();
+
+    let queued = 0;
+
+    for (const user of users) {
+      for (const account of user.providerData?.tiktok || []) {
+        if (!account.refreshToken || needsReconnect(account) || !isNearExpiry(account)) continue;
+
+        await jobQueue.enqueue(
+          REFRESH_TIKTOK_TOKEN_JOB,
+          { uid: user.uid, openId: account.openId },
+          { dedupeKey: `${REFRESH_TIKTOK_TOKEN_JOB}:${user.uid}:${account.openId}` }
+        );
+        queued++;
+      }
+    }
+
+    if (queued > 0) {
+      console.log(`[TOKEN REFRESH] Queued token refresh for ${queued} TikTok accounts`);
+    }
+  } catch (error) {
+    console.error('[TOKEN REFRESH] Error checking for expiring TikTok tokens:', error?.message);
+  }
+};
+
+/**
+ * Refresh the tokens of a TikTok account and store them on the user.
+ * A rejected refresh token marks the account revoked, retrying cannot help.
+ * @param {string} uid - Firebase UID of the account owner
+ * @param {Object} account - TikTok account from providerData, with its tokens
+ * @returns {Promise<Object|null>} - The account with the new tokens, or null if the refresh token was rejected
+ * @throws {Error} - On transient refresh errors, or if the tokens could not be stored
+ */
+const refreshAccountTokens = async (uid, account) => {
+  const { openId } = account;
+
+  let refreshed;
+  try {
+    refreshed = await tiktokService.refreshTikTokToken(account.refreshToken);
+  } catch (error) {
+    if (RECONNECT_ERROR_CODES.includes(error?.code)) {
+      await recordAccountHealth('tiktok', { uid, accountId: openId }, error);
+      return null;
+    }
+    throw error;
+  }
+
+  const updated = await userService.updateTikTokTokens(uid, openId, refreshed.accessToken, refreshed.refreshToken);
+  if (!updated) {
+    throw new Error(`Failed to store refreshed tokens of TikTok account ${openId}`);
+  }
+
+  return { ...account, accessToken: refreshed.accessToken, refreshToken: refreshed.refreshToken, tokensUpdatedAt: new Date() };
+};
+
+/**
+ * Job handler: refresh the tokens of one TikTok account and store them on the user
+ * @param {Object} job - Claimed job document with payload { uid, openId }
+ */
+const runRefreshTikTokTokenJob = async (job) => {
+  const { uid, openId } = job.payload || {};
+
+  const accounts = await userService.getSocialMediaTokens(uid, 'tiktok');
+  const account = Array.isArray(accounts) ? accounts.find(acc => acc.openId === openId) : null;
+
+  // The account may have been removed, reconnected or refreshed since the job was queued
+  if (!account?.refreshToken || needsReconnect(account) || !isNearExpiry(account)) {
+    console.log(`[TOKEN REFRESH] TikTok account ${openId} of user ${uid} does not need a refresh, skipping`);
+    return;
+  }
+
+  console.log(`[TOKEN REFRESH] Refreshing tokens of TikTok account ${account.username || openId} for user ${uid}`);
+
+  // The account is marked revoked until the user connects it again
+  const refreshedAccount = await refreshAccountTokens(uid, account);
+  if (!refreshedAccount) {
+    return;
+  }
+
+  console.log(`[TOKEN REFRESH] Refreshed tokens of TikTok account ${account.username || openId} for user ${uid}`);
+};
+
+module.exports = {
+  REFRESH_TIKTOK_TOKEN_JOB,
+  isNearExpiry,
+  refreshAccountTokens,
+  checkExpiringTikTokTokens,
+  runRefreshTikTokTokenJob
+};
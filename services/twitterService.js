@@ -1,7 +1,8 @@
-const { TwitterApi } = require('twitter-api-v2');
+const { TwitterApi, ETwitterApiError } = require('twitter-api-v2');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { trackAccountHealth } = require('./accountHealthService');
 
 // Twitter API credentials from environment variables
 const TWITTER_API_KEY = process.env.TWITTER_API_KEY;
@@ -9,6 +10,71 @@ const TWITTER_API_SECRET = process.env.TWITTER_API_SECRET;
 const TWITTER_ACCESS_TOKEN = process.env.TWITTER_ACCESS_TOKEN;
 const TWITTER_ACCESS_TOKEN_SECRET = process.env.TWITTER_ACCESS_TOKEN_SECRET;
 const TWITTER_BEARER_TOKEN = process.env.TWITTER_BEARER_TOKEN;
+// OAuth 2.0 client credentials (User authentication settings of the Twitter app)
+const TWITTER_CLIENT_ID = process.env.TWITTER_CLIENT_ID;
+const TWITTER_CLIENT_SECRET = process.env.TWITTER_CLIENT_SECRET;
+
+// How connected accounts authenticate, stored as providerData.twitter[].tokenType.
+// Accounts connected before OAuth 2.0 was supported have no tokenType and use OAuth 1.0a.
+const TWITTER_TOKEN_TYPES = {
+  OAUTH1: 'oauth1',
+  OAUTH2: 'oauth2'
+};
+
+const OAUTH2_AUTHORIZE_URL = 'https://x.com/i/oauth2/authorize';
+// offline.access is needed for a refresh token, media.write for video uploads
+const OAUTH2_SCOPES = ['tweet.read', 'tweet.write', 'users.read', 'media.write', 'offline.access'];
+// Refresh OAuth 2.0 access tokens (valid for 2 hours) when they expire within this window
+const OAUTH2_REFRESH_WINDOW_MS = 5 * 60 * 1000;
+
+// Images in a tweet, and the size of each image
+const MAX_TWEET_IMAGES = 4;
+const MAX_TWEET_IMAGE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Get the token type of a connected account
+ * @param {Object} account - Twitter account from providerData
+ * @returns {string} - 'oauth1' or 'oauth2'
+ */
+function getTwitterTokenType(account) {
+  return account?.tokenType === TWITTER_TOKEN_TYPES.OAUTH2 ? TWITTER_TOKEN_TYPES.OAUTH2 : TWITTER_TOKEN_TYPES.OAUTH1;
+}
+
+/**
+ * Whether an account has the tokens its token type needs to call the API
+ * @param {Object} account - Twitter account from providerData
+ * @returns {boolean}
+ */
+function hasTwitterCredentials(account) {
+  if (!account?.accessToken) {
+    return false;
+  }
+  return getTwitterTokenType(account) === TWITTER_TOKEN_TYPES.OAUTH2 || !!account.accessTokenSecret;
+}
+
+// Create a client acting as the user of a connected account
+function createUserClient(credentials) {
+  if (getTwitterTokenType(credentials) === TWITTER_TOKEN_TYPES.OAUTH2) {
+    return new TwitterApi(credentials.accessToken);
+  }
+
+  return new TwitterApi({
+    appKey: TWITTER_API_KEY,
+    appSecret: TWITTER_API_SECRET,
+    accessToken: credentials.accessToken,
+    accessSecret: credentials.accessTokenSecret,
+  });
+}
+
+// Create a client for the OAuth 2.0 token endpoints
+function createOAuth2AppClient() {
+  if (!TWITTER_CLIENT_ID) {
+    throw new Error('Missing Twitter OAuth 2.0 client ID');
+  }
+  return new TwitterApi({ clientId: TWITTER_CLIENT_ID, clientSecret: TWITTER_CLIENT_SECRET });
+}
+
+const getOAuth2CallbackUrl = () => `${process.env.BACKEND_URL}/twitter/oauth2/callback`;
 
 // Create Twitter OAuth 1.0a client for user authentication
 async function getAuthUrl() {
@@ -195,27 +261,172 @@ async function getAccessToken(oauthToken, oauthVerifier, tokenSecret) {
   }
 }
 
-// Post media tweet to Twitter
-async function postMediaTweet(videoUrl, accessToken, text = '', accessTokenSecret = '') {
+/**
+ * Get the OAuth 2.0 authorization URL (Authorization Code flow with PKCE)
+ * @param {Object} options
+ * @param {string} options.state - Signed state, returned to the callback
+ * @param {string} options.codeChallenge - S256 PKCE code challenge (base64url)
+ * @returns {string} - URL to send the user to
+ */
+function getOAuth2AuthUrl({ state, codeChallenge }) {
+  if (!TWITTER_CLIENT_ID) {
+    console.error('Missing Twitter OAuth 2.0 client ID');
+    throw new Error('Missing Twitter OAuth 2.0 client ID');
+  }
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: TWITTER_CLIENT_ID,
+    redirect_uri: getOAuth2CallbackUrl(),
+    scope: OAUTH2_SCOPES.join(' '),
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${OAUTH2_AUTHORIZE_URL}?${params.toString()}`;
+}
+
+/**
+ * Exchange an OAuth 2.0 authorization code for tokens and get the connected user
+ * @param {string} code - Authorization code from the callback
+ * @param {string} codeVerifier - PKCE code verifier of the flow
+ * @returns {Promise<Object>} - Tokens (tokenExpiresAt as a Date) and profile of the user
+ */
+async function getOAuth2AccessToken(code, codeVerifier) {
+  if (!code || !codeVerifier) {
+    throw new Error('Missing authorization code or code verifier');
+  }
+
+  try {
+    console.log('Exchanging Twitter OAuth 2.0 authorization code for tokens');
+
+    const { client: loggedClient, accessToken, refreshToken, expiresIn, scope } = await createOAuth2AppClient().loginWithOAuth2({
+      code,
+      codeVerifier,
+      redirectUri: getOAuth2CallbackUrl()
+    });
+
+    const currentUser = await loggedClient.v2.me({ 'user.fields': ['profile_image_url', 'name', 'username'] });
+
+    console.log('Twitter OAuth 2.0 tokens obtained for user:', {
+      userId: currentUser?.data?.id,
+      username: currentUser?.data?.username,
+      hasRefreshToken: !!refreshToken
+    });
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      expires_at: new Date(Date.now() + expiresIn * 1000),
+      scope,
+      user_id: currentUser?.data?.id,
+      username: currentUser?.data?.username,
+      name: currentUser?.data?.name,
+      profile_image_url: currentUser?.data?.profile_image_url
+    };
+  } catch (error) {
+    console.error('Error getting Twitter OAuth 2.0 access token:', error?.message);
+    if (error?.data) {
+      console.error('Twitter API error data:', JSON.stringify(error.data, null, 2));
+    }
+    throw new Error('Failed to get access token: ' + (error?.message || 'Unknown error'), { cause: error });
+  }
+}
+
+/**
+ * Refresh the tokens of an OAuth 2.0 account.
+ * Twitter rotates refresh tokens: the old one stops working, so the new tokens must be stored.
+ * @param {string} refreshToken - Current refresh token
+ * @returns {Promise<{ accessToken: string, refreshToken: string, tokenExpiresAt: Date }>}
+ */
+async function refreshOAuth2Token(refreshToken) {
+  if (!refreshToken) {
+    throw new Error('No Twitter refresh token available. Please reconnect your Twitter account.');
+  }
+
+  try {
+    console.log('Refreshing Twitter OAuth 2.0 access token');
+    const refreshed = await createOAuth2AppClient().refreshOAuth2Token(refreshToken);
+
+    return {
+      accessToken: refreshed.accessToken,
+      refreshToken: refreshed.refreshToken || refreshToken,
+      tokenExpiresAt: new Date(Date.now() + refreshed.expiresIn * 1000)
+    };
+  } catch (error) {
+    console.error('Error refreshing Twitter OAuth 2.0 token:', error?.message);
+    // The token endpoint answers invalid_grant when the refresh token is invalid or revoked
+    if (error?.type === ETwitterApiError.Response && error.data?.error === 'invalid_grant') {
+      throw new Error('Twitter refresh token was rejected. Please reconnect your Twitter account.', { cause: error });
+    }
+    throw new Error(`Failed to refresh Twitter access token: ${error?.message || 'Unknown error'}`, { cause: error });
+  }
+}
+
+// Whether an OAuth 2.0 access token is expired or about to expire
+function isOAuth2TokenExpiring(credentials) {
+  return !credentials.tokenExpiresAt || new Date(credentials.tokenExpiresAt).getTime() - Date.now() <= OAUTH2_REFRESH_WINDOW_MS;
+}
+
+/**
+ * Run an API call with the credentials of an account. An OAuth 2.0 access token that is about
+ * to expire is refreshed first. The refreshed tokens are added to the result (refreshed,
+ * newAccessToken, newRefreshToken, tokenExpiresAt), or set as error.refreshedTokens if the
+ * call fails, so the caller can store them.
+ * @param {Object} credentials - Tokens of the account
+ * @param {Function} operation - Async function called with the credentials to use
+ * @returns {Promise<Object>} - Result of the operation
+ */
+async function withFreshCredentials(credentials, operation) {
+  if (getTwitterTokenType(credentials) !== TWITTER_TOKEN_TYPES.OAUTH2 || !isOAuth2TokenExpiring(credentials)) {
+    return operation(credentials);
+  }
+
+  const refreshedTokens = await refreshOAuth2Token(credentials.refreshToken);
+
+  try {
+    const result = await operation({ ...credentials, ...refreshedTokens });
+    return {
+      ...result,
+      refreshed: true,
+      newAccessToken: refreshedTokens.accessToken,
+      newRefreshToken: refreshedTokens.refreshToken,
+      tokenExpiresAt: refreshedTokens.tokenExpiresAt
+    };
+  } catch (error) {
+    error.refreshedTokens = refreshedTokens;
+    throw error;
+  }
+}
+
+/**
+ * Post media tweet to Twitter
+ * @param {string} videoUrl - Publicly accessible URL of the video
+ * @param {Object} credentials - Tokens of the account: { tokenType, accessToken, accessTokenSecret, refreshToken, tokenExpiresAt }
+ * @param {string} [text=''] - Tweet text
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<Object>} - The created tweet, with the new tokens if they were refreshed (see withFreshCredentials)
+ */
+async function postMediaTweet(videoUrl, credentials = {}, text = '', healthContext) {
+  return trackAccountHealth('twitter', healthContext, () =>
+    withFreshCredentials(credentials, activeCredentials => uploadAndTweet(videoUrl, activeCredentials, text))
+  );
+}
+
+async function uploadAndTweet(videoUrl, credentials, text = '') {
   try {
     console.log('=== TWITTER POSTING PROCESS START ===');
     
-    // Check if we have the required credentials
-    const consumerKey = process.env.TWITTER_API_KEY;
-    const consumerSecret = process.env.TWITTER_API_SECRET;
-    const appAccessToken = process.env.TWITTER_ACCESS_TOKEN;
-    const appAccessTokenSecret = process.env.TWITTER_ACCESS_TOKEN_SECRET;
+    const tokenType = getTwitterTokenType(credentials);
+    const { accessToken } = credentials;
     
-    if (!consumerKey || !consumerSecret) {
+    // OAuth 1.0a requests are signed with the app's consumer key
+    if (tokenType === TWITTER_TOKEN_TYPES.OAUTH1 && (!TWITTER_API_KEY || !TWITTER_API_SECRET)) {
       console.error('Missing Twitter API credentials in environment variables');
       throw new Error('Server configuration error: Missing Twitter API credentials');
     }
     
-    if (!appAccessToken || !appAccessTokenSecret) {
-      console.error('Missing Twitter app access tokens in environment variables');
-      throw new Error('Server configuration error: Missing Twitter app access tokens');
-    }
-    
     if (!accessToken) {
       console.error('Missing user Twitter OAuth token');
       throw new Error('Missing user Twitter access token');
@@ -297,32 +508,31 @@ async function postMediaTweet(videoUrl, accessToken, text = '', accessTokenSecre
       throw new Error(`Failed to save video to temporary file: ${fileError.message}`);
     }
     
-    // Create Twitter client with user credentials for OAuth 1.0a
-    console.log('Creating Twitter client with user OAuth 1.0a credentials...');
+    // Create Twitter client with the account's credentials
+    console.log(`Creating Twitter client with user ${tokenType} credentials...`);
     let userClient;
     
     try {
-      userClient = new TwitterApi({
-        appKey: consumerKey,
-        appSecret: consumerSecret,
-        accessToken: accessToken,
-        accessSecret: accessTokenSecret,
-        timeout: 120000
-      });
+      userClient = createUserClient(credentials);
       
-      console.log('Created Twitter client with user OAuth 1.0a credentials');
+      console.log(`Created Twitter client with user ${tokenType} credentials`);
       
       // Verify user credentials
       try {
-        const verifyResult = await userClient.v1.verifyCredentials();
-        console.log('User credentials verified successfully. Username:', verifyResult.screen_name);
+        if (tokenType === TWITTER_TOKEN_TYPES.OAUTH2) {
+          const verifyResult = await userClient.v2.me();
+          console.log('User credentials verified successfully. Username:', verifyResult?.data?.username);
+        } else {
+          const verifyResult = await userClient.v1.verifyCredentials();
+          console.log('User credentials verified successfully. Username:', verifyResult.screen_name);
+        }
       } catch (verifyError) {
         console.error('Error verifying user credentials:', verifyError.message);
-        throw new Error('Failed to verify user credentials. Please reconnect your Twitter account.');
+        throw new Error('Failed to verify user credentials. Please reconnect your Twitter account.', { cause: verifyError });
       }
     } catch (clientError) {
       console.error('Error creating Twitter client with user credentials:', clientError.message);
-      throw new Error(`Failed to create Twitter client: ${clientError.message}`);
+      throw new Error(`Failed to create Twitter client: ${clientError.message}`, { cause: clientError });
     }
     
     // Upload the video to Twitter using user credentials
@@ -338,12 +548,18 @@ async function postMediaTweet(videoUrl, accessToken, text = '', accessTokenSecre
           console.log(`Attempt ${retryCount + 1} of ${MAX_RETRIES} to upload media...`);
           
           // Initialize media upload with user credentials
-          mediaId = await userClient.v1.uploadMedia(tempFilePath, {
-            mimeType: 'video/mp4',
-            type: 'tweet_video',
-            chunkLength: 1000000,
-            longVideo: true
-          });
+          // OAuth 2.0 user tokens can only use the v2 media endpoints
+          mediaId = tokenType === TWITTER_TOKEN_TYPES.OAUTH2
+            ? await userClient.v2.uploadMedia(await fs.readFile(tempFilePath), {
+              media_type: 'video/mp4',
+              media_category: 'tweet_video'
+            }, 1000000)
+            : await userClient.v1.uploadMedia(tempFilePath, {
+              mimeType: 'video/mp4',
+              type: 'tweet_video',
+              chunkLength: 1000000,
+              longVideo: true
+            });
           
           console.log('Media uploaded successfully. Media ID:', mediaId);
           break;
@@ -371,10 +587,10 @@ async function postMediaTweet(videoUrl, accessToken, text = '', accessTokenSecre
       
       if (uploadError.message?.includes('Bad Authentication data') || 
           (uploadError.data?.errors && uploadError.data.errors.some(e => e.code === 215))) {
-        throw new Error('Twitter authentication failed. Please check user credentials.');
+        throw new Error('Twitter authentication failed. Please check user credentials.', { cause: uploadError });
       }
       
-      throw new Error(`Failed to upload media to Twitter: ${uploadError.message}`);
+      throw new Error(`Failed to upload media to Twitter: ${uploadError.message}`, { cause: uploadError });
     }
     
     // Post the tweet with the uploaded media using user client
@@ -422,7 +638,7 @@ async function postMediaTweet(videoUrl, accessToken, text = '', accessTokenSecre
       if (tweetError.data) {
         console.error('Twitter API error data:', JSON.stringify(tweetError.data, null, 2));
       }
-      throw new Error(`Failed to post tweet: ${tweetError.message}`);
+      throw new Error(`Failed to post tweet: ${tweetError.message}`, { cause: tweetError });
     } finally {
       try {
         await fs.unlink(tempFilePath);
@@ -442,45 +658,117 @@ async function postMediaTweet(videoUrl, accessToken, text = '', accessTokenSecre
   }
 }
 
-// Get user information
-async function getUserInfo(accessToken, accessTokenSecret) {
+/**
+ * Post a tweet with optional images, as a reply or a quote. Threads are posted one tweet at a
+ * time, each replying to the previous one.
+ * @param {Object} credentials - Tokens of the account: { tokenType, accessToken, accessTokenSecret, refreshToken, tokenExpiresAt }
+ * @param {Object} tweet
+ * @param {string} [tweet.text=''] - Tweet text
+ * @param {Array<Object>} [tweet.images=[]] - { url, mimeType } of each image (at most MAX_TWEET_IMAGES);
+ *   mimeType defaults to the downloaded Content-Type
+ * @param {string} [tweet.replyToTweetId] - Tweet this tweet replies to
+ * @param {string} [tweet.quoteTweetId] - Tweet this tweet quotes
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<Object>} - The created tweet, with the new tokens if they were refreshed (see withFreshCredentials)
+ */
+async function postTweet(credentials = {}, tweet = {}, healthContext) {
+  return trackAccountHealth('twitter', healthContext, () =>
+    withFreshCredentials(credentials, activeCredentials => uploadImagesAndTweet(activeCredentials, tweet))
+  );
+}
+
+// Download an image into memory, refusing images Twitter would not accept anyway
+async function downloadImage(imageUrl, position) {
   try {
-    console.log('Getting Twitter user info with tokens:', {
-      accessTokenPrefix: accessToken ? accessToken.substring(0, 5) + '...' : 'missing',
-      accessTokenSecretPrefix: accessTokenSecret ? accessTokenSecret.substring(0, 5) + '...' : 'missing'
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 60000,
+      maxContentLength: MAX_TWEET_IMAGE_SIZE,
+      headers: { 'Accept': 'image/*' }
     });
-    
-    // Create a Twitter client with user tokens
-    const client = new TwitterApi({
-      appKey: TWITTER_API_KEY,
-      appSecret: TWITTER_API_SECRET,
-      accessToken: accessToken,
-      accessSecret: accessTokenSecret,
-    });
-    
-    // Use the v2 API to get user data
-    const userV2 = await client.v2.me({
-      'user.fields': ['profile_image_url', 'name', 'username', 'description']
-    });
-    
-    if (!userV2 || !userV2.data) {
-      throw new Error('Failed to retrieve user information from Twitter API');
-    }
-    
-    console.log('Twitter user info retrieved:', {
-      id: userV2.data.id,
-      username: userV2.data.username,
-      name: userV2.data.name,
-      hasProfileImage: !!userV2.data.profile_image_url
-    });
-    
     return {
-      id_str: userV2.data.id,
-      screen_name: userV2.data.username,
-      name: userV2.data.name,
-      profile_image_url: userV2.data.profile_image_url,
-      description: userV2.data.description
+      buffer: Buffer.from(response.data),
+      contentType: response.headers?.['content-type']?.split(';')[0].trim()
     };
+  } catch (error) {
+    if (error.message?.includes('maxContentLength')) {
+      throw new Error(`Image ${position} is too large for Twitter. Maximum size is 5MB.`);
+    }
+    throw new Error(`Failed to download image ${position}: ${error.response?.status ? `HTTP ${error.response.status}` : error.message}`, { cause: error });
+  }
+}
+
+async function uploadImagesAndTweet(credentials, { text = '', images = [], replyToTweetId, quoteTweetId }) {
+  const tokenType = getTwitterTokenType(credentials);
+
+  if (!Array.isArray(images) || images.length > MAX_TWEET_IMAGES) {
+    throw new Error(`A tweet can have at most ${MAX_TWEET_IMAGES} images`);
+  }
+  if (!text && images.length === 0) {
+    throw new Error('A tweet needs text or images');
+  }
+  if (tokenType === TWITTER_TOKEN_TYPES.OAUTH1 && (!TWITTER_API_KEY || !TWITTER_API_SECRET)) {
+    throw new Error('Server configuration error: Missing Twitter API credentials');
+  }
+  if (!credentials?.accessToken) {
+    throw new Error('Missing user Twitter access token');
+  }
+
+  const userClient = createUserClient(credentials);
+  const mediaIds = [];
+
+  // Upload one image at a time so the media ids keep the order of the post
+  for (const [index, image] of images.entries()) {
+    const { buffer, contentType } = await downloadImage(image.url, index + 1);
+    const mimeType = image.mimeType || contentType || 'image/jpeg';
+
+    try {
+      // OAuth 2.0 user tokens can only use the v2 media endpoints
+      const mediaId = tokenType === TWITTER_TOKEN_TYPES.OAUTH2
+        ? await userClient.v2.uploadMedia(buffer, {
+          media_type: mimeType,
+          media_category: mimeType === 'image/gif' ? 'tweet_gif' : 'tweet_image'
+        })
+        : await userClient.v1.uploadMedia(buffer, { mimeType });
+      mediaIds.push(mediaId);
+      console.log(`Image ${index + 1}/${images.length} uploaded to Twitter. Media ID:`, mediaId);
+    } catch (uploadError) {
+      console.error(`Error uploading image ${index + 1} to Twitter:`, uploadError.message);
+      throw new Error(`Failed to upload image ${index + 1} to Twitter: ${uploadError.message}`, { cause: uploadError });
+    }
+  }
+
+  const payload = { text: text || '' };
+  if (mediaIds.length > 0) {
+    payload.media = { media_ids: mediaIds };
+  }
+  if (replyToTweetId) {
+    payload.reply = { in_reply_to_tweet_id: replyToTweetId };
+  }
+  if (quoteTweetId) {
+    payload.quote_tweet_id = quoteTweetId;
+  }
+
+  try {
+    const tweetResponse = await userClient.v2.tweet(payload);
+    console.log(`Tweet posted successfully${replyToTweetId ? ` in reply to ${replyToTweetId}` : ''}:`, tweetResponse?.data?.id);
+    return tweetResponse;
+  } catch (tweetError) {
+    console.error('Error posting tweet:', tweetError.message);
+    throw new Error(`Failed to post tweet: ${tweetError.message}`, { cause: tweetError });
+  }
+}
+
+/**
+ * Get user information
+ * @param {Object} credentials - Tokens of the account: { tokenType, accessToken, accessTokenSecret, refreshToken, tokenExpiresAt }
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<Object>} - Profile of the Twitter user (empty values if it could not be fetched),
+ *   with the new tokens if they were refreshed (see withFreshCredentials)
+ */
+async function getUserInfo(credentials, healthContext) {
+  try {
+    return await trackAccountHealth('twitter', healthContext, () => withFreshCredentials(credentials, fetchUserInfo));
   } catch (error) {
     console.error('Error getting Twitter user info:', error);
     console.error('Error message:', error.message);
@@ -488,19 +776,141 @@ async function getUserInfo(accessToken, accessTokenSecret) {
     
     // Return a basic object with empty values rather than throwing
     // This prevents the whole auth flow from failing just because profile data couldn't be fetched
+    const refreshed = error?.refreshedTokens;
     return {
       id_str: '',
       screen_name: '',
       name: '',
       profile_image_url: '',
-      description: ''
+      description: '',
+      ...(refreshed ? {
+        refreshed: true,
+        newAccessToken: refreshed.accessToken,
+        newRefreshToken: refreshed.refreshToken,
+        tokenExpiresAt: refreshed.tokenExpiresAt
+      } : {})
     };
   }
 }
 
+async function fetchUserInfo(credentials = {}) {
+  console.log('Getting Twitter user info with tokens:', {
+    tokenType: getTwitterTokenType(credentials),
+    hasAccessToken: !!credentials.accessToken,
+    hasAccessTokenSecret: !!credentials.accessTokenSecret
+  });
+  
+  // Create a Twitter client with user tokens
+  const client = createUserClient(credentials);
+  
+  // Use the v2 API to get user data
+  const userV2 = await client.v2.me({
+    'user.fields': ['profile_image_url', 'name', 'username', 'description']
+  });
+  
+  if (!userV2 || !userV2.data) {
+    throw new Error('Failed to retrieve user information from Twitter API');
+  }
+  
+  console.log('Twitter user info retrieved:', {
+    id: userV2.data.id,
+    username: userV2.data.username,
+    name: userV2.data.name,
+    hasProfileImage: !!userV2.data.profile_image_url
+  });
+  
+  return {
+    id_str: userV2.data.id,
+    screen_name: userV2.data.username,
+    name: userV2.data.name,
+    profile_image_url: userV2.data.profile_image_url,
+    description: userV2.data.description
+  };
+}
+
+/**
+ * Look up a tweet of a connected account
+ * @param {Object} credentials - Tokens of the account
+ * @param {string} tweetId - Id of the tweet
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<Object|null>} - The tweet ({ id, text }), or null if it no longer exists,
+ *   with the new tokens if they were refreshed (see withFreshCredentials)
+ */
+async function getTweet(credentials, tweetId, healthContext) {
+  return trackAccountHealth('twitter', healthContext, () =>
+    withFreshCredentials(credentials, async activeCredentials => {
+      const result = await createUserClient(activeCredentials).v2.singleTweet(tweetId);
+      // Deleted tweets come back as an error without data
+      return { tweet: result?.data || null };
+    })
+  );
+}
+
+// Twitter v1.1 error codes that go away on their own (rate limit exceeded, over capacity, internal error)
+const TRANSIENT_TWITTER_ERROR_CODES = [88, 130, 131];
+// Twitter v1.1 error codes that need the user to act (bad auth, suspended, text too long, duplicate, invalid media, locked)
+const PERMANENT_TWITTER_ERROR_CODES = [32, 64, 89, 186, 187, 215, 324, 326];
+
+/**
+ * Classify an error thrown by postMediaTweet or postTweet as retryable (transient) or permanent.
+ * Uses the twitter-api-v2 error in the cause chain when there is one.
+ * @param {Error} error - Error thrown while posting
+ * @returns {{ retryable: boolean }} - Whether posting again later may succeed
+ */
+function classifyTwitterError(error) {
+  // Find the original twitter-api-v2 error, if any
+  let apiError = error;
+  while (apiError && !Object.values(ETwitterApiError).includes(apiError.type)) {
+    apiError = apiError.cause;
+  }
+
+  if (apiError) {
+    // The request never got a (complete) response: network error or timeout
+    if (apiError.type !== ETwitterApiError.Response) {
+      return { retryable: true };
+    }
+
+    if (apiError.rateLimitError) {
+      return { retryable: true };
+    }
+
+    const errorCodes = (apiError.errors || []).map(e => e?.code);
+    if (errorCodes.some(code => PERMANENT_TWITTER_ERROR_CODES.includes(code))) {
+      return { retryable: false };
+    }
+    if (errorCodes.some(code => TRANSIENT_TWITTER_ERROR_CODES.includes(code))) {
+      return { retryable: true };
+    }
+
+    // For ApiResponseError, code is the HTTP status
+    return { retryable: apiError.code >= 500 };
+  }
+
+  // Errors raised by this service before reaching the Twitter API
+  const message = error?.message || '';
+  if (/authentication|reconnect|too large|configuration error|Missing user Twitter access token/i.test(message)) {
+    return { retryable: false };
+  }
+
+  // Video and image download failures and anything unexpected
+  return { retryable: true };
+}
+
 module.exports = {
+  TWITTER_TOKEN_TYPES,
+  getTwitterTokenType,
+  hasTwitterCredentials,
   getAuthUrl,
   getAccessToken,
+  getOAuth2AuthUrl,
+  getOAuth2AccessToken,
+  refreshOAuth2Token,
+  isOAuth2TokenExpiring,
+  MAX_TWEET_IMAGES,
+  MAX_TWEET_IMAGE_SIZE,
   postMediaTweet,
-  getUserInfo
+  postTweet,
+  getTweet,
+  getUserInfo,
+  classifyTwitterError
 }; 
\ No newline at end of file
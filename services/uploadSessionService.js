@@ -0,0 +1,281 @@
+// File: services/uploadSessionService.js
+const path = require('path');
+const UploadSession = require('../models/UploadSession');
+const r2Service = require('./r2Service');
+const { reserveStorage } = require('./storageQuotaService');
+
+/**
+ * Resumable multipart uploads of videos to R2. The backend starts the upload and hands out
+ * presigned URLs for its parts; the client PUTs the parts straight to R2, lists what arrived
+ * to resume after a failure, and completes or aborts the upload. Sessions that stay open
+ * past UPLOAD_SESSION_TTL_MS are aborted by cleanupAbandonedUploads.
+ */
+
+const MB = 1024 * 1024;
+// S3 limits: parts of 5 MB or more (except the last) and at most 10000 parts
+const MIN_PART_SIZE = 5 * MB;
+const MAX_PARTS = 10000;
+const PART_SIZE = Math.max(parseInt(process.env.UPLOAD_PART_SIZE) || 10 * MB, MIN_PART_SIZE);
+const MAX_UPLOAD_BYTES = parseInt(process.env.MULTIPART_UPLOAD_MAX_BYTES) || 5 * 1024 * MB;
+const SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+const PART_URL_EXPIRES_SEC = parseInt(process.env.UPLOAD_PART_URL_EXPIRES_SEC) || 60 * 60;
+// Presigned URLs handed out per request
+const MAX_PART_URLS = 100;
+
+const createError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+// Parts big enough that the file fits in MAX_PARTS, rounded up to whole megabytes
+const getPartSize = (size) => Math.max(PART_SIZE, Math.ceil(size / MAX_PARTS / MB) * MB);
+
+// Unique object name that keeps the extension of the client's file name
+const getObjectName = (fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase().replace(/[^.a-z0-9]/g, '') || '.mp4';
+  return `${Date.now()}-${Math.random().toString(36).substring(2, 10)}${extension}`;
+};
+
+/**
+ * Start a multipart upload of a video
+ * @param {string} uid - Firebase UID of the uploader
+ * @param {Object} file - { fileName, contentType, size } of the file to upload
+ * @returns {Promise<Object>} - The session, with partSize and partCount the client must use
+ * @throws {Error} - With status 400 if the file cannot be uploaded, 403 if it does not fit in the
+ * storage quota of the user's plan
+ */
+const startUploadSession = async (uid, { fileName, contentType, size } = {}) => {
+  const bytes = Number(size);
+  if (!Number.isInteger(bytes) || bytes <= 0) {
+    throw createError('size must be the file size in bytes', 400);
+  }
+  if (bytes > MAX_UPLOAD_BYTES) {
+    throw createError(`Files can have at most ${Math.round(MAX_UPLOAD_BYTES / MB)} MB`, 400);
+  }
+  if (contentType && !String(contentType).startsWith('video/')) {
+    throw createError('Only video files are allowed', 400);
+  }
+  // The declared size is checked here: the parts go straight to R2. Once the session is
+  // saved, its size counts against the quota while it is open
+  const reservation = await reserveStorage(uid, bytes);
+
+  const partSize = getPartSize(bytes);
+  const partCount = Math.ceil(bytes / partSize);
+  let session;
+  try {
+    const { uploadId, key } = await r2Service.createMultipartUpload(getObjectName(fileName), contentType);
+
+    session = await UploadSession.create({
+      uid,
+      uploadId,
+      key,
+      fileName,
+      contentType: contentType || 'video/mp4',
+      size: bytes,
+      partSize,
+      partCount,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+  } finally {
+    await reservation.release();
+  }
+
+  console.log(`[UPLOAD SESSION] Started upload ${session._id} for user ${uid}: ${bytes} bytes in ${partCount} parts`);
+  return session;
+};
+
+/**
+ * Get an upload session of a user
+ * @param {string} sessionId - Session id
+ * @param {string} [uid] - Firebase UID of the uploader; not checked when undefined (BYPASS_AUTH)
+ * @returns {Promise<Object>}
+ * @throws {Error} - With status 404 if the user has no such session
+ */
+const getUploadSession = async (sessionId, uid) => {
+  const session = /^[a-f0-9]{24}$/i.test(String(sessionId)) ? await UploadSession.findById(sessionId) : null;
+  if (!session || (uid !== undefined && session.uid !== uid)) {
+    throw createError('Upload not found', 404);
+  }
+  return session;
+};
+
+// Uploads can only be continued while they are open and not expired
+const assertUploading = (session) => {
+  if (session.status !== 'uploading') {
+    throw createError(`The upload is ${session.status}`, 409, 'UPLOAD_NOT_OPEN');
+  }
+  if (session.expiresAt <= new Date()) {
+    throw createError('The upload has expired', 409, 'UPLOAD_NOT_OPEN');
+  }
+};
+
+/**
+ * Presigned URLs to upload parts of a session
+ * @param {Object} session - Open upload session
+ * @param {Array<number>} [partNumbers] - Parts to upload (1 to partCount), defaults to the first ones
+ * @returns {Promise<Array<{ partNumber: number, url: string }>>}
+ * @throws {Error} - With status 400 for invalid part numbers, 409 if the upload is not open
+ */
+const getPartUploadUrls = async (session, partNumbers) => {
+  assertUploading(session);
+
+  const numbers = Array.isArray(partNumbers) && partNumbers.length > 0
+    ? [...new Set(partNumbers.map(Number))]
+    : Array.from({ length: Math.min(session.partCount, MAX_PART_URLS) }, (_, index) => index + 1);
+  if (numbers.length > MAX_PART_URLS) {
+    throw createError(`At most ${MAX_PART_URLS} part URLs can be requested at once`, 400);
+  }
+  const invalid = numbers.filter(number => !Number.isInteger(number) || number < 1 || number > session.partCount);
+  if (invalid.length > 0) {
+    throw createError(`Invalid part numbers: ${invalid.join(', ')} (parts are 1 to ${session.partCount})`, 400);
+  }
+
+  return Promise.all(numbers.map(async partNumber => ({
+    partNumber,
+    url: await r2Service.getPartUploadUrl(session.key, session.uploadId, partNumber, PART_URL_EXPIRES_SEC)
+  })));
+};
+
+/**
+ * Parts of an open session that R2 has received, to resume an interrupted upload
+ * @param {Object} session - Upload session
+ * @returns {Promise<Array<{ partNumber: number, etag: string, size: number }>>} - Empty once the upload is finished
+ */
+const getUploadedParts = async (session) => {
+  if (session.status !== 'uploading') {
+    return [];
+  }
+  return r2Service.listUploadedParts(session.key, session.uploadId);
+};
+
+/**
+ * Complete an upload once every part has been uploaded
+ * @param {Object} session - Open upload session
+ * @returns {Promise<Object>} - The completed session, with url
+ * @throws {Error} - With status 400 and missingParts if parts are missing, 409 if the upload is not open
+ */
+const completeUploadSession = async (session) => {
+  assertUploading(session);
+
+  // The ETags R2 lists are the ones of the last upload of each part
+  const parts = await r2Service.listUploadedParts(session.key, session.uploadId);
+  const uploaded = new Set(parts.map(part => part.partNumber));
+  const missingParts = Array.from({ length: session.partCount }, (_, index) => index + 1).filter(number => !uploaded.has(number));
+  if (missingParts.length > 0) {
+    const error = createError(`${missingParts.length} of ${session.partCount} parts have not been uploaded`, 400, 'UPLOAD_INCOMPLETE');
+    error.missingParts = missingParts;
+    throw error;
+  }
+  const uploadedSize = parts.reduce((total, part) => total + (part.size || 0), 0);
+  if (uploadedSize !== session.size) {
+    throw createError(`The parts have ${uploadedSize} bytes, the file has ${session.size}`, 400, 'UPLOAD_SIZE_MISMATCH');
+  }
+
+  await r2Service.completeMultipartUpload(session.key, session.uploadId, parts);
+
+  session.status = 'completed';
+  session.url = `${process.env.R2_VIDEOS_PUBLIC_DOMAIN}/${session.key}`;
+  session.finishedAt = new Date();
+  await session.save();
+
+  console.log(`[UPLOAD SESSION] Completed upload ${session._id} as ${session.key}`);
+  return session;
+};
+
+/**
+ * Delete the file of a completed upload that cannot be used (e.g. it is not a video)
+ * @param {Object} session - Completed upload session
+ * @param {string} reason - Why the file was rejected
+ */
+const rejectUploadSession = async (session, reason) => {
+  await r2Service.deleteFile(session.key);
+
+  session.status = 'rejected';
+  session.error = reason;
+  session.url = undefined;
+  await session.save();
+
+  console.log(`[UPLOAD SESSION] Rejected upload ${session._id}: ${reason}`);
+};
+
+/**
+ * Abort an open upload and delete its parts
+ * @param {Object} session - Upload session
+ * @param {string} [status='aborted'] - Status to record (expired for the cleanup job)
+ */
+const abortUploadSession = async (session, status = 'aborted') => {
+  if (session.status !== 'uploading') {
+    throw createError(`The upload is ${session.status}`, 409, 'UPLOAD_NOT_OPEN');
+  }
+
+  await r2Service.abortMultipartUpload(session.key, session.uploadId);
+
+  session.status = status;
+  session.finishedAt = new Date();
+  await session.save();
+
+  console.log(`[UPLOAD SESSION] Upload ${session._id} ${status}`);
+};
+
+/**
+ * Abort uploads that were abandoned: open sessions past their expiry, and multipart uploads
+ * in the bucket older than the session TTL that no open session tracks (e.g. the session
+ * could not be saved)
+ * @returns {Promise<{ expired: number, untracked: number }>}
+ */
+const cleanupAbandonedUploads = async () => {
+  let expired = 0;
+  let untracked = 0;
+
+  try {
+    const sessions = await UploadSession.find({ status: 'uploading', expiresAt: { $lte: new Date() } });
+    for (const session of sessions) {
+      try {
+        await abortUploadSession(session, 'expired');
+        expired++;
+      } catch (error) {
+        console.error(`[UPLOAD SESSION] Error aborting expired upload ${session._id}:`, error?.message);
+      }
+    }
+
+    const cutoff = Date.now() - SESSION_TTL_MS;
+    const uploads = await r2Service.listMultipartUploads();
+    const stale = uploads.filter(upload => upload.initiated && new Date(upload.initiated).getTime() < cutoff);
+    const tracked = new Set((await UploadSession.find({
+      status: 'uploading',
+      uploadId: { $in: stale.map(upload => upload.uploadId) }
+    }).select('uploadId').lean()).map(session => session.uploadId));
+
+    for (const upload of stale.filter(upload => !tracked.has(upload.uploadId))) {
+      try {
+        await r2Service.abortMultipartUpload(upload.key, upload.uploadId);
+        untracked++;
+      } catch (error) {
+        console.error(`[UPLOAD SESSION] Error aborting untracked upload ${upload.uploadId}:`, error?.message);
+      }
+    }
+
+    if (expired > 0 || untracked > 0) {
+      console.log(`[UPLOAD SESSION] Aborted ${expired} expired and ${untracked} untracked multipart uploads`);
+    }
+  } catch (error) {
+    console.error('[UPLOAD SESSION] Error cleaning up abandoned uploads:', error?.message);
+  }
+
+  return { expired, untracked };
+};
+
+module.exports = {
+  startUploadSession,
+  getUploadSession,
+  getPartUploadUrls,
+  getUploadedParts,
+  completeUploadSession,
+  rejectUploadSession,
+  abortUploadSession,
+  cleanupAbandonedUploads
+};
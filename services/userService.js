@@ -1,6 +1,9 @@
 // File: services/userService.js
 const User = require('../models/User');
 const { hasReachedLimit, getLimit } = require('../utils/roleLimits'); // Import limit utils
+const { TOKEN_FIELDS, encryptToken, encryptAccountTokens, decryptAccountTokens } = require('../utils/tokenEncryption');
+const { getTwitterTokenType, hasTwitterCredentials } = require('./twitterService');
+const { ACCOUNT_ID_FIELDS } = require('./accountHealthService');
 const userService = require('./userService');
 
 /**
@@ -63,7 +66,8 @@ const getUserByUid = async (uid) => {
 };
 
 /**
- * Get a user's social media tokens for a specific platform
+ * Get a user's social media tokens for a specific platform.
+ * Tokens are stored encrypted and returned decrypted, as plain objects.
  * @param {string} uid - Firebase UID
  * @param {string} platform - Social media platform (e.g., 'twitter', 'tiktok')
  * @returns {Promise<Array|Object|null>} - The tokens for the specified platform or null if not found
@@ -86,7 +90,10 @@ const getSocialMediaTokens = async (uid, platform) => {
     }
 
     console.log(`[USER SERVICE] Found ${platform} tokens for user ${uid}`);
-    return user.providerData[platform];
+    const accounts = user.providerData[platform];
+    return Array.isArray(accounts)
+      ? accounts.map(account => decryptAccountTokens(platform, account))
+      : decryptAccountTokens(platform, accounts);
   } catch (error) {
     console.error(`[USER SERVICE] Error getting ${platform} tokens for user ${uid}:`, error);
     throw error;
@@ -143,9 +150,23 @@ const isUserPro = async (uid) => {
   }
 };
 
+/**
+ * Count the social accounts a user has connected, across all providers
+ * @param {Object} providerData - User.providerData
+ * @returns {number}
+ */
+const countConnectedAccounts = (providerData) => {
+  return Object.keys(TOKEN_FIELDS).reduce((total, provider) => {
+    const accounts = providerData?.[provider];
+    if (Array.isArray(accounts)) return total + accounts.length;
+    return total + (accounts ? 1 : 0); // Single account object stored by older versions
+  }, 0);
+};
+
 /**
  * Update user's social media tokens for a specific provider.
  * Handles merging/adding multiple accounts correctly, especially for TikTok.
+ * Tokens are encrypted before they are saved.
  * @param {string} uid - User's Firebase UID
  * @param {string} provider - Social media provider (e.g., 'twitter', 'tiktok')
  * @param {Array|Object} tokenData - Token data to store. Should be an array for multi-account providers like TikTok/Twitter.
@@ -201,16 +222,15 @@ const updateSocialMediaTokens = async (uid, provider, tokenData) => {
     const accountLimit = getLimit(userRole, 'socialAccounts');
 
     const existingAccounts = user.providerData[provider];
-    const otherProvider = provider === 'tiktok' ? 'twitter' : 'tiktok';
-    const existingOtherAccounts = user.providerData[otherProvider] || [];
     
-    let currentTotalAccounts = existingAccounts.length + (Array.isArray(existingOtherAccounts) ? existingOtherAccounts.length : (existingOtherAccounts ? 1 : 0));
+    let currentTotalAccounts = countConnectedAccounts(user.providerData);
     
-    const accountMap = new Map(existingAccounts.map(acc => [acc.openId || acc.userId, acc]));
+    const idField = ACCOUNT_ID_FIELDS[provider] || 'userId';
+    const accountMap = new Map(existingAccounts.map(acc => [acc[idField], acc]));
     let addedCount = 0;
 
     for (const newAccount of accountsToProcess) {
-      const accountId = newAccount.openId || newAccount.userId; // Identifier
+      const accountId = newAccount[idField]; // Identifier
       if (!accountId) {
         console.warn(`[USER SERVICE] Skipping account for provider ${provider} due to missing ID:`, newAccount);
         continue; // Use continue instead of return to process other accounts
@@ -221,16 +241,49 @@ const updateSocialMediaTokens = async (uid, provider, tokenData) => {
          console.warn(`[USER SERVICE] Skipping TikTok account ${accountId}: Missing accessToken or openId.`);
          continue;
       }
-       if (provider === 'twitter' && (!newAccount.accessToken || !newAccount.accessTokenSecret || !newAccount.userId)) {
+      if (provider === 'instagram' && (!newAccount.accessToken || !newAccount.userId)) {
+         console.warn(`[USER SERVICE] Skipping Instagram account ${accountId}: Missing accessToken or userId.`);
+         continue;
+      }
+      if (provider === 'linkedin' && (!newAccount.accessToken || !newAccount.userId)) {
+         console.warn(`[USER SERVICE] Skipping LinkedIn account ${accountId}: Missing accessToken or userId.`);
+         continue;
+      }
+      if (provider === 'youtube' && (!newAccount.accessToken || !newAccount.channelId)) {
+         console.warn(`[USER SERVICE] Skipping YouTube channel ${accountId}: Missing accessToken or channelId.`);
+         continue;
+      }
+      if (provider === 'bluesky' && (!newAccount.accessToken || !newAccount.did || !newAccount.serviceUrl)) {
+         console.warn(`[USER SERVICE] Skipping Bluesky account ${accountId}: Missing accessToken, did or serviceUrl.`);
+         continue;
+      }
+      if (provider === 'mastodon' && (!newAccount.accessToken || !newAccount.instanceUrl)) {
+         console.warn(`[USER SERVICE] Skipping Mastodon account ${accountId}: Missing accessToken or instanceUrl.`);
+         continue;
+      }
+      if (provider === 'facebook' && !newAccount.accessToken) {
+         console.warn(`[USER SERVICE] Skipping Facebook Page ${accountId}: Missing page access token.`);
+         continue;
+      }
+       if (provider === 'twitter' && (!hasTwitterCredentials(newAccount) || !newAccount.userId)) {
          console.warn(`[USER SERVICE] Skipping Twitter account ${accountId}: Missing required tokens or userId.`);
          continue;
        }
 
+      const encryptedAccount = encryptAccountTokens(provider, newAccount);
+
       if (accountMap.has(accountId)) {
         // Update existing account - doesn't count towards limit check here
         console.log(`[USER SERVICE] Updating existing ${provider} account: ${accountId}`);
         const existingAccount = accountMap.get(accountId);
-        Object.assign(existingAccount, newAccount, { tokensUpdatedAt: new Date() });
+        // Reconnecting a Twitter account with another token type drops the tokens of the old type
+        if (provider === 'twitter' && getTwitterTokenType(existingAccount) !== getTwitterTokenType(newAccount)) {
+          for (const field of [...TOKEN_FIELDS.twitter, 'tokenExpiresAt', 'scope']) {
+            delete existingAccount[field];
+          }
+        }
+        // Reconnecting the account gives it working tokens again
+        Object.assign(existingAccount, encryptedAccount, { tokensUpdatedAt: new Date(), health: { status: 'healthy', lastCheckedAt: new Date() } });
         accountMap.set(accountId, existingAccount); // Ensure map is updated
       } else {
         // Check limit BEFORE adding a NEW account
@@ -243,9 +296,10 @@ const updateSocialMediaTokens = async (uid, provider, tokenData) => {
         // Add new account
         console.log(`[USER SERVICE] Adding new ${provider} account: ${accountId}`);
         const accountToAdd = {
-            ...(provider === 'tiktok' ? { openId: accountId } : { userId: accountId }),
-            ...newAccount,
-            tokensUpdatedAt: new Date()
+            [idField]: accountId,
+            ...encryptedAccount,
+            tokensUpdatedAt: new Date(),
+            health: { status: 'healthy', lastCheckedAt: new Date() }
         };
         accountMap.set(accountId, accountToAdd);
         currentTotalAccounts++; // Increment count after deciding to add
@@ -279,6 +333,7 @@ const updateSocialMediaTokens = async (uid, provider, tokenData) => {
 
 /**
  * Updates the access and refresh tokens for a specific TikTok account of a user.
+ * The tokens are encrypted before they are saved.
  * @param {string} uid - The Firebase UID of the user.
  * @param {string} openId - The open_id of the TikTok account to update.
  * @param {string} newAccessToken - The new access token.
@@ -316,13 +371,13 @@ const updateTikTokTokens = async (uid, openId, newAccessToken, newRefreshToken)
     // Prepare the update object
     const updatePathPrefix = `providerData.tiktok.${accountIndex}`;
     const updateData = {
-      [`${updatePathPrefix}.accessToken`]: newAccessToken,
+      [`${updatePathPrefix}.accessToken`]: encryptToken(newAccessToken),
       [`${updatePathPrefix}.tokensUpdatedAt`]: new Date()
     };
 
     // Only update the refresh token if a new one is provided
     if (newRefreshToken) {
-      updateData[`${updatePathPrefix}.refreshToken`] = newRefreshToken;
+      updateData[`${updatePathPrefix}.refreshToken`] = encryptToken(newRefreshToken);
       console.log('[USER SERVICE] New refresh token provided, updating.');
     } else {
        console.log('[USER SERVICE] No new refresh token provided, keeping the old one.');
@@ -390,6 +445,65 @@ const removeSocialMediaConnection = async (uid, platform) => {
   }
 };
 
+/**
+ * Store refreshed tokens of a connected account.
+ * The tokens are encrypted before they are saved; tokens that are not given are kept.
+ * @param {string} uid - Firebase UID of the user
+ * @param {string} provider - Social media provider (e.g. 'twitter', 'instagram')
+ * @param {string} accountId - Id of the account (TikTok openId, Facebook pageId, otherwise userId)
+ * @param {Object} tokens - { accessToken, refreshToken, tokenExpiresAt, refreshTokenExpiresAt }
+ * @returns {Promise<boolean>} - True if the account was found and updated
+ */
+const updateAccountTokens = async (uid, provider, accountId, { accessToken, refreshToken, tokenExpiresAt, refreshTokenExpiresAt } = {}) => {
+  const idField = ACCOUNT_ID_FIELDS[provider];
+  if (!uid || !idField || !accountId || !accessToken) {
+    console.error('[USER SERVICE - updateAccountTokens] Missing required arguments.');
+    return false;
+  }
+
+  try {
+    const prefix = `providerData.${provider}.$`;
+    const updateData = {
+      [`${prefix}.accessToken`]: encryptToken(accessToken),
+      [`${prefix}.tokensUpdatedAt`]: new Date()
+    };
+    if (refreshToken) {
+      updateData[`${prefix}.refreshToken`] = encryptToken(refreshToken);
+    }
+    if (tokenExpiresAt) {
+      updateData[`${prefix}.tokenExpiresAt`] = tokenExpiresAt;
+    }
+    if (refreshTokenExpiresAt) {
+      updateData[`${prefix}.refreshTokenExpiresAt`] = refreshTokenExpiresAt;
+    }
+
+    const result = await User.updateOne(
+      { uid, [`providerData.${provider}.${idField}`]: accountId },
+      { $set: updateData }
+    );
+
+    if (result.matchedCount === 0) {
+      console.error(`[USER SERVICE] ${provider} account ${accountId} not found for user ${uid}.`);
+      return false;
+    }
+
+    console.log(`[USER SERVICE] Successfully updated ${provider} tokens for account ${accountId} of user ${uid}.`);
+    return true;
+  } catch (error) {
+    console.error(`[USER SERVICE] Error updating ${provider} tokens for ${uid}/${accountId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Store refreshed OAuth 2.0 tokens of a Twitter account
+ * @param {string} uid - Firebase UID of the user
+ * @param {string} userId - Twitter user_id of the account
+ * @param {Object} tokens - { accessToken, refreshToken, tokenExpiresAt }
+ * @returns {Promise<boolean>} - True if the account was found and updated
+ */
+const updateTwitterTokens = (uid, userId, tokens) => updateAccountTokens(uid, 'twitter', userId, tokens);
+
 /**
  * Remove a specific TikTok account from user's TikTok connections
  * @param {string} uid - User's Firebase UID
@@ -496,6 +610,54 @@ const removeTwitterAccount = async (uid, userId) => {
 };
 
 
+/**
+ * Store the organization pages a LinkedIn account can post to
+ * @param {string} uid - Firebase UID of the user
+ * @param {string} accountId - LinkedIn member id
+ * @param {Array} organizations - Organizations from linkedinService.getOrganizations
+ * @returns {Promise<boolean>} - True if the account was found and updated
+ */
+const updateLinkedInOrganizations = async (uid, accountId, organizations) => {
+  try {
+    const result = await User.updateOne(
+      { uid, 'providerData.linkedin.userId': accountId },
+      { $set: { 'providerData.linkedin.$.organizations': organizations } }
+    );
+    return result.matchedCount > 0;
+  } catch (error) {
+    console.error(`[USER SERVICE] Error updating LinkedIn organizations for ${uid}/${accountId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Remove a connected account of a provider (e.g. an Instagram account or a Facebook Page)
+ * @param {string} uid - User's Firebase UID
+ * @param {string} provider - Social media provider
+ * @param {string} accountId - Id of the account to remove (Facebook pageId, otherwise userId)
+ * @returns {Promise<Object>} - The updated user
+ */
+const removeSocialAccount = async (uid, provider, accountId) => {
+  if (!uid || !provider || !accountId) {
+    throw new Error('User ID, provider and account ID are required');
+  }
+
+  console.log(`[USER SERVICE] Removing ${provider} account ${accountId} for user ${uid}`);
+
+  const updatedUser = await User.findOneAndUpdate(
+    { uid },
+    { $pull: { [`providerData.${provider}`]: { [ACCOUNT_ID_FIELDS[provider] || 'userId']: accountId } } },
+    { new: true }
+  );
+
+  if (!updatedUser) {
+    throw new Error('User not found');
+  }
+
+  console.log(`[USER SERVICE] Successfully removed ${provider} account ${accountId} for user ${uid}`);
+  return updatedUser;
+};
+
 /**
  * Create a new user
  * @param {Object} userData - User data including uid, email, displayName
@@ -679,6 +841,11 @@ module.exports = {
   removeTwitterAccount,
   createUser,
   updateTikTokTokens,
+  updateTwitterTokens,
+  updateAccountTokens,
+  updateLinkedInOrganizations,
+  removeSocialAccount,
+  countConnectedAccounts,
   incrementPostCount,
   getPostUsage
 };
\ No newline at end of file
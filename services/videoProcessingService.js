@@ -0,0 +1,401 @@
+// File: services/videoProcessingService.js
+const { execFile } = require('child_process');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const r2Service = require('./r2Service');
+const { downloadVideoToTempFile, removeTempFile } = require('../utils/videoDownload');
+
+/**
+ * Inspection of videos with ffprobe, and transcoding with ffmpeg into a rendition that fits the
+ * limits of the platforms a post is published to. The binaries come from ffprobe-static and
+ * ffmpeg-static unless FFPROBE_PATH / FFMPEG_PATH point to other ones.
+ */
+
+const resolveBinary = (envPath, packageName, getPath) => {
+  if (envPath) {
+    return envPath;
+  }
+  try {
+    return getPath(require(packageName));
+  } catch (error) {
+    console.warn(`[VIDEO PROCESSING] ${packageName} is not installed, set its path in the environment`);
+    return undefined;
+  }
+};
+
+const FFPROBE_PATH = resolveBinary(process.env.FFPROBE_PATH, 'ffprobe-static', ffprobe => ffprobe.path);
+const FFMPEG_PATH = resolveBinary(process.env.FFMPEG_PATH, 'ffmpeg-static', ffmpeg => ffmpeg);
+
+const PROBE_TIMEOUT_MS = parseInt(process.env.VIDEO_PROBE_TIMEOUT_MS) || 30 * 1000;
+const TRANSCODE_TIMEOUT_MS = parseInt(process.env.VIDEO_TRANSCODE_TIMEOUT_MS) || 30 * 60 * 1000;
+
+// Renditions are H.264/AAC MP4, which every platform accepts
+const RENDITION_AUDIO_BITRATE = 128 * 1000;
+// Below this video bitrate a rendition that fits a size limit is not worth publishing
+const MIN_RENDITION_VIDEO_BITRATE = 500 * 1000;
+// Part of the size budget left for the container and bitrate variations
+const RENDITION_SIZE_MARGIN = 0.9;
+const THUMBNAIL_WIDTH = 480;
+
+// ffprobe errors of files that are not media, as opposed to files it could not read
+// (formats that are not video containers are refused by the format whitelist)
+const INVALID_MEDIA_PATTERN = /Invalid data found|moov atom not found|could not find codec parameters|End of file|not on whitelist/i;
+
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+// Protocols ffmpeg/ffprobe may open for a URL source, including the segments of playlists
+const URL_PROTOCOL_WHITELIST = 'https,tls,tcp,http';
+
+// Demuxers ffmpeg/ffprobe may use. Playlists and scripts (hls, concat, ...) name other files and
+// URLs to read, which would get around the protocol whitelist and the address checks.
+const FORMAT_WHITELIST = 'mov,mp4,matroska,webm,avi,flv,mpegts,mpeg,asf,ogg';
+
+// Addresses of the server's own network, which URL sources must not reach
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const createInvalidUrlError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_VIDEO_URL';
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Check that every address the host of a URL resolves to is public, so that a request cannot
+ * make the server fetch from itself or its private network
+ * @param {string} url - http(s) URL
+ * @throws {Error} - With code INVALID_VIDEO_URL and status 400 for a private or loopback address,
+ *   or the DNS error if the host cannot be resolved
+ */
+const assertPublicUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  if (addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw createInvalidUrlError('The video URL must point to a public address');
+  }
+};
+
+/**
+ * Input arguments of ffmpeg/ffprobe for a video source. Sources come from requests, so only
+ * http(s) URLs of public addresses and the files of the temp directory are read, and only with
+ * the demuxers of video containers; file:, other protocols, other local paths and playlists
+ * would let a request read the server's files or its private network.
+ * @param {string} source - http(s) URL, or a file of the temp directory
+ * @returns {Promise<Array<string>>} - Protocol and format whitelists followed by the input
+ * @throws {Error} - With code INVALID_VIDEO_URL and status 400 for any other source (see assertPublicUrl)
+ */
+const getInputArgs = async (source) => {
+  const whitelists = ['-format_whitelist', FORMAT_WHITELIST, '-protocol_whitelist'];
+  if (typeof source === 'string' && /^https?:\/\//i.test(source)) {
+    await assertPublicUrl(source);
+    return [...whitelists, URL_PROTOCOL_WHITELIST, source];
+  }
+
+  const resolved = typeof source === 'string' && !/^[a-z][a-z0-9+.-]*:/i.test(source) ? path.resolve(source) : '';
+  if (resolved.startsWith(TEMP_DIR + path.sep)) {
+    return [...whitelists, 'file', resolved];
+  }
+
+  throw createInvalidUrlError('The video URL must be an http or https URL');
+};
+
+// Run a binary and resolve to its stdout (a Buffer with encoding 'buffer')
+const run = (binary, args, timeout, encoding = 'utf8') => new Promise((resolve, reject) => {
+  if (!binary) {
+    const error = new Error('Video processing is not available: the ffmpeg/ffprobe binary is missing');
+    error.code = 'VIDEO_PROCESSING_UNAVAILABLE';
+    return reject(error);
+  }
+
+  execFile(binary, args, { timeout, encoding, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error) {
+      error.stderr = String(stderr);
+      return reject(error);
+    }
+    resolve(stdout);
+  });
+});
+
+// Frame rate from an ffprobe fraction (e.g. "30000/1001")
+const parseFrameRate = (rate) => {
+  const [numerator, denominator] = String(rate || '').split('/').map(Number);
+  if (!numerator || !denominator) {
+    return undefined;
+  }
+  return Math.round((numerator / denominator) * 100) / 100;
+};
+
+const parseNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : undefined;
+};
+
+// MIME type of a container; ffprobe reports MP4 and QuickTime files with the same format name
+const getContainerMimeType = (format, videoCodec) => {
+  const formatName = format?.format_name || '';
+  if (formatName.includes('mp4') || formatName.includes('mov')) {
+    return (format?.tags?.major_brand || '').trim() === 'qt' ? 'video/quicktime' : 'video/mp4';
+  }
+  if (formatName.includes('webm') || formatName.includes('matroska')) {
+    return ['vp8', 'vp9', 'av1'].includes(videoCodec) ? 'video/webm' : 'video/x-matroska';
+  }
+  if (formatName.includes('avi')) {
+    return 'video/x-msvideo';
+  }
+  return formatName ? `video/x-${formatName.split(',')[0]}` : undefined;
+};
+
+/**
+ * Inspect a video with ffprobe
+ * @param {string} source - http(s) URL of the video, or a file of the temp directory
+ * @returns {Promise<Object>} - { container, mimeType, videoCodec, audioCodec, width, height, duration (seconds),
+ *   bitrate (bits per second), frameRate, size (bytes) }
+ * @throws {Error} - With code INVALID_VIDEO_URL for other sources, INVALID_MEDIA if the source is not
+ *   a video, VIDEO_PROCESSING_UNAVAILABLE without ffprobe, or another error if ffprobe failed
+ *   (e.g. a timeout or an unreachable URL)
+ */
+const probeVideo = async (source) => {
+  const input = await getInputArgs(source);
+  let output;
+  try {
+    output = await run(FFPROBE_PATH, [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      ...input
+    ], PROBE_TIMEOUT_MS);
+  } catch (error) {
+    // ffprobe read the file but could not parse it as media (other failures are e.g. network errors)
+    const lastLine = (error.stderr || '').trim().split('\n').pop();
+    if (INVALID_MEDIA_PATTERN.test(error.stderr || '')) {
+      const invalidError = new Error(`The file is not a readable video: ${lastLine}`);
+      invalidError.code = 'INVALID_MEDIA';
+      throw invalidError;
+    }
+    throw new Error(`Failed to inspect video: ${lastLine || error.message}`, { cause: error });
+  }
+
+  const { format = {}, streams = [] } = JSON.parse(output || '{}');
+  const video = streams.find(stream => stream.codec_type === 'video' && stream.disposition?.attached_pic !== 1);
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  if (!video) {
+    const error = new Error('The file has no video stream');
+    error.code = 'INVALID_MEDIA';
+    throw error;
+  }
+
+  // Phone videos are stored landscape with a rotation; platforms show them as displayed
+  const rotation = Math.abs(Number(video.tags?.rotate || video.side_data_list?.find(data => data.rotation !== undefined)?.rotation || 0));
+  const rotated = rotation === 90 || rotation === 270;
+
+  return {
+    container: format.format_name,
+    mimeType: getContainerMimeType(format, video.codec_name),
+    videoCodec: video.codec_name,
+    audioCodec: audio?.codec_name,
+    width: rotated ? video.height : video.width,
+    height: rotated ? video.width : video.height,
+    duration: parseNumber(format.duration) || parseNumber(video.duration),
+    bitrate: parseNumber(format.bit_rate),
+    frameRate: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate),
+    size: parseNumber(format.size)
+  };
+};
+
+/**
+ * Inspect a video, or resolve to null when it cannot be inspected here (ffprobe missing, timeout,
+ * unreachable URL). Videos that are not readable still throw INVALID_MEDIA, and sources that are
+ * not http(s) URLs INVALID_VIDEO_URL.
+ * @param {string} source - http(s) URL of the video, or a file of the temp directory
+ * @returns {Promise<Object|null>} - See probeVideo
+ */
+const inspectVideo = async (source) => {
+  try {
+    return await probeVideo(source);
+  } catch (error) {
+    if (error.code === 'INVALID_MEDIA' || error.code === 'INVALID_VIDEO_URL') {
+      throw error;
+    }
+    console.warn('[VIDEO PROCESSING] Could not inspect video:', error?.message);
+    return null;
+  }
+};
+
+// Smallest defined value of a limit across platforms
+const minLimit = (limitsList, field) => {
+  const values = limitsList.map(limits => limits?.[field]).filter(value => Number.isFinite(value));
+  return values.length > 0 ? Math.min(...values) : undefined;
+};
+
+const toEven = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+/**
+ * Encoding settings of a rendition that fits every given platform limit
+ * @param {Object} info - Inspection of the original video (see probeVideo)
+ * @param {Array<Object>} limitsList - videoLimits of the platforms the rendition is for
+ * @returns {{ width: number, height: number, frameRate: number|undefined, videoBitrate: number|undefined }}
+ * @throws {Error} - If the size limit would need a bitrate too low to be watchable
+ */
+const getRenditionTarget = (info, limitsList) => {
+  const maxLongSide = minLimit(limitsList, 'maxLongSide');
+  const maxShortSide = minLimit(limitsList, 'maxShortSide');
+  const maxFrameRate = minLimit(limitsList, 'maxFrameRate');
+  const minFrameRate = Math.max(...limitsList.map(limits => limits?.minFrameRate || 0));
+  const maxBitrate = minLimit(limitsList, 'maxBitrate');
+  const maxBytes = minLimit(limitsList, 'maxBytes');
+
+  const longSide = Math.max(info.width || 0, info.height || 0);
+  const shortSide = Math.min(info.width || 0, info.height || 0);
+  const scale = Math.min(
+    1,
+    maxLongSide && longSide ? maxLongSide / longSide : 1,
+    maxShortSide && shortSide ? maxShortSide / shortSide : 1
+  );
+
+  let frameRate;
+  if (info.frameRate && maxFrameRate && info.frameRate > maxFrameRate) {
+    frameRate = maxFrameRate;
+  } else if (info.frameRate && minFrameRate && info.frameRate < minFrameRate) {
+    frameRate = minFrameRate;
+  }
+
+  // The video bitrate is capped by the platforms' bitrate limit and by what fits their size limit
+  const bitrateCaps = [];
+  if (maxBitrate) {
+    bitrateCaps.push(maxBitrate - RENDITION_AUDIO_BITRATE);
+  }
+  if (maxBytes && info.duration) {
+    bitrateCaps.push(((maxBytes * 8 * RENDITION_SIZE_MARGIN) / info.duration) - RENDITION_AUDIO_BITRATE);
+  }
+  const videoBitrate = bitrateCaps.length > 0 ? Math.floor(Math.min(...bitrateCaps)) : undefined;
+  if (videoBitrate !== undefined && videoBitrate < MIN_RENDITION_VIDEO_BITRATE) {
+    const error = new Error('The video is too long to be transcoded into a file the platforms accept');
+    error.code = 'TRANSCODE_NOT_POSSIBLE';
+    throw error;
+  }
+
+  return {
+    width: info.width ? toEven(info.width * scale) : undefined,
+    height: info.height ? toEven(info.height * scale) : undefined,
+    frameRate,
+    videoBitrate
+  };
+};
+
+/**
+ * Transcode a video into an H.264/AAC MP4
+ * @param {string} inputPath - Local file of the original video
+ * @param {string} outputPath - File to write the rendition to
+ * @param {Object} target - Result of getRenditionTarget
+ */
+const transcodeVideo = async (inputPath, outputPath, { width, height, frameRate, videoBitrate }) => {
+  const input = await getInputArgs(inputPath);
+  const args = ['-y', ...input.slice(0, -1), '-i', input[input.length - 1], '-map', '0:v:0', '-map', '0:a:0?'];
+
+  args.push('-c:v', 'libx264', '-preset', 'medium', '-profile:v', 'high', '-pix_fmt', 'yuv420p');
+  if (width && height) {
+    args.push('-vf', `scale=${width}:${height}`);
+  }
+  if (frameRate) {
+    args.push('-r', String(frameRate));
+  }
+  if (videoBitrate) {
+    args.push('-b:v', String(videoBitrate), '-maxrate', String(videoBitrate), '-bufsize', String(videoBitrate * 2));
+  } else {
+    args.push('-crf', '23');
+  }
+
+  args.push('-c:a', 'aac', '-b:a', String(RENDITION_AUDIO_BITRATE), '-ac', '2', '-movflags', '+faststart', outputPath);
+
+  console.log(`[VIDEO PROCESSING] Transcoding ${inputPath} (${width}x${height}${frameRate ? `, ${frameRate} fps` : ''}${videoBitrate ? `, ${videoBitrate} bps` : ''})`);
+  await run(FFMPEG_PATH, args, TRANSCODE_TIMEOUT_MS);
+};
+
+/**
+ * JPEG frame of a video, taken a second in (or at the start of shorter videos)
+ * @param {string} source - http(s) URL of the video, or a file of the temp directory
+ * @param {number} [width=480] - Width of the thumbnail, the height keeps the aspect ratio
+ * @returns {Promise<Buffer>}
+ */
+const createThumbnail = async (source, width = THUMBNAIL_WIDTH) => {
+  const input = await getInputArgs(source);
+  const extract = (seek) => run(FFMPEG_PATH, [
+    '-v', 'error',
+    '-ss', String(seek),
+    ...input.slice(0, -1),
+    '-i', input[input.length - 1],
+    '-frames:v', '1',
+    '-vf', `scale=${width}:-2`,
+    '-f', 'image2',
+    '-c:v', 'mjpeg',
+    'pipe:1'
+  ], PROBE_TIMEOUT_MS, 'buffer');
+
+  const thumbnail = await extract(1);
+  return thumbnail.length > 0 ? thumbnail : extract(0);
+};
+
+// File name of a rendition: next to the original when it is in the videos bucket, else by post id
+const getRenditionFileName = (videoUrl, postId) => {
+  const publicDomain = process.env.R2_VIDEOS_PUBLIC_DOMAIN;
+  if (publicDomain && videoUrl?.startsWith(`${publicDomain}/video-posts/`)) {
+    const originalName = decodeURIComponent(videoUrl.slice(`${publicDomain}/video-posts/`.length).split('?')[0]);
+    return `${originalName.replace(/\.[^./]+$/, '')}.rendition.mp4`;
+  }
+  return `renditions/${postId}.mp4`;
+};
+
+/**
+ * Create the rendition of a post's video for the platforms whose limits it does not fit,
+ * and store it in R2 next to the original
+ * @param {Object} post - Post with video_url
+ * @param {Array<Object>} limitsList - videoLimits of the platforms the rendition is for
+ * @returns {Promise<{ url: string, key: string, info: Object }>}
+ */
+const createRendition = async (post, limitsList) => {
+  await assertPublicUrl(post.video_url);
+  const { tempFilePath } = await downloadVideoToTempFile(post.video_url, 'rendition-source');
+  const outputPath = path.join(TEMP_DIR, `rendition-${post._id}-${Date.now()}.mp4`);
+
+  try {
+    const info = post.video_info?.width ? post.video_info : await probeVideo(tempFilePath);
+    await transcodeVideo(tempFilePath, outputPath, getRenditionTarget(info, limitsList));
+
+    const renditionInfo = await probeVideo(outputPath);
+    const fileName = getRenditionFileName(post.video_url, post._id);
+    const { url, key } = await r2Service.uploadFileFromPath(outputPath, fileName, 'video/mp4', {
+      owner: post.userId,
+      name: path.basename(fileName),
+      info: renditionInfo,
+      // The post was accepted with its video; its rendition is stored even over the quota
+      enforceQuota: false
+    });
+    console.log(`[VIDEO PROCESSING] Rendition of post ${post._id} stored as ${key}`);
+
+    return { url, key, info: renditionInfo };
+  } finally {
+    await removeTempFile(tempFilePath);
+    if (fs.existsSync(outputPath)) {
+      await removeTempFile(outputPath);
+    }
+  }
+};
+
+module.exports = {
+  probeVideo,
+  inspectVideo,
+  getRenditionTarget,
+  transcodeVideo,
+  createRendition,
+  createThumbnail
+};
@@ -0,0 +1,423 @@
+// File: services/youtubeService.js
+const axios = require('axios');
+const fs = require('fs');
+const { trackAccountHealth } = require('./accountHealthService');
+const { downloadVideoToTempFile, removeTempFile } = require('../utils/videoDownload');
+
+/**
+ * YouTube Shorts publishing through the YouTube Data API.
+ *
+ * Connecting: Google OAuth 2.0 with PKCE and offline access, so a refresh token is issued.
+ * Access tokens are valid for an hour and are refreshed before they are used.
+ * Publishing: the video is downloaded and sent with a resumable upload; an interrupted
+ * upload continues from the last byte YouTube received.
+ * YouTube makes vertical videos of up to 3 minutes a Short; #Shorts is added to the title
+ * or description so the video is also listed as one.
+ *
+ * The base URLs can point at a local mock of the Google endpoints.
+ */
+
+const YOUTUBE_CLIENT_ID = process.env.YOUTUBE_CLIENT_ID;
+const YOUTUBE_CLIENT_SECRET = process.env.YOUTUBE_CLIENT_SECRET;
+const GOOGLE_AUTH_URL = process.env.GOOGLE_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth';
+const GOOGLE_TOKEN_URL = process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token';
+const YOUTUBE_API_BASE_URL = process.env.YOUTUBE_API_BASE_URL || 'https://www.googleapis.com';
+
+const YOUTUBE_SCOPES = [
+  'https://www.googleapis.com/auth/youtube.upload',
+  'https://www.googleapis.com/auth/youtube.readonly'
+];
+
+const PRIVACY_STATUSES = ['public', 'unlisted', 'private'];
+const DEFAULT_PRIVACY_STATUS = PRIVACY_STATUSES.includes(process.env.YOUTUBE_DEFAULT_PRIVACY) ? process.env.YOUTUBE_DEFAULT_PRIVACY : 'public';
+// People & Blogs
+const DEFAULT_CATEGORY_ID = process.env.YOUTUBE_DEFAULT_CATEGORY_ID || '22';
+
+// YouTube metadata limits
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS_LENGTH = 500;
+
+const SHORTS_HASHTAG = '#Shorts';
+
+// Attempts to resume an interrupted upload
+const UPLOAD_ATTEMPTS = parseInt(process.env.YOUTUBE_UPLOAD_ATTEMPTS) || 3;
+
+// Access tokens are refreshed when they expire within this window
+const TOKEN_REFRESH_WINDOW_MS = 5 * 60 * 1000;
+
+// Data API error reasons that go away on their own
+const TRANSIENT_YOUTUBE_REASONS = ['quotaExceeded', 'rateLimitExceeded', 'userRateLimitExceeded', 'backendError', 'internalError'];
+
+const getRedirectUri = () => `${process.env.BACKEND_URL}/youtube/callback`;
+
+// Wrap an axios error, keeping Google's error message and reason
+function toYouTubeError(error, action) {
+  const data = error?.response?.data;
+  const apiError = typeof data?.error === 'object' ? data.error : null;
+  const apiMessage = apiError?.message || data?.error_description || (typeof data?.error === 'string' ? data.error : undefined);
+  const youtubeError = new Error(`Failed to ${action}: ${apiMessage || error?.message || 'Unknown error'}`, { cause: error });
+  youtubeError.code = apiError?.errors?.[0]?.reason || (typeof data?.error === 'string' ? data.error : undefined);
+  return youtubeError;
+}
+
+/**
+ * Generate the Google authorization URL
+ * @param {Object} options
+ * @param {string} options.state - Signed state, verified by the callback
+ * @param {string} options.codeChallenge - PKCE S256 code challenge
+ * @returns {string} - Authorization URL
+ */
+function getAuthUrl({ state, codeChallenge }) {
+  if (!YOUTUBE_CLIENT_ID) {
+    throw new Error('Missing YouTube client ID');
+  }
+
+  const params = new URLSearchParams({
+    client_id: YOUTUBE_CLIENT_ID,
+    redirect_uri: getRedirectUri(),
+    response_type: 'code',
+    scope: YOUTUBE_SCOPES.join(' '),
+    access_type: 'offline',
+    // Google only issues a refresh token when the user is asked for consent
+    prompt: 'consent',
+    include_granted_scopes: 'true',
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${GOOGLE_AUTH_URL}?${params.toString()}`;
+}
+
+// Map a token endpoint response to the stored token fields
+const toTokenData = (data) => ({
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token,
+  tokenExpiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000) : undefined,
+  scope: data.scope
+});
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code - Authorization code from the callback
+ * @param {string} codeVerifier - PKCE code verifier of the connect flow
+ * @returns {Promise<{ accessToken: string, refreshToken?: string, tokenExpiresAt?: Date, scope?: string }>}
+ */
+async function getAccessToken(code, codeVerifier) {
+  try {
+    console.log('[YOUTUBE] Exchanging authorization code for access token');
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getRedirectUri(),
+      client_id: YOUTUBE_CLIENT_ID,
+      client_secret: YOUTUBE_CLIENT_SECRET,
+      code_verifier: codeVerifier
+    });
+
+    const response = await axios.post(GOOGLE_TOKEN_URL, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    if (!response.data?.access_token) {
+      throw new Error('Google did not return an access token');
+    }
+    return toTokenData(response.data);
+  } catch (error) {
+    console.error('[YOUTUBE] Code exchange failed:', error?.response?.data || error?.message);
+    throw toYouTubeError(error, 'exchange authorization code');
+  }
+}
+
+/**
+ * Refresh an access token
+ * @param {string} refreshToken - Refresh token of the account
+ * @returns {Promise<{ accessToken: string, tokenExpiresAt?: Date }>}
+ */
+async function refreshAccessToken(refreshToken) {
+  try {
+    const params = new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: YOUTUBE_CLIENT_ID,
+      client_secret: YOUTUBE_CLIENT_SECRET
+    });
+
+    const response = await axios.post(GOOGLE_TOKEN_URL, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    // Google keeps the refresh token, it is not returned again
+    const { accessToken, tokenExpiresAt } = toTokenData(response.data);
+    return { accessToken, tokenExpiresAt };
+  } catch (error) {
+    console.error('[YOUTUBE] Token refresh failed:', error?.response?.data || error?.message);
+    throw toYouTubeError(error, 'refresh YouTube access token');
+  }
+}
+
+/**
+ * Whether an account's access token should be refreshed before it is used
+ * @param {Object} account - YouTube account from providerData
+ * @returns {boolean}
+ */
+function needsTokenRefresh(account) {
+  return !!account?.refreshToken &&
+    (!account.tokenExpiresAt || new Date(account.tokenExpiresAt).getTime() - Date.now() <= TOKEN_REFRESH_WINDOW_MS);
+}
+
+/**
+ * Get the YouTube channel of the connected Google account
+ * @param {string} accessToken - Account access token
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<{ channelId: string, title: string, customUrl: string, thumbnailUrl: string }>}
+ */
+async function getChannelInfo(accessToken, healthContext) {
+  return trackAccountHealth('youtube', healthContext, async () => {
+    let channel;
+    try {
+      const response = await axios.get(`${YOUTUBE_API_BASE_URL}/youtube/v3/channels`, {
+        params: { part: 'snippet', mine: true },
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+      channel = response.data?.items?.[0];
+    } catch (error) {
+      throw toYouTubeError(error, 'get YouTube channel');
+    }
+
+    if (!channel) {
+      const error = new Error('The Google account has no YouTube channel. Please create one first.');
+      error.retryable = false;
+      throw error;
+    }
+
+    return {
+      channelId: channel.id,
+      title: channel.snippet?.title || '',
+      customUrl: channel.snippet?.customUrl || '',
+      thumbnailUrl: channel.snippet?.thumbnails?.default?.url || ''
+    };
+  });
+}
+
+// Keep the hashtags of a text as tags, within YouTube's total length
+const getHashtags = (text) =>
+  [...new Set((String(text || '').match(/#[\p{L}\p{N}_]+/gu) || []).map(tag => tag.slice(1)))]
+    .filter(tag => tag.toLowerCase() !== 'shorts');
+
+const limitTags = (tags) => {
+  const limited = [];
+  let length = 0;
+  for (const tag of tags) {
+    // Tags with spaces are quoted by YouTube, which counts towards the limit
+    const tagLength = tag.length + (tag.includes(' ') ? 2 : 0) + (limited.length > 0 ? 1 : 0);
+    if (length + tagLength > MAX_TAGS_LENGTH) break;
+    limited.push(tag);
+    length += tagLength;
+  }
+  return limited;
+};
+
+/**
+ * Map a post to the YouTube video metadata.
+ * The title is the settings title or the first line of the caption; hashtags of the caption
+ * become tags; #Shorts is added to the title, or to the description if the title is full.
+ * @param {string} [caption=''] - Post description
+ * @param {Object} [settings={}] - Post youtube_settings: { title, tags, privacyStatus, madeForKids }
+ * @returns {{ snippet: Object, status: Object }} - Video resource parts for videos.insert
+ */
+function buildVideoMetadata(caption = '', settings = {}) {
+  // YouTube rejects angle brackets in titles and descriptions
+  const clean = (text) => String(text || '').replace(/[<>]/g, '').trim();
+
+  const description = clean(caption);
+  let title = clean(settings.title) || description.split('\n')[0].trim() || 'Short';
+  let fullDescription = description;
+
+  const hasShortsTag = /#shorts\b/i.test(`${title} ${description}`);
+  if (!hasShortsTag) {
+    if (`${title} ${SHORTS_HASHTAG}`.length <= MAX_TITLE_LENGTH) {
+      title = `${title} ${SHORTS_HASHTAG}`;
+    } else {
+      fullDescription = description ? `${description}\n\n${SHORTS_HASHTAG}` : SHORTS_HASHTAG;
+    }
+  }
+
+  const tags = limitTags([...new Set([...(settings.tags || []).map(tag => clean(tag).replace(/^#/, '')).filter(Boolean), ...getHashtags(description)])]);
+
+  return {
+    snippet: {
+      title: title.slice(0, MAX_TITLE_LENGTH),
+      description: fullDescription.slice(0, MAX_DESCRIPTION_LENGTH),
+      tags,
+      categoryId: DEFAULT_CATEGORY_ID
+    },
+    status: {
+      privacyStatus: PRIVACY_STATUSES.includes(settings.privacyStatus) ? settings.privacyStatus : DEFAULT_PRIVACY_STATUS,
+      selfDeclaredMadeForKids: settings.madeForKids === true
+    }
+  };
+}
+
+// Start a resumable upload session, returning the session URL
+async function startUploadSession(accessToken, metadata, size) {
+  try {
+    const response = await axios.post(`${YOUTUBE_API_BASE_URL}/upload/youtube/v3/videos`, metadata, {
+      params: { uploadType: 'resumable', part: 'snippet,status' },
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Length': size,
+        'X-Upload-Content-Type': 'video/*'
+      }
+    });
+
+    const sessionUrl = response.headers?.location;
+    if (!sessionUrl) {
+      throw new Error('YouTube did not return an upload session');
+    }
+    return sessionUrl;
+  } catch (error) {
+    throw toYouTubeError(error, 'start YouTube upload');
+  }
+}
+
+// Ask the session how many bytes YouTube has received; returns the video if the upload is complete
+async function getUploadStatus(accessToken, sessionUrl, size) {
+  const response = await axios.put(sessionUrl, null, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Length': 0,
+      'Content-Range': `bytes */${size}`
+    },
+    validateStatus: status => status === 308 || (status >= 200 && status < 300)
+  });
+
+  if (response.status !== 308) {
+    return { video: response.data };
+  }
+  // Range: bytes=0-<last byte received>
+  const range = response.headers?.range;
+  return { offset: range ? parseInt(range.split('-')[1], 10) + 1 : 0 };
+}
+
+// Send the file from an offset to the upload session, resuming after interruptions
+async function uploadFile(accessToken, sessionUrl, tempFilePath, size) {
+  let offset = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios.put(sessionUrl, fs.createReadStream(tempFilePath, { start: offset }), {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'video/*',
+          'Content-Length': size - offset,
+          ...(offset > 0 ? { 'Content-Range': `bytes ${offset}-${size - 1}/${size}` } : {})
+        },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+      return response.data;
+    } catch (error) {
+      const status = error?.response?.status;
+      const interrupted = !error?.response || status >= 500;
+      if (!interrupted || attempt >= UPLOAD_ATTEMPTS) {
+        throw toYouTubeError(error, 'upload video to YouTube');
+      }
+
+      console.warn(`[YOUTUBE] Upload interrupted (attempt ${attempt}/${UPLOAD_ATTEMPTS}), resuming:`, error?.message);
+      await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+
+      try {
+        const uploadStatus = await getUploadStatus(accessToken, sessionUrl, size);
+        if (uploadStatus.video) {
+          return uploadStatus.video;
+        }
+        offset = uploadStatus.offset;
+        console.log(`[YOUTUBE] Resuming upload at byte ${offset} of ${size}`);
+      } catch (statusError) {
+        throw toYouTubeError(statusError, 'resume YouTube upload');
+      }
+    }
+  }
+}
+
+/**
+ * Upload a video to the channel as a Short
+ * @param {string} videoUrl - URL of the video
+ * @param {string} accessToken - Account access token
+ * @param {string} [caption=''] - Post description
+ * @param {Object} [settings={}] - Post youtube_settings
+ * @param {Object} [healthContext] - { uid, accountId } of the connected account, to record its health
+ * @returns {Promise<{ videoId: string, videoUrl: string, privacyStatus: string }>}
+ */
+async function uploadShort(videoUrl, accessToken, caption = '', settings = {}, healthContext) {
+  return trackAccountHealth('youtube', healthContext, async () => {
+    const metadata = buildVideoMetadata(caption, settings);
+    console.log(`[YOUTUBE] Uploading Short "${metadata.snippet.title}" (${metadata.status.privacyStatus})`);
+
+    const { tempFilePath, size } = await downloadVideoToTempFile(videoUrl, 'youtube');
+    let video;
+    try {
+      const sessionUrl = await startUploadSession(accessToken, metadata, size);
+      video = await uploadFile(accessToken, sessionUrl, tempFilePath, size);
+    } finally {
+      await removeTempFile(tempFilePath);
+    }
+
+    if (!video?.id) {
+      throw new Error('YouTube did not return the uploaded video');
+    }
+    console.log(`[YOUTUBE] Uploaded video ${video.id}`);
+
+    return {
+      videoId: video.id,
+      videoUrl: `https://www.youtube.com/shorts/${video.id}`,
+      privacyStatus: video.status?.privacyStatus || metadata.status.privacyStatus
+    };
+  });
+}
+
+/**
+ * Classify an error thrown by uploadShort as retryable (transient) or permanent
+ * @param {Error} error - Error thrown while uploading
+ * @returns {{ retryable: boolean }} - Whether uploading again later may succeed
+ */
+function classifyYouTubeError(error) {
+  if (typeof error?.retryable === 'boolean') {
+    return { retryable: error.retryable };
+  }
+
+  const axiosError = error?.cause?.isAxiosError ? error.cause : error;
+  if (axiosError?.isAxiosError) {
+    // The request never got a response: network error or timeout
+    if (!axiosError.response) {
+      return { retryable: true };
+    }
+
+    const reason = axiosError.response.data?.error?.errors?.[0]?.reason;
+    if (TRANSIENT_YOUTUBE_REASONS.includes(reason)) {
+      return { retryable: true };
+    }
+    return { retryable: axiosError.response.status === 429 || axiosError.response.status >= 500 };
+  }
+
+  // Download failures and anything unexpected
+  return { retryable: true };
+}
+
+module.exports = {
+  PRIVACY_STATUSES,
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  getAuthUrl,
+  getAccessToken,
+  refreshAccessToken,
+  needsTokenRefresh,
+  getChannelInfo,
+  buildVideoMetadata,
+  uploadShort,
+  classifyYouTubeError
+};
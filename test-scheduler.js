@@ -7,38 +7,36 @@ require('dotenv').config();
 
 const { processPost } = require('./services/scheduler');
 
-// Sample post data with legacy TikTok credentials
+// Sample post without selected accounts: publishes to every account connected by the user.
+// Tokens are resolved from User.providerData, so TEST_USER_ID must be a user with connected accounts.
 const samplePostLegacy = {
   video_url: 'https://media.mindio.chat/sample-video.mp4',
-  post_description: 'Test post using legacy TikTok credentials',
+  post_description: 'Test post to all connected accounts',
   platforms: ['tiktok', 'twitter'],
-  userId: 'test-user',
-  tiktok_access_token: process.env.TEST_TIKTOK_ACCESS_TOKEN,
-  tiktok_refresh_token: process.env.TEST_TIKTOK_REFRESH_TOKEN,
-  twitter_access_token: process.env.TEST_TWITTER_ACCESS_TOKEN,
-  twitter_access_token_secret: process.env.TEST_TWITTER_ACCESS_TOKEN_SECRET
+  userId: process.env.TEST_USER_ID || 'test-user'
 };
 
-// Sample post data with multiple TikTok accounts
+// Sample post data with selected TikTok and Twitter accounts (referenced by id)
 const samplePostMultiAccount = {
   video_url: 'https://media.mindio.chat/sample-video.mp4',
   post_description: 'Test post using multiple TikTok accounts',
   platforms: ['tiktok', 'twitter'],
-  userId: 'test-user',
+  userId: process.env.TEST_USER_ID || 'test-user',
   tiktok_accounts: [
     {
-      accessToken: process.env.TEST_TIKTOK_ACCESS_TOKEN,
-      refreshToken: process.env.TEST_TIKTOK_REFRESH_TOKEN,
       openId: process.env.TEST_TIKTOK_OPEN_ID || 'test-account-1'
     }
   ],
-  twitter_access_token: process.env.TEST_TWITTER_ACCESS_TOKEN,
-  twitter_access_token_secret: process.env.TEST_TWITTER_ACCESS_TOKEN_SECRET
+  twitter_accounts: [
+    {
+      userId: process.env.TEST_TWITTER_USER_ID || 'test-twitter-account-1'
+    }
+  ]
 };
 
 // Test the scheduler with legacy format
 async function testLegacyFormat() {
-  console.log('Testing scheduler with legacy TikTok credentials...');
+  console.log('Testing scheduler with all connected accounts...');
   try {
     const result = await processPost(samplePostLegacy);
     console.log('Result:', JSON.stringify(result, null, 2));
@@ -0,0 +1,110 @@
+// File: utils/oauthState.js
+const crypto = require('crypto');
+
+/**
+ * Signed, expiring OAuth state parameters.
+ *
+ * The state sent to the platform carries the provider, the Firebase UID of the user who
+ * started the connect flow, a random id and an expiry time, signed with HMAC-SHA256:
+ *   base64url(JSON payload).base64url(signature)
+ * The callback only accepts a state it signed itself, for the same provider, before it expired.
+ *
+ * Configuration:
+ *   OAUTH_STATE_SECRET=<random string>
+ */
+
+const OAUTH_STATE_TTL_MS = parseInt(process.env.OAUTH_STATE_TTL_MS) || 10 * 60 * 1000; // Default: 10 minutes
+
+let fallbackSecret = null;
+
+/**
+ * Get the secret used to sign state parameters
+ * @returns {string}
+ */
+const getSecret = () => {
+  if (process.env.OAUTH_STATE_SECRET) {
+    return process.env.OAUTH_STATE_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('OAUTH_STATE_SECRET is not configured');
+  }
+
+  // Development only: states signed by this process are valid until it restarts
+  if (!fallbackSecret) {
+    console.warn('[OAUTH STATE] OAUTH_STATE_SECRET is not set, using a random secret for this process');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+const sign = (encodedPayload) =>
+  crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+
+/**
+ * Create a signed state for an OAuth connect flow
+ * @param {string} provider - Platform name (e.g. 'tiktok')
+ * @param {string} uid - Firebase UID of the user starting the flow
+ * @returns {{ state: string, stateId: string, expiresAt: Date }}
+ */
+const createOAuthState = (provider, uid) => {
+  const stateId = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + OAUTH_STATE_TTL_MS);
+
+  const encodedPayload = Buffer.from(JSON.stringify({
+    provider,
+    uid,
+    sid: stateId,
+    exp: expiresAt.getTime()
+  })).toString('base64url');
+
+  return { state: `${encodedPayload}.${sign(encodedPayload)}`, stateId, expiresAt };
+};
+
+/**
+ * Verify a state received by an OAuth callback
+ * @param {string} state - State parameter from the callback
+ * @param {string} provider - Platform the callback belongs to
+ * @returns {{ uid: string, stateId: string }}
+ * @throws {Error} - With code 'INVALID_OAUTH_STATE' if the state is missing, forged, for another provider or expired
+ */
+const verifyOAuthState = (state, provider) => {
+  const invalid = (reason) => {
+    const error = new Error(`Invalid OAuth state: ${reason}`);
+    error.code = 'INVALID_OAUTH_STATE';
+    return error;
+  };
+
+  const [encodedPayload, signature] = typeof state === 'string' ? state.split('.') : [];
+  if (!encodedPayload || !signature) {
+    throw invalid('missing or malformed');
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw invalid('bad signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalid('malformed payload');
+  }
+
+  if (payload.provider !== provider) {
+    throw invalid(`issued for ${payload.provider}`);
+  }
+  if (!payload.exp || payload.exp < Date.now()) {
+    throw invalid('expired');
+  }
+
+  return { uid: payload.uid, stateId: payload.sid };
+};
+
+module.exports = {
+  OAUTH_STATE_TTL_MS,
+  createOAuthState,
+  verifyOAuthState
+};
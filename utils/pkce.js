@@ -0,0 +1,26 @@
+// File: utils/pkce.js
+const crypto = require('crypto');
+
+/**
+ * PKCE (RFC 7636) helpers for OAuth authorization code flows
+ */
+
+/**
+ * Create a random code verifier
+ * @returns {string} - 64 character verifier from the unreserved character set
+ */
+const createCodeVerifier = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Create the S256 code challenge for a verifier
+ * @param {string} codeVerifier - Code verifier
+ * @param {string} [encoding='base64url'] - Digest encoding; RFC 7636 uses base64url, TikTok expects hex
+ * @returns {string} - Code challenge
+ */
+const createCodeChallenge = (codeVerifier, encoding = 'base64url') =>
+  crypto.createHash('sha256').update(codeVerifier).digest(encoding);
+
+module.exports = {
+  createCodeVerifier,
+  createCodeChallenge
+};
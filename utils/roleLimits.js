@@ -2,29 +2,40 @@
  * Subscription plan limits for different user roles
  * This is the central place to define all role-based feature limits
  */
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
 const roleLimits = {
   Starter: {
     socialAccounts: 4,
     numberOfPosts: 10,
     carouselPosts: true,
+    storageBytes: 2 * GB, // Total size of the files in the media library
+    maxFileBytes: 100 * MB, // Size of a single upload
     priceMonthly: 0,
   },
   Launch: {
     socialAccounts: 5,
     numberOfPosts: -1, // -1 means unlimited
     carouselPosts: true,
+    storageBytes: 20 * GB,
+    maxFileBytes: 500 * MB,
     priceMonthly: 9,
   },
   Rise: {
     socialAccounts: 15,
     numberOfPosts: -1, // -1 means unlimited
     carouselPosts: true,
+    storageBytes: 100 * GB,
+    maxFileBytes: 2 * GB,
     priceMonthly: 18,
   },
   Scale: {
     socialAccounts: -1, // -1 means unlimited
     numberOfPosts: -1, // -1 means unlimited
     carouselPosts: true,
+    storageBytes: 500 * GB,
+    maxFileBytes: 5 * GB,
     priceMonthly: 27,
   }
 };
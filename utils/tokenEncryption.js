@@ -0,0 +1,281 @@
+// File: utils/tokenEncryption.js
+const crypto = require('crypto');
+
+/**
+ * Envelope encryption for OAuth tokens stored in User.providerData.
+ *
+ * Every value gets its own random data key, which encrypts the token with AES-256-GCM.
+ * The data key is then wrapped (also AES-256-GCM) with a master key from the environment.
+ * The id of the master key is stored in the value, so keys can be rotated by adding a new
+ * key, making it active and re-wrapping the stored data keys (scripts/reencryptProviderTokens.js).
+ *
+ * Encrypted values are strings, so the User schema does not change:
+ *   enc:v1:<keyId>:<base64(iv | authTag | wrapped data key)>:<base64(iv | authTag | ciphertext)>
+ *
+ * Configuration:
+ *   TOKEN_ENCRYPTION_KEYS=key1:<base64 32-byte key>,key2:<base64 32-byte key>
+ *   TOKEN_ENCRYPTION_ACTIVE_KEY_ID=key2
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc';
+const VERSION = 'v1';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+// Token fields encrypted per provider
+const TOKEN_FIELDS = {
+  tiktok: ['accessToken', 'refreshToken'],
+  twitter: ['accessToken', 'accessTokenSecret', 'refreshToken'],
+  instagram: ['accessToken'],
+  facebook: ['accessToken'],
+  linkedin: ['accessToken', 'refreshToken'],
+  youtube: ['accessToken', 'refreshToken'],
+  bluesky: ['accessToken', 'refreshToken', 'appPassword'],
+  mastodon: ['accessToken']
+};
+
+let cachedKeys = null;
+let warnedUnconfigured = false;
+
+/**
+ * Parse the master keys from the environment
+ * @returns {{ keys: Map<string, Buffer>, activeKeyId: string|null }}
+ */
+const loadKeys = () => {
+  if (cachedKeys) return cachedKeys;
+
+  const keys = new Map();
+  const entries = (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must be in the form <keyId>:<base64 key>');
+    }
+
+    const keyId = entry.substring(0, separator);
+    const key = Buffer.from(entry.substring(separator + 1), 'base64');
+
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Token encryption key ${keyId} must be ${KEY_LENGTH} bytes (base64 encoded)`);
+    }
+    keys.set(keyId, key);
+  }
+
+  const activeKeyId = process.env.TOKEN_ENCRYPTION_ACTIVE_KEY_ID || (keys.size === 1 ? keys.keys().next().value : null);
+
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_ACTIVE_KEY_ID ${activeKeyId} is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+  if (keys.size > 1 && !activeKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_ACTIVE_KEY_ID is required when several keys are configured');
+  }
+
+  cachedKeys = { keys, activeKeyId };
+  return cachedKeys;
+};
+
+/**
+ * Whether a master key is configured for encrypting new values
+ * @returns {boolean}
+ */
+const isEncryptionConfigured = () => !!loadKeys().activeKeyId;
+
+/**
+ * Get the active master key, or null if encryption is disabled outside production
+ * @returns {{ keyId: string, key: Buffer }|null}
+ */
+const getActiveKey = () => {
+  const { keys, activeKeyId } = loadKeys();
+
+  if (!activeKeyId) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Token encryption is not configured. Set TOKEN_ENCRYPTION_KEYS and TOKEN_ENCRYPTION_ACTIVE_KEY_ID.');
+    }
+    if (!warnedUnconfigured) {
+      console.warn('[TOKEN ENCRYPTION] TOKEN_ENCRYPTION_KEYS is not set, tokens are stored in plaintext');
+      warnedUnconfigured = true;
+    }
+    return null;
+  }
+
+  return { keyId: activeKeyId, key: keys.get(activeKeyId) };
+};
+
+// AES-256-GCM encrypt, returning iv | authTag | ciphertext
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+// AES-256-GCM decrypt of iv | authTag | ciphertext
+const open = (key, sealed) => {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const authTag = sealed.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+  const ciphertext = sealed.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Check whether a value is an encrypted token
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:${VERSION}:`);
+
+/**
+ * Split an encrypted value into its parts
+ * @param {string} value - Encrypted token
+ * @returns {{ keyId: string, wrappedKey: Buffer, payload: Buffer }}
+ */
+const parseEncrypted = (value) => {
+  const parts = value.split(':');
+  if (parts.length !== 5) {
+    throw new Error('Malformed encrypted token');
+  }
+
+  return {
+    keyId: parts[2],
+    wrappedKey: Buffer.from(parts[3], 'base64'),
+    payload: Buffer.from(parts[4], 'base64')
+  };
+};
+
+// Assemble an encrypted value from its parts
+const formatEncrypted = (keyId, wrappedKey, payload) =>
+  [PREFIX, VERSION, keyId, wrappedKey.toString('base64'), payload.toString('base64')].join(':');
+
+// Look up a master key by id
+const getKey = (keyId) => {
+  const key = loadKeys().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Token encryption key ${keyId} is not configured`);
+  }
+  return key;
+};
+
+/**
+ * Encrypt a token with a new data key wrapped by the active master key.
+ * Empty and already encrypted values are returned unchanged.
+ * @param {string} value - Plaintext token
+ * @returns {string} - Encrypted token (plaintext if encryption is disabled outside production)
+ */
+const encryptToken = (value) => {
+  if (!value || typeof value !== 'string' || isEncrypted(value)) {
+    return value;
+  }
+
+  const activeKey = getActiveKey();
+  if (!activeKey) {
+    return value;
+  }
+
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const payload = seal(dataKey, Buffer.from(value, 'utf8'));
+  const wrappedKey = seal(activeKey.key, dataKey);
+
+  return formatEncrypted(activeKey.keyId, wrappedKey, payload);
+};
+
+/**
+ * Decrypt a token. Plaintext values (stored before encryption was enabled) are returned unchanged.
+ * @param {string} value - Encrypted token
+ * @returns {string} - Plaintext token
+ */
+const decryptToken = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const { keyId, wrappedKey, payload } = parseEncrypted(value);
+  const dataKey = open(getKey(keyId), wrappedKey);
+
+  return open(dataKey, payload).toString('utf8');
+};
+
+/**
+ * Whether a stored token should be rewritten: plaintext, or wrapped with a key that is not active
+ * @param {string} value - Stored token
+ * @returns {boolean}
+ */
+const needsReEncryption = (value) => {
+  if (!value || typeof value !== 'string') {
+    return false;
+  }
+  if (!isEncrypted(value)) {
+    return true;
+  }
+  return parseEncrypted(value).keyId !== loadKeys().activeKeyId;
+};
+
+/**
+ * Re-wrap the data key of an encrypted token with the active master key.
+ * The token itself is not decrypted. Plaintext tokens are encrypted.
+ * @param {string} value - Stored token
+ * @returns {string} - Token wrapped with the active key
+ */
+const rewrapToken = (value) => {
+  if (!isEncrypted(value)) {
+    return encryptToken(value);
+  }
+
+  const { keyId, wrappedKey, payload } = parseEncrypted(value);
+  const activeKey = getActiveKey();
+  if (!activeKey || keyId === activeKey.keyId) {
+    return value;
+  }
+
+  const dataKey = open(getKey(keyId), wrappedKey);
+  return formatEncrypted(activeKey.keyId, seal(activeKey.key, dataKey), payload);
+};
+
+// Apply a transform to the token fields of an account, returning a new object
+const transformAccountTokens = (provider, account, transform) => {
+  if (!account || typeof account !== 'object') {
+    return account;
+  }
+
+  const plainAccount = typeof account.toObject === 'function' ? account.toObject() : { ...account };
+
+  for (const field of TOKEN_FIELDS[provider] || []) {
+    if (plainAccount[field]) {
+      plainAccount[field] = transform(plainAccount[field]);
+    }
+  }
+
+  return plainAccount;
+};
+
+/**
+ * Encrypt the token fields of a connected account
+ * @param {string} provider - 'tiktok' or 'twitter'
+ * @param {Object} account - Account with plaintext tokens
+ * @returns {Object} - Copy of the account with encrypted tokens
+ */
+const encryptAccountTokens = (provider, account) => transformAccountTokens(provider, account, encryptToken);
+
+/**
+ * Decrypt the token fields of a connected account
+ * @param {string} provider - 'tiktok' or 'twitter'
+ * @param {Object} account - Account as stored in providerData
+ * @returns {Object} - Plain copy of the account with decrypted tokens
+ */
+const decryptAccountTokens = (provider, account) => transformAccountTokens(provider, account, decryptToken);
+
+module.exports = {
+  TOKEN_FIELDS,
+  isEncryptionConfigured,
+  isEncrypted,
+  encryptToken,
+  decryptToken,
+  needsReEncryption,
+  rewrapToken,
+  encryptAccountTokens,
+  decryptAccountTokens
+};
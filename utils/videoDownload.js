@@ -0,0 +1,67 @@
+// File: utils/videoDownload.js
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Download of videos to the temp directory for platforms that need the file itself
+ * (resumable or chunked uploads) instead of a URL they fetch.
+ * The video is streamed to disk, so large videos are never held in memory.
+ */
+
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+/**
+ * Delete a temporary file. Never throws.
+ * @param {string} tempFilePath - File to delete
+ */
+const removeTempFile = async (tempFilePath) => {
+  try {
+    await fs.promises.unlink(tempFilePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[VIDEO DOWNLOAD] Error deleting temporary file:', error.message);
+    }
+  }
+};
+
+/**
+ * Download a video to a temporary file. The caller deletes it with removeTempFile.
+ * @param {string} videoUrl - URL of the video
+ * @param {string} prefix - File name prefix (e.g. the platform name)
+ * @returns {Promise<{ tempFilePath: string, size: number }>}
+ * @throws {Error} - With retryable false if the video is empty
+ */
+const downloadVideoToTempFile = async (videoUrl, prefix) => {
+  const tempFilePath = path.join(TEMP_DIR, `${prefix}-video-${Date.now()}.mp4`);
+
+  try {
+    await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+    const response = await axios.get(videoUrl, {
+      responseType: 'stream',
+      timeout: 120000, // 2 minutes
+      headers: { 'Accept': 'video/*,*/*' }
+    });
+    await pipeline(response.data, fs.createWriteStream(tempFilePath));
+  } catch (error) {
+    await removeTempFile(tempFilePath);
+    throw new Error(`Failed to download video: ${error.response?.status ? `HTTP ${error.response.status}` : error.message}`, { cause: error });
+  }
+
+  const { size } = await fs.promises.stat(tempFilePath);
+  if (!size) {
+    await removeTempFile(tempFilePath);
+    const error = new Error('Video file is empty. Please check the URL and try again.');
+    error.retryable = false;
+    throw error;
+  }
+
+  console.log(`[VIDEO DOWNLOAD] Downloaded video to ${tempFilePath} (${size} bytes)`);
+  return { tempFilePath, size };
+};
+
+module.exports = {
+  downloadVideoToTempFile,
+  removeTempFile
+};